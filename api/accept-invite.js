@@ -0,0 +1,180 @@
+/* ****************************************
+ * Accept Invitation API Handler
+ * Invitees check their link and create their own account from it
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note GET ?token= describes the invitation; POST { token, password, name? } creates the user
+ * @note Every bad, expired, revoked or used link gets the same INVALID_TOKEN answer and counts
+ *       against RATE_LIMITS.invite for the IP
+ * @note The invitation is claimed before the user is written, against the version read when the link was checked:
+ *       a use that was checked before another use claimed the invitation gets a conflict and INVALID_TOKEN
+ ****************************************/
+
+const { createSheetsClient, getSpreadsheetId, findRecord, listUsers, updateRecord, UPDATE_OUTCOMES } = require('../lib/sheets');
+const { recordVersion } = require('../lib/schema');
+const { getClientIp } = require('../lib/client-ip');
+const { getRateLimiter, setRateLimitHeaders } = require('../lib/rate-limit');
+const { USER_STATUSES, hashPassword, validateUserFields, addUser } = require('../lib/users');
+const { INVITATION_STATUSES, verifyInviteToken } = require('../lib/invitations');
+const { readSignedToken } = require('../lib/tokens');
+
+/**
+ * Accept invitation API handler
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ * @returns {Promise<void>} JSON response
+ */
+async function acceptInviteHandler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({
+            error: 'Method not allowed',
+            code: 'METHOD_NOT_ALLOWED'
+        });
+    }
+
+    try {
+        const clientId = getClientIp(req);
+        const inviteLimiter = getRateLimiter('invite');
+        const rateLimit = await inviteLimiter.check(clientId);
+
+        setRateLimitHeaders(res, rateLimit);
+        if (!rateLimit.allowed) {
+            return res.status(429).json({
+                error: 'Too many attempts. Please try again later.',
+                code: 'RATE_LIMITED'
+            });
+        }
+
+        const spreadsheetId = getSpreadsheetId();
+        if (!spreadsheetId) {
+            console.error('GOOGLE_SHEET_ID environment variable not configured');
+            return res.status(500).json({
+                error: 'Server configuration error',
+                code: 'CONFIG_ERROR'
+            });
+        }
+
+        const token = req.method === 'GET' ? req.query.token : req.body?.token;
+
+        const rejectToken = async () => {
+            setRateLimitHeaders(res, await inviteLimiter.consume(clientId));
+            return res.status(400).json({
+                error: 'This invitation link is invalid, expired or already used. Ask an administrator for a new one.',
+                code: 'INVALID_TOKEN'
+            });
+        };
+
+        const fields = readSignedToken(token);
+        if (!fields) {
+            return rejectToken();
+        }
+
+        const sheets = await createSheetsClient();
+        const found = await findRecord(sheets, spreadsheetId, 'Invitations', fields.subject);
+
+        if (!found || !verifyInviteToken(token, found.record)) {
+            console.log(`Rejected invitation link${found ? ` for ${found.record.email}` : ''} from ${clientId}`);
+            return rejectToken();
+        }
+
+        const invitation = found.record;
+
+        if (req.method === 'GET') {
+            return res.status(200).json({
+                success: true,
+                data: {
+                    email: invitation.email.toLowerCase(),
+                    role: invitation.role,
+                    name: invitation.name || '',
+                    expiresAt: invitation.expiresAt
+                }
+            });
+        }
+
+        await handleAccept(req, res, sheets, spreadsheetId, invitation, rejectToken);
+
+    } catch (error) {
+        console.error('Accept invitation error:', error.message);
+
+        return res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+}
+
+/**
+ * Create the invitee's account
+ * Body: { token, password, name? }
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {object} invitation - Verified pending invitation
+ * @param {Function} rejectToken - Sends the invalid link response
+ * @returns {Promise<void>}
+ */
+async function handleAccept(req, res, sheets, spreadsheetId, invitation, rejectToken) {
+    const { password } = req.body;
+    const name = req.body.name === undefined ? invitation.name || '' : req.body.name;
+
+    if (!password) {
+        return res.status(400).json({
+            error: 'Password is required',
+            code: 'MISSING_FIELDS'
+        });
+    }
+
+    const invalid = validateUserFields({ name, password });
+    if (invalid) {
+        return res.status(400).json({
+            error: invalid,
+            code: 'VALIDATION_ERROR'
+        });
+    }
+
+    const email = invitation.email.toLowerCase();
+    const existing = (await listUsers(sheets, spreadsheetId)).find(user => user.email === email);
+
+    if (existing && String(existing.status).toLowerCase() !== USER_STATUSES.DELETED) {
+        return res.status(409).json({
+            error: 'An account with this email already exists. Sign in, or reset your password.',
+            code: 'USER_EXISTS'
+        });
+    }
+
+    const passwordHash = await hashPassword(password);
+
+    // Claim the invitation first; a second use of the link finds it accepted, or at a newer version, and is refused
+    const acceptedAt = new Date().toISOString();
+    const { outcome } = await updateRecord(sheets, spreadsheetId, 'Invitations', invitation.id, current => (
+        verifyInviteToken(req.body.token, current) ? { status: INVITATION_STATUSES.ACCEPTED, acceptedAt } : null
+    ), { expectedVersion: recordVersion(invitation) });
+
+    if (outcome !== UPDATE_OUTCOMES.UPDATED) {
+        return rejectToken();
+    }
+
+    try {
+        await addUser(sheets, spreadsheetId, {
+            email, name, role: invitation.role, passwordHash, inviteToken: invitation.id
+        }, existing);
+    } catch (error) {
+        // Reopen the invitation so the link can be tried again
+        await updateRecord(sheets, spreadsheetId, 'Invitations', invitation.id,
+            { status: INVITATION_STATUSES.PENDING, acceptedAt: '' }).catch(() => {});
+        throw error;
+    }
+
+    console.log(`${email} accepted invitation ${invitation.id} as ${invitation.role}`);
+
+    return res.status(201).json({
+        success: true,
+        message: 'Your account is ready. You can sign in now.',
+        data: { email, role: invitation.role }
+    });
+}
+
+module.exports = acceptInviteHandler;
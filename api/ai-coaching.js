@@ -9,7 +9,14 @@
  *******************************/
 
 const sgMail = require('@sendgrid/mail');
-const { createSheetsClient, appendSheetValues } = require('../lib/sheets');
+const { createSheetsClient, getSpreadsheetId, ensureSheetHeaders } = require('../lib/sheets');
+const { generateRecordId } = require('../lib/ids');
+const {
+    COACHING_RANGE, COACHING_ID_INDEX, CONTENT_RANGE, CONTENT_ID_INDEX, splitGeneratedContent
+} = require('../lib/coaching');
+const { appendRange, toRow } = require('../lib/schema');
+const { appendOrQueue } = require('../lib/outbox');
+const { formatDisplayTime } = require('../lib/time');
 
 // Configure SendGrid
 if (process.env.SENDGRID_API_KEY) {
@@ -54,14 +61,10 @@ async function aiCoachingHandler(req, res) {
 
         const sessionId = generateSessionId();
         
-        // Save to Google Sheets if configured
-        if (process.env.GOOGLE_SHEET_ID) {
-            try {
-                await saveCoachingSession(sessionData, sessionId);
-            } catch (saveError) {
-                console.warn('Failed to save to sheets:', saveError.message);
-                // Don't fail the request if saving fails
-            }
+        // Save to Google Sheets if configured; failed writes are queued for retry
+        let queued = false;
+        if (getSpreadsheetId()) {
+            ({ queued } = await saveCoachingSession(req, sessionData, sessionId));
         }
 
         // Send confirmation email
@@ -76,6 +79,7 @@ async function aiCoachingHandler(req, res) {
             success: true,
             message: 'Coaching session saved successfully',
             sessionId: sessionId,
+            queued,
             timestamp: new Date().toISOString()
         });
 
@@ -90,28 +94,61 @@ async function aiCoachingHandler(req, res) {
 }
 
 /**
- * Save coaching session to Google Sheets
+ * Save coaching session to Google Sheets, queueing it in the outbox if the write fails
+ * Content too long for one cell is written to AI_Coaching_Content first, then referenced from the session row
  */
-async function saveCoachingSession(sessionData, sessionId) {
-    const sheets = await createSheetsClient();
-    const spreadsheetId = process.env.GOOGLE_SHEET_ID;
-    
-    const rowData = [
-        new Date().toISOString(),
-        sessionData.studentName || '',
-        sessionData.studentEmail || '',
-        sessionData.studentMajor || '',
-        sessionData.businessIdea || '',
-        sessionData.problemDescription || '',
-        sessionData.solutionDescription || '',
-        sessionData.fundingNeeds || '',
-        sessionData.aiGenerated ? 'Yes' : 'No',
-        JSON.stringify(sessionData.generatedContent || {}),
-        'AI Coaching Session',
-        sessionId
-    ];
+async function saveCoachingSession(req, sessionData, sessionId) {
+    const spreadsheetId = getSpreadsheetId();
+    const recordId = generateRecordId();
+    const timestamp = new Date();
+
+    const { cell, chunks } = splitGeneratedContent(sessionData.generatedContent || {}, {
+        coachingId: recordId,
+        sessionId,
+        createdAt: timestamp
+    });
+
+    if (chunks.length > 0) {
+        // Without a header row, a new tab would take the first chunk as its header
+        try {
+            await ensureSheetHeaders(await createSheetsClient(req), spreadsheetId, 'AI_Coaching_Content');
+        } catch (error) {
+            console.warn('Could not check AI_Coaching_Content headers:', error.message);
+        }
+    }
+
+    let queued = false;
+    for (const chunk of chunks) {
+        const chunkRow = toRow('AI_Coaching_Content', chunk);
+        const result = await appendOrQueue(req, spreadsheetId, appendRange('AI_Coaching_Content'), chunkRow, {
+            source: 'coaching-content',
+            dedupe: { range: CONTENT_RANGE, keyIndex: CONTENT_ID_INDEX, key: chunk.id }
+        });
+        queued = queued || result.queued;
+    }
+
+    const rowData = toRow('AI_Coaching', {
+        timestamp,
+        studentName: sessionData.studentName,
+        studentEmail: sessionData.studentEmail,
+        studentMajor: sessionData.studentMajor,
+        businessIdea: sessionData.businessIdea,
+        problemDescription: sessionData.problemDescription,
+        solutionDescription: sessionData.solutionDescription,
+        fundingNeeds: sessionData.fundingNeeds,
+        aiGenerated: sessionData.aiGenerated ? 'Yes' : 'No',
+        generatedContent: cell,
+        sessionType: 'AI Coaching Session',
+        sessionId,
+        id: recordId
+    });
+
+    const result = await appendOrQueue(req, spreadsheetId, appendRange('AI_Coaching'), rowData, {
+        source: 'coaching',
+        dedupe: { range: COACHING_RANGE, keyIndex: COACHING_ID_INDEX, key: recordId }
+    });
 
-    await appendSheetValues(sheets, spreadsheetId, 'AI_Coaching!A:L', rowData);
+    return { ...result, queued: queued || result.queued };
 }
 
 /**
@@ -142,10 +179,10 @@ async function sendConfirmationEmail(sessionData, sessionId) {
 function generateEmailContent(sessionData, sessionId) {
     const studentName = sessionData.studentName || 'Student';
     const businessIdea = sessionData.businessIdea || 'your business idea';
-    const currentDate = new Date().toLocaleDateString('en-US', { 
-        year: 'numeric', 
-        month: 'long', 
-        day: 'numeric' 
+    const currentDate = formatDisplayTime(new Date(), {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
     });
     
     return `
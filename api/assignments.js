@@ -0,0 +1,381 @@
+/* ****************************************
+ * Reviewer Assignments API Handler
+ * Admins assign submissions to reviewers or judges; assignees see their own queue
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Assignments are balanced by current load and skip declared conflicts
+ * @note GET returns the caller's queue unless an admin asks for scope=all
+ ****************************************/
+
+const { withSessionRoute, requireRole } = require('../lib/auth');
+const {
+    createSheetsClient, getSpreadsheetId, appendSheetValues, findRecord, updateRecord,
+    ensureSheetHeaders, listUsers, UPDATE_OUTCOMES
+} = require('../lib/sheets');
+const { listSubmissions } = require('../lib/submissions');
+const { REVIEW_STATUSES } = require('../lib/review');
+const { generateRecordId } = require('../lib/ids');
+const { appendRange, toRow, recordVersion } = require('../lib/schema');
+const {
+    ASSIGNMENTS_HEADERS, ASSIGNABLE_ROLES, ASSIGNMENT_STATUSES,
+    listAssignments, listConflicts, hasConflict, countLoad, planAssignments
+} = require('../lib/assignments');
+
+const ADMIN_ROLES = ['admin', 'superadmin'];
+const MAX_PER_SUBMISSION = 10;
+
+/**
+ * Submissions each role reviews by default when no IDs are given
+ * Reviewers screen incoming registrations; judges score finalists
+ */
+const DEFAULT_STATUSES = {
+    reviewer: [REVIEW_STATUSES.PENDING, REVIEW_STATUSES.UNDER_REVIEW],
+    judge: [REVIEW_STATUSES.APPROVED]
+};
+
+/**
+ * Assignments API handler
+ * @param {object} req - Request object with session
+ * @param {object} res - Response object
+ * @returns {Promise<void>} JSON response with assignment data
+ */
+async function assignmentsHandler(req, res) {
+    if (!requireRole(req, res, [...ADMIN_ROLES, ...ASSIGNABLE_ROLES])) {
+        return; // Response already sent by requireRole
+    }
+
+    const isAdmin = ADMIN_ROLES.includes(req.user.role);
+
+    if (req.method === 'GET') {
+        if (isAdmin && req.query.scope === 'all') {
+            await handleGetAllAssignments(req, res);
+        } else {
+            await handleGetMyAssignments(req, res);
+        }
+    } else if (req.method === 'POST' && isAdmin) {
+        await handleAutoAssign(req, res);
+    } else if (req.method === 'PATCH') {
+        await handleUpdateAssignment(req, res, isAdmin);
+    } else if (req.method === 'POST') {
+        return res.status(403).json({
+            error: 'Admin privileges required',
+            code: 'FORBIDDEN'
+        });
+    } else {
+        return res.status(405).json({
+            error: 'Method not allowed',
+            code: 'METHOD_NOT_ALLOWED'
+        });
+    }
+}
+
+/**
+ * Create the storage client, or send a config error
+ * @param {object} res - Response object
+ * @returns {Promise<object|null>} { sheets, spreadsheetId } or null if response already sent
+ */
+async function connect(res) {
+    const spreadsheetId = getSpreadsheetId();
+
+    if (!spreadsheetId) {
+        console.error('GOOGLE_SHEET_ID environment variable not configured');
+        res.status(500).json({
+            error: 'Server configuration error',
+            code: 'CONFIG_ERROR'
+        });
+        return null;
+    }
+
+    return { sheets: await createSheetsClient(), spreadsheetId };
+}
+
+/**
+ * Handle GET request for the caller's own assignment queue
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleGetMyAssignments(req, res) {
+    try {
+        const connection = await connect(res);
+        if (!connection) return;
+        const { sheets, spreadsheetId } = connection;
+
+        const [submissions, assignments, conflicts] = await Promise.all([
+            listSubmissions(sheets, spreadsheetId),
+            listAssignments(sheets, spreadsheetId),
+            listConflicts(sheets, spreadsheetId)
+        ]);
+
+        const email = req.user.email.toLowerCase();
+        const submissionsById = new Map(submissions.map(s => [s.id, s]));
+
+        const queue = assignments
+            .filter(a => a.reviewerEmail === email &&
+                (a.status === ASSIGNMENT_STATUSES.ACTIVE || a.status === ASSIGNMENT_STATUSES.COMPLETED))
+            .filter(a => submissionsById.has(a.submissionId))
+            // Conflicts declared after assignment drop out immediately
+            .filter(a => !hasConflict(email, submissionsById.get(a.submissionId), conflicts))
+            .map(a => {
+                const s = submissionsById.get(a.submissionId);
+                return {
+                    ...a,
+                    submission: {
+                        id: s.id,
+                        fullName: s.fullName,
+                        major: s.major,
+                        businessName: s.businessName,
+                        businessDescription: s.businessDescription,
+                        status: s.status
+                    }
+                };
+            });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                assignments: queue,
+                counts: {
+                    active: queue.filter(a => a.status === ASSIGNMENT_STATUSES.ACTIVE).length,
+                    completed: queue.filter(a => a.status === ASSIGNMENT_STATUSES.COMPLETED).length
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Failed to load assignments:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to load assignments',
+            code: 'FETCH_ERROR'
+        });
+    }
+}
+
+/**
+ * Handle GET request for every assignment and each reviewer's load (admins)
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleGetAllAssignments(req, res) {
+    try {
+        const connection = await connect(res);
+        if (!connection) return;
+        const { sheets, spreadsheetId } = connection;
+
+        const [submissions, assignments, users] = await Promise.all([
+            listSubmissions(sheets, spreadsheetId),
+            listAssignments(sheets, spreadsheetId),
+            listUsers(sheets, spreadsheetId)
+        ]);
+
+        const load = countLoad(assignments);
+        const businessNames = new Map(submissions.map(s => [s.id, s.businessName]));
+
+        const reviewers = users
+            .filter(u => ASSIGNABLE_ROLES.includes(u.role))
+            .map(u => ({
+                email: u.email,
+                name: u.name,
+                role: u.role,
+                status: u.status,
+                activeAssignments: load[u.email] || 0
+            }));
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                assignments: assignments.map(a => ({ ...a, businessName: businessNames.get(a.submissionId) || '' })),
+                reviewers
+            }
+        });
+
+    } catch (error) {
+        console.error('Failed to load assignments:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to load assignments',
+            code: 'FETCH_ERROR'
+        });
+    }
+}
+
+/**
+ * Handle POST request to auto-assign submissions (admins)
+ * @param {object} req - Request object with body containing role, perSubmission, submissionIds
+ * @param {object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleAutoAssign(req, res) {
+    try {
+        const { role = 'reviewer', submissionIds } = req.body || {};
+        const perSubmission = parseInt(req.body?.perSubmission) || 2;
+
+        if (!ASSIGNABLE_ROLES.includes(role)) {
+            return res.status(400).json({
+                error: 'Invalid role',
+                code: 'INVALID_ROLE',
+                validRoles: ASSIGNABLE_ROLES
+            });
+        }
+
+        if (perSubmission < 1 || perSubmission > MAX_PER_SUBMISSION) {
+            return res.status(400).json({
+                error: `perSubmission must be between 1 and ${MAX_PER_SUBMISSION}`,
+                code: 'INVALID_COUNT'
+            });
+        }
+
+        const connection = await connect(res);
+        if (!connection) return;
+        const { sheets, spreadsheetId } = connection;
+
+        const [submissions, assignments, conflicts, users] = await Promise.all([
+            listSubmissions(sheets, spreadsheetId),
+            listAssignments(sheets, spreadsheetId),
+            listConflicts(sheets, spreadsheetId),
+            listUsers(sheets, spreadsheetId)
+        ]);
+
+        const targets = Array.isArray(submissionIds) && submissionIds.length > 0
+            ? submissions.filter(s => submissionIds.includes(s.id))
+            : submissions.filter(s => s.id && DEFAULT_STATUSES[role].includes(s.status));
+
+        const reviewers = users
+            .filter(u => u.role === role && u.status.toLowerCase() === 'active')
+            .map(u => u.email);
+
+        if (reviewers.length === 0) {
+            return res.status(400).json({
+                error: `No active users with role ${role}`,
+                code: 'NO_REVIEWERS'
+            });
+        }
+
+        const { planned, shortfalls } = planAssignments({
+            submissions: targets,
+            reviewers,
+            assignments,
+            conflicts,
+            perSubmission
+        });
+
+        if (planned.length > 0) {
+            await ensureSheetHeaders(sheets, spreadsheetId, 'Assignments', ASSIGNMENTS_HEADERS);
+        }
+
+        const assignedAt = new Date().toISOString();
+        const created = [];
+        for (const { submissionId, reviewerEmail } of planned) {
+            const id = generateRecordId();
+            await appendSheetValues(sheets, spreadsheetId, appendRange('Assignments'), toRow('Assignments', {
+                id, submissionId, reviewerEmail, role, assignedBy: req.user.email, assignedAt, status: ASSIGNMENT_STATUSES.ACTIVE
+            }));
+            created.push({ id, submissionId, reviewerEmail, role });
+        }
+
+        console.log(`Admin ${req.user.email} created ${created.length} ${role} assignments across ${targets.length} submissions`);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                created,
+                shortfalls,
+                submissionsConsidered: targets.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Failed to assign submissions:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to assign submissions',
+            code: 'ASSIGN_ERROR'
+        });
+    }
+}
+
+/**
+ * Handle PATCH request to change an assignment's status
+ * Assignees may mark their own work active or completed; admins may also remove it
+ * @param {object} req - Request object with body containing id, status and version (optional)
+ * @param {object} res - Response object
+ * @param {boolean} isAdmin - Whether the caller is an admin
+ * @returns {Promise<void>}
+ */
+async function handleUpdateAssignment(req, res, isAdmin) {
+    try {
+        const { id, status } = req.body || {};
+        const allowed = isAdmin
+            ? [ASSIGNMENT_STATUSES.ACTIVE, ASSIGNMENT_STATUSES.COMPLETED, ASSIGNMENT_STATUSES.REMOVED]
+            : [ASSIGNMENT_STATUSES.ACTIVE, ASSIGNMENT_STATUSES.COMPLETED];
+
+        if (!id || !allowed.includes(status)) {
+            return res.status(400).json({
+                error: 'Assignment id and a valid status are required',
+                code: 'INVALID_STATUS',
+                validStatuses: allowed
+            });
+        }
+
+        const connection = await connect(res);
+        if (!connection) return;
+        const { sheets, spreadsheetId } = connection;
+
+        const match = await findRecord(sheets, spreadsheetId, 'Assignments', id);
+        if (!match) {
+            return res.status(404).json({
+                error: 'Assignment not found',
+                code: 'NOT_FOUND'
+            });
+        }
+
+        const reviewerEmail = (match.record.reviewerEmail || '').toLowerCase();
+        if (!isAdmin && reviewerEmail !== req.user.email.toLowerCase()) {
+            return res.status(403).json({
+                error: 'You can only update your own assignments',
+                code: 'FORBIDDEN'
+            });
+        }
+
+        const { version } = req.body;
+        const { outcome, record } = await updateRecord(sheets, spreadsheetId, 'Assignments', id, { status }, {
+            expectedVersion: version === undefined ? recordVersion(match.record) : version
+        });
+
+        if (outcome === UPDATE_OUTCOMES.CONFLICT) {
+            return res.status(409).json({
+                error: 'Assignment was changed by someone else; reload and try again',
+                code: 'VERSION_CONFLICT',
+                current: { status: record.status, version: recordVersion(record) }
+            });
+        }
+        if (outcome === UPDATE_OUTCOMES.NOT_FOUND) {
+            return res.status(404).json({
+                error: 'Assignment not found',
+                code: 'NOT_FOUND'
+            });
+        }
+
+        console.log(`${req.user.email} set assignment ${id} to ${status}`);
+
+        return res.status(200).json({
+            success: true,
+            data: { id, status, version: record.version }
+        });
+
+    } catch (error) {
+        console.error('Failed to update assignment:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to update assignment',
+            code: 'UPDATE_ERROR'
+        });
+    }
+}
+
+// Export the handler wrapped with Iron Session
+module.exports = withSessionRoute(assignmentsHandler);
@@ -12,7 +12,10 @@
  * @note Fixed for Vercel serverless function compatibility
  *******************************/
 
-const { createSheetsClient, appendSheetValues } = require('../lib/sheets');
+const { createSheetsClient, getSpreadsheetId, appendSheetValues } = require('../lib/sheets');
+const { appendRange, toRow } = require('../lib/schema');
+const { getClientIp } = require('../lib/client-ip');
+const { getRateLimiter, setRateLimitHeaders } = require('../lib/rate-limit');
 
 /**
  * Handle AI content generation requests
@@ -62,9 +65,12 @@ async function claudeGenerateHandler(req, res) {
             });
         }
 
-        // Rate limiting check
-        const clientId = req.headers['x-forwarded-for'] || req.connection.remoteAddress || 'unknown';
-        if (await isRateLimited(clientId)) {
+        // Rate limiting check - only successful generations count against the limit
+        const clientId = getClientIp(req);
+        const generateLimiter = getRateLimiter('generate');
+        const rateLimit = await generateLimiter.check(clientId);
+        setRateLimitHeaders(res, rateLimit);
+        if (!rateLimit.allowed) {
             return res.status(429).json({ 
                 error: 'Too many generation requests. Please try again later.',
                 code: 'RATE_LIMITED' 
@@ -109,9 +115,9 @@ async function claudeGenerateHandler(req, res) {
          * Log generation for analytics (optional)
          *******************************/
         
-        if (process.env.GOOGLE_SHEET_ID && process.env.LOG_AI_USAGE) {
+        if (getSpreadsheetId() && process.env.LOG_AI_USAGE) {
             try {
-                await logAIUsage(type, inputs, usedAI, clientId);
+                await logAIUsage(type, inputs, usedAI, clientId, req);
             } catch (logError) {
                 console.warn('Failed to log AI usage:', logError.message);
                 // Don't fail the request if logging fails
@@ -119,7 +125,7 @@ async function claudeGenerateHandler(req, res) {
         }
 
         // Record successful generation for rate limiting
-        await recordGeneration(clientId);
+        setRateLimitHeaders(res, await generateLimiter.consume(clientId));
 
         return res.status(200).json({
             success: true,
@@ -1005,103 +1011,36 @@ Ready to turn this vision into reality at NEST FEST!`;
 /**
  * Log AI usage for analytics
  */
-async function logAIUsage(type, inputs, usedAI, clientId) {
+async function logAIUsage(type, inputs, usedAI, clientId, req) {
     /* *******************************
      * Record AI usage statistics in Google Sheets
      * @param type : content type generated
      * @param inputs : input parameters used
      * @param usedAI : whether Claude API was used
      * @param clientId : client identifier
+     * @param req : request, so the storage client is shared with the rest of the invocation
      * @return : void
      *******************************/
     
     try {
-        const sheets = await createSheetsClient();
-        const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+        const sheets = await createSheetsClient(req);
+        const spreadsheetId = getSpreadsheetId();
         
-        const logData = [
-            new Date().toISOString(),
+        const logData = toRow('AI_Usage', {
+            timestamp: new Date(),
             type,
-            usedAI ? 'claude-api' : 'template',
+            source: usedAI ? 'claude-api' : 'template',
             clientId,
-            Object.keys(inputs).length,
-            JSON.stringify(inputs).length
-        ];
+            inputCount: Object.keys(inputs).length,
+            inputLength: JSON.stringify(inputs).length
+        });
 
-        await appendSheetValues(sheets, spreadsheetId, 'AI_Usage!A:F', logData);
+        await appendSheetValues(sheets, spreadsheetId, appendRange('AI_Usage'), logData);
     } catch (error) {
         console.warn('Failed to log AI usage:', error.message);
     }
 }
 
-/* *******************************
- * Rate Limiting Implementation
- * Prevent abuse of AI generation features
- *******************************/
-
-const generationCounts = new Map();
-const MAX_GENERATIONS = 10; // Per hour
-const GENERATION_COOLDOWN = 60 * 60 * 1000; // 1 hour
-
-/**
- * Check if client is rate limited for AI generation
- */
-async function isRateLimited(clientId) {
-    /* *******************************
-     * Verify if client has exceeded AI generation limits
-     * @param clientId : client identifier (IP address)
-     * @return : boolean indicating if rate limited
-     *******************************/
-    
-    const generations = generationCounts.get(clientId);
-    
-    if (!generations) {
-        return false;
-    }
-    
-    // Check if cooldown period has expired
-    if (Date.now() - generations.lastGeneration > GENERATION_COOLDOWN) {
-        generationCounts.delete(clientId);
-        return false;
-    }
-    
-    return generations.count >= MAX_GENERATIONS;
-}
-
-/**
- * Record successful generation for rate limiting
- */
-async function recordGeneration(clientId) {
-    /* *******************************
-     * Track generation count for rate limiting
-     * @param clientId : client identifier (IP address)
-     * @return : void
-     *******************************/
-    
-    const generations = generationCounts.get(clientId) || { count: 0, lastGeneration: 0 };
-    
-    generations.count += 1;
-    generations.lastGeneration = Date.now();
-    
-    generationCounts.set(clientId, generations);
-    
-    console.log(`Generation ${generations.count}/${MAX_GENERATIONS} recorded for client: ${clientId}`);
-}
-
-// Clean up old generation records periodically
-setInterval(() => {
-    /* *******************************
-     * Cleanup expired rate limiting records
-     *******************************/
-    
-    const now = Date.now();
-    for (const [clientId, generations] of generationCounts.entries()) {
-        if (now - generations.lastGeneration > GENERATION_COOLDOWN) {
-            generationCounts.delete(clientId);
-        }
-    }
-}, 60 * 1000); // Clean up every minute
-
 /**
  * Generate presentation coaching template with proper JSON format
  */
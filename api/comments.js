@@ -0,0 +1,437 @@
+/* ****************************************
+ * Submission Comments API Handler
+ * Threaded admin discussion on submissions with @mentions
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Requires admin authentication; authors come from the session, never the request body
+ * @note Only a comment's author can edit or delete it
+ * @note Mentioned admins are emailed when SendGrid is configured
+ ****************************************/
+
+const { withSessionRoute, requireAdmin } = require('../lib/auth');
+const {
+    createSheetsClient, getSpreadsheetId, appendSheetValues, findRecord, updateRecord,
+    ensureSheetHeaders, listUsers, UPDATE_OUTCOMES
+} = require('../lib/sheets');
+const { listSubmissions } = require('../lib/submissions');
+const { generateRecordId } = require('../lib/ids');
+const { appendRange, toRow, recordVersion } = require('../lib/schema');
+const {
+    COMMENTS_HEADERS, MAX_COMMENT_LENGTH, MENTIONABLE_ROLES,
+    parseCommentRow, listComments, buildThreads, extractMentions
+} = require('../lib/comments');
+const { isEmailConfigured, escapeHtml, sendEmail } = require('../lib/email');
+
+/**
+ * Comments API handler for admins
+ * @param {object} req - Request object with session
+ * @param {object} res - Response object
+ * @returns {Promise<void>} JSON response with comment data
+ */
+async function commentsHandler(req, res) {
+    // Check authentication and admin privileges
+    if (!requireAdmin(req, res)) {
+        return; // Response already sent by requireAdmin
+    }
+
+    if (req.method === 'GET') {
+        await handleGetComments(req, res);
+    } else if (req.method === 'POST') {
+        await handleCreateComment(req, res);
+    } else if (req.method === 'PATCH') {
+        await handleEditComment(req, res);
+    } else if (req.method === 'DELETE') {
+        await handleDeleteComment(req, res);
+    } else {
+        return res.status(405).json({
+            error: 'Method not allowed',
+            code: 'METHOD_NOT_ALLOWED'
+        });
+    }
+}
+
+/**
+ * Validate a comment body
+ * @param {*} body - Comment text from the request
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateBody(body) {
+    if (typeof body !== 'string' || !body.trim()) {
+        return 'Comment text is required';
+    }
+    if (body.length > MAX_COMMENT_LENGTH) {
+        return `Comments are limited to ${MAX_COMMENT_LENGTH} characters`;
+    }
+    return null;
+}
+
+/**
+ * Handle GET request for a submission's comment threads
+ * @param {object} req - Request object with query containing submissionId
+ * @param {object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleGetComments(req, res) {
+    try {
+        const { submissionId } = req.query;
+
+        if (!submissionId) {
+            return res.status(400).json({
+                error: 'Submission id is required',
+                code: 'MISSING_FIELDS'
+            });
+        }
+
+        const sheets = await createSheetsClient();
+        const spreadsheetId = getSpreadsheetId();
+
+        if (!spreadsheetId) {
+            console.error('GOOGLE_SHEET_ID environment variable not configured');
+            return res.status(500).json({
+                error: 'Server configuration error',
+                code: 'CONFIG_ERROR'
+            });
+        }
+
+        const [comments, users] = await Promise.all([
+            listComments(sheets, spreadsheetId, submissionId),
+            listUsers(sheets, spreadsheetId)
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                threads: buildThreads(comments),
+                total: comments.filter(c => !c.deleted).length,
+                mentionable: users
+                    .filter(u => MENTIONABLE_ROLES.includes(u.role) && u.status.toLowerCase() === 'active')
+                    .map(u => ({ email: u.email, name: u.name }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Failed to load comments:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to load comments',
+            code: 'FETCH_ERROR'
+        });
+    }
+}
+
+/**
+ * Handle POST request to add a comment or reply
+ * @param {object} req - Request object with body containing submissionId, body, parentId (optional)
+ * @param {object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleCreateComment(req, res) {
+    try {
+        const { submissionId, body, parentId = '' } = req.body || {};
+
+        const bodyError = validateBody(body);
+        if (!submissionId || bodyError) {
+            return res.status(400).json({
+                error: bodyError || 'Submission id is required',
+                code: 'INVALID_COMMENT'
+            });
+        }
+
+        const sheets = await createSheetsClient();
+        const spreadsheetId = getSpreadsheetId();
+
+        if (!spreadsheetId) {
+            console.error('GOOGLE_SHEET_ID environment variable not configured');
+            return res.status(500).json({
+                error: 'Server configuration error',
+                code: 'CONFIG_ERROR'
+            });
+        }
+
+        const [submissions, comments, users] = await Promise.all([
+            listSubmissions(sheets, spreadsheetId),
+            listComments(sheets, spreadsheetId, submissionId),
+            listUsers(sheets, spreadsheetId)
+        ]);
+
+        const submission = submissions.find(s => s.id === submissionId);
+        if (!submission) {
+            return res.status(404).json({
+                error: 'Submission not found',
+                code: 'NOT_FOUND'
+            });
+        }
+
+        if (parentId && !comments.some(c => c.id === parentId)) {
+            return res.status(400).json({
+                error: 'Parent comment not found on this submission',
+                code: 'INVALID_PARENT'
+            });
+        }
+
+        const author = req.user.email.toLowerCase();
+        const mentions = extractMentions(body, users);
+        const comment = {
+            id: generateRecordId(),
+            submissionId,
+            parentId,
+            authorEmail: author,
+            authorName: req.user.name || '',
+            body: body.trim(),
+            mentions,
+            createdAt: new Date().toISOString(),
+            updatedAt: '',
+            deletedAt: '',
+            deleted: false
+        };
+
+        await ensureSheetHeaders(sheets, spreadsheetId, 'Comments', COMMENTS_HEADERS);
+        await appendSheetValues(sheets, spreadsheetId, appendRange('Comments'), toRow('Comments', {
+            ...comment, mentions: mentions.join(',')
+        }));
+
+        await notifyMentions(mentions.filter(email => email !== author), comment, submission, req.user);
+
+        console.log(`Admin ${author} commented on submission ${submissionId} (${mentions.length} mentions)`);
+
+        return res.status(201).json({
+            success: true,
+            data: comment
+        });
+
+    } catch (error) {
+        console.error('Failed to add comment:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to add comment',
+            code: 'COMMENT_SAVE_ERROR'
+        });
+    }
+}
+
+/**
+ * Look up a comment and confirm the caller wrote it
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ * @param {object} sheets - Storage client
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} id - Comment ID
+ * @returns {Promise<object|null>} Comment, or null if a response was sent
+ */
+async function findOwnComment(req, res, sheets, spreadsheetId, id) {
+    const match = await findRecord(sheets, spreadsheetId, 'Comments', id);
+    const comment = match ? parseCommentRow(match.row) : null;
+
+    if (!comment || comment.deleted) {
+        res.status(404).json({
+            error: 'Comment not found',
+            code: 'NOT_FOUND'
+        });
+        return null;
+    }
+
+    if (comment.authorEmail !== req.user.email.toLowerCase()) {
+        res.status(403).json({
+            error: 'Only the author can change this comment',
+            code: 'FORBIDDEN'
+        });
+        return null;
+    }
+
+    return comment;
+}
+
+/**
+ * Save changes to a comment unless it changed since the caller loaded it
+ * @param {object} req - Request object (body or query may carry version)
+ * @param {object} res - Response object
+ * @param {object} sheets - Storage client
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {object} comment - Comment from findOwnComment
+ * @param {object} changes - Changes keyed by column name
+ * @returns {Promise<boolean>} True if saved, false if a response was sent
+ */
+async function saveComment(req, res, sheets, spreadsheetId, comment, changes) {
+    const version = req.body?.version ?? req.query.version;
+    const { outcome, record } = await updateRecord(sheets, spreadsheetId, 'Comments', comment.id, changes, {
+        expectedVersion: version === undefined ? comment.version : version
+    });
+
+    if (outcome === UPDATE_OUTCOMES.CONFLICT) {
+        res.status(409).json({
+            error: 'Comment was changed elsewhere; reload and try again',
+            code: 'VERSION_CONFLICT',
+            current: { version: recordVersion(record), updatedAt: record.updatedAt, deleted: !!record.deletedAt }
+        });
+        return false;
+    }
+    if (outcome === UPDATE_OUTCOMES.NOT_FOUND) {
+        res.status(404).json({
+            error: 'Comment not found',
+            code: 'NOT_FOUND'
+        });
+        return false;
+    }
+
+    comment.version = record.version;
+    return true;
+}
+
+/**
+ * Handle PATCH request to edit a comment
+ * @param {object} req - Request object with body containing id, body and version (optional)
+ * @param {object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleEditComment(req, res) {
+    try {
+        const { id, body } = req.body || {};
+
+        const bodyError = validateBody(body);
+        if (!id || bodyError) {
+            return res.status(400).json({
+                error: bodyError || 'Comment id is required',
+                code: 'INVALID_COMMENT'
+            });
+        }
+
+        const sheets = await createSheetsClient();
+        const spreadsheetId = getSpreadsheetId();
+
+        if (!spreadsheetId) {
+            console.error('GOOGLE_SHEET_ID environment variable not configured');
+            return res.status(500).json({
+                error: 'Server configuration error',
+                code: 'CONFIG_ERROR'
+            });
+        }
+
+        const comment = await findOwnComment(req, res, sheets, spreadsheetId, id);
+        if (!comment) return;
+
+        const users = await listUsers(sheets, spreadsheetId);
+        const mentions = extractMentions(body, users);
+        const updatedAt = new Date().toISOString();
+
+        const previousMentions = comment.mentions;
+        const saved = await saveComment(req, res, sheets, spreadsheetId, comment, {
+            body: body.trim(), mentions: mentions.join(','), updatedAt
+        });
+        if (!saved) return;
+
+        // Only admins newly mentioned by the edit are notified
+        const newMentions = mentions.filter(email => !previousMentions.includes(email) && email !== comment.authorEmail);
+        if (newMentions.length > 0) {
+            const submission = (await listSubmissions(sheets, spreadsheetId)).find(s => s.id === comment.submissionId);
+            if (submission) {
+                await notifyMentions(newMentions, { ...comment, body: body.trim() }, submission, req.user);
+            }
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: { ...comment, body: body.trim(), mentions, updatedAt }
+        });
+
+    } catch (error) {
+        console.error('Failed to edit comment:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to edit comment',
+            code: 'COMMENT_SAVE_ERROR'
+        });
+    }
+}
+
+/**
+ * Handle DELETE request to remove a comment
+ * The row stays so replies keep their thread; its text is cleared
+ * @param {object} req - Request object with query or body containing id and version (optional)
+ * @param {object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleDeleteComment(req, res) {
+    try {
+        const id = req.query.id || req.body?.id;
+
+        if (!id) {
+            return res.status(400).json({
+                error: 'Comment id is required',
+                code: 'MISSING_FIELDS'
+            });
+        }
+
+        const sheets = await createSheetsClient();
+        const spreadsheetId = getSpreadsheetId();
+
+        if (!spreadsheetId) {
+            console.error('GOOGLE_SHEET_ID environment variable not configured');
+            return res.status(500).json({
+                error: 'Server configuration error',
+                code: 'CONFIG_ERROR'
+            });
+        }
+
+        const comment = await findOwnComment(req, res, sheets, spreadsheetId, id);
+        if (!comment) return;
+
+        const deletedAt = new Date().toISOString();
+        const saved = await saveComment(req, res, sheets, spreadsheetId, comment, {
+            body: '', mentions: '', updatedAt: deletedAt, deletedAt
+        });
+        if (!saved) return;
+
+        console.log(`Admin ${req.user.email} deleted comment ${id}`);
+
+        return res.status(200).json({
+            success: true,
+            data: { id, deletedAt, version: comment.version }
+        });
+
+    } catch (error) {
+        console.error('Failed to delete comment:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to delete comment',
+            code: 'COMMENT_DELETE_ERROR'
+        });
+    }
+}
+
+/**
+ * Email admins who were @mentioned
+ * Failures are logged and never fail the request
+ * @param {Array<string>} emails - Mentioned admin emails
+ * @param {object} comment - The comment
+ * @param {object} submission - The submission being discussed
+ * @param {object} author - Session user who wrote the comment
+ * @returns {Promise<void>}
+ */
+async function notifyMentions(emails, comment, submission, author) {
+    if (emails.length === 0 || !isEmailConfigured()) {
+        return;
+    }
+
+    try {
+        await sendEmail({
+            to: emails,
+            subject: `${author.name || author.email} mentioned you on ${submission.businessName}`,
+            html: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                    <p><strong>${escapeHtml(author.name || author.email)}</strong> mentioned you in a comment on
+                    <strong>${escapeHtml(submission.businessName)}</strong> (${escapeHtml(submission.fullName)}):</p>
+                    <div style="background: #f9f9f9; padding: 15px; border-left: 4px solid #003366; white-space: pre-wrap;">${escapeHtml(comment.body)}</div>
+                    <p style="color: #666;">Open the admin dashboard to reply.</p>
+                </div>
+            `
+        });
+        console.log(`Mention notification sent to ${emails.length} admin(s)`);
+    } catch (error) {
+        console.error('Failed to send mention notification:', error.message);
+    }
+}
+
+// Export the handler wrapped with Iron Session
+module.exports = withSessionRoute(commentsHandler);
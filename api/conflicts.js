@@ -0,0 +1,177 @@
+/* ****************************************
+ * Conflict of Interest API Handler
+ * Reviewers and judges declare conflicts that exclude them from submissions
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Declaring a conflict moves matching active assignments to 'conflict'
+ * @note Admins can list every declaration with scope=all
+ ****************************************/
+
+const { withSessionRoute, requireRole } = require('../lib/auth');
+const {
+    createSheetsClient, getSpreadsheetId, appendSheetValues, updateRecord, ensureSheetHeaders
+} = require('../lib/sheets');
+const { listSubmissions } = require('../lib/submissions');
+const { generateRecordId } = require('../lib/ids');
+const { appendRange, toRow } = require('../lib/schema');
+const {
+    CONFLICTS_HEADERS, ASSIGNABLE_ROLES, ASSIGNMENT_STATUSES, CONFLICT_TYPES,
+    listAssignments, listConflicts, conflictMatches
+} = require('../lib/assignments');
+
+const ADMIN_ROLES = ['admin', 'superadmin'];
+
+/**
+ * Conflicts API handler
+ * @param {object} req - Request object with session
+ * @param {object} res - Response object
+ * @returns {Promise<void>} JSON response with conflict data
+ */
+async function conflictsHandler(req, res) {
+    if (!requireRole(req, res, [...ADMIN_ROLES, ...ASSIGNABLE_ROLES])) {
+        return; // Response already sent by requireRole
+    }
+
+    if (req.method === 'GET') {
+        await handleGetConflicts(req, res);
+    } else if (req.method === 'POST') {
+        await handleDeclareConflict(req, res);
+    } else {
+        return res.status(405).json({
+            error: 'Method not allowed',
+            code: 'METHOD_NOT_ALLOWED'
+        });
+    }
+}
+
+/**
+ * Handle GET request for declared conflicts
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleGetConflicts(req, res) {
+    try {
+        const sheets = await createSheetsClient();
+        const spreadsheetId = getSpreadsheetId();
+
+        if (!spreadsheetId) {
+            console.error('GOOGLE_SHEET_ID environment variable not configured');
+            return res.status(500).json({
+                error: 'Server configuration error',
+                code: 'CONFIG_ERROR'
+            });
+        }
+
+        const conflicts = await listConflicts(sheets, spreadsheetId);
+        const showAll = ADMIN_ROLES.includes(req.user.role) && req.query.scope === 'all';
+        const email = req.user.email.toLowerCase();
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                conflicts: showAll ? conflicts : conflicts.filter(c => c.reviewerEmail === email),
+                types: CONFLICT_TYPES
+            }
+        });
+
+    } catch (error) {
+        console.error('Failed to load conflicts:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to load conflicts',
+            code: 'FETCH_ERROR'
+        });
+    }
+}
+
+/**
+ * Handle POST request to declare a conflict of interest
+ * @param {object} req - Request object with body containing type, value, reason
+ * @param {object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleDeclareConflict(req, res) {
+    try {
+        const { type, reason = '' } = req.body || {};
+        const value = String(req.body?.value || '').trim();
+
+        if (!CONFLICT_TYPES.includes(type) || !value) {
+            return res.status(400).json({
+                error: 'A conflict type and value are required',
+                code: 'INVALID_CONFLICT',
+                validTypes: CONFLICT_TYPES
+            });
+        }
+
+        const sheets = await createSheetsClient();
+        const spreadsheetId = getSpreadsheetId();
+
+        if (!spreadsheetId) {
+            console.error('GOOGLE_SHEET_ID environment variable not configured');
+            return res.status(500).json({
+                error: 'Server configuration error',
+                code: 'CONFIG_ERROR'
+            });
+        }
+
+        const reviewerEmail = req.user.email.toLowerCase();
+        const conflict = {
+            id: generateRecordId(),
+            reviewerEmail,
+            type,
+            value: type === 'student' ? value.toLowerCase() : value,
+            reason: String(reason).trim(),
+            declaredAt: new Date().toISOString()
+        };
+
+        await ensureSheetHeaders(sheets, spreadsheetId, 'Conflicts', CONFLICTS_HEADERS);
+        await appendSheetValues(sheets, spreadsheetId, appendRange('Conflicts'), toRow('Conflicts', conflict));
+
+        // Pull the reviewer off any active assignment the new conflict covers
+        const [submissions, assignments] = await Promise.all([
+            listSubmissions(sheets, spreadsheetId),
+            listAssignments(sheets, spreadsheetId)
+        ]);
+        const submissionsById = new Map(submissions.map(s => [s.id, s]));
+
+        const affected = assignments.filter(a =>
+            a.reviewerEmail === reviewerEmail &&
+            a.status === ASSIGNMENT_STATUSES.ACTIVE &&
+            submissionsById.has(a.submissionId) &&
+            conflictMatches(conflict, submissionsById.get(a.submissionId))
+        );
+
+        for (const assignment of affected) {
+            // Only release assignments that are still active when the row is written
+            await updateRecord(sheets, spreadsheetId, 'Assignments', assignment.id, current =>
+                (current.status || ASSIGNMENT_STATUSES.ACTIVE) === ASSIGNMENT_STATUSES.ACTIVE
+                    ? { status: ASSIGNMENT_STATUSES.CONFLICT }
+                    : null
+            );
+        }
+
+        console.log(`${reviewerEmail} declared a ${type} conflict; ${affected.length} assignments released`);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                conflict,
+                releasedAssignments: affected.map(a => a.id)
+            }
+        });
+
+    } catch (error) {
+        console.error('Failed to declare conflict:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to declare conflict',
+            code: 'CONFLICT_SAVE_ERROR'
+        });
+    }
+}
+
+// Export the handler wrapped with Iron Session
+module.exports = withSessionRoute(conflictsHandler);
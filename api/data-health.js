@@ -0,0 +1,115 @@
+/* ****************************************
+ * Data Health API Handler
+ * Reports malformed rows and edits made directly in the spreadsheet
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Requires admin authentication
+ * @note Malformed rows are checked live; hand edits come from Audit_Log, written by scripts/reconcile-sheets.js
+ ****************************************/
+
+const { withSessionRoute, requireAdmin } = require('../lib/auth');
+const { createSheetsClient, getSpreadsheetId } = require('../lib/sheets');
+const { listSheetNames } = require('../lib/schema');
+const { checkDataHealth } = require('../lib/data-health');
+const { listAuditEntries, AUDIT_CHANGES } = require('../lib/reconcile');
+
+/**
+ * Most recent hand edits returned
+ * @type {number}
+ */
+const RECENT_AUDIT_LIMIT = 100;
+
+/**
+ * Data health API handler for admins
+ * @param {object} req - Request object with session
+ * @param {object} res - Response object
+ * @returns {Promise<void>} JSON response with the data health report
+ */
+async function dataHealthHandler(req, res) {
+    // Check authentication and admin privileges
+    if (!requireAdmin(req, res)) {
+        return; // Response already sent by requireAdmin
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            error: 'Method not allowed',
+            code: 'METHOD_NOT_ALLOWED'
+        });
+    }
+
+    await handleGetReport(req, res);
+}
+
+/**
+ * Handle GET request for the data health report
+ * Query: sheet (optional) - limit the malformed-row check and audit entries to one tab
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleGetReport(req, res) {
+    try {
+        const sheet = req.query.sheet || null;
+
+        if (sheet && !listSheetNames().includes(sheet)) {
+            return res.status(400).json({
+                error: `Unknown sheet ${sheet}`,
+                code: 'INVALID_SHEET',
+                validSheets: listSheetNames()
+            });
+        }
+
+        const spreadsheetId = getSpreadsheetId();
+
+        if (!spreadsheetId) {
+            console.error('GOOGLE_SHEET_ID environment variable not configured');
+            return res.status(500).json({
+                error: 'Server configuration error',
+                code: 'CONFIG_ERROR'
+            });
+        }
+
+        const sheets = await createSheetsClient(req);
+        const health = await checkDataHealth(sheets, spreadsheetId, { sheets: sheet ? [sheet] : null });
+
+        // Audit_Log may not exist until the first reconciliation
+        let auditEntries = [];
+        try {
+            auditEntries = await listAuditEntries(sheets, spreadsheetId);
+        } catch (error) {
+            console.warn('Audit_Log unavailable:', error.message);
+        }
+
+        const lastRun = auditEntries.find(entry => entry.change === AUDIT_CHANGES.RECONCILED) || null;
+        const edits = auditEntries
+            .filter(entry => entry.change !== AUDIT_CHANGES.RECONCILED)
+            .filter(entry => !sheet || entry.sheet === sheet);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                ...health,
+                lastReconciledAt: lastRun ? lastRun.detectedAt : null,
+                lastReconcileSummary: lastRun ? lastRun.newValue : null,
+                handEdits: {
+                    total: edits.length,
+                    recent: edits.slice(0, RECENT_AUDIT_LIMIT)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Failed to build data health report:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to build data health report',
+            code: 'FETCH_ERROR'
+        });
+    }
+}
+
+// Export the handler wrapped with Iron Session
+module.exports = withSessionRoute(dataHealthHandler);
@@ -0,0 +1,131 @@
+/* ****************************************
+ * Data Export API Handler
+ * Downloads submissions, participants or coaching sessions as CSV, XLSX or JSON
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Requires admin authentication
+ * @note Query: dataset, format, columns (comma-separated keys) plus dataset filters
+ * @note ?describe=true lists the datasets, their columns and filters
+ ****************************************/
+
+const { withSessionRoute, requireAdmin } = require('../lib/auth');
+const { createSheetsClient, getSpreadsheetId } = require('../lib/sheets');
+const { EXPORT_FORMATS, DATASETS, selectColumns, toCsv, toXlsx, toJson } = require('../lib/export');
+
+/**
+ * Export API handler for admins
+ * @param {object} req - Request object with session
+ * @param {object} res - Response object
+ * @returns {Promise<void>} File download, or JSON error
+ */
+async function exportHandler(req, res) {
+    // Check authentication and admin privileges
+    if (!requireAdmin(req, res)) {
+        return; // Response already sent by requireAdmin
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            error: 'Method not allowed',
+            code: 'METHOD_NOT_ALLOWED'
+        });
+    }
+
+    // Describe what can be exported so the dashboard can build its form
+    if (req.query.describe) {
+        return res.status(200).json({
+            success: true,
+            data: {
+                formats: Object.keys(EXPORT_FORMATS),
+                datasets: Object.entries(DATASETS).reduce((acc, [name, dataset]) => {
+                    acc[name] = { columns: dataset.columns, filters: dataset.filters };
+                    return acc;
+                }, {})
+            }
+        });
+    }
+
+    try {
+        const { dataset: datasetName = 'submissions', format = 'csv', columns: requestedColumns } = req.query;
+        // Own keys only, so names like "constructor" are unknown rather than prototype members
+        const dataset = Object.hasOwn(DATASETS, datasetName) ? DATASETS[datasetName] : null;
+        const output = Object.hasOwn(EXPORT_FORMATS, format) ? EXPORT_FORMATS[format] : null;
+
+        if (!dataset) {
+            return res.status(400).json({
+                error: 'Unknown dataset',
+                code: 'INVALID_DATASET',
+                validDatasets: Object.keys(DATASETS)
+            });
+        }
+
+        if (!output) {
+            return res.status(400).json({
+                error: 'Unknown format',
+                code: 'INVALID_FORMAT',
+                validFormats: Object.keys(EXPORT_FORMATS)
+            });
+        }
+
+        const { columns, unknown } = selectColumns(dataset, requestedColumns);
+        if (unknown.length > 0 || columns.length === 0) {
+            return res.status(400).json({
+                error: unknown.length > 0 ? `Unknown columns: ${unknown.join(', ')}` : 'No columns selected',
+                code: 'INVALID_COLUMNS',
+                validColumns: dataset.columns.map(c => c.key)
+            });
+        }
+
+        const sheets = await createSheetsClient();
+        const spreadsheetId = getSpreadsheetId();
+
+        if (!spreadsheetId) {
+            console.error('GOOGLE_SHEET_ID environment variable not configured');
+            return res.status(500).json({
+                error: 'Server configuration error',
+                code: 'CONFIG_ERROR'
+            });
+        }
+
+        const { records, errors } = await dataset.load(sheets, spreadsheetId, req.query);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid query parameters',
+                code: 'INVALID_QUERY',
+                details: errors,
+                supportedFilters: dataset.filters
+            });
+        }
+
+        let body;
+        if (format === 'csv') {
+            body = toCsv(records, columns);
+        } else if (format === 'xlsx') {
+            body = await toXlsx(records, columns, datasetName);
+        } else {
+            body = toJson(records, columns);
+        }
+
+        const filename = `acc-shark-tank-${datasetName}-${new Date().toISOString().split('T')[0]}.${output.extension}`;
+
+        console.log(`Admin ${req.user.email} exported ${records.length} ${datasetName} as ${format}`);
+
+        res.setHeader('Content-Type', output.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).send(body);
+
+    } catch (error) {
+        console.error('Export failed:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to export data',
+            code: 'EXPORT_ERROR'
+        });
+    }
+}
+
+// Export the handler wrapped with Iron Session
+module.exports = withSessionRoute(exportHandler);
@@ -0,0 +1,148 @@
+/* ****************************************
+ * Forgot Password API Handler
+ * Emails a single-use, time-limited password reset link
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note The answer is the same whether or not the email belongs to an account, and it is never sent
+ *       sooner than MIN_RESPONSE_MS, so neither the body nor the timing reveals which emails exist
+ * @note Limited per IP and per address (RATE_LIMITS.forgot in lib/rate-limit)
+ * @note Requires SENDGRID_API_KEY and a sender address; without them no email is sent
+ ****************************************/
+
+const { createSheetsClient, getSpreadsheetId, findUserByEmail } = require('../lib/sheets');
+const { getClientIp } = require('../lib/client-ip');
+const { getRateLimiter, setRateLimitHeaders } = require('../lib/rate-limit');
+const { USER_STATUSES, PASSWORD_RESET_TTL_MS, createPasswordResetToken } = require('../lib/users');
+const { tokenLink } = require('../lib/tokens');
+const { isEmailConfigured, escapeHtml, sendEmail } = require('../lib/email');
+
+/**
+ * Shortest time before answering, long enough to cover the lookup and the email send
+ * @type {number}
+ */
+const MIN_RESPONSE_MS = 1500;
+
+const GENERIC_MESSAGE = 'If that email belongs to an active account, a reset link is on its way.';
+
+/**
+ * Forgot password API handler
+ * @param {object} req - Request object with body { email }
+ * @param {object} res - Response object
+ * @returns {Promise<void>} JSON response
+ */
+async function forgotPasswordHandler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            error: 'Method not allowed',
+            code: 'METHOD_NOT_ALLOWED'
+        });
+    }
+
+    const startedAt = Date.now();
+
+    try {
+        const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(email)) {
+            return res.status(400).json({
+                error: 'Please provide a valid email address',
+                code: 'INVALID_EMAIL'
+            });
+        }
+
+        // Every request counts, for the address as well as the IP, so no one can flood an inbox
+        const forgotLimiter = getRateLimiter('forgot');
+        const byIp = await forgotLimiter.consume(getClientIp(req));
+        const byEmail = byIp.allowed ? await forgotLimiter.consume(`email:${email}`) : byIp;
+        setRateLimitHeaders(res, byEmail.allowed ? byIp : byEmail);
+
+        if (!byIp.allowed || !byEmail.allowed) {
+            return res.status(429).json({
+                error: 'Too many reset requests. Please try again later.',
+                code: 'RATE_LIMITED'
+            });
+        }
+
+        const spreadsheetId = getSpreadsheetId();
+        if (!spreadsheetId) {
+            console.error('GOOGLE_SHEET_ID environment variable not configured');
+            return res.status(500).json({
+                error: 'Server configuration error',
+                code: 'CONFIG_ERROR'
+            });
+        }
+
+        const sheets = await createSheetsClient();
+        const user = await findUserByEmail(sheets, spreadsheetId, email);
+
+        if (user && user.password && String(user.status).toLowerCase() === USER_STATUSES.ACTIVE) {
+            await sendResetEmail(user, createPasswordResetToken(user));
+        } else {
+            console.log(`Password reset requested for unknown or inactive account: ${email}`);
+        }
+
+        await waitUntil(startedAt + MIN_RESPONSE_MS);
+
+        return res.status(200).json({
+            success: true,
+            message: GENERIC_MESSAGE
+        });
+
+    } catch (error) {
+        console.error('Forgot password error:', error.message);
+
+        return res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+}
+
+/**
+ * Resolve no earlier than a given time
+ * @param {number} time - Time to wait for (ms since epoch)
+ * @returns {Promise<void>}
+ */
+function waitUntil(time) {
+    return new Promise(resolve => setTimeout(resolve, Math.max(time - Date.now(), 0)));
+}
+
+/**
+ * Email a reset link
+ * Failures are logged and never change the response
+ * @param {object} user - User from findUserByEmail
+ * @param {string} token - Password reset token
+ * @returns {Promise<void>}
+ */
+async function sendResetEmail(user, token) {
+    if (!isEmailConfigured()) {
+        console.warn(`SendGrid not configured - password reset email for ${user.email} not sent`);
+        return;
+    }
+
+    const link = tokenLink('reset-password.html', token);
+
+    try {
+        await sendEmail({
+            to: user.email,
+            subject: 'Reset your NEST FEST admin password',
+            html: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                    <p>Hi ${escapeHtml(user.name || user.email)},</p>
+                    <p>Someone asked to reset the password for your NEST FEST admin account.</p>
+                    <p><a href="${escapeHtml(link)}" style="display: inline-block; background: #2E1A47; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Choose a new password</a></p>
+                    <p>The link works once, for ${PASSWORD_RESET_TTL_MS / 60000} minutes.</p>
+                    <p style="color: #666;">If you did not ask for this, ignore this email; your password stays the same.</p>
+                </div>
+            `
+        });
+        console.log(`Password reset email sent to ${user.email}`);
+    } catch (error) {
+        console.error('Failed to send password reset email:', error.message);
+    }
+}
+
+module.exports = forgotPasswordHandler;
@@ -0,0 +1,305 @@
+/* ****************************************
+ * Invitations API Handler
+ * Admins invite judges, reviewers and admins by email, list invitations and revoke them
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Requires admin authentication; only superadmins can invite superadmins
+ * @note Inviting an email that already has a pending invitation revokes the old one, so only the newest link works
+ * @note The invitee accepts through api/accept-invite.js
+ ****************************************/
+
+const { withSessionRoute, requireAdmin } = require('../lib/auth');
+const {
+    createSheetsClient, getSpreadsheetId, appendSheetValues, ensureSheetHeaders,
+    listUsers, updateRecord, UPDATE_OUTCOMES
+} = require('../lib/sheets');
+const { appendRange, toRow, recordVersion } = require('../lib/schema');
+const { generateRecordId } = require('../lib/ids');
+const { USER_STATUSES, validateUserFields } = require('../lib/users');
+const {
+    INVITATION_STATUSES, INVITABLE_ROLES, MAX_INVITE_EXPIRY_DAYS, DAY_MS,
+    getInviteExpiryDays, listInvitations, createInviteToken
+} = require('../lib/invitations');
+const { tokenLink } = require('../lib/tokens');
+const { formatDisplayTime } = require('../lib/time');
+const { isEmailConfigured, escapeHtml, sendEmail } = require('../lib/email');
+
+/**
+ * Invitations API handler for admins
+ * @param {object} req - Request object with session
+ * @param {object} res - Response object
+ * @returns {Promise<void>} JSON response with invitation data
+ */
+async function invitationsHandler(req, res) {
+    // Check authentication and admin privileges
+    if (!requireAdmin(req, res)) {
+        return; // Response already sent by requireAdmin
+    }
+
+    const spreadsheetId = getSpreadsheetId();
+
+    if (!spreadsheetId) {
+        console.error('GOOGLE_SHEET_ID environment variable not configured');
+        return res.status(500).json({
+            error: 'Server configuration error',
+            code: 'CONFIG_ERROR'
+        });
+    }
+
+    if (req.method === 'GET') {
+        await handleListInvitations(req, res, spreadsheetId);
+    } else if (req.method === 'POST') {
+        await handleCreateInvitation(req, res, spreadsheetId);
+    } else if (req.method === 'DELETE') {
+        await handleRevokeInvitation(req, res, spreadsheetId);
+    } else {
+        return res.status(405).json({
+            error: 'Method not allowed',
+            code: 'METHOD_NOT_ALLOWED'
+        });
+    }
+}
+
+/**
+ * Handle GET request for every invitation
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @returns {Promise<void>}
+ */
+async function handleListInvitations(req, res, spreadsheetId) {
+    try {
+        const sheets = await createSheetsClient(req);
+        const invitations = await listInvitations(sheets, spreadsheetId);
+
+        const counts = Object.fromEntries(
+            [INVITATION_STATUSES.PENDING, INVITATION_STATUSES.ACCEPTED, INVITATION_STATUSES.EXPIRED, INVITATION_STATUSES.REVOKED]
+                .map(status => [status, invitations.filter(invitation => invitation.status === status).length])
+        );
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                invitations,
+                counts,
+                roles: INVITABLE_ROLES[req.user.role] || [],
+                expiryDays: getInviteExpiryDays()
+            }
+        });
+
+    } catch (error) {
+        console.error('Failed to list invitations:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to list invitations',
+            code: 'FETCH_ERROR'
+        });
+    }
+}
+
+/**
+ * Handle POST request to invite someone
+ * Body: { email, role, name?, expiresInDays? }
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @returns {Promise<void>}
+ */
+async function handleCreateInvitation(req, res, spreadsheetId) {
+    try {
+        const { email, role, name = '', expiresInDays = getInviteExpiryDays() } = req.body || {};
+
+        if (!email || !role) {
+            return res.status(400).json({
+                error: 'email and role are required',
+                code: 'MISSING_FIELDS'
+            });
+        }
+
+        const invalid = validateUserFields({ email, name })
+            || (!(parseInt(expiresInDays) >= 1 && parseInt(expiresInDays) <= MAX_INVITE_EXPIRY_DAYS)
+                ? `expiresInDays must be between 1 and ${MAX_INVITE_EXPIRY_DAYS}` : null);
+        if (invalid) {
+            return res.status(400).json({
+                error: invalid,
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const allowedRoles = INVITABLE_ROLES[req.user.role] || [];
+        if (!allowedRoles.includes(role)) {
+            return res.status(403).json({
+                error: `You can invite: ${allowedRoles.join(', ')}`,
+                code: 'ROLE_NOT_ALLOWED'
+            });
+        }
+
+        const normalizedEmail = email.trim().toLowerCase();
+        const sheets = await createSheetsClient(req);
+        const [users, invitations] = await Promise.all([
+            listUsers(sheets, spreadsheetId),
+            listInvitations(sheets, spreadsheetId)
+        ]);
+
+        const existing = users.find(user => user.email === normalizedEmail);
+        if (existing && String(existing.status).toLowerCase() !== USER_STATUSES.DELETED) {
+            return res.status(409).json({
+                error: 'A user with this email already exists',
+                code: 'USER_EXISTS'
+            });
+        }
+
+        // Only the newest link for an address should work
+        const superseded = invitations.filter(invitation =>
+            invitation.email === normalizedEmail && invitation.status === INVITATION_STATUSES.PENDING);
+        for (const invitation of superseded) {
+            await revokeInvitation(sheets, spreadsheetId, invitation.id, req.user.email);
+        }
+
+        const now = new Date();
+        const invitation = {
+            id: generateRecordId(),
+            email: normalizedEmail,
+            role,
+            name: name.trim(),
+            status: INVITATION_STATUSES.PENDING,
+            invitedBy: req.user.email,
+            createdAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + parseInt(expiresInDays) * DAY_MS).toISOString(),
+            version: 0
+        };
+
+        await ensureSheetHeaders(sheets, spreadsheetId, 'Invitations');
+        await appendSheetValues(sheets, spreadsheetId, appendRange('Invitations'), toRow('Invitations', invitation));
+
+        const link = tokenLink('accept-invite.html', createInviteToken(invitation));
+        const emailed = await sendInvitationEmail(invitation, link, req.user);
+
+        console.log(`Admin ${req.user.email} invited ${normalizedEmail} as ${role}${superseded.length ? ` (replacing ${superseded.length})` : ''}`);
+
+        // The link is returned so it can be passed on by hand when email is not configured
+        return res.status(201).json({
+            success: true,
+            data: { invitation, link, emailed }
+        });
+
+    } catch (error) {
+        console.error('Failed to create invitation:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to create invitation',
+            code: 'CREATE_ERROR'
+        });
+    }
+}
+
+/**
+ * Handle DELETE request to revoke a pending invitation
+ * Query: id
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @returns {Promise<void>}
+ */
+async function handleRevokeInvitation(req, res, spreadsheetId) {
+    try {
+        const { id } = req.query;
+
+        if (!id) {
+            return res.status(400).json({
+                error: 'Invitation id is required',
+                code: 'MISSING_FIELDS'
+            });
+        }
+
+        const sheets = await createSheetsClient(req);
+        const { outcome, record } = await revokeInvitation(sheets, spreadsheetId, id, req.user.email);
+
+        if (outcome === UPDATE_OUTCOMES.NOT_FOUND) {
+            return res.status(404).json({
+                error: 'Invitation not found',
+                code: 'NOT_FOUND'
+            });
+        }
+        if (outcome === UPDATE_OUTCOMES.SKIPPED) {
+            return res.status(409).json({
+                error: `Invitation is already ${record.status}`,
+                code: 'INVITATION_CLOSED',
+                current: { status: record.status, version: recordVersion(record) }
+            });
+        }
+
+        console.log(`Admin ${req.user.email} revoked invitation ${id} for ${record.email}`);
+
+        return res.status(200).json({
+            success: true,
+            data: { id, status: INVITATION_STATUSES.REVOKED }
+        });
+
+    } catch (error) {
+        console.error('Failed to revoke invitation:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to revoke invitation',
+            code: 'REVOKE_ERROR'
+        });
+    }
+}
+
+/**
+ * Revoke an invitation that is still pending (expired ones included)
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} id - Invitation ID
+ * @param {string} revokedBy - Admin email
+ * @returns {Promise<object>} { outcome, record } from updateRecord; skipped if it was accepted or revoked already
+ */
+async function revokeInvitation(sheets, spreadsheetId, id, revokedBy) {
+    return updateRecord(sheets, spreadsheetId, 'Invitations', id, current => (
+        String(current.status).toLowerCase() === INVITATION_STATUSES.PENDING
+            ? { status: INVITATION_STATUSES.REVOKED, revokedBy, revokedAt: new Date().toISOString() }
+            : null
+    ));
+}
+
+/**
+ * Email an invitation link
+ * Failures are logged; the caller gets the link either way
+ * @param {object} invitation - The invitation
+ * @param {string} link - Accept link
+ * @param {object} inviter - Session user sending it
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+async function sendInvitationEmail(invitation, link, inviter) {
+    if (!isEmailConfigured()) {
+        console.warn(`SendGrid not configured - invitation for ${invitation.email} not emailed`);
+        return false;
+    }
+
+    try {
+        await sendEmail({
+            to: invitation.email,
+            subject: `You're invited to NEST FEST as a ${invitation.role}`,
+            html: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                    <p>Hi ${escapeHtml(invitation.name || invitation.email)},</p>
+                    <p><strong>${escapeHtml(inviter.name || inviter.email)}</strong> invited you to the NEST FEST
+                    admin portal as a <strong>${escapeHtml(invitation.role)}</strong>.</p>
+                    <p><a href="${escapeHtml(link)}" style="display: inline-block; background: #2E1A47; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Set up your account</a></p>
+                    <p>The link works once, until ${escapeHtml(formatDisplayTime(invitation.expiresAt))}.</p>
+                    <p style="color: #666;">If you were not expecting this, you can ignore this email.</p>
+                </div>
+            `
+        });
+        console.log(`Invitation email sent to ${invitation.email}`);
+        return true;
+    } catch (error) {
+        console.error('Failed to send invitation email:', error.message);
+        return false;
+    }
+}
+
+// Export the handler wrapped with Iron Session
+module.exports = withSessionRoute(invitationsHandler);
@@ -0,0 +1,82 @@
+/* ****************************************
+ * Leaderboard API Handler
+ * Ranks scored submissions for admins using normalized judge scores
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Requires admin authentication
+ * @note Scores are normalized per judge before averaging (see lib/judging.js)
+ ****************************************/
+
+const { withSessionRoute, requireAdmin } = require('../lib/auth');
+const { createSheetsClient, getSpreadsheetId } = require('../lib/sheets');
+const { listSubmissions } = require('../lib/submissions');
+const { getRubric, listScores, buildLeaderboard } = require('../lib/judging');
+
+/**
+ * Leaderboard API handler for admins
+ * @param {object} req - Request object with session
+ * @param {object} res - Response object
+ * @returns {Promise<void>} JSON response with ranked submissions
+ */
+async function leaderboardHandler(req, res) {
+    // Check authentication and admin privileges
+    if (!requireAdmin(req, res)) {
+        return; // Response already sent by requireAdmin
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            error: 'Method not allowed',
+            code: 'METHOD_NOT_ALLOWED'
+        });
+    }
+
+    try {
+        const sheets = await createSheetsClient();
+        const spreadsheetId = getSpreadsheetId();
+
+        if (!spreadsheetId) {
+            console.error('GOOGLE_SHEET_ID environment variable not configured');
+            return res.status(500).json({
+                error: 'Server configuration error',
+                code: 'CONFIG_ERROR'
+            });
+        }
+
+        const [submissions, scores] = await Promise.all([
+            listSubmissions(sheets, spreadsheetId),
+            listScores(sheets, spreadsheetId)
+        ]);
+
+        const leaderboard = buildLeaderboard(scores, submissions);
+        const judges = new Set(scores.map(s => s.judgeEmail));
+
+        console.log(`Admin ${req.user.email} requested leaderboard (${leaderboard.length} ranked)`);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                rubric: getRubric(),
+                leaderboard,
+                totals: {
+                    scores: scores.length,
+                    judges: judges.size,
+                    rankedSubmissions: leaderboard.length
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Failed to build leaderboard:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to build leaderboard',
+            code: 'FETCH_ERROR'
+        });
+    }
+}
+
+// Export the handler wrapped with Iron Session
+module.exports = withSessionRoute(leaderboardHandler);
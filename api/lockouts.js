@@ -0,0 +1,132 @@
+/* ****************************************
+ * Account Lockouts API Handler
+ * Lists accounts held back by failed sign-ins and lets admins unlock them
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Requires admin authentication
+ * @note Counters come from the Users tab (lib/lockout.js); unlocking clears them without bumping the user's version
+ ****************************************/
+
+const { withSessionRoute, requireAdmin } = require('../lib/auth');
+const { createSheetsClient, getSpreadsheetId, listUsers, UPDATE_OUTCOMES } = require('../lib/sheets');
+const { LOCKOUT_POLICY, listLockedAccounts, clearFailedLogins } = require('../lib/lockout');
+
+/**
+ * Lockouts API handler for admins
+ * @param {object} req - Request object with session
+ * @param {object} res - Response object
+ * @returns {Promise<void>} JSON response with lockout data
+ */
+async function lockoutsHandler(req, res) {
+    // Check authentication and admin privileges
+    if (!requireAdmin(req, res)) {
+        return; // Response already sent by requireAdmin
+    }
+
+    const spreadsheetId = getSpreadsheetId();
+
+    if (!spreadsheetId) {
+        console.error('GOOGLE_SHEET_ID environment variable not configured');
+        return res.status(500).json({
+            error: 'Server configuration error',
+            code: 'CONFIG_ERROR'
+        });
+    }
+
+    if (req.method === 'GET') {
+        await handleListLockouts(req, res, spreadsheetId);
+    } else if (req.method === 'DELETE') {
+        await handleUnlock(req, res, spreadsheetId);
+    } else {
+        return res.status(405).json({
+            error: 'Method not allowed',
+            code: 'METHOD_NOT_ALLOWED'
+        });
+    }
+}
+
+/**
+ * Handle GET request for locked and delayed accounts
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @returns {Promise<void>}
+ */
+async function handleListLockouts(req, res, spreadsheetId) {
+    try {
+        const sheets = await createSheetsClient(req);
+        const accounts = listLockedAccounts(await listUsers(sheets, spreadsheetId));
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                accounts,
+                total: accounts.length,
+                locked: accounts.filter(account => account.locked).length,
+                policy: LOCKOUT_POLICY
+            }
+        });
+
+    } catch (error) {
+        console.error('Failed to list lockouts:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to list locked accounts',
+            code: 'FETCH_ERROR'
+        });
+    }
+}
+
+/**
+ * Handle DELETE request to unlock an account
+ * Query: email - account to unlock
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @returns {Promise<void>}
+ */
+async function handleUnlock(req, res, spreadsheetId) {
+    try {
+        const email = String(req.query.email || '').trim().toLowerCase();
+
+        if (!email) {
+            return res.status(400).json({
+                error: 'email is required',
+                code: 'MISSING_FIELDS'
+            });
+        }
+
+        const sheets = await createSheetsClient(req);
+        const outcome = await clearFailedLogins(sheets, spreadsheetId, email);
+
+        if (outcome === UPDATE_OUTCOMES.NOT_FOUND) {
+            return res.status(404).json({
+                error: 'User not found',
+                code: 'NOT_FOUND'
+            });
+        }
+
+        console.log(`Admin ${req.user.email} unlocked ${email}${outcome === UPDATE_OUTCOMES.SKIPPED ? ' (was not locked)' : ''}`);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                email,
+                unlocked: outcome === UPDATE_OUTCOMES.UPDATED
+            }
+        });
+
+    } catch (error) {
+        console.error('Failed to unlock account:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to unlock account',
+            code: 'UNLOCK_ERROR'
+        });
+    }
+}
+
+// Export the handler wrapped with Iron Session
+module.exports = withSessionRoute(lockoutsHandler);
@@ -3,15 +3,23 @@
  * Handles user authentication for ACC Shark Tank admin system
  * 
  * @author ACC Development Team (Abel)
- * @version 1.0
+ * @version 1.1
  * @date July 2025
  * @note Integrates with Google Sheets for user storage and bcrypt for password verification
  * @note Uses Iron Session for secure session management
+ * @note Failed sign-ins are limited per IP (lib/rate-limit) and per account (lib/lockout); a locked account's owner is emailed
+ * @note Each attempt is counted against the account before the password is checked and cleared once it matches
  ****************************************/
 
 const bcrypt = require('bcrypt');
 const { withSessionRoute, loginUser } = require('../lib/auth');
-const { createSheetsClient, findUserByEmail, updateUserLastLogin } = require('../lib/sheets');
+const { createSheetsClient, getSpreadsheetId, findUserByEmail, updateUserLastLogin } = require('../lib/sheets');
+const { getClientIp } = require('../lib/client-ip');
+const { getRateLimiter, setRateLimitHeaders } = require('../lib/rate-limit');
+const { LOCKOUT_POLICY, recordLoginAttempt, clearFailedLogins } = require('../lib/lockout');
+const { formatDisplayTime } = require('../lib/time');
+const { USER_STATUSES } = require('../lib/users');
+const { isEmailConfigured, escapeHtml, sendEmail } = require('../lib/email');
 
 /**
  * Login API handler with session management
@@ -48,9 +56,12 @@ async function loginHandler(req, res) {
             });
         }
 
-        // Rate limiting check (simple in-memory approach)
-        const clientId = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
-        if (await isRateLimited(clientId)) {
+        // Rate limiting check - only failed attempts count against the limit
+        const clientId = getClientIp(req);
+        const loginLimiter = getRateLimiter('login');
+        const rateLimit = await loginLimiter.check(clientId);
+        setRateLimitHeaders(res, rateLimit);
+        if (!rateLimit.allowed) {
             return res.status(429).json({ 
                 error: 'Too many login attempts. Please try again later.',
                 code: 'RATE_LIMITED' 
@@ -60,8 +71,8 @@ async function loginHandler(req, res) {
         console.log(`Login attempt for email: ${email}`);
 
         // Create Google Sheets client
-        const sheets = await createSheetsClient();
-        const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+        const sheets = await createSheetsClient(req);
+        const spreadsheetId = getSpreadsheetId();
 
         if (!spreadsheetId) {
             console.error('GOOGLE_SHEET_ID environment variable not configured');
@@ -74,9 +85,10 @@ async function loginHandler(req, res) {
         // Find user in Google Sheets
         const user = await findUserByEmail(sheets, spreadsheetId, email);
         
-        if (!user) {
+        // A deleted user's row stays in the sheet, but it answers like an unknown email
+        if (!user || String(user.status).toLowerCase() === USER_STATUSES.DELETED) {
             console.log(`User not found: ${email}`);
-            await recordFailedAttempt(clientId);
+            setRateLimitHeaders(res, await loginLimiter.consume(clientId));
             return res.status(401).json({ 
                 error: 'Invalid credentials',
                 code: 'INVALID_CREDENTIALS' 
@@ -92,12 +104,45 @@ async function loginHandler(req, res) {
             });
         }
 
+        // Per-account lockout - the attempt is counted first, and the password is not checked
+        // while the account is waiting or locked
+        const attempt = await recordLoginAttempt(sheets, spreadsheetId, email);
+        if (!attempt) {
+            console.log(`User removed during login: ${email}`);
+            setRateLimitHeaders(res, await loginLimiter.consume(clientId));
+            return res.status(401).json({
+                error: 'Invalid credentials',
+                code: 'INVALID_CREDENTIALS'
+            });
+        }
+
+        if (attempt.blocked) {
+            const loginState = attempt.state;
+            console.log(`Login attempt for ${loginState.locked ? 'locked' : 'delayed'} account: ${email}`);
+            setRateLimitHeaders(res, await loginLimiter.consume(clientId));
+            const retryAfter = Math.max(Math.ceil(loginState.retryAfterMs / 1000), 1);
+            res.setHeader('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                error: loginState.locked
+                    ? 'This account is locked after repeated failed sign-ins. Try again later or ask an administrator to unlock it.'
+                    : 'Too many failed sign-ins for this account. Please wait before trying again.',
+                code: loginState.locked ? 'ACCOUNT_LOCKED' : 'LOGIN_DELAYED',
+                retryAfter
+            });
+        }
+
         // Verify password using bcrypt
         const passwordMatch = await bcrypt.compare(password, user.password);
         
         if (!passwordMatch) {
             console.log(`Invalid password for user: ${email}`);
-            await recordFailedAttempt(clientId);
+            setRateLimitHeaders(res, await loginLimiter.consume(clientId));
+
+            if (attempt.justLocked) {
+                console.warn(`Account ${email} locked after ${attempt.failedLogins} failed sign-ins`);
+                await notifyAccountLocked(user, attempt, clientId);
+            }
+
             return res.status(401).json({ 
                 error: 'Invalid credentials',
                 code: 'INVALID_CREDENTIALS' 
@@ -114,13 +159,20 @@ async function loginHandler(req, res) {
             name: user.name
         });
 
+        // Reset the account's failed sign-ins, including the one counted for this attempt
+        try {
+            await clearFailedLogins(sheets, spreadsheetId, email);
+        } catch (error) {
+            console.warn('Failed to clear failed sign-ins:', error.message);
+        }
+
         // Update last login timestamp (non-blocking)
         updateUserLastLogin(sheets, spreadsheetId, email).catch(error => {
             console.warn('Failed to update last login:', error.message);
         });
 
         // Clear any rate limiting for successful login
-        await clearRateLimit(clientId);
+        await loginLimiter.reset(clientId);
 
         // Return success response
         return res.status(200).json({
@@ -144,70 +196,39 @@ async function loginHandler(req, res) {
     }
 }
 
-/* ****************************************
- * Rate Limiting Implementation
- * Simple in-memory rate limiting to prevent brute force attacks
- ****************************************/
-
-const attemptCounts = new Map();
-const MAX_ATTEMPTS = 5;
-const LOCKOUT_DURATION = 15 * 60 * 1000; // 15 minutes
-
-/**
- * Check if client is rate limited
- * @param {string} clientId - Client identifier (IP address)
- * @returns {Promise<boolean>} True if rate limited
- */
-async function isRateLimited(clientId) {
-    const attempts = attemptCounts.get(clientId);
-    
-    if (!attempts) {
-        return false;
-    }
-    
-    // Check if lockout period has expired
-    if (Date.now() - attempts.lastAttempt > LOCKOUT_DURATION) {
-        attemptCounts.delete(clientId);
-        return false;
-    }
-    
-    return attempts.count >= MAX_ATTEMPTS;
-}
-
 /**
- * Record failed login attempt
- * @param {string} clientId - Client identifier (IP address)
+ * Email an account's owner that it was locked
+ * Failures are logged and never fail the request
+ * @param {object} user - User from findUserByEmail
+ * @param {object} lockout - From recordLoginAttempt
+ * @param {string} clientIp - Address of the last failed attempt
  * @returns {Promise<void>}
  */
-async function recordFailedAttempt(clientId) {
-    const attempts = attemptCounts.get(clientId) || { count: 0, lastAttempt: 0 };
-    
-    attempts.count += 1;
-    attempts.lastAttempt = Date.now();
-    
-    attemptCounts.set(clientId, attempts);
-    
-    console.log(`Failed login attempt ${attempts.count}/${MAX_ATTEMPTS} for client: ${clientId}`);
-}
-
-/**
- * Clear rate limiting for client
- * @param {string} clientId - Client identifier (IP address)
- * @returns {Promise<void>}
- */
-async function clearRateLimit(clientId) {
-    attemptCounts.delete(clientId);
-}
+async function notifyAccountLocked(user, lockout, clientIp) {
+    if (!isEmailConfigured()) {
+        return;
+    }
 
-// Clean up old rate limit entries periodically
-setInterval(() => {
-    const now = Date.now();
-    for (const [clientId, attempts] of attemptCounts.entries()) {
-        if (now - attempts.lastAttempt > LOCKOUT_DURATION) {
-            attemptCounts.delete(clientId);
-        }
+    try {
+        await sendEmail({
+            to: user.email,
+            subject: 'Your NEST FEST admin account was locked',
+            html: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                    <p>Hi ${escapeHtml(user.name || user.email)},</p>
+                    <p>Your admin account was locked after ${lockout.failedLogins} failed sign-in attempts.
+                    The last attempt came from <strong>${escapeHtml(clientIp)}</strong>.</p>
+                    <p>The lock lifts at <strong>${escapeHtml(formatDisplayTime(lockout.lockedUntil))}</strong>
+                    (${LOCKOUT_POLICY.lockDurationMs / 60000} minutes), or sooner if an administrator unlocks it.</p>
+                    <p style="color: #666;">If these attempts were not you, ask an administrator to change your password.</p>
+                </div>
+            `
+        });
+        console.log(`Lockout notification sent to ${user.email}`);
+    } catch (error) {
+        console.error('Failed to send lockout notification:', error.message);
     }
-}, 60 * 1000); // Clean up every minute
+}
 
 // Export the handler wrapped with Iron Session
 module.exports = withSessionRoute(loginHandler);
\ No newline at end of file
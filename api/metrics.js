@@ -0,0 +1,54 @@
+/* ****************************************
+ * Metrics API Handler
+ * Reports runtime metrics for the serverless instance that answers the request
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Requires admin authentication
+ * @note Metrics live in memory, so they cover one warm instance and reset on cold start
+ * @note schema is the instance's header check against lib/schema.js (null until a handler has used storage)
+ * @note sheetsCache counts reads served from the instance's range cache (see lib/sheets.js)
+ ****************************************/
+
+const { withSessionRoute, requireAdmin } = require('../lib/auth');
+const { getSheetsClientMetrics, getSheetCacheMetrics, getSchemaStatus } = require('../lib/sheets');
+const { getStorageBackend } = require('../lib/storage');
+
+// Set once per instance so admins can tell whether metrics came from the same warm instance
+const INSTANCE_STARTED_AT = new Date().toISOString();
+
+/**
+ * Metrics API handler for admins
+ * @param {object} req - Request object with session
+ * @param {object} res - Response object
+ * @returns {Promise<void>} JSON response with instance metrics
+ */
+async function metricsHandler(req, res) {
+    // Check authentication and admin privileges
+    if (!requireAdmin(req, res)) {
+        return; // Response already sent by requireAdmin
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            error: 'Method not allowed',
+            code: 'METHOD_NOT_ALLOWED'
+        });
+    }
+
+    return res.status(200).json({
+        success: true,
+        data: {
+            instanceStartedAt: INSTANCE_STARTED_AT,
+            uptimeSeconds: Math.round(process.uptime()),
+            storageBackend: getStorageBackend(),
+            sheetsClient: getSheetsClientMetrics(),
+            sheetsCache: getSheetCacheMetrics(),
+            schema: await getSchemaStatus()
+        }
+    });
+}
+
+// Export the handler wrapped with Iron Session
+module.exports = withSessionRoute(metricsHandler);
@@ -0,0 +1,159 @@
+/* ****************************************
+ * Write Outbox API Handler
+ * Lets admins inspect, retry and discard sheet writes that failed and were queued
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Requires admin authentication
+ * @note The outbox is local to the serverless instance that queued the write (see lib/outbox.js)
+ ****************************************/
+
+const { withSessionRoute, requireAdmin } = require('../lib/auth');
+const { listOutbox, getOutboxStats, processOutbox, retryEntry, discardEntry } = require('../lib/outbox');
+
+/**
+ * Outbox API handler for admins
+ * @param {object} req - Request object with session
+ * @param {object} res - Response object
+ * @returns {Promise<void>} JSON response with outbox data
+ */
+async function outboxHandler(req, res) {
+    // Check authentication and admin privileges
+    if (!requireAdmin(req, res)) {
+        return; // Response already sent by requireAdmin
+    }
+
+    if (req.method === 'GET') {
+        await handleGetOutbox(req, res);
+    } else if (req.method === 'POST') {
+        await handleRetry(req, res);
+    } else if (req.method === 'DELETE') {
+        await handleDiscard(req, res);
+    } else {
+        return res.status(405).json({
+            error: 'Method not allowed',
+            code: 'METHOD_NOT_ALLOWED'
+        });
+    }
+}
+
+/**
+ * Handle GET request for queued writes
+ * Row values are summarized rather than returned in full
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleGetOutbox(req, res) {
+    try {
+        const entries = await listOutbox();
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                stats: getOutboxStats(entries),
+                entries: entries.map(({ values, dedupe, ...entry }) => ({
+                    ...entry,
+                    recordKey: dedupe ? dedupe.key : '',
+                    columns: values.length
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Failed to load outbox:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to load outbox',
+            code: 'FETCH_ERROR'
+        });
+    }
+}
+
+/**
+ * Handle POST request to retry queued writes
+ * With an id, retries that entry now (even if it has failed); otherwise drains every due entry
+ * @param {object} req - Request object with body containing optional id
+ * @param {object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleRetry(req, res) {
+    try {
+        const { id } = req.body || {};
+
+        const result = id
+            ? await retryEntry(id, req)
+            : await processOutbox({ req });
+
+        if (!result) {
+            return res.status(404).json({
+                error: 'Outbox entry not found',
+                code: 'NOT_FOUND'
+            });
+        }
+
+        console.log(`Admin ${req.user.email} retried outbox${id ? ` entry ${id}` : ''}: ${result.delivered}/${result.attempted} delivered`);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                result,
+                stats: getOutboxStats(await listOutbox())
+            }
+        });
+
+    } catch (error) {
+        console.error('Failed to retry outbox:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to retry outbox',
+            code: 'RETRY_ERROR'
+        });
+    }
+}
+
+/**
+ * Handle DELETE request to discard a queued write
+ * @param {object} req - Request object with query containing id
+ * @param {object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleDiscard(req, res) {
+    try {
+        const { id } = req.query;
+
+        if (!id) {
+            return res.status(400).json({
+                error: 'Outbox entry id is required',
+                code: 'MISSING_FIELDS'
+            });
+        }
+
+        const entry = await discardEntry(id);
+        if (!entry) {
+            return res.status(404).json({
+                error: 'Outbox entry not found',
+                code: 'NOT_FOUND'
+            });
+        }
+
+        console.warn(`Admin ${req.user.email} discarded outbox entry ${id} (${entry.source} write to ${entry.range})`);
+
+        return res.status(200).json({
+            success: true,
+            data: { id }
+        });
+
+    } catch (error) {
+        console.error('Failed to discard outbox entry:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to discard outbox entry',
+            code: 'DELETE_ERROR'
+        });
+    }
+}
+
+// Export the handler wrapped with Iron Session
+module.exports = withSessionRoute(outboxHandler);
@@ -11,7 +11,10 @@
  * @note Supports 6 different involvement types with specialized content
  ****************************************/
 
-const { createSheetsClient, appendSheetValues } = require('../lib/sheets');
+const { createSheetsClient, getSpreadsheetId, appendSheetValues, ensureSheetHeaders } = require('../lib/sheets');
+const { generateRecordId } = require('../lib/ids');
+const { appendRange, toRow } = require('../lib/schema');
+const { nowIso } = require('../lib/time');
 const sgMail = require('@sendgrid/mail');
 
 /* ****************************************
@@ -91,35 +94,29 @@ async function participateHandler(req, res) {
          ****************************************/
         
         const sheets = await createSheetsClient();
-        const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+        const spreadsheetId = getSpreadsheetId();
 
-        // Timestamp in Central Time (Austin, TX)
-        const timestamp = new Date().toLocaleString('en-US', {
-            timeZone: 'America/Chicago',
-            year: 'numeric',
-            month: '2-digit',
-            day: '2-digit',
-            hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit'
-        });
+        // Stored as ISO 8601 UTC; the dashboard shows it in Central Time
+        const timestamp = nowIso();
 
         // Prepare row values for Participants tab
-        const participantData = [
+        const participantId = generateRecordId();
+        const participantData = toRow('Participants', {
             timestamp,
             fullName,
             email,
             involvementType,
-            questions || '',
-            additionalInfo || '',
-            'Active' // Status field
-        ];
+            questions,
+            additionalInfo,
+            status: 'Active',
+            id: participantId
+        });
 
         // Ensure Participants sheet exists with proper headers
-        await ensureParticipantsSheet(sheets, spreadsheetId);
+        await ensureSheetHeaders(sheets, spreadsheetId, 'Participants');
 
         // Append the new participation interest
-        await appendSheetValues(sheets, spreadsheetId, 'Participants!A:G', participantData);
+        await appendSheetValues(sheets, spreadsheetId, appendRange('Participants'), participantData);
 
         /* ****************************************
          * Send Confirmation Email
@@ -144,13 +141,14 @@ async function participateHandler(req, res) {
         }
 
         console.log('Successfully recorded participation interest:', {
-            fullName, email, involvementType, timestamp
+            participantId, fullName, email, involvementType, timestamp
         });
 
         return res.status(200).json({
             success: true,
             message: 'Participation interest submitted successfully!',
             data: {
+                participantId,
                 involvementType,
                 timestamp,
                 confirmationSent: !!process.env.SENDGRID_API_KEY
@@ -168,53 +166,6 @@ async function participateHandler(req, res) {
     }
 }
 
-/* ****************************************
- * Ensure Participants sheet exists with proper headers
- ****************************************/
-async function ensureParticipantsSheet(sheets, spreadsheetId) {
-    /* ****************************************
-     * Create or verify Participants sheet with proper column headers
-     * @param sheets : Google Sheets client instance
-     * @param spreadsheetId : Google Sheets spreadsheet ID
-     * @return : void
-     ****************************************/
-    
-    try {
-        // Check if sheet exists and has data
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId,
-            range: 'Participants!A1:G1000',
-        });
-
-        // If sheet is empty or doesn't exist, create headers
-        if (!response.data.values || response.data.values.length === 0) {
-            const headers = [
-                'Timestamp',
-                'Full Name', 
-                'Email',
-                'Involvement Type',
-                'Questions/Notes',
-                'Additional Info',
-                'Status'
-            ];
-
-            await sheets.spreadsheets.values.update({
-                spreadsheetId,
-                range: 'Participants!A1:G1',
-                valueInputOption: 'RAW',
-                requestBody: {
-                    values: [headers]
-                }
-            });
-
-            console.log('Participants sheet headers created');
-        }
-    } catch (error) {
-        console.warn('Error ensuring Participants sheet:', error.message);
-        // Continue anyway - the append operation will create the sheet if needed
-    }
-}
-
 /* ****************************************
  * Generate personalized email content based on involvement type
  ****************************************/
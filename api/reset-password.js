@@ -0,0 +1,157 @@
+/* ****************************************
+ * Reset Password API Handler
+ * Sets a new password from an emailed reset link
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Every bad, expired or already-used link gets the same INVALID_TOKEN answer, whether or not
+ *       the account exists, and counts against RATE_LIMITS.reset for the IP
+ * @note The new hash invalidates the link and any other sent before it; the account's failed
+ *       sign-ins and lock are cleared too, since its owner has just proved they hold the mailbox
+ ****************************************/
+
+const { createSheetsClient, getSpreadsheetId, findUserByEmail, updateRecord, UPDATE_OUTCOMES } = require('../lib/sheets');
+const { getClientIp } = require('../lib/client-ip');
+const { getRateLimiter, setRateLimitHeaders } = require('../lib/rate-limit');
+const { USER_STATUSES, hashPassword, validatePassword, verifyPasswordResetToken } = require('../lib/users');
+const { readSignedToken } = require('../lib/tokens');
+const { formatDisplayTime } = require('../lib/time');
+const { isEmailConfigured, escapeHtml, sendEmail } = require('../lib/email');
+
+/**
+ * Reset password API handler
+ * @param {object} req - Request object with body { token, password }
+ * @param {object} res - Response object
+ * @returns {Promise<void>} JSON response
+ */
+async function resetPasswordHandler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            error: 'Method not allowed',
+            code: 'METHOD_NOT_ALLOWED'
+        });
+    }
+
+    try {
+        const clientId = getClientIp(req);
+        const resetLimiter = getRateLimiter('reset');
+        const rateLimit = await resetLimiter.check(clientId);
+
+        setRateLimitHeaders(res, rateLimit);
+        if (!rateLimit.allowed) {
+            return res.status(429).json({
+                error: 'Too many reset attempts. Please try again later.',
+                code: 'RATE_LIMITED'
+            });
+        }
+
+        const { token, password } = req.body || {};
+
+        if (!token || !password) {
+            return res.status(400).json({
+                error: 'Reset link and new password are required',
+                code: 'MISSING_FIELDS'
+            });
+        }
+
+        const invalid = validatePassword(password);
+        if (invalid) {
+            return res.status(400).json({
+                error: invalid,
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const spreadsheetId = getSpreadsheetId();
+        if (!spreadsheetId) {
+            console.error('GOOGLE_SHEET_ID environment variable not configured');
+            return res.status(500).json({
+                error: 'Server configuration error',
+                code: 'CONFIG_ERROR'
+            });
+        }
+
+        const rejectToken = async () => {
+            setRateLimitHeaders(res, await resetLimiter.consume(clientId));
+            return res.status(400).json({
+                error: 'This reset link is invalid or has expired. Please request a new one.',
+                code: 'INVALID_TOKEN'
+            });
+        };
+
+        const fields = readSignedToken(token);
+        if (!fields) {
+            return rejectToken();
+        }
+
+        const sheets = await createSheetsClient();
+        const user = await findUserByEmail(sheets, spreadsheetId, fields.subject);
+
+        if (!user || String(user.status).toLowerCase() !== USER_STATUSES.ACTIVE || !verifyPasswordResetToken(token, user)) {
+            console.log(`Rejected password reset link${user ? ` for ${user.email}` : ''} from ${clientId}`);
+            return rejectToken();
+        }
+
+        // Write only if the hash the link was bound to is still there, so two uses of one link cannot both succeed
+        const passwordHash = await hashPassword(password);
+        const { outcome } = await updateRecord(sheets, spreadsheetId, 'Users', user.email, current => (
+            current.passwordHash === user.password
+                ? { passwordHash, failedLogins: 0, lastFailedLogin: '', lockedUntil: '' }
+                : null
+        ));
+
+        if (outcome !== UPDATE_OUTCOMES.UPDATED) {
+            return rejectToken();
+        }
+
+        console.log(`Password reset for ${user.email} from ${clientId}`);
+        await notifyPasswordChanged(user, clientId);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Your password has been changed. You can sign in now.'
+        });
+
+    } catch (error) {
+        console.error('Reset password error:', error.message);
+
+        return res.status(500).json({
+            error: 'Internal server error',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+}
+
+/**
+ * Tell the account owner their password changed
+ * Failures are logged and never fail the request
+ * @param {object} user - User whose password changed
+ * @param {string} clientIp - Address the reset came from
+ * @returns {Promise<void>}
+ */
+async function notifyPasswordChanged(user, clientIp) {
+    if (!isEmailConfigured()) {
+        return;
+    }
+
+    try {
+        await sendEmail({
+            to: user.email,
+            subject: 'Your NEST FEST admin password was changed',
+            html: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                    <p>Hi ${escapeHtml(user.name || user.email)},</p>
+                    <p>The password for your NEST FEST admin account was changed through a reset link at
+                    <strong>${escapeHtml(formatDisplayTime(new Date().toISOString()))}</strong>
+                    from <strong>${escapeHtml(clientIp)}</strong>.</p>
+                    <p style="color: #666;">If this was not you, contact an administrator right away.</p>
+                </div>
+            `
+        });
+    } catch (error) {
+        console.error('Failed to send password change notification:', error.message);
+    }
+}
+
+module.exports = resetPasswordHandler;
@@ -0,0 +1,244 @@
+/* ****************************************
+ * Judge Scores API Handler
+ * Lets judges score approved submissions against the competition rubric
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Requires judge role - admins view results through /api/leaderboard
+ * @note One score row per judge per submission; re-scoring updates the existing row
+ * @note Submissions a judge has declared a conflict with are hidden and cannot be scored
+ * @note Re-scoring with a stale version (the score changed since it was loaded) is rejected with 409 VERSION_CONFLICT
+ ****************************************/
+
+const { withSessionRoute, requireJudge } = require('../lib/auth');
+const {
+    createSheetsClient, getSpreadsheetId, appendSheetValues, updateRecord, ensureSheetHeaders, UPDATE_OUTCOMES
+} = require('../lib/sheets');
+const { listSubmissions } = require('../lib/submissions');
+const { REVIEW_STATUSES } = require('../lib/review');
+const { generateRecordId } = require('../lib/ids');
+const { appendRange, toRow, recordVersion } = require('../lib/schema');
+const { SCORES_HEADERS, getRubric, validateScores, calculateWeightedScore, listScores } = require('../lib/judging');
+const { listConflicts, hasConflict } = require('../lib/assignments');
+
+/**
+ * Scores API handler for judges
+ * @param {object} req - Request object with session
+ * @param {object} res - Response object
+ * @returns {Promise<void>} JSON response with scoring data
+ */
+async function scoresHandler(req, res) {
+    // Check authentication and judge role
+    if (!requireJudge(req, res)) {
+        return; // Response already sent by requireJudge
+    }
+
+    if (req.method === 'GET') {
+        await handleGetScoringQueue(req, res);
+    } else if (req.method === 'POST') {
+        await handleSubmitScore(req, res);
+    } else {
+        return res.status(405).json({
+            error: 'Method not allowed',
+            code: 'METHOD_NOT_ALLOWED'
+        });
+    }
+}
+
+/**
+ * Handle GET request for the judge's scoring queue
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleGetScoringQueue(req, res) {
+    try {
+        const sheets = await createSheetsClient();
+        const spreadsheetId = getSpreadsheetId();
+
+        if (!spreadsheetId) {
+            console.error('GOOGLE_SHEET_ID environment variable not configured');
+            return res.status(500).json({
+                error: 'Server configuration error',
+                code: 'CONFIG_ERROR'
+            });
+        }
+
+        const [submissions, scores, conflicts] = await Promise.all([
+            listSubmissions(sheets, spreadsheetId),
+            listScores(sheets, spreadsheetId),
+            listConflicts(sheets, spreadsheetId)
+        ]);
+
+        const judgeEmail = req.user.email.toLowerCase();
+        const myScores = scores.filter(s => s.judgeEmail === judgeEmail);
+        const scoredIds = new Set(myScores.map(s => s.submissionId));
+
+        // Judges only see finalists, and only the fields needed to score them
+        const queue = submissions
+            .filter(s => s.id && s.status === REVIEW_STATUSES.APPROVED)
+            .filter(s => !hasConflict(judgeEmail, s, conflicts))
+            .map(s => ({
+                id: s.id,
+                fullName: s.fullName,
+                major: s.major,
+                businessName: s.businessName,
+                businessDescription: s.businessDescription,
+                scored: scoredIds.has(s.id)
+            }));
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                rubric: getRubric(),
+                submissions: queue,
+                scores: myScores
+            }
+        });
+
+    } catch (error) {
+        console.error('Failed to load scoring queue:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to load scoring queue',
+            code: 'FETCH_ERROR'
+        });
+    }
+}
+
+/**
+ * Handle POST request to record or update a judge's score
+ * @param {object} req - Request object with body containing submissionId, scores, comments and
+ *   version (optional: the version of the judge's score when it was loaded)
+ * @param {object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleSubmitScore(req, res) {
+    try {
+        const { submissionId, scores, comments = '', version } = req.body || {};
+
+        if (!submissionId) {
+            return res.status(400).json({
+                error: 'Submission id is required',
+                code: 'MISSING_FIELDS'
+            });
+        }
+
+        const rubric = getRubric();
+        const errors = validateScores(rubric, scores);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid scores',
+                code: 'INVALID_SCORES',
+                details: errors,
+                rubric
+            });
+        }
+
+        const sheets = await createSheetsClient();
+        const spreadsheetId = getSpreadsheetId();
+
+        if (!spreadsheetId) {
+            console.error('GOOGLE_SHEET_ID environment variable not configured');
+            return res.status(500).json({
+                error: 'Server configuration error',
+                code: 'CONFIG_ERROR'
+            });
+        }
+
+        const submissions = await listSubmissions(sheets, spreadsheetId);
+        const submission = submissions.find(s => s.id === submissionId);
+
+        if (!submission) {
+            return res.status(404).json({
+                error: 'Submission not found',
+                code: 'NOT_FOUND'
+            });
+        }
+
+        if (submission.status !== REVIEW_STATUSES.APPROVED) {
+            return res.status(400).json({
+                error: 'Only approved submissions can be scored',
+                code: 'NOT_SCOREABLE'
+            });
+        }
+
+        const conflicts = await listConflicts(sheets, spreadsheetId);
+        if (hasConflict(req.user.email, submission, conflicts)) {
+            return res.status(403).json({
+                error: 'You have declared a conflict of interest with this submission',
+                code: 'CONFLICT_OF_INTEREST'
+            });
+        }
+
+        // Keep only rubric criteria so stray fields never reach the sheet
+        const criterionScores = rubric.reduce((acc, c) => {
+            acc[c.key] = scores[c.key];
+            return acc;
+        }, {});
+        const weightedScore = calculateWeightedScore(rubric, criterionScores);
+        const judgeEmail = req.user.email.toLowerCase();
+        const now = new Date().toISOString();
+
+        const existing = (await listScores(sheets, spreadsheetId))
+            .find(s => s.submissionId === submissionId && s.judgeEmail === judgeEmail);
+
+        let scoreId;
+        let scoreVersion = 0;
+        if (existing) {
+            scoreId = existing.id;
+            // Without a version from the client, the one just read still guards against a concurrent re-score
+            const { outcome, record } = await updateRecord(sheets, spreadsheetId, 'Scores', existing.id, {
+                criterionScores, weightedScore, comments: String(comments).trim(), updatedAt: now
+            }, { expectedVersion: version === undefined ? existing.version : version });
+
+            if (outcome === UPDATE_OUTCOMES.CONFLICT) {
+                return res.status(409).json({
+                    error: 'This score was changed in another window; reload and try again',
+                    code: 'VERSION_CONFLICT',
+                    current: { version: recordVersion(record), updatedAt: record.updatedAt }
+                });
+            }
+            if (outcome === UPDATE_OUTCOMES.NOT_FOUND) {
+                return res.status(404).json({
+                    error: 'Score not found',
+                    code: 'NOT_FOUND'
+                });
+            }
+            scoreVersion = record.version;
+        } else {
+            scoreId = generateRecordId();
+            await ensureSheetHeaders(sheets, spreadsheetId, 'Scores', SCORES_HEADERS);
+            await appendSheetValues(sheets, spreadsheetId, appendRange('Scores'), toRow('Scores', {
+                id: scoreId, submissionId, judgeEmail, criterionScores,
+                weightedScore, comments: String(comments).trim(), createdAt: now, updatedAt: now
+            }));
+        }
+
+        console.log(`Judge ${judgeEmail} ${existing ? 'updated' : 'recorded'} score ${weightedScore} for submission ${submissionId}`);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                id: scoreId,
+                submissionId,
+                scores: criterionScores,
+                weightedScore,
+                version: scoreVersion,
+                updated: !!existing
+            }
+        });
+
+    } catch (error) {
+        console.error('Failed to save score:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to save score',
+            code: 'SCORE_SAVE_ERROR'
+        });
+    }
+}
+
+// Export the handler wrapped with Iron Session
+module.exports = withSessionRoute(scoresHandler);
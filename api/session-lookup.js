@@ -10,7 +10,9 @@
  *******************************/
 
 const { withSessionRoute, requireAdmin } = require('../lib/auth');
-const { createSheetsClient, getSheetValues } = require('../lib/sheets');
+const { createSheetsClient, getSpreadsheetId } = require('../lib/sheets');
+const { listCoachingSessions, resolveGeneratedContent, parseGeneratedContent } = require('../lib/coaching');
+const { timestampValue, formatDisplayTime } = require('../lib/time');
 
 /**
  * Session lookup API handler for admin access
@@ -42,7 +44,7 @@ async function handleSessionLookup(req, res) {
 
         // Create Google Sheets client
         const sheets = await createSheetsClient();
-        const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+        const spreadsheetId = getSpreadsheetId();
 
         if (!spreadsheetId) {
             return res.status(500).json({ 
@@ -52,10 +54,9 @@ async function handleSessionLookup(req, res) {
         }
 
         // Get AI coaching sessions from Google Sheets
-        const range = 'AI_Coaching!A:L';  // Updated range to include session ID
-        const values = await getSheetValues(sheets, spreadsheetId, range);
+        const sessions = await listCoachingSessions(sheets, spreadsheetId);
         
-        if (!values || values.length === 0) {
+        if (sessions.length === 0) {
             return res.status(200).json({ 
                 sessions: [],
                 total: 0,
@@ -63,22 +64,6 @@ async function handleSessionLookup(req, res) {
             });
         }
 
-        // Parse sessions data
-        const sessions = values.slice(1).map(row => ({
-            timestamp: row[0] || '',
-            studentName: row[1] || '',
-            studentEmail: row[2] || '',
-            studentMajor: row[3] || '',
-            businessIdea: row[4] || '',
-            problemDescription: row[5] || '',
-            solutionDescription: row[6] || '',
-            fundingNeeds: row[7] || '',
-            aiGenerated: row[8] || '',
-            generatedContent: row[9] || '',
-            sessionType: row[10] || '',
-            sessionId: row[11] || ''
-        }));
-
         // Filter sessions based on search criteria
         let filteredSessions = sessions;
 
@@ -101,29 +86,15 @@ async function handleSessionLookup(req, res) {
         }
 
         // Sort by timestamp (most recent first)
-        filteredSessions.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-
-        // Parse generated content for display
-        const processedSessions = filteredSessions.map(session => {
-            let parsedContent = {};
-            if (session.generatedContent) {
-                try {
-                    parsedContent = JSON.parse(session.generatedContent);
-                } catch (e) {
-                    parsedContent = { raw: session.generatedContent };
-                }
-            }
+        filteredSessions.sort((a, b) => timestampValue(b.timestamp) - timestampValue(a.timestamp));
 
+        // Reassemble chunked content, then parse it for display
+        const resolvedSessions = await resolveGeneratedContent(sheets, spreadsheetId, filteredSessions);
+        const processedSessions = resolvedSessions.map(session => {
             return {
                 ...session,
-                generatedContent: parsedContent,
-                formattedTimestamp: new Date(session.timestamp).toLocaleDateString('en-US', {
-                    year: 'numeric',
-                    month: 'long',
-                    day: 'numeric',
-                    hour: 'numeric',
-                    minute: 'numeric'
-                })
+                generatedContent: parseGeneratedContent(session.generatedContent),
+                formattedTimestamp: formatDisplayTime(session.timestamp)
             };
         });
 
@@ -0,0 +1,71 @@
+/* ****************************************
+ * Spreadsheet Snapshot API Handler
+ * Lets superadmins download a backup of every registered tab as a JSON snapshot
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Requires superadmin authentication
+ * @note The file is the same archive scripts/snapshot.js writes; restore it with scripts/restore-snapshot.js
+ * @note Snapshots include password hashes from the Users tab, which is why admins cannot download them
+ ****************************************/
+
+const { withSessionRoute, requireRole } = require('../lib/auth');
+const { createSheetsClient, getSpreadsheetId } = require('../lib/sheets');
+const { createSnapshot } = require('../lib/snapshot');
+
+/**
+ * Snapshot API handler for superadmins
+ * @param {object} req - Request object with session
+ * @param {object} res - Response object
+ * @returns {Promise<void>} Snapshot file download
+ */
+async function snapshotHandler(req, res) {
+    // Restores need the password hashes, so the snapshot is kept whole and limited to superadmins
+    if (!requireRole(req, res, ['superadmin'])) {
+        return; // Response already sent by requireRole
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            error: 'Method not allowed',
+            code: 'METHOD_NOT_ALLOWED'
+        });
+    }
+
+    try {
+        const spreadsheetId = getSpreadsheetId();
+
+        if (!spreadsheetId) {
+            console.error('GOOGLE_SHEET_ID environment variable not configured');
+            return res.status(500).json({
+                error: 'Server configuration error',
+                code: 'CONFIG_ERROR'
+            });
+        }
+
+        const sheets = await createSheetsClient(req);
+        const snapshot = await createSnapshot(sheets, spreadsheetId);
+        const stamp = snapshot.createdAt.replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+
+        console.log(`Superadmin ${req.user.email} downloaded snapshot ${snapshot.checksum} ` +
+            `(${Object.keys(snapshot.tabs).length} tabs, ${snapshot.skipped.length} skipped)`);
+
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="snapshot-${stamp}.json"`);
+        res.setHeader('Cache-Control', 'no-store');
+        res.setHeader('X-Snapshot-Checksum', snapshot.checksum);
+        return res.status(200).send(JSON.stringify(snapshot, null, 2));
+
+    } catch (error) {
+        console.error('Failed to create snapshot:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to create snapshot',
+            code: 'SNAPSHOT_ERROR'
+        });
+    }
+}
+
+// Export the handler wrapped with Iron Session
+module.exports = withSessionRoute(snapshotHandler);
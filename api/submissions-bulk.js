@@ -0,0 +1,180 @@
+/* ****************************************
+ * Bulk Submission Actions API Handler
+ * Applies one status change, tag change or reviewer assignment to many submissions at once
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Requires admin authentication
+ * @note /api/submissions/bulk is rewritten here (see vercel.json)
+ * @note Changes are written in a single batch (Submissions) or a single append (Assignments),
+ *       so either every planned row changes or none does
+ ****************************************/
+
+const { withSessionRoute, requireAdmin } = require('../lib/auth');
+const {
+    createSheetsClient, getSpreadsheetId, getSheetValues, batchUpdateSheetValues,
+    appendSheetRows, ensureSheetHeaders, listUsers
+} = require('../lib/sheets');
+const { SUBMISSIONS_RANGE } = require('../lib/submissions');
+const { recordHistoryBatch } = require('../lib/history');
+const { listAssignments, listConflicts, ASSIGNMENTS_HEADERS } = require('../lib/assignments');
+const { generateRecordId } = require('../lib/ids');
+const { appendRange, toRow } = require('../lib/schema');
+const {
+    parseBulkRequest, locateSubmissions, planStatusChange, planTagChange, planAssignment,
+    missingResults, summarizeResults
+} = require('../lib/bulk');
+
+/**
+ * Bulk actions API handler for admins
+ * @param {object} req - Request object with session
+ * @param {object} res - Response object
+ * @returns {Promise<void>} JSON response with per-submission results
+ */
+async function bulkHandler(req, res) {
+    // Check authentication and admin privileges
+    if (!requireAdmin(req, res)) {
+        return; // Response already sent by requireAdmin
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            error: 'Method not allowed',
+            code: 'METHOD_NOT_ALLOWED'
+        });
+    }
+
+    await handleBulkAction(req, res);
+}
+
+/**
+ * Handle POST request for a bulk action
+ * Body: { ids, action: 'status' | 'tag' | 'assign', status, addTags, removeTags, reviewerEmail, role, note, versions }
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleBulkAction(req, res) {
+    try {
+        const { request, errors } = parseBulkRequest(req.body || {});
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid bulk action',
+                code: 'INVALID_REQUEST',
+                details: errors
+            });
+        }
+
+        const spreadsheetId = getSpreadsheetId();
+
+        if (!spreadsheetId) {
+            console.error('GOOGLE_SHEET_ID environment variable not configured');
+            return res.status(500).json({
+                error: 'Server configuration error',
+                code: 'CONFIG_ERROR'
+            });
+        }
+
+        const sheets = await createSheetsClient(req);
+
+        // Row numbers come from a fresh read so the batch writes the rows it checked
+        const rows = await getSheetValues(sheets, spreadsheetId, SUBMISSIONS_RANGE, { ttl: 0 });
+        const { targets, missing } = locateSubmissions(rows, request.ids);
+        const context = { actor: req.user.email, now: new Date().toISOString() };
+
+        let results;
+        if (request.action === 'assign') {
+            results = await applyAssignment(sheets, spreadsheetId, targets, request, context, res);
+            if (!results) return; // Response already sent
+        } else {
+            const plan = request.action === 'status'
+                ? planStatusChange(targets, request, context)
+                : planTagChange(targets, request, context);
+
+            if (plan.updates.length > 0) {
+                await batchUpdateSheetValues(sheets, spreadsheetId, plan.updates);
+                await recordHistorySafely(sheets, spreadsheetId, plan.history);
+            }
+            results = plan.results;
+        }
+
+        const { results: ordered, summary } = summarizeResults(request.ids, [...results, ...missingResults(missing)]);
+
+        console.log(`Admin ${req.user.email} ran bulk ${request.action} on ${request.ids.length} submissions: ` +
+            `${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.skipped} skipped`);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                action: request.action,
+                summary,
+                results: ordered
+            }
+        });
+
+    } catch (error) {
+        console.error('Bulk action failed:', error.message);
+
+        return res.status(500).json({
+            error: 'Bulk action failed; no submissions were changed',
+            code: 'BULK_UPDATE_ERROR'
+        });
+    }
+}
+
+/**
+ * Assign one reviewer to the target submissions in a single append
+ * @param {object} sheets - Storage client
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {Array<object>} targets - From locateSubmissions
+ * @param {object} request - From parseBulkRequest
+ * @param {object} context - { actor, now }
+ * @param {object} res - Response object (for validation errors)
+ * @returns {Promise<Array|null>} Results, or null if a response was already sent
+ */
+async function applyAssignment(sheets, spreadsheetId, targets, request, context, res) {
+    const [users, assignments, conflicts] = await Promise.all([
+        listUsers(sheets, spreadsheetId),
+        listAssignments(sheets, spreadsheetId),
+        listConflicts(sheets, spreadsheetId)
+    ]);
+
+    const reviewer = users.find(u => u.email === request.reviewerEmail);
+    if (!reviewer || reviewer.role !== request.role || reviewer.status.toLowerCase() !== 'active') {
+        res.status(400).json({
+            error: `${request.reviewerEmail} is not an active ${request.role}`,
+            code: 'INVALID_REVIEWER'
+        });
+        return null;
+    }
+
+    const plan = planAssignment(targets, request, { ...context, assignments, conflicts });
+
+    if (plan.assignments.length > 0) {
+        await ensureSheetHeaders(sheets, spreadsheetId, 'Assignments', ASSIGNMENTS_HEADERS);
+        await appendSheetRows(sheets, spreadsheetId, appendRange('Assignments'),
+            plan.assignments.map(assignment => toRow('Assignments', { id: generateRecordId(), ...assignment })));
+    }
+
+    return plan.results;
+}
+
+/**
+ * Record history for applied changes
+ * The changes are already saved, so a history failure is logged rather than reported as a failed action
+ * @param {object} sheets - Storage client
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {Array<object>} changes - History changes
+ * @returns {Promise<void>}
+ */
+async function recordHistorySafely(sheets, spreadsheetId, changes) {
+    try {
+        await recordHistoryBatch(sheets, spreadsheetId, changes);
+    } catch (error) {
+        console.error(`Failed to record history for ${changes.length} bulk changes:`, error.message);
+    }
+}
+
+// Export the handler wrapped with Iron Session
+module.exports = withSessionRoute(bulkHandler);
@@ -1,16 +1,27 @@
 /* ****************************************
  * Submissions API Handler
- * Provides read access to ACC Shark Tank submissions for admin dashboard
+ * Provides read access and review workflow updates for the admin dashboard
  * 
  * @author ACC Development Team (Abel)
  * @version 1.0
  * @date July 2025
  * @note Requires admin authentication to access submission data
- * @note Integrates with Google Sheets for data retrieval
+ * @note Integrates with Google Sheets for data retrieval and review status updates
+ * @note /api/submissions/:id is rewritten to /api/submissions?id=:id for the detail view
+ * @note Status updates that send a stale version are rejected with 409 VERSION_CONFLICT
  ****************************************/
 
 const { withSessionRoute, requireAdmin } = require('../lib/auth');
-const { createSheetsClient, getSheetValues } = require('../lib/sheets');
+const { createSheetsClient, getSpreadsheetId, updateRecord, UPDATE_OUTCOMES } = require('../lib/sheets');
+const { REVIEW_STATUSES, normalizeStatus, getAllowedTransitions, canTransition, isValidStatus } = require('../lib/review');
+const {
+    listSubmissions, parseSubmissionQuery, filterSubmissions, sortSubmissions
+} = require('../lib/submissions');
+const { listHistory, recordHistory } = require('../lib/history');
+const { listScores } = require('../lib/judging');
+const { listCoachingSessions, resolveGeneratedContent, parseGeneratedContent } = require('../lib/coaching');
+const { recordVersion } = require('../lib/schema');
+const { timestampValue, startOfPeriod } = require('../lib/time');
 
 /**
  * Submissions API handler for admin data access
@@ -24,8 +35,12 @@ async function submissionsHandler(req, res) {
         return; // Response already sent by requireAdmin
     }
 
-    if (req.method === 'GET') {
+    if (req.method === 'GET' && req.query.id) {
+        await handleGetSubmissionDetail(req, res);
+    } else if (req.method === 'GET') {
         await handleGetSubmissions(req, res);
+    } else if (req.method === 'PATCH') {
+        await handleUpdateStatus(req, res);
     } else {
         return res.status(405).json({ 
             error: 'Method not allowed',
@@ -36,6 +51,7 @@ async function submissionsHandler(req, res) {
 
 /**
  * Handle GET request for submissions data
+ * Query: status, major, from, to, q, sort, dir, page, limit (see parseSubmissionQuery)
  * @param {object} req - Request object
  * @param {object} res - Response object
  * @returns {Promise<void>}
@@ -44,9 +60,18 @@ async function handleGetSubmissions(req, res) {
     try {
         console.log(`Admin ${req.user.email} requested submissions data`);
 
+        const { options, errors } = parseSubmissionQuery(req.query);
+        if (errors.length > 0) {
+            return res.status(400).json({ 
+                error: 'Invalid query parameters',
+                code: 'INVALID_QUERY',
+                details: errors
+            });
+        }
+
         // Create Google Sheets client
         const sheets = await createSheetsClient();
-        const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+        const spreadsheetId = getSpreadsheetId();
 
         if (!spreadsheetId) {
             console.error('GOOGLE_SHEET_ID environment variable not configured');
@@ -56,32 +81,16 @@ async function handleGetSubmissions(req, res) {
             });
         }
 
-        // Get submissions from Google Sheets
-        // Assuming structure: Full Name, Email, Major, Business Name, Business Description, Timestamp
-        const submissionsData = await getSheetValues(sheets, spreadsheetId, 'Submissions!A2:F');
-
-        // Transform data for frontend consumption
-        const submissions = submissionsData.map((row, index) => {
-            // Handle missing data gracefully
-            const [fullName = '', email = '', major = '', businessName = '', businessDescription = '', timestamp = ''] = row;
-            
-            return {
-                id: index + 1, // Simple ID based on row position
-                fullName: fullName.trim(),
-                email: email.trim().toLowerCase(),
-                major: major.trim(),
-                businessName: businessName.trim(),
-                businessDescription: businessDescription.trim(),
-                timestamp: timestamp || new Date().toISOString(),
-                status: determineSubmissionStatus(timestamp) // Auto-determine status based on age
-            };
-        });
+        // Get submissions from Google Sheets (empty rows are dropped)
+        const allSubmissions = await listSubmissions(sheets, spreadsheetId);
 
-        // Filter out empty rows
-        const validSubmissions = submissions.filter(s => s.fullName && s.email);
+        const missingIds = allSubmissions.filter(s => !s.id).length;
+        if (missingIds > 0) {
+            console.warn(`${missingIds} submissions have no ID - run scripts/backfill-ids.js`);
+        }
 
-        // Sort by timestamp (newest first)
-        validSubmissions.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        // Filter and sort (newest first unless another order is requested)
+        const validSubmissions = sortSubmissions(filterSubmissions(allSubmissions, options), options.sort, options.dir);
 
         // Apply pagination if requested
         const page = parseInt(req.query.page) || 1;
@@ -90,10 +99,10 @@ async function handleGetSubmissions(req, res) {
         const endIndex = startIndex + limit;
         const paginatedSubmissions = validSubmissions.slice(startIndex, endIndex);
 
-        // Calculate statistics
+        // Calculate statistics for the filtered set
         const stats = calculateSubmissionStats(validSubmissions);
 
-        console.log(`Returning ${paginatedSubmissions.length} submissions (${validSubmissions.length} total) to admin ${req.user.email}`);
+        console.log(`Returning ${paginatedSubmissions.length} submissions (${validSubmissions.length} matched, ${allSubmissions.length} total) to admin ${req.user.email}`);
 
         return res.status(200).json({
             success: true,
@@ -105,6 +114,16 @@ async function handleGetSubmissions(req, res) {
                     total: validSubmissions.length,
                     pages: Math.ceil(validSubmissions.length / limit)
                 },
+                filters: {
+                    status: options.statuses,
+                    major: options.majors,
+                    from: options.from ? options.from.toISOString() : null,
+                    to: options.to ? options.to.toISOString() : null,
+                    q: req.query.q || '',
+                    sort: options.sort,
+                    dir: options.dir
+                },
+                unfilteredTotal: allSubmissions.length,
                 stats
             }
         });
@@ -120,25 +139,205 @@ async function handleGetSubmissions(req, res) {
 }
 
 /**
- * Determine submission status based on timestamp and other factors
- * @param {string} timestamp - Submission timestamp
- * @returns {string} Status ('new', 'reviewed', 'approved', 'rejected')
+ * Handle GET request for a single submission with its history, notes, scores
+ * and linked AI coaching sessions
+ * @param {object} req - Request object with query containing id
+ * @param {object} res - Response object
+ * @returns {Promise<void>}
  */
-function determineSubmissionStatus(timestamp) {
-    if (!timestamp) return 'new';
-    
-    const submissionDate = new Date(timestamp);
-    const now = new Date();
-    const daysDiff = (now - submissionDate) / (1000 * 60 * 60 * 24);
-    
-    // Simple auto-status logic - in real app, this would be stored in sheets
-    if (daysDiff < 1) {
-        return 'new';
-    } else if (daysDiff < 3) {
-        return 'reviewed';
-    } else {
-        // For demo purposes, randomly assign approved/reviewed to older submissions
-        return Math.random() > 0.3 ? 'approved' : 'reviewed';
+async function handleGetSubmissionDetail(req, res) {
+    try {
+        const submissionId = req.query.id;
+
+        const sheets = await createSheetsClient();
+        const spreadsheetId = getSpreadsheetId();
+
+        if (!spreadsheetId) {
+            console.error('GOOGLE_SHEET_ID environment variable not configured');
+            return res.status(500).json({ 
+                error: 'Server configuration error',
+                code: 'CONFIG_ERROR' 
+            });
+        }
+
+        const submission = (await listSubmissions(sheets, spreadsheetId)).find(s => s.id === submissionId);
+
+        if (!submission) {
+            return res.status(404).json({ 
+                error: 'Submission not found',
+                code: 'NOT_FOUND' 
+            });
+        }
+
+        const [history, scores, coachingSessions] = await Promise.all([
+            listHistory(sheets, spreadsheetId, submissionId),
+            listScores(sheets, spreadsheetId),
+            listCoachingSessions(sheets, spreadsheetId)
+        ]);
+
+        const submissionScores = scores.filter(s => s.submissionId === submissionId);
+
+        // Notes are attached to status changes; judges leave theirs with their scores
+        const notes = [
+            ...history.filter(entry => entry.note).map(entry => ({
+                author: entry.changedBy,
+                note: entry.note,
+                createdAt: entry.changedAt,
+                source: `${entry.field}: ${entry.oldValue || '-'} → ${entry.newValue}`
+            })),
+            ...submissionScores.filter(score => score.comments).map(score => ({
+                author: score.judgeEmail,
+                note: score.comments,
+                createdAt: score.updatedAt || score.createdAt,
+                source: 'score'
+            }))
+        ].sort((a, b) => timestampValue(a.createdAt) - timestampValue(b.createdAt));
+
+        const studentSessions = coachingSessions
+            .filter(session => session.studentEmail.trim().toLowerCase() === submission.email)
+            .sort((a, b) => timestampValue(b.timestamp) - timestampValue(a.timestamp));
+        const sessions = (await resolveGeneratedContent(sheets, spreadsheetId, studentSessions))
+            .map(session => ({ ...session, generatedContent: parseGeneratedContent(session.generatedContent) }));
+
+        const averageScore = submissionScores.length > 0
+            ? Math.round(submissionScores.reduce((sum, s) => sum + s.weightedScore, 0) / submissionScores.length * 100) / 100
+            : null;
+
+        console.log(`Admin ${req.user.email} viewed submission ${submissionId}`);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                submission,
+                history,
+                notes,
+                scores: {
+                    entries: submissionScores,
+                    judgeCount: submissionScores.length,
+                    averageScore
+                },
+                coachingSessions: sessions
+            }
+        });
+
+    } catch (error) {
+        console.error('Failed to fetch submission detail:', error.message);
+        
+        return res.status(500).json({ 
+            error: 'Failed to fetch submission',
+            code: 'FETCH_ERROR' 
+        });
+    }
+}
+
+/**
+ * Handle PATCH request to move a submission through the review workflow
+ * Every change is recorded in Submission_History with an optional reviewer note
+ * @param {object} req - Request object with body containing id, status, note (optional) and
+ *   version (optional: the version the admin last saw; a newer stored version is a conflict)
+ * @param {object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleUpdateStatus(req, res) {
+    try {
+        const { id: submissionId, status } = req.body || {};
+        const note = String(req.body?.note || '').trim();
+
+        if (!submissionId || !status) {
+            return res.status(400).json({ 
+                error: 'Submission id and status are required',
+                code: 'MISSING_FIELDS' 
+            });
+        }
+
+        if (!isValidStatus(status)) {
+            return res.status(400).json({ 
+                error: 'Invalid status',
+                code: 'INVALID_STATUS',
+                validStatuses: Object.values(REVIEW_STATUSES)
+            });
+        }
+
+        const sheets = await createSheetsClient();
+        const spreadsheetId = getSpreadsheetId();
+
+        if (!spreadsheetId) {
+            console.error('GOOGLE_SHEET_ID environment variable not configured');
+            return res.status(500).json({ 
+                error: 'Server configuration error',
+                code: 'CONFIG_ERROR' 
+            });
+        }
+
+        // The transition is checked against the stored status, on the row found by ID just before the write
+        const updatedAt = new Date().toISOString();
+        let currentStatus;
+        const { outcome, record } = await updateRecord(sheets, spreadsheetId, 'Submissions', submissionId, current => {
+            currentStatus = normalizeStatus(current.status);
+            if (!canTransition(currentStatus, status)) return null;
+            return { status, statusUpdatedAt: updatedAt, statusUpdatedBy: req.user.email };
+        }, { expectedVersion: req.body.version });
+
+        if (outcome === UPDATE_OUTCOMES.NOT_FOUND) {
+            return res.status(404).json({ 
+                error: 'Submission not found',
+                code: 'NOT_FOUND' 
+            });
+        }
+
+        if (outcome === UPDATE_OUTCOMES.CONFLICT) {
+            return res.status(409).json({
+                error: 'Submission was changed by someone else; reload and try again',
+                code: 'VERSION_CONFLICT',
+                current: {
+                    status: normalizeStatus(record.status),
+                    statusUpdatedAt: record.statusUpdatedAt,
+                    statusUpdatedBy: record.statusUpdatedBy,
+                    version: recordVersion(record)
+                }
+            });
+        }
+
+        if (outcome === UPDATE_OUTCOMES.SKIPPED) {
+            return res.status(400).json({ 
+                error: `Cannot move submission from ${currentStatus} to ${status}`,
+                code: 'INVALID_TRANSITION',
+                allowedTransitions: getAllowedTransitions(currentStatus)
+            });
+        }
+
+        await recordHistory(sheets, spreadsheetId, {
+            submissionId,
+            field: 'status',
+            oldValue: currentStatus,
+            newValue: status,
+            changedBy: req.user.email,
+            changedAt: updatedAt,
+            note
+        });
+
+        console.log(`Admin ${req.user.email} moved submission ${submissionId} from ${currentStatus} to ${status}`);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                id: submissionId,
+                previousStatus: currentStatus,
+                status,
+                statusUpdatedAt: updatedAt,
+                statusUpdatedBy: req.user.email,
+                version: record.version,
+                allowedTransitions: getAllowedTransitions(status)
+            }
+        });
+
+    } catch (error) {
+        console.error('Failed to update submission status:', error.message);
+        
+        return res.status(500).json({ 
+            error: 'Failed to update submission status',
+            code: 'UPDATE_ERROR' 
+        });
     }
 }
 
@@ -156,15 +355,14 @@ function calculateSubmissionStats(submissions) {
         return acc;
     }, {});
 
-    // Count submissions by time periods
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const thisWeek = new Date(today.getTime() - (7 * 24 * 60 * 60 * 1000));
-    const thisMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+    // Count submissions by time periods (days and months in Central Time, not server time)
+    const today = startOfPeriod('day').getTime();
+    const thisWeek = today - (7 * 24 * 60 * 60 * 1000);
+    const thisMonth = startOfPeriod('month').getTime();
 
-    const todayCount = submissions.filter(s => new Date(s.timestamp) >= today).length;
-    const weekCount = submissions.filter(s => new Date(s.timestamp) >= thisWeek).length;
-    const monthCount = submissions.filter(s => new Date(s.timestamp) >= thisMonth).length;
+    const todayCount = submissions.filter(s => timestampValue(s.timestamp) >= today).length;
+    const weekCount = submissions.filter(s => timestampValue(s.timestamp) >= thisWeek).length;
+    const monthCount = submissions.filter(s => timestampValue(s.timestamp) >= thisMonth).length;
 
     // Count by major
     const majorCounts = submissions.reduce((acc, submission) => {
@@ -175,12 +373,10 @@ function calculateSubmissionStats(submissions) {
 
     return {
         total,
-        statusCounts: {
-            new: statusCounts.new || 0,
-            reviewed: statusCounts.reviewed || 0,
-            approved: statusCounts.approved || 0,
-            rejected: statusCounts.rejected || 0
-        },
+        statusCounts: Object.values(REVIEW_STATUSES).reduce((acc, status) => {
+            acc[status] = statusCounts[status] || 0;
+            return acc;
+        }, {}),
         timePeriods: {
             today: todayCount,
             thisWeek: weekCount,
@@ -11,7 +11,14 @@
  *******************************/
 
 const sgMail = require('@sendgrid/mail');
-const { createSheetsClient, appendSheetValues } = require('../lib/sheets');
+const { getSpreadsheetId } = require('../lib/sheets');
+const { generateRecordId } = require('../lib/ids');
+const { SUBMISSIONS_RANGE, SUBMISSION_ID_INDEX } = require('../lib/submissions');
+const { appendOrQueue } = require('../lib/outbox');
+const { appendRange, toRow } = require('../lib/schema');
+const { toIsoTimestamp, nowIso } = require('../lib/time');
+const { getClientIp } = require('../lib/client-ip');
+const { getRateLimiter, setRateLimitHeaders } = require('../lib/rate-limit');
 
 // Configure SendGrid
 if (process.env.SENDGRID_API_KEY) {
@@ -43,7 +50,8 @@ async function submitHandler(req, res) {
         // Validate required fields
         const { fullName, email, major, businessName, businessDescription } = req.body;
         
-        if (!fullName || !email || !major || !businessName || !businessDescription) {
+        const fields = [fullName, email, major, businessName, businessDescription];
+        if (!fields.every(value => typeof value === 'string' && value.trim())) {
             return res.status(400).json({ 
                 error: 'Missing required fields',
                 code: 'MISSING_FIELDS' 
@@ -59,9 +67,12 @@ async function submitHandler(req, res) {
             });
         }
 
-        // Rate limiting check
-        const clientId = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
-        if (await isRateLimited(clientId)) {
+        // Rate limiting check - only successful submissions count against the limit
+        const clientId = getClientIp(req);
+        const submitLimiter = getRateLimiter('submit');
+        const rateLimit = await submitLimiter.check(clientId);
+        setRateLimitHeaders(res, rateLimit);
+        if (!rateLimit.allowed) {
             return res.status(429).json({ 
                 error: 'Too many submissions. Please try again later.',
                 code: 'RATE_LIMITED' 
@@ -74,9 +85,7 @@ async function submitHandler(req, res) {
          * Save submission to Google Sheets using shared library
          *******************************/
         
-        // Create Google Sheets client using shared library
-        const sheets = await createSheetsClient();
-        const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+        const spreadsheetId = getSpreadsheetId();
 
         if (!spreadsheetId) {
             console.error('GOOGLE_SHEET_ID environment variable not configured');
@@ -87,20 +96,30 @@ async function submitHandler(req, res) {
         }
 
         // Prepare data for Google Sheets
-        const timestamp = req.body.timestamp || new Date().toISOString();
-        const submissionData = [
-            fullName.trim(),
-            email.trim().toLowerCase(),
-            major.trim(),
-            businessName.trim(),
-            businessDescription.trim(),
-            timestamp
-        ];
+        const timestamp = toIsoTimestamp(req.body.timestamp) || nowIso();
+        const submissionId = generateRecordId();
+        const submissionData = toRow('Submissions', {
+            fullName: fullName.trim(),
+            email: email.trim().toLowerCase(),
+            major: major.trim(),
+            businessName: businessName.trim(),
+            businessDescription: businessDescription.trim(),
+            timestamp,
+            status: 'pending', // Review status
+            id: submissionId
+        });
 
-        // Add submission to Google Sheets using shared library
-        await appendSheetValues(sheets, spreadsheetId, 'Submissions!A:F', submissionData);
+        // Add submission to Google Sheets; if the write fails it is queued for retry
+        const { queued } = await appendOrQueue(req, spreadsheetId, appendRange('Submissions'), submissionData, {
+            source: 'submission',
+            dedupe: { range: SUBMISSIONS_RANGE, keyIndex: SUBMISSION_ID_INDEX, key: submissionId }
+        });
 
-        console.log(`Submission successfully saved for: ${email}`);
+        if (queued) {
+            console.warn(`Submission for ${email} queued in outbox: ${submissionId}`);
+        } else {
+            console.log(`Submission successfully saved for: ${email}`);
+        }
 
         /* *******************************
          * Send confirmation email if configured
@@ -117,13 +136,15 @@ async function submitHandler(req, res) {
         }
 
         // Record successful submission for rate limiting
-        await recordSubmission(clientId);
+        setRateLimitHeaders(res, await submitLimiter.consume(clientId));
 
-        return res.status(200).json({
+        // 202 tells clients the registration is held and will reach the sheet shortly
+        return res.status(queued ? 202 : 200).json({
             success: true,
             message: 'Registration submitted successfully!',
+            queued,
             data: {
-                submissionId: timestamp,
+                submissionId,
                 email: email,
                 businessName: businessName
             }
@@ -199,72 +220,4 @@ async function sendConfirmationEmail(email, fullName, businessName) {
     await sgMail.send(msg);
 }
 
-/* *******************************
- * Rate Limiting Implementation
- * Simple in-memory rate limiting to prevent spam submissions
- *******************************/
-
-const submissionCounts = new Map();
-const MAX_SUBMISSIONS = 3;
-const COOLDOWN_PERIOD = 60 * 60 * 1000; // 1 hour
-
-/**
- * Check if client is rate limited
- */
-async function isRateLimited(clientId) {
-    /* *******************************
-     * Verify if client has exceeded submission limits
-     * @param clientId : client identifier (IP address)
-     * @return : boolean indicating if rate limited
-     *******************************/
-    
-    const submissions = submissionCounts.get(clientId);
-    
-    if (!submissions) {
-        return false;
-    }
-    
-    // Check if cooldown period has expired
-    if (Date.now() - submissions.lastSubmission > COOLDOWN_PERIOD) {
-        submissionCounts.delete(clientId);
-        return false;
-    }
-    
-    return submissions.count >= MAX_SUBMISSIONS;
-}
-
-/**
- * Record successful submission
- */
-async function recordSubmission(clientId) {
-    /* *******************************
-     * Track submission count for rate limiting
-     * @param clientId : client identifier (IP address)
-     * @return : void
-     *******************************/
-    
-    const submissions = submissionCounts.get(clientId) || { count: 0, lastSubmission: 0 };
-    
-    submissions.count += 1;
-    submissions.lastSubmission = Date.now();
-    
-    submissionCounts.set(clientId, submissions);
-    
-    console.log(`Submission ${submissions.count}/${MAX_SUBMISSIONS} recorded for client: ${clientId}`);
-}
-
-// Clean up old submission records periodically
-setInterval(() => {
-    /* *******************************
-     * Cleanup expired rate limiting records
-     *******************************/
-    
-    const now = Date.now();
-    for (const [clientId, submissions] of submissionCounts.entries()) {
-        if (now - submissions.lastSubmission > COOLDOWN_PERIOD) {
-            submissionCounts.delete(clientId);
-        }
-    }
-}, 60 * 1000); // Clean up every minute
-
 module.exports = submitHandler;
\ No newline at end of file
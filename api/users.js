@@ -0,0 +1,310 @@
+/* ****************************************
+ * User Management API Handler
+ * Superadmins list, create, update, deactivate and delete users in the Users tab
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Requires superadmin authentication
+ * @note No change may leave the team without an active superadmin (409 LAST_SUPERADMIN)
+ * @note Deactivating, deleting or re-roling a user ends their session on its next request (lib/auth.js)
+ ****************************************/
+
+const { withSessionRoute, requireRole } = require('../lib/auth');
+const { createSheetsClient, getSpreadsheetId, listUsers, updateRecord, UPDATE_OUTCOMES } = require('../lib/sheets');
+const { recordVersion } = require('../lib/schema');
+const {
+    USER_STATUSES, hashPassword, validateUserFields, removesLastSuperadmin, addUser, listTeam
+} = require('../lib/users');
+
+/**
+ * User management API handler for superadmins
+ * @param {object} req - Request object with session
+ * @param {object} res - Response object
+ * @returns {Promise<void>} JSON response with user data
+ */
+async function usersHandler(req, res) {
+    if (!requireRole(req, res, ['superadmin'])) {
+        return; // Response already sent by requireRole
+    }
+
+    const spreadsheetId = getSpreadsheetId();
+
+    if (!spreadsheetId) {
+        console.error('GOOGLE_SHEET_ID environment variable not configured');
+        return res.status(500).json({
+            error: 'Server configuration error',
+            code: 'CONFIG_ERROR'
+        });
+    }
+
+    if (req.method === 'GET') {
+        await handleListUsers(req, res, spreadsheetId);
+    } else if (req.method === 'POST') {
+        await handleCreateUser(req, res, spreadsheetId);
+    } else if (req.method === 'PATCH') {
+        await handleUpdateUser(req, res, spreadsheetId);
+    } else if (req.method === 'DELETE') {
+        await handleDeleteUser(req, res, spreadsheetId);
+    } else {
+        return res.status(405).json({
+            error: 'Method not allowed',
+            code: 'METHOD_NOT_ALLOWED'
+        });
+    }
+}
+
+/**
+ * Send the response for an update that did not go through
+ * @param {object} res - Response object
+ * @param {string} outcome - Outcome from UPDATE_OUTCOMES
+ * @param {object} record - Stored record, for conflicts
+ * @returns {boolean} True if a response was sent
+ */
+function sendUpdateFailure(res, outcome, record) {
+    if (outcome === UPDATE_OUTCOMES.NOT_FOUND) {
+        res.status(404).json({
+            error: 'User not found',
+            code: 'NOT_FOUND'
+        });
+        return true;
+    }
+    if (outcome === UPDATE_OUTCOMES.CONFLICT) {
+        res.status(409).json({
+            error: 'User was changed by someone else; reload and try again',
+            code: 'VERSION_CONFLICT',
+            current: { role: record.role, status: record.status, version: recordVersion(record) }
+        });
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Send the last-superadmin refusal
+ * @param {object} res - Response object
+ * @returns {void}
+ */
+function sendLastSuperadmin(res) {
+    res.status(409).json({
+        error: 'This is the last active superadmin; make someone else a superadmin first',
+        code: 'LAST_SUPERADMIN'
+    });
+}
+
+/**
+ * Handle GET request for the team
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @returns {Promise<void>}
+ */
+async function handleListUsers(req, res, spreadsheetId) {
+    try {
+        const sheets = await createSheetsClient(req);
+        const users = listTeam(await listUsers(sheets, spreadsheetId));
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                users,
+                total: users.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Failed to list users:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to list users',
+            code: 'FETCH_ERROR'
+        });
+    }
+}
+
+/**
+ * Handle POST request to add a user
+ * Body: { email, name, role, password }
+ * A previously deleted email is restored with the new details
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @returns {Promise<void>}
+ */
+async function handleCreateUser(req, res, spreadsheetId) {
+    try {
+        const { email, name = '', role, password } = req.body || {};
+
+        if (!email || !role || !password) {
+            return res.status(400).json({
+                error: 'email, role and password are required',
+                code: 'MISSING_FIELDS'
+            });
+        }
+
+        const invalid = validateUserFields({ email, name, role, password });
+        if (invalid) {
+            return res.status(400).json({
+                error: invalid,
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const normalizedEmail = email.trim().toLowerCase();
+        const sheets = await createSheetsClient(req);
+        const existing = (await listUsers(sheets, spreadsheetId)).find(user => user.email === normalizedEmail);
+
+        if (existing && String(existing.status).toLowerCase() !== USER_STATUSES.DELETED) {
+            return res.status(409).json({
+                error: 'A user with this email already exists',
+                code: 'USER_EXISTS'
+            });
+        }
+
+        const restored = await addUser(sheets, spreadsheetId, {
+            email: normalizedEmail, name, role, passwordHash: await hashPassword(password)
+        }, existing);
+
+        console.log(`Superadmin ${req.user.email} added ${normalizedEmail} as ${role}${restored ? ' (restored)' : ''}`);
+
+        return res.status(201).json({
+            success: true,
+            data: listTeam(await listUsers(sheets, spreadsheetId)).find(user => user.email === normalizedEmail)
+        });
+
+    } catch (error) {
+        console.error('Failed to create user:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to create user',
+            code: 'CREATE_ERROR'
+        });
+    }
+}
+
+/**
+ * Handle PATCH request to change a user
+ * Body: { email, name, role, status, password, version } - only the fields given change
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @returns {Promise<void>}
+ */
+async function handleUpdateUser(req, res, spreadsheetId) {
+    try {
+        const { email, name, role, status, password, version } = req.body || {};
+
+        if (!email || (name === undefined && role === undefined && status === undefined && password === undefined)) {
+            return res.status(400).json({
+                error: 'email and at least one of name, role, status or password are required',
+                code: 'MISSING_FIELDS'
+            });
+        }
+
+        const invalid = validateUserFields({ name, role, status, password });
+        if (invalid) {
+            return res.status(400).json({
+                error: invalid,
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const normalizedEmail = String(email).trim().toLowerCase();
+        const sheets = await createSheetsClient(req);
+        const users = await listUsers(sheets, spreadsheetId);
+        const target = users.find(user => user.email === normalizedEmail);
+
+        if (!target || String(target.status).toLowerCase() === USER_STATUSES.DELETED) {
+            return sendUpdateFailure(res, UPDATE_OUTCOMES.NOT_FOUND);
+        }
+        if (removesLastSuperadmin(users, normalizedEmail, { role: role ?? target.role, status: status ?? target.status })) {
+            return sendLastSuperadmin(res);
+        }
+
+        const changes = {};
+        if (name !== undefined) changes.name = name.trim();
+        if (role !== undefined) changes.role = role;
+        if (status !== undefined) changes.status = status;
+        if (password !== undefined) changes.passwordHash = await hashPassword(password);
+
+        const { outcome, record } = await updateRecord(sheets, spreadsheetId, 'Users', normalizedEmail, changes, {
+            expectedVersion: version === undefined ? target.version : version
+        });
+        if (sendUpdateFailure(res, outcome, record)) return;
+
+        const { passwordHash, ...shown } = changes;
+        const changed = Object.keys(shown).concat(passwordHash ? ['password'] : []);
+        console.log(`Superadmin ${req.user.email} changed ${changed.join(', ')} of ${normalizedEmail}`);
+
+        return res.status(200).json({
+            success: true,
+            data: { ...listTeam([target])[0], ...shown, version: recordVersion(record) }
+        });
+
+    } catch (error) {
+        console.error('Failed to update user:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to update user',
+            code: 'UPDATE_ERROR'
+        });
+    }
+}
+
+/**
+ * Handle DELETE request to remove a user
+ * Query: email, version (optional)
+ * The row stays with its status set to deleted and its password hash cleared
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @returns {Promise<void>}
+ */
+async function handleDeleteUser(req, res, spreadsheetId) {
+    try {
+        const normalizedEmail = String(req.query.email || '').trim().toLowerCase();
+
+        if (!normalizedEmail) {
+            return res.status(400).json({
+                error: 'email is required',
+                code: 'MISSING_FIELDS'
+            });
+        }
+
+        const sheets = await createSheetsClient(req);
+        const users = await listUsers(sheets, spreadsheetId);
+        const target = users.find(user => user.email === normalizedEmail);
+
+        if (!target || String(target.status).toLowerCase() === USER_STATUSES.DELETED) {
+            return sendUpdateFailure(res, UPDATE_OUTCOMES.NOT_FOUND);
+        }
+        if (removesLastSuperadmin(users, normalizedEmail, { status: USER_STATUSES.DELETED })) {
+            return sendLastSuperadmin(res);
+        }
+
+        const { outcome, record } = await updateRecord(sheets, spreadsheetId, 'Users', normalizedEmail, {
+            status: USER_STATUSES.DELETED, passwordHash: '', inviteToken: ''
+        }, {
+            expectedVersion: req.query.version === undefined ? target.version : req.query.version
+        });
+        if (sendUpdateFailure(res, outcome, record)) return;
+
+        console.log(`Superadmin ${req.user.email} deleted ${normalizedEmail}`);
+
+        return res.status(200).json({
+            success: true,
+            data: { email: normalizedEmail, deleted: true }
+        });
+
+    } catch (error) {
+        console.error('Failed to delete user:', error.message);
+
+        return res.status(500).json({
+            error: 'Failed to delete user',
+            code: 'DELETE_ERROR'
+        });
+    }
+}
+
+// Export the handler wrapped with Iron Session
+module.exports = withSessionRoute(usersHandler);
@@ -0,0 +1,202 @@
+/* ****************************************
+ * Reviewer Assignments and Conflicts of Interest
+ * Load-balanced assignment of submissions to reviewers and judges
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Assignments tab: ID, Submission ID, Reviewer Email, Role, Assigned By, Assigned At, Status
+ * @note Conflicts tab: ID, Reviewer Email, Type, Value, Reason, Declared At
+ ****************************************/
+
+const { getSheetValues } = require('./sheets');
+const { dataRange, headerNames, fromRow, recordVersion } = require('./schema');
+
+const ASSIGNMENTS_RANGE = dataRange('Assignments');
+const ASSIGNMENTS_HEADERS = headerNames('Assignments');
+const CONFLICTS_RANGE = dataRange('Conflicts');
+const CONFLICTS_HEADERS = headerNames('Conflicts');
+
+/**
+ * Roles that can receive assignments
+ * @type {Array<string>}
+ */
+const ASSIGNABLE_ROLES = ['reviewer', 'judge'];
+
+/**
+ * Assignment lifecycle
+ * Conflicted assignments are kept for the record but leave the reviewer's queue
+ * @type {object}
+ */
+const ASSIGNMENT_STATUSES = {
+    ACTIVE: 'active',
+    COMPLETED: 'completed',
+    CONFLICT: 'conflict',
+    REMOVED: 'removed'
+};
+
+/**
+ * Kinds of conflict a reviewer can declare
+ * student    - value is the student's email address
+ * business   - value is a competing business name (the whole trimmed name, matched case-insensitively)
+ * submission - value is a specific submission ID
+ * @type {Array<string>}
+ */
+const CONFLICT_TYPES = ['student', 'business', 'submission'];
+
+/**
+ * Convert an Assignments row into an assignment object
+ * @param {Array} row - Raw row values
+ * @returns {object} Assignment object
+ */
+function parseAssignmentRow(row) {
+    const assignment = fromRow('Assignments', row);
+    return {
+        ...assignment,
+        reviewerEmail: String(assignment.reviewerEmail).toLowerCase(),
+        status: assignment.status || ASSIGNMENT_STATUSES.ACTIVE,
+        version: recordVersion(assignment)
+    };
+}
+
+/**
+ * Convert a Conflicts row into a conflict object
+ * @param {Array} row - Raw row values
+ * @returns {object} Conflict object
+ */
+function parseConflictRow(row) {
+    const conflict = fromRow('Conflicts', row);
+    return {
+        ...conflict,
+        reviewerEmail: String(conflict.reviewerEmail).toLowerCase()
+    };
+}
+
+/**
+ * Read all assignments
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @returns {Promise<Array>} Assignment objects
+ */
+async function listAssignments(sheets, spreadsheetId) {
+    const rows = await getSheetValues(sheets, spreadsheetId, ASSIGNMENTS_RANGE);
+    return rows.map(parseAssignmentRow).filter(a => a.id && a.submissionId);
+}
+
+/**
+ * Read all declared conflicts
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @returns {Promise<Array>} Conflict objects
+ */
+async function listConflicts(sheets, spreadsheetId) {
+    const rows = await getSheetValues(sheets, spreadsheetId, CONFLICTS_RANGE);
+    return rows.map(parseConflictRow).filter(c => c.id && c.reviewerEmail);
+}
+
+/**
+ * Check whether a conflict applies to a submission
+ * @param {object} conflict - Conflict object
+ * @param {object} submission - Submission object
+ * @returns {boolean} True if the reviewer must not review this submission
+ */
+function conflictMatches(conflict, submission) {
+    const value = (conflict.value || '').trim().toLowerCase();
+    if (!value) return false;
+
+    switch (conflict.type) {
+        case 'student':
+            return submission.email === value;
+        case 'business':
+            return String(submission.businessName || '').trim().toLowerCase() === value;
+        case 'submission':
+            return submission.id.toLowerCase() === value;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Check whether a reviewer has declared a conflict with a submission
+ * @param {string} reviewerEmail - Reviewer email
+ * @param {object} submission - Submission object
+ * @param {Array<object>} conflicts - All declared conflicts
+ * @returns {boolean} True if conflicted
+ */
+function hasConflict(reviewerEmail, submission, conflicts) {
+    const email = reviewerEmail.toLowerCase();
+    return conflicts.some(c => c.reviewerEmail === email && conflictMatches(c, submission));
+}
+
+/**
+ * Count active assignments per reviewer
+ * @param {Array<object>} assignments - Assignment objects
+ * @returns {object} Map of reviewer email to active assignment count
+ */
+function countLoad(assignments) {
+    return assignments
+        .filter(a => a.status === ASSIGNMENT_STATUSES.ACTIVE)
+        .reduce((acc, a) => {
+            acc[a.reviewerEmail] = (acc[a.reviewerEmail] || 0) + 1;
+            return acc;
+        }, {});
+}
+
+/**
+ * Plan new assignments so every submission reaches N active reviewers
+ * Each slot goes to the least-loaded eligible reviewer; reviewers already
+ * assigned to the submission or conflicted with it are skipped
+ * @param {object} options - { submissions, reviewers, assignments, conflicts, perSubmission }
+ * @returns {object} { planned: [{ submissionId, reviewerEmail }], shortfalls: [{ submissionId, missing }] }
+ */
+function planAssignments({ submissions, reviewers, assignments, conflicts, perSubmission }) {
+    const load = countLoad(assignments);
+    reviewers.forEach(r => { load[r] = load[r] || 0; });
+
+    const planned = [];
+    const shortfalls = [];
+
+    for (const submission of submissions) {
+        const current = new Set(assignments
+            .filter(a => a.submissionId === submission.id &&
+                (a.status === ASSIGNMENT_STATUSES.ACTIVE || a.status === ASSIGNMENT_STATUSES.COMPLETED))
+            .map(a => a.reviewerEmail));
+
+        let needed = perSubmission - current.size;
+        if (needed <= 0) continue;
+
+        const candidates = reviewers
+            .filter(r => !current.has(r) && !hasConflict(r, submission, conflicts))
+            .sort((a, b) => load[a] - load[b] || a.localeCompare(b));
+
+        for (const reviewerEmail of candidates.slice(0, needed)) {
+            planned.push({ submissionId: submission.id, reviewerEmail });
+            load[reviewerEmail] += 1;
+            needed -= 1;
+        }
+
+        if (needed > 0) {
+            shortfalls.push({ submissionId: submission.id, missing: needed });
+        }
+    }
+
+    return { planned, shortfalls };
+}
+
+module.exports = {
+    ASSIGNMENTS_RANGE,
+    ASSIGNMENTS_HEADERS,
+    CONFLICTS_RANGE,
+    CONFLICTS_HEADERS,
+    ASSIGNABLE_ROLES,
+    ASSIGNMENT_STATUSES,
+    CONFLICT_TYPES,
+    parseAssignmentRow,
+    parseConflictRow,
+    listAssignments,
+    listConflicts,
+    conflictMatches,
+    hasConflict,
+    countLoad,
+    planAssignments
+};
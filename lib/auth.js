@@ -3,13 +3,20 @@
  * Centralized session management for ACC Shark Tank admin system
  * 
  * @author ACC Development Team (Abel)
- * @version 1.1
+ * @version 1.2
  * @date July 2025
  * @note Requires SESSION_SECRET environment variable (32+ character string)
  * @note Uses secure cookie settings for production deployment
+ * @note Every request re-reads the signed-in user's Users row; a session whose account was
+ *       deactivated, deleted or given a different role is ended before the handler runs
+ * @note requireAuth, requireAdmin and requireRole send the error response themselves and return false,
+ *       so callers just `return` when they get false
  ****************************************/
 
 const { withIronSessionApiRoute } = require('iron-session/api-route');
+const { getClientIp } = require('./client-ip');
+const { createSheetsClient, getSpreadsheetId, findUserByEmail } = require('./sheets');
+const { USER_ROLES, USER_STATUSES } = require('./users');
 
 /**
  * Security configuration constants
@@ -20,7 +27,7 @@ const SECURITY_CONFIG = {
         development: 60 * 60 * 24 * 7, // 7 days in dev
         production: 60 * 60 * 8        // 8 hours in production
     },
-    ALLOWED_ROLES: ['admin', 'superadmin', 'user'],
+    ALLOWED_ROLES: USER_ROLES,
     COOKIE_SETTINGS: {
         development: {
             secure: false,
@@ -81,7 +88,48 @@ const sessionOptions = {
  * @returns {Function} Enhanced handler with session support
  */
 function withSessionRoute(handler) {
-    return withIronSessionApiRoute(handler, sessionOptions);
+    return withIronSessionApiRoute(async (req, res) => {
+        await revalidateSessionUser(req);
+        return handler(req, res);
+    }, sessionOptions);
+}
+
+/**
+ * Check the session's user against their current Users row
+ * Ends the session if the account is gone, no longer active, or holds a different role,
+ * so changes made on the Team page apply to the very next request
+ * @param {object} req - Request object with session
+ * @returns {Promise<void>} Sets req.sessionRevoked or req.sessionCheckFailed when the session must not be used
+ */
+async function revalidateSessionUser(req) {
+    const user = req.session?.user;
+    const spreadsheetId = getSpreadsheetId();
+
+    if (!user || !user.email || !spreadsheetId) {
+        return;
+    }
+
+    try {
+        const current = await findUserByEmail(await createSheetsClient(req), spreadsheetId, user.email);
+        const status = current ? String(current.status).toLowerCase() : USER_STATUSES.DELETED;
+
+        let reason = null;
+        if (status !== USER_STATUSES.ACTIVE) {
+            reason = `account is ${status}`;
+        } else if (current.role !== user.role) {
+            reason = `role changed from ${user.role} to ${current.role}`;
+        }
+
+        if (reason) {
+            console.warn(`Ending session for ${user.email}: ${reason}`);
+            req.sessionRevoked = true;
+            req.session.destroy();
+        }
+    } catch (error) {
+        // Fail closed: without the current record the session cannot be trusted
+        console.error(`Session check failed for ${user.email}:`, error.message);
+        req.sessionCheckFailed = true;
+    }
 }
 
 /**
@@ -93,11 +141,33 @@ function withSessionRoute(handler) {
  */
 function requireAuth(req, res, next) {
     try {
+        if (req.sessionCheckFailed) {
+            if (res) {
+                res.status(503).json({
+                    error: 'Unable to verify your session. Please try again.',
+                    code: 'SESSION_CHECK_FAILED',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            return false;
+        }
+
+        if (req.sessionRevoked) {
+            if (res) {
+                res.status(401).json({
+                    error: 'Your access has changed. Please sign in again.',
+                    code: 'SESSION_REVOKED',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            return false;
+        }
+
         const user = req.session?.user;
         
         if (!user || !user.email) {
             if (res) {
-                return res.status(401).json({ 
+                res.status(401).json({ 
                     error: 'Authentication required',
                     code: 'UNAUTHORIZED',
                     timestamp: new Date().toISOString()
@@ -114,7 +184,7 @@ function requireAuth(req, res, next) {
             
             if (sessionAge > getSessionDuration()) {
                 if (res) {
-                    return res.status(401).json({ 
+                    res.status(401).json({ 
                         error: 'Session expired',
                         code: 'SESSION_EXPIRED',
                         timestamp: new Date().toISOString()
@@ -128,7 +198,7 @@ function requireAuth(req, res, next) {
         if (user.role && !SECURITY_CONFIG.ALLOWED_ROLES.includes(user.role)) {
             console.warn(`Invalid role detected: ${user.role} for user: ${user.email}`);
             if (res) {
-                return res.status(403).json({ 
+                res.status(403).json({ 
                     error: 'Invalid role',
                     code: 'INVALID_ROLE',
                     timestamp: new Date().toISOString()
@@ -148,7 +218,7 @@ function requireAuth(req, res, next) {
     } catch (error) {
         console.error('Authentication middleware error:', error);
         if (res) {
-            return res.status(500).json({ 
+            res.status(500).json({ 
                 error: 'Authentication error',
                 code: 'AUTH_ERROR',
                 timestamp: new Date().toISOString()
@@ -177,7 +247,7 @@ function requireAdmin(req, res, next) {
         if (user.role !== 'admin' && user.role !== 'superadmin') {
             console.warn(`Unauthorized admin access attempt by user: ${user.email} with role: ${user.role}`);
             if (res) {
-                return res.status(403).json({ 
+                res.status(403).json({ 
                     error: 'Admin privileges required',
                     code: 'FORBIDDEN',
                     timestamp: new Date().toISOString()
@@ -197,7 +267,49 @@ function requireAdmin(req, res, next) {
     } catch (error) {
         console.error('Admin authorization error:', error);
         if (res) {
-            return res.status(500).json({ 
+            res.status(500).json({ 
+                error: 'Authorization error',
+                code: 'AUTHZ_ERROR',
+                timestamp: new Date().toISOString()
+            });
+        }
+        return false;
+    }
+}
+
+/**
+ * Middleware to check if user holds one of the given roles
+ * @param {object} req - Request object with session
+ * @param {object} res - Response object
+ * @param {Array<string>} roles - Roles permitted to continue
+ * @returns {boolean} True if user has a permitted role, false otherwise
+ */
+function requireRole(req, res, roles) {
+    try {
+        // First check authentication
+        if (!requireAuth(req, res)) {
+            return false; // Response already sent
+        }
+
+        const user = req.session?.user;
+
+        if (!roles.includes(user.role)) {
+            console.warn(`Unauthorized access attempt by user: ${user.email} with role: ${user.role} (requires ${roles.join('/')})`);
+            if (res) {
+                res.status(403).json({ 
+                    error: `${roles.join(' or ')} privileges required`,
+                    code: 'FORBIDDEN',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Role authorization error:', error);
+        if (res) {
+            res.status(500).json({ 
                 error: 'Authorization error',
                 code: 'AUTHZ_ERROR',
                 timestamp: new Date().toISOString()
@@ -207,6 +319,16 @@ function requireAdmin(req, res, next) {
     }
 }
 
+/**
+ * Middleware to check if user is a judge
+ * @param {object} req - Request object with session
+ * @param {object} res - Response object
+ * @returns {boolean} True if judge, false otherwise
+ */
+function requireJudge(req, res) {
+    return requireRole(req, res, ['judge']);
+}
+
 /**
  * Enhanced function to get current user from session
  * @param {object} req - Request object with session
@@ -216,7 +338,7 @@ function getCurrentUser(req) {
     try {
         const user = req.session?.user;
         
-        if (!user) {
+        if (!user || req.sessionRevoked) {
             return null;
         }
 
@@ -260,7 +382,7 @@ async function loginUser(req, userData) {
             loginTime: new Date().toISOString(),
             // Add session fingerprint for additional security
             userAgent: req.headers['user-agent'] || '',
-            ipAddress: req.headers['x-forwarded-for'] || req.connection?.remoteAddress || '',
+            ipAddress: getClientIp(req),
         };
 
         req.session.user = sessionData;
@@ -388,6 +510,8 @@ module.exports = {
     withSessionRoute,
     requireAuth,
     requireAdmin,
+    requireRole,
+    requireJudge,
     getCurrentUser,
     loginUser,
     logoutUser,
@@ -0,0 +1,316 @@
+/* ****************************************
+ * Bulk Submission Actions
+ * Validates and plans status, tag and assignment changes across many submissions
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Planning is pure; api/submissions-bulk.js applies the plan in one storage write
+ * @note Every requested ID gets a result: updated, unchanged or skipped (with a code)
+ * @note Status and tag changes bump each row's version; rows whose version differs from the one sent are skipped
+ ****************************************/
+
+const { REVIEW_STATUSES, normalizeStatus, getAllowedTransitions, canTransition, isValidStatus } = require('./review');
+const { parseSubmissionRow, parseTags, formatTags, SUBMISSION_ID_INDEX } = require('./submissions');
+const { ASSIGNABLE_ROLES, ASSIGNMENT_STATUSES, hasConflict } = require('./assignments');
+const { rowRange, recordVersion } = require('./schema');
+
+/**
+ * Supported bulk actions
+ * status - move every submission to one review status
+ * tag    - add and/or remove tags
+ * assign - assign one reviewer or judge to every submission
+ * @type {Array<string>}
+ */
+const BULK_ACTIONS = ['status', 'tag', 'assign'];
+
+/**
+ * Most submissions one request may change
+ * @type {number}
+ */
+const MAX_BULK_IDS = 500;
+
+/**
+ * Per-submission outcomes
+ * @type {object}
+ */
+const BULK_OUTCOMES = {
+    UPDATED: 'updated',
+    UNCHANGED: 'unchanged',
+    SKIPPED: 'skipped'
+};
+
+/**
+ * Validate a bulk request body
+ * @param {object} body - { ids, action, status, note, addTags, removeTags, reviewerEmail, role, versions }
+ *   versions (optional) maps submission IDs to the version the admin last saw
+ * @returns {object} { request, errors } - request holds the normalized values when errors is empty
+ */
+function parseBulkRequest(body = {}) {
+    const errors = [];
+    const ids = Array.isArray(body.ids)
+        ? [...new Set(body.ids.filter(id => typeof id === 'string' && id.trim()).map(id => id.trim()))]
+        : [];
+    const action = body.action;
+
+    if (ids.length === 0) errors.push('ids must be a non-empty array of submission IDs');
+    if (ids.length > MAX_BULK_IDS) errors.push(`At most ${MAX_BULK_IDS} submissions can be changed at once`);
+    if (!BULK_ACTIONS.includes(action)) errors.push(`action must be one of: ${BULK_ACTIONS.join(', ')}`);
+
+    const request = { ids, action, note: String(body.note || '').trim(), versions: {} };
+
+    if (body.versions !== undefined && (typeof body.versions !== 'object' || body.versions === null || Array.isArray(body.versions))) {
+        errors.push('versions must be an object mapping submission IDs to versions');
+    } else if (body.versions) {
+        Object.entries(body.versions).forEach(([id, version]) => {
+            const parsed = parseInt(version);
+            if (Number.isInteger(parsed) && parsed >= 0) request.versions[id] = parsed;
+        });
+    }
+
+    if (action === 'status') {
+        request.status = body.status;
+        if (!isValidStatus(body.status)) {
+            errors.push(`status must be one of: ${Object.values(REVIEW_STATUSES).join(', ')}`);
+        }
+    } else if (action === 'tag') {
+        request.addTags = parseTags(body.addTags);
+        request.removeTags = parseTags(body.removeTags);
+        if (request.addTags.length === 0 && request.removeTags.length === 0) {
+            errors.push('addTags or removeTags must name at least one tag');
+        }
+    } else if (action === 'assign') {
+        request.reviewerEmail = String(body.reviewerEmail || '').trim().toLowerCase();
+        request.role = body.role || 'reviewer';
+        if (!request.reviewerEmail) errors.push('reviewerEmail is required');
+        if (!ASSIGNABLE_ROLES.includes(request.role)) {
+            errors.push(`role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`);
+        }
+    }
+
+    return { request, errors };
+}
+
+/**
+ * Find the requested submissions in the rows of the Submissions tab
+ * @param {Array<Array>} rows - Rows read from SUBMISSIONS_RANGE (data starts in row 2)
+ * @param {Array<string>} ids - Submission IDs
+ * @returns {object} { targets: [{ id, rowNumber, submission }], missing: [ids] }
+ */
+function locateSubmissions(rows, ids) {
+    const rowNumbers = new Map();
+    rows.forEach((row, index) => {
+        const id = row[SUBMISSION_ID_INDEX];
+        if (id && !rowNumbers.has(id)) rowNumbers.set(id, index + 2);
+    });
+
+    const targets = [];
+    const missing = [];
+    ids.forEach(id => {
+        if (rowNumbers.has(id)) {
+            const rowNumber = rowNumbers.get(id);
+            targets.push({ id, rowNumber, submission: parseSubmissionRow(rows[rowNumber - 2]) });
+        } else {
+            missing.push(id);
+        }
+    });
+
+    return { targets, missing };
+}
+
+/**
+ * Result for a submission changed since the admin loaded it
+ * @param {object} versions - Expected versions by submission ID
+ * @param {object} target - From locateSubmissions
+ * @returns {object|null} Skipped result, or null if the version matches or none was sent
+ */
+function versionConflict(versions, { id, submission }) {
+    if (!(id in versions) || versions[id] === recordVersion(submission)) {
+        return null;
+    }
+
+    return {
+        id,
+        outcome: BULK_OUTCOMES.SKIPPED,
+        code: 'VERSION_CONFLICT',
+        error: 'Submission was changed by someone else',
+        version: recordVersion(submission)
+    };
+}
+
+/**
+ * Plan a status change
+ * @param {Array<object>} targets - From locateSubmissions
+ * @param {object} request - From parseBulkRequest
+ * @param {object} context - { actor, now }
+ * @returns {object} { updates, history, results }
+ */
+function planStatusChange(targets, { status, note, versions = {} }, { actor, now }) {
+    const plan = { updates: [], history: [], results: [] };
+
+    targets.forEach(target => {
+        const { id, rowNumber, submission } = target;
+        const conflict = versionConflict(versions, target);
+        if (conflict) {
+            plan.results.push(conflict);
+            return;
+        }
+
+        const currentStatus = normalizeStatus(submission.status);
+
+        if (currentStatus === status) {
+            plan.results.push({ id, outcome: BULK_OUTCOMES.UNCHANGED, status });
+            return;
+        }
+
+        if (!canTransition(currentStatus, status)) {
+            plan.results.push({
+                id,
+                outcome: BULK_OUTCOMES.SKIPPED,
+                code: 'INVALID_TRANSITION',
+                error: `Cannot move submission from ${currentStatus} to ${status}`,
+                allowedTransitions: getAllowedTransitions(currentStatus)
+            });
+            return;
+        }
+
+        const version = recordVersion(submission) + 1;
+        plan.updates.push({
+            range: rowRange('Submissions', rowNumber, 'status', 'statusUpdatedBy'),
+            values: [status, now, actor]
+        }, {
+            range: rowRange('Submissions', rowNumber, 'version'),
+            values: [version]
+        });
+        plan.history.push({
+            submissionId: id, field: 'status', oldValue: currentStatus, newValue: status, changedBy: actor, changedAt: now, note
+        });
+        plan.results.push({
+            id,
+            outcome: BULK_OUTCOMES.UPDATED,
+            previousStatus: currentStatus,
+            status,
+            version,
+            allowedTransitions: getAllowedTransitions(status)
+        });
+    });
+
+    return plan;
+}
+
+/**
+ * Plan a tag change
+ * @param {Array<object>} targets - From locateSubmissions
+ * @param {object} request - From parseBulkRequest
+ * @param {object} context - { actor, now }
+ * @returns {object} { updates, history, results }
+ */
+function planTagChange(targets, { addTags, removeTags, note, versions = {} }, { actor, now }) {
+    const plan = { updates: [], history: [], results: [] };
+
+    targets.forEach(target => {
+        const { id, rowNumber, submission } = target;
+        const conflict = versionConflict(versions, target);
+        if (conflict) {
+            plan.results.push(conflict);
+            return;
+        }
+
+        const previous = formatTags(submission.tags);
+        const next = formatTags([...submission.tags, ...addTags].filter(tag => !removeTags.includes(tag)));
+
+        if (next === previous) {
+            plan.results.push({ id, outcome: BULK_OUTCOMES.UNCHANGED, tags: submission.tags });
+            return;
+        }
+
+        const version = recordVersion(submission) + 1;
+        plan.updates.push({ range: rowRange('Submissions', rowNumber, 'tags', 'version'), values: [next, version] });
+        plan.history.push({
+            submissionId: id, field: 'tags', oldValue: previous, newValue: next, changedBy: actor, changedAt: now, note
+        });
+        plan.results.push({ id, outcome: BULK_OUTCOMES.UPDATED, tags: parseTags(next), version });
+    });
+
+    return plan;
+}
+
+/**
+ * Plan assignments of one reviewer to many submissions
+ * Submissions the reviewer already has, or is conflicted with, are skipped
+ * @param {Array<object>} targets - From locateSubmissions
+ * @param {object} request - From parseBulkRequest
+ * @param {object} context - { actor, now, assignments, conflicts }
+ * @returns {object} { assignments: [records to append], results }
+ */
+function planAssignment(targets, { reviewerEmail, role }, { actor, now, assignments, conflicts }) {
+    const plan = { assignments: [], results: [] };
+
+    targets.forEach(({ id, submission }) => {
+        const existing = assignments.find(a => a.submissionId === id && a.reviewerEmail === reviewerEmail &&
+            (a.status === ASSIGNMENT_STATUSES.ACTIVE || a.status === ASSIGNMENT_STATUSES.COMPLETED));
+
+        if (existing) {
+            plan.results.push({ id, outcome: BULK_OUTCOMES.UNCHANGED, assignmentId: existing.id });
+            return;
+        }
+
+        if (hasConflict(reviewerEmail, submission, conflicts)) {
+            plan.results.push({
+                id,
+                outcome: BULK_OUTCOMES.SKIPPED,
+                code: 'CONFLICT',
+                error: `${reviewerEmail} has declared a conflict with this submission`
+            });
+            return;
+        }
+
+        plan.assignments.push({
+            submissionId: id, reviewerEmail, role, assignedBy: actor, assignedAt: now, status: ASSIGNMENT_STATUSES.ACTIVE
+        });
+        plan.results.push({ id, outcome: BULK_OUTCOMES.UPDATED, reviewerEmail, role });
+    });
+
+    return plan;
+}
+
+/**
+ * Results for IDs that are not in the Submissions tab
+ * @param {Array<string>} ids - Missing IDs
+ * @returns {Array<object>} Skipped results
+ */
+function missingResults(ids) {
+    return ids.map(id => ({ id, outcome: BULK_OUTCOMES.SKIPPED, code: 'NOT_FOUND', error: 'Submission not found' }));
+}
+
+/**
+ * Order results to match the requested IDs and count outcomes
+ * @param {Array<string>} ids - Requested IDs
+ * @param {Array<object>} results - Results in any order
+ * @returns {object} { results, summary: { updated, unchanged, skipped } }
+ */
+function summarizeResults(ids, results) {
+    const byId = new Map(results.map(result => [result.id, result]));
+    const ordered = ids.map(id => byId.get(id));
+
+    return {
+        results: ordered,
+        summary: Object.values(BULK_OUTCOMES).reduce((acc, outcome) => {
+            acc[outcome] = ordered.filter(r => r.outcome === outcome).length;
+            return acc;
+        }, {})
+    };
+}
+
+module.exports = {
+    BULK_ACTIONS,
+    BULK_OUTCOMES,
+    MAX_BULK_IDS,
+    parseBulkRequest,
+    locateSubmissions,
+    planStatusChange,
+    planTagChange,
+    planAssignment,
+    missingResults,
+    summarizeResults
+};
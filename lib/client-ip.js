@@ -0,0 +1,74 @@
+/* ****************************************
+ * Client IP Resolution
+ * Finds the caller's address without trusting headers the caller can set
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note TRUST_PROXY=vercel (default on Vercel) reads the headers Vercel's edge overwrites on every request
+ * @note TRUST_PROXY=<n> trusts the last n X-Forwarded-For hops (n reverse proxies in front of the app)
+ * @note TRUST_PROXY=0 (default elsewhere) uses the socket address and ignores forwarding headers
+ ****************************************/
+
+/**
+ * Headers Vercel sets from the connecting address, replacing any the client sent
+ * @type {Array<string>}
+ */
+const VERCEL_IP_HEADERS = ['x-vercel-forwarded-for', 'x-real-ip'];
+
+/**
+ * Read the proxy trust setting
+ * @returns {string|number} 'vercel', or the number of trusted X-Forwarded-For hops
+ */
+function getTrustProxy() {
+    const setting = (process.env.TRUST_PROXY || (process.env.VERCEL ? 'vercel' : '0')).trim().toLowerCase();
+
+    if (setting === 'vercel') {
+        return 'vercel';
+    }
+
+    const hops = parseInt(setting);
+    return hops > 0 ? hops : 0;
+}
+
+/**
+ * Tidy an address for use as a key
+ * @param {string} address - Raw address
+ * @returns {string} Address without port brackets or the IPv4-mapped IPv6 prefix
+ */
+function normalizeIp(address) {
+    const ip = String(address || '').trim().replace(/^\[(.*)\]$/, '$1');
+    return ip.startsWith('::ffff:') && ip.includes('.') ? ip.slice(7) : ip;
+}
+
+/**
+ * Resolve the client IP address of a request
+ * @param {object} req - Request object
+ * @returns {string} Client IP, or 'unknown'
+ */
+function getClientIp(req) {
+    const trust = getTrustProxy();
+    const headers = req.headers || {};
+
+    if (trust === 'vercel') {
+        for (const header of VERCEL_IP_HEADERS) {
+            if (headers[header]) {
+                return normalizeIp(String(headers[header]).split(',')[0]);
+            }
+        }
+    } else if (trust > 0 && headers['x-forwarded-for']) {
+        // Each trusted proxy appends the address it saw; anything further left was sent by the client
+        const hops = String(headers['x-forwarded-for']).split(',').map(normalizeIp).filter(Boolean);
+        if (hops.length > 0) {
+            return hops[Math.max(hops.length - trust, 0)];
+        }
+    }
+
+    const socket = req.socket || req.connection;
+    return normalizeIp(socket && socket.remoteAddress) || 'unknown';
+}
+
+module.exports = {
+    getTrustProxy,
+    getClientIp
+};
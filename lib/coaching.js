@@ -0,0 +1,260 @@
+/* ****************************************
+ * AI Coaching Session Records
+ * Shared reader for rows in the AI_Coaching tab
+ *
+ * @author ACC Development Team
+ * @version 1.1
+ * @date July 2025
+ * @note Columns: Timestamp, Student Name, Student Email, Student Major, Business Idea,
+ *       Problem, Solution, Funding Needs, AI Generated, Generated Content, Session Type,
+ *       Session ID, ID
+ * @note Sheets caps a cell at 50,000 characters, so longer generated content is split across
+ *       AI_Coaching_Content rows and the Generated Content cell holds a reference to them
+ ****************************************/
+
+const crypto = require('crypto');
+const { getSheetValues } = require('./sheets');
+const { dataRange, columnIndex, fromRow } = require('./schema');
+
+const COACHING_RANGE = dataRange('AI_Coaching');
+const COACHING_ID_INDEX = columnIndex('AI_Coaching', 'id');
+const CONTENT_RANGE = dataRange('AI_Coaching_Content');
+const CONTENT_ID_INDEX = columnIndex('AI_Coaching_Content', 'id');
+
+/**
+ * Longest generated content kept in the AI_Coaching cell, and the size of each chunk beyond that
+ * Leaves headroom under the 50,000 character cell limit
+ * @type {number}
+ */
+const CONTENT_CHUNK_LENGTH = 40000;
+
+/**
+ * Marks a Generated Content cell that refers to AI_Coaching_Content rows
+ * @type {string}
+ */
+const CONTENT_REF_KEY = '$contentRef';
+
+/**
+ * Written in front of every chunk and removed on read
+ * A chunk can start anywhere in the content, and Sheets would otherwise read a leading
+ * = + - @ ' or a number-like chunk as something other than text, breaking the checksum
+ * @type {string}
+ */
+const CHUNK_MARKER = '~';
+
+/**
+ * Convert an AI_Coaching row into a session object
+ * @param {Array} row - Raw row values
+ * @returns {object} Session object (generatedContent is the raw stored string)
+ */
+function parseCoachingRow(row) {
+    return fromRow('AI_Coaching', row);
+}
+
+/**
+ * Checksum of generated content, stored in the reference so a bad reassembly is caught
+ * @param {string} text - Serialized content
+ * @returns {string} 'sha256:<hex>'
+ */
+function contentChecksum(text) {
+    return `sha256:${crypto.createHash('sha256').update(text).digest('hex')}`;
+}
+
+/**
+ * Split text into chunks no longer than CONTENT_CHUNK_LENGTH
+ * Never splits a surrogate pair, so every chunk is valid text on its own
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Chunks
+ */
+function splitText(text) {
+    const chunks = [];
+    let start = 0;
+
+    while (start < text.length) {
+        let end = Math.min(start + CONTENT_CHUNK_LENGTH, text.length);
+        const last = text.charCodeAt(end - 1);
+        if (end < text.length && last >= 0xD800 && last <= 0xDBFF) {
+            end -= 1;
+        }
+        chunks.push(text.slice(start, end));
+        start = end;
+    }
+
+    return chunks;
+}
+
+/**
+ * Prepare generated content for storage
+ * Content that fits stays in the AI_Coaching cell; longer content becomes AI_Coaching_Content
+ * rows and the cell holds { $contentRef, chunks, length, checksum, marker }
+ * @param {object|string} content - Generated content
+ * @param {object} session - { coachingId, sessionId, createdAt }
+ * @returns {object} { cell, chunks } - cell value for AI_Coaching, AI_Coaching_Content records to append
+ */
+function splitGeneratedContent(content, { coachingId, sessionId, createdAt = new Date() }) {
+    const text = typeof content === 'string' ? content : JSON.stringify(content || {});
+
+    if (text.length <= CONTENT_CHUNK_LENGTH) {
+        return { cell: text, chunks: [] };
+    }
+
+    const parts = splitText(text);
+    const chunks = parts.map((part, chunkIndex) => ({
+        id: `${coachingId}-${chunkIndex}`,
+        coachingId,
+        sessionId,
+        chunkIndex,
+        chunkCount: parts.length,
+        content: `${CHUNK_MARKER}${part}`,
+        createdAt
+    }));
+
+    const cell = JSON.stringify({
+        [CONTENT_REF_KEY]: 'AI_Coaching_Content',
+        chunks: parts.length,
+        length: text.length,
+        checksum: contentChecksum(text),
+        marker: CHUNK_MARKER
+    });
+
+    return { cell, chunks };
+}
+
+/**
+ * Read the chunk reference from a Generated Content cell
+ * @param {string} content - Stored cell value
+ * @returns {object|null} Reference, or null if the cell holds the content itself
+ */
+function parseContentRef(content) {
+    if (!content || !content.includes(CONTENT_REF_KEY)) {
+        return null;
+    }
+
+    try {
+        const parsed = JSON.parse(content);
+        return parsed && parsed[CONTENT_REF_KEY] ? parsed : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Put chunked content back together
+ * @param {object} ref - Reference from parseContentRef
+ * @param {Array<object>} chunks - AI_Coaching_Content records for the session
+ * @returns {string|null} Content, or null if a chunk is missing or the checksum does not match
+ */
+function assembleContent(ref, chunks) {
+    const ordered = [];
+    chunks.forEach(chunk => {
+        const index = parseInt(chunk.chunkIndex);
+        if (index >= 0 && index < ref.chunks && ordered[index] === undefined) {
+            const content = String(chunk.content || '');
+            ordered[index] = ref.marker && content.startsWith(ref.marker) ? content.slice(ref.marker.length) : content;
+        }
+    });
+
+    if (ordered.filter(part => part !== undefined).length !== ref.chunks) {
+        return null;
+    }
+
+    const text = ordered.join('');
+    return contentChecksum(text) === ref.checksum ? text : null;
+}
+
+/**
+ * Replace chunk references with the content they point to
+ * The AI_Coaching_Content tab is only read when a session needs it; sessions whose chunks
+ * cannot be read or reassembled keep their reference (parseGeneratedContent reports it)
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {Array<object>} sessions - From listCoachingSessions
+ * @returns {Promise<Array<object>>} Sessions with generatedContent holding the full stored string
+ */
+async function resolveGeneratedContent(sheets, spreadsheetId, sessions) {
+    const refs = new Map();
+    sessions.forEach(session => {
+        const ref = parseContentRef(session.generatedContent);
+        if (ref && session.id) refs.set(session.id, ref);
+    });
+
+    if (refs.size === 0) {
+        return sessions;
+    }
+
+    let rows;
+    try {
+        rows = await getSheetValues(sheets, spreadsheetId, CONTENT_RANGE);
+    } catch (error) {
+        console.warn('AI_Coaching_Content unavailable:', error.message);
+        return sessions;
+    }
+
+    const chunksBySession = new Map();
+    rows.map(row => fromRow('AI_Coaching_Content', row))
+        .filter(chunk => refs.has(chunk.coachingId))
+        .forEach(chunk => {
+            if (!chunksBySession.has(chunk.coachingId)) chunksBySession.set(chunk.coachingId, []);
+            chunksBySession.get(chunk.coachingId).push(chunk);
+        });
+
+    return sessions.map(session => {
+        const ref = refs.get(session.id);
+        if (!ref) return session;
+
+        const content = assembleContent(ref, chunksBySession.get(session.id) || []);
+        if (content === null) {
+            console.warn(`Generated content for coaching session ${session.id} is incomplete`);
+            return session;
+        }
+
+        return { ...session, generatedContent: content };
+    });
+}
+
+/**
+ * Parse stored generated content for display
+ * @param {string} content - JSON string written by /api/ai-coaching, after resolveGeneratedContent
+ * @returns {object} Parsed content, { raw } when it is not JSON, or { unavailable } when its chunks could not be read
+ */
+function parseGeneratedContent(content) {
+    if (!content) {
+        return {};
+    }
+
+    const ref = parseContentRef(content);
+    if (ref) {
+        return { unavailable: `Content is stored in ${ref.chunks} AI_Coaching_Content row(s) that could not be reassembled` };
+    }
+
+    try {
+        return JSON.parse(content);
+    } catch (e) {
+        return { raw: content };
+    }
+}
+
+/**
+ * Read all AI coaching sessions
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @returns {Promise<Array>} Session objects
+ */
+async function listCoachingSessions(sheets, spreadsheetId) {
+    const rows = await getSheetValues(sheets, spreadsheetId, COACHING_RANGE);
+    return rows.map(parseCoachingRow);
+}
+
+module.exports = {
+    COACHING_RANGE,
+    COACHING_ID_INDEX,
+    CONTENT_RANGE,
+    CONTENT_ID_INDEX,
+    CONTENT_CHUNK_LENGTH,
+    parseCoachingRow,
+    splitGeneratedContent,
+    assembleContent,
+    resolveGeneratedContent,
+    parseGeneratedContent,
+    listCoachingSessions
+};
@@ -0,0 +1,140 @@
+/* ****************************************
+ * Submission Comments
+ * Threaded reviewer discussion keyed by submission ID
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Comments tab: ID, Submission ID, Parent ID, Author Email, Author Name, Body,
+ *       Mentions, Created At, Updated At, Deleted At
+ * @note Deleting a comment blanks its body and sets Deleted At so replies keep their thread
+ ****************************************/
+
+const { getSheetValues } = require('./sheets');
+const { dataRange, headerNames, fromRow, recordVersion } = require('./schema');
+const { timestampValue } = require('./time');
+
+const COMMENTS_RANGE = dataRange('Comments');
+const COMMENTS_HEADERS = headerNames('Comments');
+const MAX_COMMENT_LENGTH = 5000;
+
+/**
+ * Roles that can be @mentioned in comments
+ * @type {Array<string>}
+ */
+const MENTIONABLE_ROLES = ['admin', 'superadmin'];
+
+/**
+ * Convert a Comments row into a comment object
+ * @param {Array} row - Raw row values
+ * @returns {object} Comment object
+ */
+function parseCommentRow(row) {
+    const comment = fromRow('Comments', row);
+
+    return {
+        id: comment.id,
+        submissionId: comment.submissionId,
+        parentId: comment.parentId,
+        authorEmail: String(comment.authorEmail).toLowerCase(),
+        authorName: comment.authorName,
+        body: comment.deletedAt ? '' : comment.body,
+        mentions: comment.mentions ? String(comment.mentions).split(',').filter(Boolean) : [],
+        createdAt: comment.createdAt,
+        updatedAt: comment.updatedAt,
+        deletedAt: comment.deletedAt,
+        deleted: !!comment.deletedAt,
+        version: recordVersion(comment)
+    };
+}
+
+/**
+ * Read all comments for a submission, oldest first
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} submissionId - Submission UUID
+ * @returns {Promise<Array>} Comment objects
+ */
+async function listComments(sheets, spreadsheetId, submissionId) {
+    const rows = await getSheetValues(sheets, spreadsheetId, COMMENTS_RANGE);
+    return rows
+        .map(parseCommentRow)
+        .filter(c => c.id && c.submissionId === submissionId)
+        .sort((a, b) => timestampValue(a.createdAt) - timestampValue(b.createdAt));
+}
+
+/**
+ * Nest replies under their top-level comment
+ * Replies to replies join the same thread, so threads are one level deep
+ * @param {Array<object>} comments - Comment objects, oldest first
+ * @returns {Array<object>} Top-level comments with a replies array
+ */
+function buildThreads(comments) {
+    const byId = new Map(comments.map(c => [c.id, c]));
+    const rootOf = comment => {
+        let current = comment;
+        const seen = new Set();
+        while (current.parentId && byId.has(current.parentId) && !seen.has(current.id)) {
+            seen.add(current.id);
+            current = byId.get(current.parentId);
+        }
+        return current;
+    };
+
+    const threads = new Map();
+    for (const comment of comments) {
+        const root = rootOf(comment);
+        if (root === comment) {
+            threads.set(comment.id, { ...comment, replies: [] });
+        }
+    }
+
+    for (const comment of comments) {
+        const root = rootOf(comment);
+        if (root !== comment) {
+            threads.get(root.id).replies.push(comment);
+        }
+    }
+
+    // Hide deleted threads once nobody has replied to them
+    return [...threads.values()].filter(thread => !thread.deleted || thread.replies.length > 0);
+}
+
+/**
+ * Find @mentions of admins in a comment body
+ * Accepts a full email (@jane@austincc.edu) or the part before the @ (@jane)
+ * when it identifies exactly one admin
+ * @param {string} body - Comment text
+ * @param {Array<object>} users - Users from listUsers
+ * @returns {Array<string>} Mentioned admin emails
+ */
+function extractMentions(body, users) {
+    const admins = users.filter(u => MENTIONABLE_ROLES.includes(u.role) && u.status.toLowerCase() === 'active');
+    const handles = (String(body).match(/(^|[^\w.])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g) || [])
+        .map(match => match.slice(match.indexOf('@') + 1).toLowerCase().replace(/\.+$/, ''));
+
+    const mentioned = new Set();
+    for (const handle of handles) {
+        const exact = admins.find(u => u.email === handle);
+        const byLocalPart = admins.filter(u => u.email.split('@')[0] === handle);
+
+        if (exact) {
+            mentioned.add(exact.email);
+        } else if (byLocalPart.length === 1) {
+            mentioned.add(byLocalPart[0].email);
+        }
+    }
+
+    return [...mentioned];
+}
+
+module.exports = {
+    COMMENTS_RANGE,
+    COMMENTS_HEADERS,
+    MAX_COMMENT_LENGTH,
+    MENTIONABLE_ROLES,
+    parseCommentRow,
+    listComments,
+    buildThreads,
+    extractMentions
+};
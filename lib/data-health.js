@@ -0,0 +1,196 @@
+/* ****************************************
+ * Data Health Checks
+ * Flags malformed rows in every registered tab
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Used by api/data-health.js and scripts/reconcile-sheets.js
+ * @note Checks come from lib/schema.js (required columns, column types, unique keys) plus VALUE_RULES
+ * @note Rows are reported, never changed - fix them in the sheet
+ ****************************************/
+
+const { getSheetValues } = require('./sheets');
+const { getSchema, listSheetNames, columnIndex, compareHeaders } = require('./schema');
+const { REVIEW_STATUSES } = require('./review');
+const { ASSIGNMENT_STATUSES, ASSIGNABLE_ROLES, CONFLICT_TYPES } = require('./assignments');
+const { parseTimestamp } = require('./time');
+
+/**
+ * Issue codes
+ * @type {object}
+ */
+const ISSUE_CODES = {
+    MISSING_VALUE: 'MISSING_VALUE',
+    INVALID_EMAIL: 'INVALID_EMAIL',
+    INVALID_DATE: 'INVALID_DATE',
+    INVALID_NUMBER: 'INVALID_NUMBER',
+    INVALID_JSON: 'INVALID_JSON',
+    INVALID_VALUE: 'INVALID_VALUE',
+    DUPLICATE_KEY: 'DUPLICATE_KEY'
+};
+
+/**
+ * Columns limited to a set of values
+ * allowEmpty - an empty cell is fine because readers supply a default (e.g. pending)
+ * normalize  - applied before comparing, matching how readers interpret the cell
+ * @type {object}
+ */
+const VALUE_RULES = {
+    Submissions: {
+        status: {
+            values: Object.values(REVIEW_STATUSES),
+            allowEmpty: true,
+            normalize: value => value.trim().toLowerCase().replace(/\s+/g, '_')
+        }
+    },
+    Assignments: {
+        status: { values: Object.values(ASSIGNMENT_STATUSES), allowEmpty: true },
+        role: { values: ASSIGNABLE_ROLES }
+    },
+    Conflicts: {
+        type: { values: CONFLICT_TYPES }
+    }
+};
+
+/**
+ * Most issues returned in one report (counts always cover all of them)
+ * @type {number}
+ */
+const MAX_REPORTED_ISSUES = 500;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Check one cell against its column
+ * @param {object} column - Schema column
+ * @param {string} text - Trimmed cell text
+ * @param {object} [rule] - Entry from VALUE_RULES
+ * @returns {object|null} { code, message }, or null if the cell is fine
+ */
+function checkCell(column, text, rule) {
+    if (!text) {
+        return column.required && !(rule && rule.allowEmpty)
+            ? { code: ISSUE_CODES.MISSING_VALUE, message: `${column.header} is empty` }
+            : null;
+    }
+
+    if (column.type === 'email' && !EMAIL_PATTERN.test(text)) {
+        return { code: ISSUE_CODES.INVALID_EMAIL, message: `${column.header} is not an email address` };
+    }
+    if (column.type === 'datetime' && !parseTimestamp(text)) {
+        return { code: ISSUE_CODES.INVALID_DATE, message: `${column.header} is not a readable date` };
+    }
+    if (column.type === 'number' && !Number.isFinite(Number(text))) {
+        return { code: ISSUE_CODES.INVALID_NUMBER, message: `${column.header} is not a number` };
+    }
+    if (column.type === 'json') {
+        try {
+            JSON.parse(text);
+        } catch (error) {
+            return { code: ISSUE_CODES.INVALID_JSON, message: `${column.header} is not valid JSON` };
+        }
+    }
+    if (rule && !rule.values.includes(rule.normalize ? rule.normalize(text) : text)) {
+        return { code: ISSUE_CODES.INVALID_VALUE, message: `${column.header} must be one of: ${rule.values.join(', ')}` };
+    }
+
+    return null;
+}
+
+/**
+ * Find malformed rows in one tab
+ * Entirely blank rows are ignored
+ * @param {string} sheet - Tab name
+ * @param {Array<Array>} rows - Rows of the tab, header first
+ * @returns {Array<object>} Issues: { sheet, rowNumber, key, column, code, message }
+ */
+function validateTab(sheet, rows) {
+    const { key, columns } = getSchema(sheet);
+    const keyIndex = key ? columnIndex(sheet, key) : -1;
+    const rules = VALUE_RULES[sheet] || {};
+    const firstSeen = new Map();
+    const issues = [];
+
+    rows.slice(1).forEach((row, i) => {
+        const rowNumber = i + 2;
+        if (!row.some(cell => String(cell === undefined || cell === null ? '' : cell).trim())) return;
+
+        const recordKey = keyIndex === -1 ? '' : String(row[keyIndex] || '').trim();
+        const report = (column, problem) => issues.push({ sheet, rowNumber, key: recordKey, column: column.header, ...problem });
+
+        columns.forEach((column, index) => {
+            const cell = row[index];
+            const problem = checkCell(column, String(cell === undefined || cell === null ? '' : cell).trim(), rules[column.name]);
+            if (problem) report(column, problem);
+        });
+
+        if (recordKey) {
+            const matchKey = columns[keyIndex].type === 'email' ? recordKey.toLowerCase() : recordKey;
+            if (firstSeen.has(matchKey)) {
+                report(columns[keyIndex], {
+                    code: ISSUE_CODES.DUPLICATE_KEY,
+                    message: `${columns[keyIndex].header} ${recordKey} also appears in row ${firstSeen.get(matchKey)}`
+                });
+            } else {
+                firstSeen.set(matchKey, rowNumber);
+            }
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Check every registered tab
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {object} [options] - { sheets: [names] } to limit the check
+ * @returns {Promise<object>} { checkedAt, tabs, totals: { rows, issues, byCode }, issues, truncated }
+ */
+async function checkDataHealth(sheets, spreadsheetId, { sheets: only = null } = {}) {
+    const tabs = [];
+    const issues = [];
+
+    for (const sheet of only || listSheetNames()) {
+        let rows;
+        try {
+            rows = await getSheetValues(sheets, spreadsheetId, sheet);
+        } catch (error) {
+            tabs.push({ sheet, rows: 0, issues: 0, headers: 'unreadable', error: error.message });
+            continue;
+        }
+
+        const tabIssues = validateTab(sheet, rows);
+        issues.push(...tabIssues);
+        tabs.push({
+            sheet,
+            rows: Math.max(rows.length - 1, 0),
+            issues: tabIssues.length,
+            headers: compareHeaders(sheet, rows[0] || []).status
+        });
+    }
+
+    return {
+        checkedAt: new Date().toISOString(),
+        tabs,
+        totals: {
+            rows: tabs.reduce((sum, tab) => sum + tab.rows, 0),
+            issues: issues.length,
+            byCode: issues.reduce((acc, issue) => {
+                acc[issue.code] = (acc[issue.code] || 0) + 1;
+                return acc;
+            }, {})
+        },
+        issues: issues.slice(0, MAX_REPORTED_ISSUES),
+        truncated: issues.length > MAX_REPORTED_ISSUES
+    };
+}
+
+module.exports = {
+    ISSUE_CODES,
+    VALUE_RULES,
+    MAX_REPORTED_ISSUES,
+    validateTab,
+    checkDataHealth
+};
@@ -0,0 +1,63 @@
+/* ****************************************
+ * Transactional Email
+ * Shared SendGrid setup, sender address and HTML escaping for notification emails
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Requires SENDGRID_API_KEY and a sender address (SENDGRID_FROM_EMAIL, or SENDGRID_SENDER_EMAIL)
+ * @note Callers check isEmailConfigured() first and decide for themselves whether a skipped email is worth a warning
+ ****************************************/
+
+const sgMail = require('@sendgrid/mail');
+
+if (process.env.SENDGRID_API_KEY) {
+    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+}
+
+/**
+ * Address notification emails are sent from
+ * @returns {string|undefined} SENDGRID_FROM_EMAIL, else SENDGRID_SENDER_EMAIL
+ */
+function getSenderEmail() {
+    return process.env.SENDGRID_FROM_EMAIL || process.env.SENDGRID_SENDER_EMAIL;
+}
+
+/**
+ * Whether emails can be sent at all
+ * @returns {boolean} True if SendGrid has an API key and a sender address
+ */
+function isEmailConfigured() {
+    return Boolean(process.env.SENDGRID_API_KEY && getSenderEmail());
+}
+
+/**
+ * Escape text for an HTML email body or attribute
+ * @param {*} text - Value to show
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Send an email from the configured sender
+ * @param {object} message - { to, subject, html }
+ * @returns {Promise<void>}
+ * @throws {Error} If SendGrid rejects the message
+ */
+async function sendEmail(message) {
+    await sgMail.send({ from: getSenderEmail(), ...message });
+}
+
+module.exports = {
+    getSenderEmail,
+    isEmailConfigured,
+    escapeHtml,
+    sendEmail
+};
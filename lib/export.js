@@ -0,0 +1,263 @@
+/* ****************************************
+ * Data Export
+ * Dataset definitions and CSV, XLSX and JSON serializers for /api/export
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note CSV follows RFC 4180 and neutralizes formula-like cells
+ * @note XLSX cells are written as plain strings, so formulas in them never evaluate
+ ****************************************/
+
+const ExcelJS = require('exceljs');
+const { getSheetValues } = require('./sheets');
+const { dataRange, fromRow } = require('./schema');
+const { listSubmissions, parseSubmissionQuery, filterSubmissions, sortSubmissions } = require('./submissions');
+const { listCoachingSessions, resolveGeneratedContent } = require('./coaching');
+const { neutralizeFormula } = require('./sanitize');
+const { parseDateParam, timestampValue } = require('./time');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+/**
+ * Longest text Excel accepts in a cell; longer values (e.g. chunked coaching content) are cut in XLSX exports
+ * @type {number}
+ */
+const XLSX_MAX_CELL_LENGTH = 32767;
+
+/**
+ * Apply the shared date range and free-text filters to non-submission records
+ * @param {Array<object>} records - Records to filter
+ * @param {object} query - Request query (from, to, q and dataset filters)
+ * @param {object} options - { dateField, exactFilters: { queryParam: recordField } }
+ * @returns {object} { records, errors }
+ */
+function filterRecords(records, query, { dateField, exactFilters }) {
+    const errors = [];
+    const from = query.from ? parseDateParam(query.from, false) : null;
+    const to = query.to ? parseDateParam(query.to, true) : null;
+
+    if (query.from && !from) errors.push('from must be an ISO date');
+    if (query.to && !to) errors.push('to must be an ISO date');
+    if (errors.length > 0) {
+        return { records: [], errors };
+    }
+
+    const terms = String(query.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+    const filtered = records.filter(record => {
+        for (const [param, field] of Object.entries(exactFilters)) {
+            if (query[param] && String(record[field]).toLowerCase() !== String(query[param]).toLowerCase()) {
+                return false;
+            }
+        }
+
+        if (from || to) {
+            const date = timestampValue(record[dateField]);
+            if (!date) return false;
+            if (from && date < from) return false;
+            if (to && date > to) return false;
+        }
+
+        if (terms.length > 0) {
+            const text = Object.values(record).join(' ').toLowerCase();
+            if (!terms.every(term => text.includes(term))) return false;
+        }
+
+        return true;
+    });
+
+    return { records: filtered.sort((a, b) => timestampValue(b[dateField]) - timestampValue(a[dateField])), errors };
+}
+
+/**
+ * Exportable datasets
+ * Each lists its columns in export order and loads filtered records for a request query
+ * @type {object}
+ */
+const DATASETS = {
+    submissions: {
+        columns: [
+            { key: 'id', header: 'ID' },
+            { key: 'fullName', header: 'Full Name' },
+            { key: 'email', header: 'Email' },
+            { key: 'major', header: 'Major' },
+            { key: 'businessName', header: 'Business Name' },
+            { key: 'businessDescription', header: 'Business Description' },
+            { key: 'timestamp', header: 'Submitted At' },
+            { key: 'status', header: 'Status' },
+            { key: 'statusUpdatedAt', header: 'Status Updated At' },
+            { key: 'statusUpdatedBy', header: 'Status Updated By' },
+            { key: 'tags', header: 'Tags' }
+        ],
+        filters: 'status, major, tag, from, to, q, sort, dir (same as /api/submissions)',
+        async load(sheets, spreadsheetId, query) {
+            const { options, errors } = parseSubmissionQuery(query);
+            if (errors.length > 0) {
+                return { records: [], errors };
+            }
+
+            const submissions = await listSubmissions(sheets, spreadsheetId);
+            return { records: sortSubmissions(filterSubmissions(submissions, options), options.sort, options.dir), errors };
+        }
+    },
+
+    participants: {
+        columns: [
+            { key: 'id', header: 'ID' },
+            { key: 'timestamp', header: 'Submitted At' },
+            { key: 'fullName', header: 'Full Name' },
+            { key: 'email', header: 'Email' },
+            { key: 'involvementType', header: 'Involvement Type' },
+            { key: 'questions', header: 'Questions/Notes' },
+            { key: 'additionalInfo', header: 'Additional Info' },
+            { key: 'status', header: 'Status' }
+        ],
+        filters: 'type, status, from, to, q',
+        async load(sheets, spreadsheetId, query) {
+            const rows = await getSheetValues(sheets, spreadsheetId, dataRange('Participants'));
+            const participants = rows
+                .filter(row => row[1] || row[2])
+                .map(row => fromRow('Participants', row));
+
+            return filterRecords(participants, query, {
+                dateField: 'timestamp',
+                exactFilters: { type: 'involvementType', status: 'status' }
+            });
+        }
+    },
+
+    coaching: {
+        columns: [
+            { key: 'id', header: 'ID' },
+            { key: 'sessionId', header: 'Session ID' },
+            { key: 'timestamp', header: 'Timestamp' },
+            { key: 'studentName', header: 'Student Name' },
+            { key: 'studentEmail', header: 'Student Email' },
+            { key: 'studentMajor', header: 'Student Major' },
+            { key: 'businessIdea', header: 'Business Idea' },
+            { key: 'problemDescription', header: 'Problem' },
+            { key: 'solutionDescription', header: 'Solution' },
+            { key: 'fundingNeeds', header: 'Funding Needs' },
+            { key: 'aiGenerated', header: 'AI Generated' },
+            { key: 'sessionType', header: 'Session Type' },
+            { key: 'generatedContent', header: 'Generated Content' }
+        ],
+        filters: 'email, type, from, to, q',
+        async load(sheets, spreadsheetId, query) {
+            const sessions = (await listCoachingSessions(sheets, spreadsheetId)).filter(s => s.timestamp || s.studentEmail);
+
+            // Reassemble chunked content first so q searches all of it
+            return filterRecords(await resolveGeneratedContent(sheets, spreadsheetId, sessions), query, {
+                dateField: 'timestamp',
+                exactFilters: { email: 'studentEmail', type: 'sessionType' }
+            });
+        }
+    }
+};
+
+/**
+ * Resolve the requested columns for a dataset
+ * @param {object} dataset - Entry from DATASETS
+ * @param {string} requested - Comma-separated column keys (all columns when empty)
+ * @returns {object} { columns, unknown }
+ */
+function selectColumns(dataset, requested) {
+    if (!requested) {
+        return { columns: dataset.columns, unknown: [] };
+    }
+
+    const keys = String(requested).split(',').map(k => k.trim()).filter(Boolean);
+    const unknown = keys.filter(key => !dataset.columns.some(c => c.key === key));
+    const columns = keys
+        .map(key => dataset.columns.find(c => c.key === key))
+        .filter(Boolean);
+
+    return { columns, unknown };
+}
+
+/**
+ * Quote a CSV field per RFC 4180
+ * Fields containing commas, quotes or line breaks are wrapped in quotes,
+ * with embedded quotes doubled
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function escapeCsvField(value) {
+    const text = String(neutralizeFormula(value === null || value === undefined ? '' : String(value)));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize records to CSV
+ * Lines end in CRLF and a byte order mark lets Excel detect UTF-8
+ * @param {Array<object>} records - Records to export
+ * @param {Array<object>} columns - Selected columns
+ * @returns {string} CSV document
+ */
+function toCsv(records, columns) {
+    const lines = [
+        columns.map(c => escapeCsvField(c.header)).join(','),
+        ...records.map(record => columns.map(c => escapeCsvField(record[c.key])).join(','))
+    ];
+
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Serialize records to an XLSX workbook
+ * @param {Array<object>} records - Records to export
+ * @param {Array<object>} columns - Selected columns
+ * @param {string} sheetName - Worksheet name
+ * @returns {Promise<Buffer>} XLSX file contents
+ */
+async function toXlsx(records, columns, sheetName) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'ACC Shark Tank';
+    workbook.created = new Date();
+
+    const worksheet = workbook.addWorksheet(sheetName);
+    worksheet.columns = columns.map(c => ({ header: c.header, key: c.key, width: Math.min(Math.max(c.header.length + 2, 14), 60) }));
+
+    // Values are added as strings so nothing in them is evaluated as a formula
+    records.forEach(record => {
+        worksheet.addRow(columns.reduce((row, c) => {
+            const value = record[c.key] === undefined || record[c.key] === null ? '' : String(record[c.key]);
+            row[c.key] = value.length > XLSX_MAX_CELL_LENGTH ? value.slice(0, XLSX_MAX_CELL_LENGTH) : value;
+            return row;
+        }, {}));
+    });
+
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+    worksheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Serialize records to JSON, keeping only the selected columns
+ * @param {Array<object>} records - Records to export
+ * @param {Array<object>} columns - Selected columns
+ * @returns {string} JSON document
+ */
+function toJson(records, columns) {
+    return JSON.stringify(records.map(record => columns.reduce((row, c) => {
+        row[c.key] = record[c.key] === undefined ? '' : record[c.key];
+        return row;
+    }, {})), null, 2);
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    DATASETS,
+    selectColumns,
+    escapeCsvField,
+    toCsv,
+    toXlsx,
+    toJson
+};
@@ -0,0 +1,103 @@
+/* ****************************************
+ * Submission Change History
+ * Append-only log of changes made to submissions
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Submission_History tab: ID, Submission ID, Field, Old Value, New Value, Changed By, Changed At, Note
+ * @note Rows are never updated; the newest row for a field is its current value
+ ****************************************/
+
+const { getSheetValues, appendSheetValues, appendSheetRows, ensureSheetHeaders } = require('./sheets');
+const { generateRecordId } = require('./ids');
+const { dataRange, appendRange, headerNames, toRow, fromRow } = require('./schema');
+const { timestampValue } = require('./time');
+
+const HISTORY_RANGE = dataRange('Submission_History');
+const HISTORY_HEADERS = headerNames('Submission_History');
+
+/**
+ * Convert a Submission_History row into a history entry
+ * @param {Array} row - Raw row values
+ * @returns {object} History entry
+ */
+function parseHistoryRow(row) {
+    return fromRow('Submission_History', row);
+}
+
+/**
+ * Read the change history for a submission, oldest first
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} submissionId - Submission UUID
+ * @returns {Promise<Array>} History entries
+ */
+async function listHistory(sheets, spreadsheetId, submissionId) {
+    const rows = await getSheetValues(sheets, spreadsheetId, HISTORY_RANGE);
+    return rows
+        .map(parseHistoryRow)
+        .filter(entry => entry.id && entry.submissionId === submissionId)
+        .sort((a, b) => timestampValue(a.changedAt) - timestampValue(b.changedAt));
+}
+
+/**
+ * Build a history entry from a change
+ * @param {object} change - { submissionId, field, oldValue, newValue, changedBy, changedAt, note }
+ * @returns {object} History entry with a new ID
+ */
+function buildHistoryEntry(change) {
+    return {
+        id: generateRecordId(),
+        submissionId: change.submissionId,
+        field: change.field,
+        oldValue: change.oldValue || '',
+        newValue: change.newValue || '',
+        changedBy: change.changedBy,
+        changedAt: change.changedAt || new Date().toISOString(),
+        note: change.note || ''
+    };
+}
+
+/**
+ * Record a change to a submission
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {object} change - { submissionId, field, oldValue, newValue, changedBy, changedAt, note }
+ * @returns {Promise<object>} The stored history entry
+ */
+async function recordHistory(sheets, spreadsheetId, change) {
+    const entry = buildHistoryEntry(change);
+
+    await ensureSheetHeaders(sheets, spreadsheetId, 'Submission_History', HISTORY_HEADERS);
+    await appendSheetValues(sheets, spreadsheetId, appendRange('Submission_History'), toRow('Submission_History', entry));
+
+    return entry;
+}
+
+/**
+ * Record many changes in a single append
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {Array<object>} changes - Changes as accepted by recordHistory
+ * @returns {Promise<Array>} The stored history entries
+ */
+async function recordHistoryBatch(sheets, spreadsheetId, changes) {
+    const entries = changes.map(buildHistoryEntry);
+    if (entries.length === 0) return entries;
+
+    await ensureSheetHeaders(sheets, spreadsheetId, 'Submission_History', HISTORY_HEADERS);
+    await appendSheetRows(sheets, spreadsheetId, appendRange('Submission_History'),
+        entries.map(entry => toRow('Submission_History', entry)));
+
+    return entries;
+}
+
+module.exports = {
+    HISTORY_RANGE,
+    HISTORY_HEADERS,
+    parseHistoryRow,
+    listHistory,
+    recordHistory,
+    recordHistoryBatch
+};
@@ -0,0 +1,35 @@
+/* ****************************************
+ * Record Identifier Utilities
+ * Durable unique IDs for rows written to Google Sheets
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note IDs are stored in their own column so they survive row deletes and re-sorts
+ ****************************************/
+
+const crypto = require('crypto');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+/**
+ * Generate a new record ID
+ * @returns {string} Random v4 UUID
+ */
+function generateRecordId() {
+    return crypto.randomUUID();
+}
+
+/**
+ * Check whether a value looks like a record ID
+ * @param {string} value - Value to check
+ * @returns {boolean} True if value is a UUID
+ */
+function isRecordId(value) {
+    return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+module.exports = {
+    generateRecordId,
+    isRecordId
+};
@@ -0,0 +1,140 @@
+/* ****************************************
+ * Invitations
+ * Signed, expiring links that let judges, reviewers and admins create their own account
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Invitations tab: ID, Email, Role, Name, Status, Invited By, Created At, Expires At,
+ *       Accepted At, Revoked By, Revoked At, Version
+ * @note Stored statuses are pending, accepted and revoked; a pending invitation past Expires At reads as expired
+ * @note The link's token names the invitation and is signed over its email (lib/tokens.js); the stored
+ *       status is what makes it single-use and revocable
+ ****************************************/
+
+const { getSheetValues } = require('./sheets');
+const { dataRange, fromRow, recordVersion } = require('./schema');
+const { createSignedToken, verifySignedToken } = require('./tokens');
+const { timestampValue } = require('./time');
+
+const INVITATIONS_RANGE = dataRange('Invitations');
+const INVITE_PURPOSE = 'invite';
+
+/**
+ * Invitation statuses (expired is derived, never stored)
+ * @type {object}
+ */
+const INVITATION_STATUSES = {
+    PENDING: 'pending',
+    ACCEPTED: 'accepted',
+    REVOKED: 'revoked',
+    EXPIRED: 'expired'
+};
+
+/**
+ * Roles each inviter may hand out; only superadmins can invite superadmins
+ * @type {object}
+ */
+const INVITABLE_ROLES = {
+    admin: ['reviewer', 'judge', 'admin'],
+    superadmin: ['reviewer', 'judge', 'admin', 'superadmin']
+};
+
+const DEFAULT_INVITE_EXPIRY_DAYS = 7;
+const MAX_INVITE_EXPIRY_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days an invitation stays open unless the inviter picks otherwise
+ * @returns {number} INVITE_EXPIRY_DAYS, or 7 if unset or out of range
+ */
+function getInviteExpiryDays() {
+    const days = parseInt(process.env.INVITE_EXPIRY_DAYS);
+    return days >= 1 && days <= MAX_INVITE_EXPIRY_DAYS ? days : DEFAULT_INVITE_EXPIRY_DAYS;
+}
+
+/**
+ * Status of an invitation as of now
+ * @param {object} invitation - Invitation record
+ * @param {number} [now] - Current time (ms)
+ * @returns {string} Value of INVITATION_STATUSES
+ */
+function invitationStatus(invitation, now = Date.now()) {
+    const status = String(invitation.status).toLowerCase();
+    if (status === INVITATION_STATUSES.PENDING && timestampValue(invitation.expiresAt) <= now) {
+        return INVITATION_STATUSES.EXPIRED;
+    }
+    return status;
+}
+
+/**
+ * Convert an Invitations row into an invitation object
+ * @param {Array} row - Raw row values
+ * @param {number} [now] - Current time (ms)
+ * @returns {object} Invitation with its current status
+ */
+function parseInvitationRow(row, now = Date.now()) {
+    const invitation = fromRow('Invitations', row);
+    return {
+        ...invitation,
+        email: String(invitation.email).toLowerCase(),
+        status: invitationStatus(invitation, now),
+        version: recordVersion(invitation)
+    };
+}
+
+/**
+ * Read every invitation, newest first
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @returns {Promise<Array<object>>} Invitations
+ */
+async function listInvitations(sheets, spreadsheetId) {
+    const now = Date.now();
+    const rows = await getSheetValues(sheets, spreadsheetId, INVITATIONS_RANGE);
+    return rows
+        .filter(row => row[0])
+        .map(row => parseInvitationRow(row, now))
+        .sort((a, b) => timestampValue(b.createdAt) - timestampValue(a.createdAt));
+}
+
+/**
+ * Create the token for an invitation's link
+ * It expires with the invitation
+ * @param {object} invitation - Invitation record
+ * @returns {string} Signed token
+ */
+function createInviteToken(invitation) {
+    const now = Date.now();
+    return createSignedToken({
+        purpose: INVITE_PURPOSE,
+        subject: invitation.id,
+        ttlMs: timestampValue(invitation.expiresAt) - now,
+        binding: invitation.email.toLowerCase()
+    }, now);
+}
+
+/**
+ * Check an invitation link against the invitation it names
+ * @param {string} token - Token from the link
+ * @param {object} invitation - Invitation from the Invitations tab
+ * @returns {boolean} True if the token is genuine and the invitation is still pending
+ */
+function verifyInviteToken(token, invitation) {
+    const fields = verifySignedToken(token, { purpose: INVITE_PURPOSE, binding: invitation.email.toLowerCase() });
+    return Boolean(fields) && fields.subject === invitation.id &&
+        invitationStatus(invitation) === INVITATION_STATUSES.PENDING;
+}
+
+module.exports = {
+    INVITATION_STATUSES,
+    INVITABLE_ROLES,
+    MAX_INVITE_EXPIRY_DAYS,
+    DAY_MS,
+    getInviteExpiryDays,
+    invitationStatus,
+    parseInvitationRow,
+    listInvitations,
+    createInviteToken,
+    verifyInviteToken
+};
@@ -0,0 +1,73 @@
+/* ****************************************
+ * JSON File Persistence
+ * Atomic, serialized read-modify-write of small JSON files
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Used by the local storage adapter and the write outbox
+ * @note Writes go to a temp file and are renamed into place so readers never see a partial file
+ ****************************************/
+
+const fs = require('fs');
+const path = require('path');
+
+// Pending writes per file, shared by every caller in this process
+const writeQueues = new Map();
+
+/**
+ * Read a JSON file
+ * @param {string} filePath - Absolute file path
+ * @param {Function} createDefault - Returns the value to use when the file does not exist
+ * @returns {Promise<*>} Parsed contents
+ */
+async function readJsonFile(filePath, createDefault) {
+    try {
+        const content = await fs.promises.readFile(filePath, 'utf8');
+        return JSON.parse(content);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return createDefault();
+        }
+        throw error;
+    }
+}
+
+/**
+ * Write a JSON file atomically
+ * @param {string} filePath - Absolute file path
+ * @param {*} data - Value to serialize
+ * @returns {Promise<void>}
+ */
+async function writeJsonFile(filePath, data) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Apply a change to a JSON file
+ * Changes to the same file run one at a time within this process
+ * @param {string} filePath - Absolute file path
+ * @param {Function} createDefault - Returns the value to use when the file does not exist
+ * @param {Function} fn - Mutates the loaded data in place and returns a result
+ * @returns {Promise<*>} Result of fn
+ */
+function updateJsonFile(filePath, createDefault, fn) {
+    const pending = writeQueues.get(filePath) || Promise.resolve();
+    const run = pending.then(async () => {
+        const data = await readJsonFile(filePath, createDefault);
+        const result = await fn(data);
+        await writeJsonFile(filePath, data);
+        return result;
+    });
+    writeQueues.set(filePath, run.catch(() => {}));
+    return run;
+}
+
+module.exports = {
+    readJsonFile,
+    writeJsonFile,
+    updateJsonFile
+};
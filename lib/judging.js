@@ -0,0 +1,213 @@
+/* ****************************************
+ * Judge Scoring and Leaderboard
+ * Rubric configuration, score validation and cross-judge normalization
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Scores are stored in the Scores tab, one row per judge per submission
+ * @note Override the rubric with a JSON array in JUDGING_RUBRIC
+ ****************************************/
+
+const { getSheetValues } = require('./sheets');
+const { dataRange, headerNames, fromRow, recordVersion } = require('./schema');
+
+const SCORES_RANGE = dataRange('Scores');
+const SCORES_HEADERS = headerNames('Scores');
+
+/**
+ * Default pitch competition rubric
+ * Weights are relative and need not sum to 1
+ * @type {Array<object>}
+ */
+const DEFAULT_RUBRIC = [
+    { key: 'problem', label: 'Problem & Opportunity', weight: 0.2, max: 10 },
+    { key: 'solution', label: 'Solution & Innovation', weight: 0.25, max: 10 },
+    { key: 'market', label: 'Market & Customers', weight: 0.2, max: 10 },
+    { key: 'businessModel', label: 'Business Model & Feasibility', weight: 0.2, max: 10 },
+    { key: 'presentation', label: 'Pitch Delivery', weight: 0.15, max: 10 }
+];
+
+/**
+ * Get the active rubric
+ * @returns {Array<object>} Rubric criteria { key, label, weight, max }
+ */
+function getRubric() {
+    if (!process.env.JUDGING_RUBRIC) {
+        return DEFAULT_RUBRIC;
+    }
+
+    try {
+        const rubric = JSON.parse(process.env.JUDGING_RUBRIC);
+        const valid = Array.isArray(rubric) && rubric.length > 0 && rubric.every(c =>
+            c && typeof c.key === 'string' && c.weight > 0 && c.max > 0
+        );
+
+        if (!valid) {
+            throw new Error('each criterion needs key, a positive weight and a positive max');
+        }
+
+        return rubric.map(c => ({ key: c.key, label: c.label || c.key, weight: Number(c.weight), max: Number(c.max) }));
+    } catch (error) {
+        console.warn(`Invalid JUDGING_RUBRIC, using default rubric: ${error.message}`);
+        return DEFAULT_RUBRIC;
+    }
+}
+
+/**
+ * Validate a judge's criterion scores against the rubric
+ * @param {Array<object>} rubric - Rubric criteria
+ * @param {object} scores - Map of criterion key to score
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateScores(rubric, scores) {
+    const errors = [];
+
+    if (!scores || typeof scores !== 'object') {
+        return ['Scores are required'];
+    }
+
+    for (const criterion of rubric) {
+        const value = scores[criterion.key];
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+            errors.push(`Missing score for ${criterion.label}`);
+        } else if (value < 0 || value > criterion.max) {
+            errors.push(`${criterion.label} must be between 0 and ${criterion.max}`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Calculate the weighted score on a 0-100 scale
+ * @param {Array<object>} rubric - Rubric criteria
+ * @param {object} scores - Map of criterion key to score
+ * @returns {number} Weighted score rounded to two decimals
+ */
+function calculateWeightedScore(rubric, scores) {
+    const totalWeight = rubric.reduce((sum, c) => sum + c.weight, 0);
+    const weighted = rubric.reduce((sum, c) => sum + c.weight * ((scores[c.key] || 0) / c.max), 0);
+
+    return Math.round((weighted / totalWeight) * 10000) / 100;
+}
+
+/**
+ * Convert a Scores row into a score object
+ * Criterion Scores is stored as JSON
+ * @param {Array} row - Raw row values
+ * @returns {object} Score object
+ */
+function parseScoreRow(row) {
+    const score = fromRow('Scores', row);
+
+    let scores = {};
+    try {
+        scores = score.criterionScores ? JSON.parse(score.criterionScores) : {};
+    } catch (error) {
+        console.warn(`Unreadable criterion scores for score ${score.id}`);
+    }
+
+    return {
+        id: score.id,
+        submissionId: score.submissionId,
+        judgeEmail: String(score.judgeEmail).toLowerCase(),
+        scores,
+        weightedScore: parseFloat(score.weightedScore) || 0,
+        comments: score.comments,
+        createdAt: score.createdAt,
+        updatedAt: score.updatedAt,
+        version: recordVersion(score)
+    };
+}
+
+/**
+ * Read all stored scores
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @returns {Promise<Array>} Score objects
+ */
+async function listScores(sheets, spreadsheetId) {
+    const rows = await getSheetValues(sheets, spreadsheetId, SCORES_RANGE);
+    return rows.map(parseScoreRow).filter(s => s.submissionId && s.judgeEmail);
+}
+
+/**
+ * Normalize scores per judge so lenient and harsh judges count equally
+ * Each judge's weighted scores are converted to z-scores; judges with fewer
+ * than two scores, or no spread, contribute a neutral 0
+ * @param {Array<object>} scores - Score objects
+ * @returns {Array<object>} Score objects with a normalizedScore field
+ */
+function normalizeScores(scores) {
+    const byJudge = scores.reduce((acc, score) => {
+        (acc[score.judgeEmail] = acc[score.judgeEmail] || []).push(score.weightedScore);
+        return acc;
+    }, {});
+
+    const judgeStats = {};
+    for (const [judge, values] of Object.entries(byJudge)) {
+        const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+        const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+        judgeStats[judge] = { mean, stdDev: Math.sqrt(variance) };
+    }
+
+    return scores.map(score => {
+        const { mean, stdDev } = judgeStats[score.judgeEmail];
+        const normalizedScore = stdDev > 0 ? (score.weightedScore - mean) / stdDev : 0;
+        return { ...score, normalizedScore: Math.round(normalizedScore * 1000) / 1000 };
+    });
+}
+
+/**
+ * Rank submissions by their average normalized score
+ * Ties are broken by average raw score, then by number of judges
+ * @param {Array<object>} scores - Score objects
+ * @param {Array<object>} submissions - Submission objects
+ * @returns {Array<object>} Ranked leaderboard entries
+ */
+function buildLeaderboard(scores, submissions) {
+    const normalized = normalizeScores(scores);
+    const submissionsById = new Map(submissions.map(s => [s.id, s]));
+
+    const grouped = normalized.reduce((acc, score) => {
+        (acc[score.submissionId] = acc[score.submissionId] || []).push(score);
+        return acc;
+    }, {});
+
+    const average = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+    const entries = Object.entries(grouped).map(([submissionId, entryScores]) => {
+        const submission = submissionsById.get(submissionId) || {};
+        return {
+            submissionId,
+            businessName: submission.businessName || '',
+            fullName: submission.fullName || '',
+            status: submission.status || '',
+            judgeCount: entryScores.length,
+            averageScore: Math.round(average(entryScores.map(s => s.weightedScore)) * 100) / 100,
+            normalizedScore: Math.round(average(entryScores.map(s => s.normalizedScore)) * 1000) / 1000
+        };
+    });
+
+    entries.sort((a, b) =>
+        b.normalizedScore - a.normalizedScore ||
+        b.averageScore - a.averageScore ||
+        b.judgeCount - a.judgeCount
+    );
+
+    return entries.map((entry, index) => ({ rank: index + 1, ...entry }));
+}
+
+module.exports = {
+    SCORES_RANGE,
+    SCORES_HEADERS,
+    DEFAULT_RUBRIC,
+    getRubric,
+    validateScores,
+    calculateWeightedScore,
+    parseScoreRow,
+    listScores,
+    normalizeScores,
+    buildLeaderboard
+};
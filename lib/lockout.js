@@ -0,0 +1,202 @@
+/* ****************************************
+ * Account Lockout
+ * Per-account failed sign-in tracking with progressive delays
+ *
+ * @author ACC Development Team
+ * @version 1.1
+ * @date July 2025
+ * @note Counters live in the Users tab (FailedLogins, LastFailedLogin, LockedUntil), so every instance sees them
+ * @note Works alongside the per-IP login limit in lib/rate-limit: that one stops one address guessing many
+ *       accounts, this one stops many addresses guessing one account
+ * @note Counter writes are bookkeeping and never bump the user's version
+ * @note Every attempt is counted before the password is checked, and the check and count for one account run
+ *       one at a time within this process, so a burst of guesses cannot all pass the check first
+ ****************************************/
+
+const { updateRecord, UPDATE_OUTCOMES } = require('./sheets');
+const { timestampValue } = require('./time');
+
+/**
+ * Lockout policy
+ * freeAttempts   - failures allowed before any delay
+ * baseDelayMs    - wait after the first failure beyond freeAttempts, doubled for each one after
+ * maxDelayMs     - longest progressive wait
+ * lockAfter      - failures that lock the account (and email its owner)
+ * lockDurationMs - how long a lock lasts unless an admin unlocks it sooner
+ * resetAfterMs   - a quiet period after which the count starts over
+ * @type {object}
+ */
+const LOCKOUT_POLICY = {
+    freeAttempts: 3,
+    baseDelayMs: 30 * 1000,
+    maxDelayMs: 15 * 60 * 1000,
+    lockAfter: 10,
+    lockDurationMs: 60 * 60 * 1000,
+    resetAfterMs: 24 * 60 * 60 * 1000
+};
+
+// Pending counter updates per account, shared by every caller in this process
+const accountQueues = new Map();
+
+/**
+ * Failures that still count, ignoring any run that went quiet long enough to reset
+ * @param {object} user - User from parseUserRow
+ * @param {number} now - Current time (ms)
+ * @returns {number} Failed sign-ins in the current run
+ */
+function activeFailures(user, now) {
+    const last = timestampValue(user.lastFailedLogin);
+    if (!last || now - last > LOCKOUT_POLICY.resetAfterMs) {
+        return 0;
+    }
+    return parseInt(user.failedLogins) || 0;
+}
+
+/**
+ * Wait imposed after a number of failures
+ * @param {number} failures - Failed sign-ins in the current run
+ * @returns {number} Delay in ms (0 while within freeAttempts)
+ */
+function progressiveDelay(failures) {
+    if (failures < LOCKOUT_POLICY.freeAttempts) {
+        return 0;
+    }
+    const steps = failures - LOCKOUT_POLICY.freeAttempts;
+    return Math.min(LOCKOUT_POLICY.baseDelayMs * 2 ** steps, LOCKOUT_POLICY.maxDelayMs);
+}
+
+/**
+ * Work out whether an account may try to sign in now
+ * @param {object} user - User from parseUserRow
+ * @param {number} [now] - Current time (ms)
+ * @returns {object} { blocked, locked, failedLogins, retryAfterMs, lockedUntil }
+ */
+function getLoginState(user, now = Date.now()) {
+    const failedLogins = activeFailures(user, now);
+    const lockedUntil = timestampValue(user.lockedUntil);
+
+    if (lockedUntil && lockedUntil > now) {
+        return { blocked: true, locked: true, failedLogins, retryAfterMs: lockedUntil - now, lockedUntil: user.lockedUntil };
+    }
+
+    const waitUntil = timestampValue(user.lastFailedLogin) + progressiveDelay(failedLogins);
+    return {
+        blocked: failedLogins > 0 && waitUntil > now,
+        locked: false,
+        failedLogins,
+        retryAfterMs: Math.max(waitUntil - now, 0),
+        lockedUntil: null
+    };
+}
+
+/**
+ * Run counter updates for one account one at a time within this process
+ * @param {string} email - Account email
+ * @param {Function} fn - Async update to run
+ * @returns {Promise<*>} Result of fn
+ */
+function queueForAccount(email, fn) {
+    const key = String(email).trim().toLowerCase();
+    const pending = accountQueues.get(key) || Promise.resolve();
+    const run = pending.then(fn);
+
+    const settled = run.catch(() => {});
+    accountQueues.set(key, settled);
+    settled.then(() => {
+        if (accountQueues.get(key) === settled) accountQueues.delete(key);
+    });
+
+    return run;
+}
+
+/**
+ * Check an account may try to sign in and, if so, count the attempt as a failure
+ * Call before checking the password and clear the count with clearFailedLogins if it matches.
+ * The check runs on a fresh read and is followed by the write, one attempt per account at a time,
+ * so concurrent guesses see each other's counts. Reaching lockAfter failures (or failing again after
+ * a lock expired) locks the account.
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} email - Account email
+ * @returns {Promise<object|null>} { blocked, state } when the account must wait (state from getLoginState),
+ *   { blocked: false, failedLogins, lockedUntil, justLocked } when the attempt was counted,
+ *   or null if the user is gone
+ */
+function recordLoginAttempt(sheets, spreadsheetId, email) {
+    return queueForAccount(email, async () => {
+        const now = Date.now();
+        let result = null;
+
+        const { outcome } = await updateRecord(sheets, spreadsheetId, 'Users', email, current => {
+            const state = getLoginState(current, now);
+            if (state.blocked) {
+                result = { blocked: true, state };
+                return null;
+            }
+
+            const failedLogins = state.failedLogins + 1;
+            const alreadyLocked = timestampValue(current.lockedUntil) > now;
+            const justLocked = failedLogins >= LOCKOUT_POLICY.lockAfter && !alreadyLocked;
+            const lockedUntil = justLocked
+                ? new Date(now + LOCKOUT_POLICY.lockDurationMs).toISOString()
+                : (current.lockedUntil || '');
+
+            result = { blocked: false, failedLogins, lockedUntil: lockedUntil || null, justLocked };
+            return { failedLogins, lastFailedLogin: new Date(now).toISOString(), lockedUntil };
+        }, { bumpVersion: false });
+
+        return outcome === UPDATE_OUTCOMES.NOT_FOUND ? null : result;
+    });
+}
+
+/**
+ * Clear an account's failed sign-ins and any lock
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} email - Account email
+ * @returns {Promise<string>} Outcome from UPDATE_OUTCOMES
+ */
+function clearFailedLogins(sheets, spreadsheetId, email) {
+    return queueForAccount(email, async () => {
+        const { outcome } = await updateRecord(sheets, spreadsheetId, 'Users', email, current => (
+            parseInt(current.failedLogins) || current.lastFailedLogin || current.lockedUntil
+                ? { failedLogins: 0, lastFailedLogin: '', lockedUntil: '' }
+                : null
+        ), { bumpVersion: false });
+
+        return outcome;
+    });
+}
+
+/**
+ * Accounts that are locked or waiting out a delay
+ * @param {Array<object>} users - Users from listUsers
+ * @param {number} [now] - Current time (ms)
+ * @returns {Array<object>} { email, name, role, failedLogins, lastFailedLogin, lockedUntil, locked, retryAfterMs },
+ *   locked accounts first
+ */
+function listLockedAccounts(users, now = Date.now()) {
+    return users
+        .map(user => ({ user, state: getLoginState(user, now) }))
+        .filter(({ state }) => state.blocked)
+        .map(({ user, state }) => ({
+            email: user.email,
+            name: user.name || '',
+            role: user.role,
+            failedLogins: state.failedLogins,
+            lastFailedLogin: user.lastFailedLogin,
+            lockedUntil: state.lockedUntil,
+            locked: state.locked,
+            retryAfterMs: state.retryAfterMs
+        }))
+        .sort((a, b) => Number(b.locked) - Number(a.locked) || b.retryAfterMs - a.retryAfterMs);
+}
+
+module.exports = {
+    LOCKOUT_POLICY,
+    progressiveDelay,
+    getLoginState,
+    recordLoginAttempt,
+    clearFailedLogins,
+    listLockedAccounts
+};
@@ -0,0 +1,305 @@
+/* ****************************************
+ * Write Outbox
+ * Durable local queue for sheet appends that failed, retried with exponential backoff
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Entries live in a JSON file (OUTBOX_FILE_PATH, default <tmpdir>/acc-outbox.json)
+ * @note Vercel's /tmp is per-instance - point OUTBOX_FILE_PATH at persistent disk when self-hosting
+ * @note Each entry carries a dedupe key so a write that reached the sheet is never appended twice
+ ****************************************/
+
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createSheetsClient, appendSheetValues, findRowByKey } = require('./sheets');
+const { readJsonFile, updateJsonFile } = require('./json-file');
+
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_BATCH_SIZE = 10;
+
+/**
+ * Entry lifecycle
+ * Pending entries are retried automatically; failed entries wait for an admin
+ * @type {object}
+ */
+const OUTBOX_STATUSES = {
+    PENDING: 'pending',
+    FAILED: 'failed'
+};
+
+const emptyOutbox = () => ({ entries: [] });
+
+// The drain currently running in this process, if any
+let activeDrain = null;
+
+/**
+ * Resolve the outbox file path
+ * @returns {string} Absolute path to the outbox file
+ */
+function getOutboxFilePath() {
+    return process.env.OUTBOX_FILE_PATH
+        ? path.resolve(process.env.OUTBOX_FILE_PATH)
+        : path.join(os.tmpdir(), 'acc-outbox.json');
+}
+
+/**
+ * Attempts allowed before an entry is parked as failed
+ * @returns {number} Maximum attempts
+ */
+function getMaxAttempts() {
+    return parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+}
+
+/**
+ * Delay before the next attempt
+ * Doubles with each attempt up to MAX_DELAY_MS, with "equal jitter" so
+ * entries queued together do not all retry at the same moment
+ * @param {number} attempts - Attempts made so far (including the original write)
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+function computeBackoff(attempts, random = Math.random) {
+    const exponential = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+    return Math.round(exponential / 2 + random() * (exponential / 2));
+}
+
+/**
+ * Read every outbox entry
+ * @returns {Promise<Array>} Entries, oldest first
+ */
+async function listOutbox() {
+    const data = await readJsonFile(getOutboxFilePath(), emptyOutbox);
+    return data.entries || [];
+}
+
+/**
+ * Summarize the outbox for the dashboard
+ * @param {Array<object>} entries - Outbox entries
+ * @param {number} now - Current time in milliseconds
+ * @returns {object} Counts and timing
+ */
+function getOutboxStats(entries, now = Date.now()) {
+    const pending = entries.filter(e => e.status === OUTBOX_STATUSES.PENDING);
+    const upcoming = pending.map(e => e.nextAttemptAt).sort();
+
+    return {
+        total: entries.length,
+        pending: pending.length,
+        failed: entries.filter(e => e.status === OUTBOX_STATUSES.FAILED).length,
+        due: pending.filter(e => Date.parse(e.nextAttemptAt) <= now).length,
+        oldestCreatedAt: entries.length > 0 ? entries[0].createdAt : null,
+        nextAttemptAt: upcoming[0] || null,
+        maxAttempts: getMaxAttempts()
+    };
+}
+
+/**
+ * Queue a failed append for retry
+ * @param {object} write - { spreadsheetId, range, values, source, dedupe: { range, keyIndex, key }, error }
+ * @returns {Promise<object>} The stored entry
+ */
+async function enqueueWrite({ spreadsheetId, range, values, source, dedupe = null, error = '' }) {
+    const now = new Date();
+    const entry = {
+        id: crypto.randomUUID(),
+        spreadsheetId,
+        range,
+        values,
+        source,
+        dedupe,
+        attempts: 1,
+        status: OUTBOX_STATUSES.PENDING,
+        createdAt: now.toISOString(),
+        lastAttemptAt: now.toISOString(),
+        nextAttemptAt: new Date(now.getTime() + computeBackoff(1)).toISOString(),
+        lastError: error
+    };
+
+    await updateJsonFile(getOutboxFilePath(), emptyOutbox, data => {
+        data.entries = data.entries || [];
+        data.entries.push(entry);
+    });
+
+    console.error(`Queued ${source} write to ${range} in outbox as ${entry.id}: ${error}`);
+    return entry;
+}
+
+/**
+ * Apply a change to a single entry
+ * @param {string} id - Entry ID
+ * @param {Function} fn - Receives the entry and returns false to delete it
+ * @returns {Promise<object|null>} The entry (before deletion), or null if not found
+ */
+function updateEntry(id, fn) {
+    return updateJsonFile(getOutboxFilePath(), emptyOutbox, data => {
+        data.entries = data.entries || [];
+        const index = data.entries.findIndex(e => e.id === id);
+        if (index === -1) return null;
+
+        const entry = data.entries[index];
+        if (fn(entry) === false) {
+            data.entries.splice(index, 1);
+        }
+        return entry;
+    });
+}
+
+/**
+ * Try to deliver one entry
+ * A row matching the dedupe key means an earlier attempt succeeded after all
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {object} entry - Outbox entry
+ * @returns {Promise<string>} 'appended' or 'duplicate'
+ */
+async function deliver(sheets, entry) {
+    const { dedupe } = entry;
+    if (dedupe && dedupe.key) {
+        const existing = await findRowByKey(sheets, entry.spreadsheetId, dedupe.range, dedupe.keyIndex, dedupe.key);
+        if (existing) return 'duplicate';
+    }
+
+    await appendSheetValues(sheets, entry.spreadsheetId, entry.range, entry.values);
+    return 'appended';
+}
+
+/**
+ * Retry due entries
+ * Only one drain runs at a time per process; general drains share the one in
+ * progress, targeted ones wait for it to finish
+ * @param {object} options - { req, force, ids, limit }
+ *   force - ignore nextAttemptAt and include failed entries
+ *   ids   - only process these entries
+ * @returns {Promise<object>} { attempted, delivered, rescheduled, failed }
+ */
+function processOutbox(options = {}) {
+    if (activeDrain && !options.ids) return activeDrain;
+
+    const run = (activeDrain || Promise.resolve())
+        .catch(() => {})
+        .then(() => drain(options));
+    const tracked = run.finally(() => {
+        if (activeDrain === tracked) activeDrain = null;
+    });
+    activeDrain = tracked;
+    return tracked;
+}
+
+/**
+ * Run one pass over the outbox
+ * @param {object} options - See processOutbox
+ * @returns {Promise<object>} Result counts
+ */
+async function drain({ req, force = false, ids = null, limit = DEFAULT_BATCH_SIZE } = {}) {
+    const now = Date.now();
+    const result = { attempted: 0, delivered: 0, rescheduled: 0, failed: 0 };
+
+    const due = (await listOutbox())
+        .filter(e => !ids || ids.includes(e.id))
+        .filter(e => force || (e.status === OUTBOX_STATUSES.PENDING && Date.parse(e.nextAttemptAt) <= now))
+        .slice(0, limit);
+
+    if (due.length === 0) return result;
+
+    let sheets = null;
+    for (const entry of due) {
+        result.attempted += 1;
+
+        try {
+            sheets = sheets || await createSheetsClient(req);
+            const outcome = await deliver(sheets, entry);
+            await updateEntry(entry.id, () => false);
+            result.delivered += 1;
+            console.log(`Outbox entry ${entry.id} delivered (${outcome}) after ${entry.attempts} failed attempt(s)`);
+        } catch (error) {
+            const maxAttempts = getMaxAttempts();
+            const updated = await updateEntry(entry.id, e => {
+                e.attempts += 1;
+                e.lastAttemptAt = new Date().toISOString();
+                e.lastError = error.message;
+                e.status = e.attempts >= maxAttempts ? OUTBOX_STATUSES.FAILED : OUTBOX_STATUSES.PENDING;
+                e.nextAttemptAt = new Date(Date.now() + computeBackoff(e.attempts)).toISOString();
+            });
+
+            if (updated && updated.status === OUTBOX_STATUSES.FAILED) {
+                result.failed += 1;
+                console.error(`Outbox entry ${entry.id} failed ${updated.attempts} times and needs attention: ${error.message}`);
+            } else {
+                result.rescheduled += 1;
+                console.warn(`Outbox entry ${entry.id} retry failed: ${error.message}`);
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Put an entry back in the queue and try it immediately
+ * @param {string} id - Entry ID
+ * @param {object} req - Request object (reuses its storage client)
+ * @returns {Promise<object|null>} Drain result, or null if the entry does not exist
+ */
+async function retryEntry(id, req) {
+    const entry = await updateEntry(id, e => {
+        e.status = OUTBOX_STATUSES.PENDING;
+        // One more try for entries that had used up their attempts
+        e.attempts = Math.min(e.attempts, getMaxAttempts() - 1);
+    });
+    if (!entry) return null;
+
+    return processOutbox({ req, force: true, ids: [id] });
+}
+
+/**
+ * Remove an entry without writing it
+ * @param {string} id - Entry ID
+ * @returns {Promise<object|null>} The removed entry, or null if not found
+ */
+function discardEntry(id) {
+    return updateEntry(id, () => false);
+}
+
+/**
+ * Append a row, queueing it in the outbox if the write fails
+ * A successful write also gives due entries a chance to drain
+ * @param {object} req - Request object (reuses its storage client)
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} range - The A1 notation range to append to
+ * @param {Array} values - Row values
+ * @param {object} meta - { source, dedupe: { range, keyIndex, key } }
+ * @returns {Promise<object>} { queued: false } or { queued: true, entryId }
+ */
+async function appendOrQueue(req, spreadsheetId, range, values, { source, dedupe = null }) {
+    try {
+        const sheets = await createSheetsClient(req);
+        await appendSheetValues(sheets, spreadsheetId, range, values);
+    } catch (error) {
+        const entry = await enqueueWrite({ spreadsheetId, range, values, source, dedupe, error: error.message });
+        return { queued: true, entryId: entry.id };
+    }
+
+    try {
+        await processOutbox({ req, limit: 3 });
+    } catch (error) {
+        console.warn('Outbox drain failed:', error.message);
+    }
+
+    return { queued: false };
+}
+
+module.exports = {
+    OUTBOX_STATUSES,
+    getOutboxFilePath,
+    computeBackoff,
+    listOutbox,
+    getOutboxStats,
+    enqueueWrite,
+    processOutbox,
+    retryEntry,
+    discardEntry,
+    appendOrQueue
+};
@@ -0,0 +1,74 @@
+/* ****************************************
+ * File Rate Limit Store
+ * Keeps limiter state in a JSON file so it survives restarts
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Selected when RATE_LIMIT_STORE=file
+ * @note File location defaults to <tmpdir>/acc-rate-limit.json (override with RATE_LIMIT_FILE_PATH)
+ * @note Updates are serialized within a process; for several hosts or serverless instances use the Redis store
+ ****************************************/
+
+const os = require('os');
+const path = require('path');
+const { readJsonFile, updateJsonFile } = require('../json-file');
+
+const emptyFile = () => ({ entries: {} });
+
+/**
+ * Resolve the state file path
+ * @returns {string} Absolute path to the rate limit file
+ */
+function getRateLimitFilePath() {
+    return process.env.RATE_LIMIT_FILE_PATH
+        ? path.resolve(process.env.RATE_LIMIT_FILE_PATH)
+        : path.join(os.tmpdir(), 'acc-rate-limit.json');
+}
+
+/**
+ * Create a file-backed store
+ * @returns {object} Rate limit store
+ */
+function createFileStore() {
+    const filePath = getRateLimitFilePath();
+
+    return {
+        name: 'file',
+
+        async get(key) {
+            const data = await readJsonFile(filePath, emptyFile);
+            const entry = data.entries[key];
+            return entry && entry.expiresAt > Date.now() ? entry.state : null;
+        },
+
+        update(key, mutate, ttlMs) {
+            return updateJsonFile(filePath, emptyFile, data => {
+                const now = Date.now();
+
+                // Expired entries are dropped on every write so the file stays small
+                Object.keys(data.entries).forEach(existing => {
+                    if (data.entries[existing].expiresAt <= now) delete data.entries[existing];
+                });
+
+                const current = data.entries[key];
+                const next = mutate(current ? current.state : null);
+                if (next) {
+                    data.entries[key] = { state: next, expiresAt: now + ttlMs };
+                }
+                return next;
+            });
+        },
+
+        async delete(key) {
+            await updateJsonFile(filePath, emptyFile, data => {
+                delete data.entries[key];
+            });
+        }
+    };
+}
+
+module.exports = {
+    getRateLimitFilePath,
+    createFileStore
+};
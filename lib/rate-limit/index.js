@@ -0,0 +1,237 @@
+/* ****************************************
+ * Rate Limiting
+ * Per-route limits with a shared store, plus the standard RateLimit response headers
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Limits are declared in RATE_LIMITS; override one with RATE_LIMIT_<ROUTE>=[policy:]limit/window,
+ *       e.g. RATE_LIMIT_LOGIN=10/15m or RATE_LIMIT_GENERATE=token-bucket:20/1h
+ * @note RATE_LIMIT_STORE picks the store: memory, file or redis (default redis when RATE_LIMIT_REDIS_REST_URL is set)
+ * @note Requests are keyed by getClientIp (lib/client-ip.js), never by a raw X-Forwarded-For header
+ * @note If the store fails the request is allowed and a warning logged, so an outage never locks everyone out
+ *
+ * Every store implements the same interface:
+ *   get(key)                    -> state | null
+ *   update(key, mutate, ttlMs)  -> state written (mutate(current) returns the next state, or null to write nothing)
+ *   delete(key)                 -> void
+ ****************************************/
+
+const { POLICIES } = require('./policies');
+const { createMemoryStore } = require('./memory-store');
+const { createFileStore } = require('./file-store');
+const { createRedisStore } = require('./redis-store');
+
+/**
+ * Registered stores by name
+ * @type {object}
+ */
+const STORES = {
+    memory: createMemoryStore,
+    file: createFileStore,
+    redis: createRedisStore
+};
+
+/**
+ * Default limit for each rate-limited route
+ * login    - failed sign-ins per IP; a successful sign-in clears it. Loose, because staff can share a campus
+ *            address and each account has its own lockout (lib/lockout.js)
+ * submit   - registrations per IP
+ * generate - AI generations per IP; the bucket allows a burst, then refills over the hour
+ * forgot   - password reset emails, counted per IP and per address
+ * reset    - failed password resets (bad or expired links) per IP
+ * invite   - bad, expired or used invitation links per IP
+ * @type {object}
+ */
+const RATE_LIMITS = {
+    login: { policy: 'sliding-window', limit: 20, windowMs: 15 * 60 * 1000 },
+    submit: { policy: 'sliding-window', limit: 3, windowMs: 60 * 60 * 1000 },
+    generate: { policy: 'token-bucket', limit: 10, windowMs: 60 * 60 * 1000 },
+    forgot: { policy: 'sliding-window', limit: 5, windowMs: 60 * 60 * 1000 },
+    reset: { policy: 'sliding-window', limit: 10, windowMs: 60 * 60 * 1000 },
+    invite: { policy: 'sliding-window', limit: 10, windowMs: 60 * 60 * 1000 }
+};
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// One store and one limiter per route, shared by every request in this process
+let store = null;
+const limiters = new Map();
+
+/**
+ * Get the configured store name
+ * @returns {string} Store name
+ */
+function getRateLimitStoreName() {
+    return (process.env.RATE_LIMIT_STORE || (process.env.RATE_LIMIT_REDIS_REST_URL ? 'redis' : 'memory')).toLowerCase();
+}
+
+/**
+ * Create (once) the configured store
+ * @returns {object} Rate limit store
+ * @throws {Error} If RATE_LIMIT_STORE names an unknown store
+ */
+function getRateLimitStore() {
+    if (store) return store;
+
+    const name = getRateLimitStoreName();
+    const factory = STORES[name];
+
+    if (!factory) {
+        throw new Error(`Unknown RATE_LIMIT_STORE "${name}" (expected one of: ${Object.keys(STORES).join(', ')})`);
+    }
+    if (name === 'memory' && process.env.VERCEL) {
+        console.warn('Rate limits use the memory store - they reset on every cold start; set RATE_LIMIT_REDIS_REST_URL to share them');
+    }
+
+    store = factory();
+    return store;
+}
+
+/**
+ * Parse a RATE_LIMIT_<ROUTE> override
+ * @param {string} value - '[policy:]limit/window', window as a number with ms, s, m or h (default s)
+ * @returns {object|null} { policy, limit, windowMs }, or null if the value is malformed
+ */
+function parseLimitSetting(value) {
+    const match = String(value).trim().match(/^(?:([a-z-]+):)?(\d+)\/(\d+)(ms|s|m|h)?$/i);
+    if (!match) return null;
+
+    const [, policy, limit, amount, unit = 's'] = match;
+    if (policy && !POLICIES[policy.toLowerCase()]) return null;
+    if (parseInt(limit) < 1 || parseInt(amount) < 1) return null;
+
+    return {
+        policy: policy ? policy.toLowerCase() : null,
+        limit: parseInt(limit),
+        windowMs: parseInt(amount) * DURATION_UNITS[unit.toLowerCase()]
+    };
+}
+
+/**
+ * Resolve a route's limit, applying any environment override
+ * @param {string} route - Key of RATE_LIMITS
+ * @returns {object} { policy, limit, windowMs }
+ * @throws {Error} If the route has no limit
+ */
+function getRouteLimit(route) {
+    const defaults = RATE_LIMITS[route];
+    if (!defaults) {
+        throw new Error(`No rate limit configured for ${route}`);
+    }
+
+    const setting = process.env[`RATE_LIMIT_${route.toUpperCase()}`];
+    if (!setting) return defaults;
+
+    const override = parseLimitSetting(setting);
+    if (!override) {
+        console.warn(`Ignoring malformed RATE_LIMIT_${route.toUpperCase()}="${setting}" (expected [policy:]limit/window, e.g. 5/15m)`);
+        return defaults;
+    }
+
+    return { ...override, policy: override.policy || defaults.policy };
+}
+
+/**
+ * Decision used when the store cannot be reached
+ * @param {object} policy - Route policy
+ * @returns {object} Allowing decision without quota details
+ */
+function degradedDecision(policy) {
+    return { allowed: true, degraded: true, limit: policy.limit, policy: policy.header };
+}
+
+/**
+ * Get the limiter for a route
+ * @param {string} route - Key of RATE_LIMITS
+ * @returns {object} { check(key), consume(key, cost), reset(key) }, each resolving to a decision
+ *   { allowed, limit, remaining, resetMs, retryAfterMs, policy }
+ */
+function getRateLimiter(route) {
+    if (limiters.has(route)) return limiters.get(route);
+
+    const { policy: policyName, limit, windowMs } = getRouteLimit(route);
+    const policy = POLICIES[policyName]({ limit, windowMs });
+    const storeKey = (key) => `${route}:${key}`;
+    const decide = (state, cost) => ({ ...policy.evaluate(state, Date.now(), cost), policy: policy.header });
+
+    const limiter = {
+        route,
+        policy,
+
+        // Would one more request be allowed? Counts nothing, and reports the quota as it stands
+        async check(key) {
+            try {
+                const stored = await getRateLimitStore().get(storeKey(key));
+                const next = decide(stored, 1);
+                const { state, ...current } = decide(stored, 0);
+                return { ...current, allowed: next.allowed, retryAfterMs: next.retryAfterMs };
+            } catch (error) {
+                console.warn(`Rate limit check for ${route} failed:`, error.message);
+                return degradedDecision(policy);
+            }
+        },
+
+        // Count a request if it fits the limit
+        async consume(key, cost = 1) {
+            try {
+                let decision = null;
+                await getRateLimitStore().update(storeKey(key), current => {
+                    decision = decide(current, cost);
+                    return decision.allowed ? decision.state : null;
+                }, policy.ttlMs);
+
+                const { state, ...result } = decision;
+                if (result.allowed) {
+                    console.log(`Rate limit ${route}: ${result.limit - result.remaining}/${result.limit} used by ${key}`);
+                }
+                return result;
+            } catch (error) {
+                console.warn(`Rate limit update for ${route} failed:`, error.message);
+                return degradedDecision(policy);
+            }
+        },
+
+        // Forget everything counted for a key
+        async reset(key) {
+            try {
+                await getRateLimitStore().delete(storeKey(key));
+            } catch (error) {
+                console.warn(`Rate limit reset for ${route} failed:`, error.message);
+            }
+        }
+    };
+
+    limiters.set(route, limiter);
+    return limiter;
+}
+
+/**
+ * Set the RateLimit-* headers for a decision, plus Retry-After when it blocks
+ * @param {object} res - Response object
+ * @param {object} decision - From a limiter
+ * @returns {void}
+ */
+function setRateLimitHeaders(res, decision) {
+    if (!decision || decision.degraded) return;
+
+    res.setHeader('RateLimit-Policy', decision.policy);
+    res.setHeader('RateLimit-Limit', String(decision.limit));
+    res.setHeader('RateLimit-Remaining', String(decision.remaining));
+    res.setHeader('RateLimit-Reset', String(Math.ceil(decision.resetMs / 1000)));
+
+    if (!decision.allowed) {
+        res.setHeader('Retry-After', String(Math.max(Math.ceil(decision.retryAfterMs / 1000), 1)));
+    }
+}
+
+module.exports = {
+    STORES,
+    RATE_LIMITS,
+    getRateLimitStoreName,
+    getRateLimitStore,
+    parseLimitSetting,
+    getRouteLimit,
+    getRateLimiter,
+    setRateLimitHeaders
+};
@@ -0,0 +1,65 @@
+/* ****************************************
+ * In-Memory Rate Limit Store
+ * Keeps limiter state in this process
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Selected when RATE_LIMIT_STORE=memory (the default without Redis settings)
+ * @note State is per instance and lost on a cold start - fine for local development, weak on serverless
+ ****************************************/
+
+/**
+ * Entries kept before expired ones are swept
+ * @type {number}
+ */
+const SWEEP_THRESHOLD = 1000;
+
+/**
+ * Create an in-memory store
+ * @returns {object} Rate limit store
+ */
+function createMemoryStore() {
+    const entries = new Map();
+
+    const sweep = (now) => {
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) entries.delete(key);
+        }
+    };
+
+    const read = (key, now) => {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= now) {
+            entries.delete(key);
+            return null;
+        }
+        return entry.state;
+    };
+
+    return {
+        name: 'memory',
+
+        async get(key) {
+            return read(key, Date.now());
+        },
+
+        async update(key, mutate, ttlMs) {
+            const now = Date.now();
+            const next = mutate(read(key, now));
+
+            if (next) {
+                if (entries.size >= SWEEP_THRESHOLD) sweep(now);
+                entries.set(key, { state: next, expiresAt: now + ttlMs });
+            }
+            return next;
+        },
+
+        async delete(key) {
+            entries.delete(key);
+        }
+    };
+}
+
+module.exports = { createMemoryStore };
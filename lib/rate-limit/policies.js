@@ -0,0 +1,103 @@
+/* ****************************************
+ * Rate Limit Policies
+ * Pure functions that decide whether a request fits its limit
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note A policy never touches storage: it takes the stored state and returns a decision plus the next state
+ *
+ * Every policy implements:
+ *   evaluate(state, now, cost) -> { allowed, limit, remaining, resetMs, retryAfterMs, state }
+ *   ttlMs                      -> how long an untouched state stays relevant
+ *   header                     -> RateLimit-Policy value
+ ****************************************/
+
+/**
+ * Sliding window: at most `limit` requests in any `windowMs` span
+ * Keeps the time of each counted request, so the window is exact rather than approximated
+ * @param {object} options - { limit, windowMs }
+ * @returns {object} Policy
+ */
+function slidingWindow({ limit, windowMs }) {
+    return {
+        name: 'sliding-window',
+        limit,
+        windowMs,
+        ttlMs: windowMs,
+        header: `${limit};w=${Math.ceil(windowMs / 1000)}`,
+
+        evaluate(state, now, cost = 1) {
+            const hits = ((state && state.hits) || []).filter(time => time > now - windowMs);
+            const allowed = hits.length + cost <= limit;
+
+            if (allowed) {
+                for (let i = 0; i < cost; i++) hits.push(now);
+            }
+
+            // The oldest counted request frees a slot when it leaves the window
+            const needed = Math.min(Math.max(hits.length + cost - limit, 1), hits.length);
+            const retryAfterMs = allowed ? 0 : (cost > limit ? windowMs : hits[needed - 1] + windowMs - now);
+
+            return {
+                allowed,
+                limit,
+                remaining: Math.max(limit - hits.length, 0),
+                resetMs: hits.length > 0 ? hits[0] + windowMs - now : 0,
+                retryAfterMs,
+                state: { hits }
+            };
+        }
+    };
+}
+
+/**
+ * Token bucket: bursts of up to `limit` requests, refilled evenly so a full bucket takes `windowMs`
+ * @param {object} options - { limit, windowMs }
+ * @returns {object} Policy
+ */
+function tokenBucket({ limit, windowMs }) {
+    const refillPerMs = limit / windowMs;
+
+    return {
+        name: 'token-bucket',
+        limit,
+        windowMs,
+        ttlMs: windowMs,
+        header: `${limit};w=${Math.ceil(windowMs / 1000)};burst=${limit}`,
+
+        evaluate(state, now, cost = 1) {
+            const elapsed = state ? Math.max(now - state.updatedAt, 0) : 0;
+            let tokens = state ? Math.min(limit, state.tokens + elapsed * refillPerMs) : limit;
+            const allowed = tokens >= cost;
+
+            if (allowed) {
+                tokens -= cost;
+            }
+
+            return {
+                allowed,
+                limit,
+                remaining: Math.floor(tokens),
+                resetMs: Math.ceil((limit - tokens) / refillPerMs),
+                retryAfterMs: allowed ? 0 : Math.ceil((Math.min(cost, limit) - tokens) / refillPerMs),
+                state: { tokens, updatedAt: now }
+            };
+        }
+    };
+}
+
+/**
+ * Registered policies by name
+ * @type {object}
+ */
+const POLICIES = {
+    'sliding-window': slidingWindow,
+    'token-bucket': tokenBucket
+};
+
+module.exports = {
+    POLICIES,
+    slidingWindow,
+    tokenBucket
+};
@@ -0,0 +1,110 @@
+/* ****************************************
+ * Redis Rate Limit Store
+ * Shares limiter state across every instance through a Redis REST endpoint
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Selected when RATE_LIMIT_STORE=redis, or by default when RATE_LIMIT_REDIS_REST_URL is set
+ * @note Speaks the Redis-over-HTTP protocol of Upstash and Vercel KV: POST a command array, get { result }
+ * @note Updates are compare-and-set in a Lua script, retried when another instance wrote first
+ * @note Each command gives up after REDIS_TIMEOUT_MS, so a hung endpoint reaches the limiter's fail-open path
+ ****************************************/
+
+/**
+ * Keys are prefixed so the limiter can share a database
+ * @type {string}
+ */
+const KEY_PREFIX = 'ratelimit:';
+
+/**
+ * Attempts before a contended update gives up
+ * @type {number}
+ */
+const MAX_CAS_ATTEMPTS = 5;
+
+/**
+ * Longest wait for one REST command (ms)
+ * @type {number}
+ */
+const REDIS_TIMEOUT_MS = 1000;
+
+/**
+ * Writes ARGV[2] only if the key still holds ARGV[1] ('' meaning absent)
+ * @type {string}
+ */
+const COMPARE_AND_SET = `
+local current = redis.call('GET', KEYS[1])
+if (current == false and ARGV[1] == '') or current == ARGV[1] then
+    redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+    return 1
+end
+return 0`;
+
+/**
+ * Create a Redis-backed store
+ * @returns {object} Rate limit store
+ * @throws {Error} If the REST URL or token is missing
+ */
+function createRedisStore() {
+    const url = process.env.RATE_LIMIT_REDIS_REST_URL;
+    const token = process.env.RATE_LIMIT_REDIS_REST_TOKEN;
+
+    if (!url || !token) {
+        throw new Error('RATE_LIMIT_REDIS_REST_URL and RATE_LIMIT_REDIS_REST_TOKEN are required for the redis rate limit store');
+    }
+
+    const command = async (...args) => {
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+                body: JSON.stringify(args),
+                signal: AbortSignal.timeout(REDIS_TIMEOUT_MS)
+            });
+        } catch (error) {
+            throw new Error(error.name === 'TimeoutError'
+                ? `Redis ${args[0]} timed out after ${REDIS_TIMEOUT_MS}ms`
+                : `Redis ${args[0]} failed: ${error.message}`);
+        }
+        const body = await response.json().catch(() => ({}));
+
+        if (!response.ok || body.error) {
+            throw new Error(`Redis ${args[0]} failed: ${body.error || response.status}`);
+        }
+        return body.result;
+    };
+
+    const get = async (key) => {
+        const raw = await command('GET', KEY_PREFIX + key);
+        return { raw: raw || '', state: raw ? JSON.parse(raw) : null };
+    };
+
+    return {
+        name: 'redis',
+
+        async get(key) {
+            return (await get(key)).state;
+        },
+
+        async update(key, mutate, ttlMs) {
+            for (let attempt = 0; attempt < MAX_CAS_ATTEMPTS; attempt++) {
+                const { raw, state } = await get(key);
+                const next = mutate(state);
+                if (!next) return next;
+
+                const written = await command('EVAL', COMPARE_AND_SET, 1, KEY_PREFIX + key, raw, JSON.stringify(next), String(ttlMs));
+                if (Number(written) === 1) return next;
+            }
+
+            throw new Error(`Rate limit state for ${key} kept changing during the update`);
+        },
+
+        async delete(key) {
+            await command('DEL', KEY_PREFIX + key);
+        }
+    };
+}
+
+module.exports = { createRedisStore };
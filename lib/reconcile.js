@@ -0,0 +1,293 @@
+/* ****************************************
+ * Sheet Reconciliation
+ * Finds edits made directly in the spreadsheet by diffing it against the last known state
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note The last known state is a snapshot (lib/snapshot.js) kept at RECONCILE_BASELINE_PATH
+ * @note Audit_Log tab: ID, Detected At, Sheet, Record Key, Row Number, Change, Field, Old Value, New Value, Run ID
+ * @note The app only appends rows, or edits them through updateRecord (which bumps Version), so a changed row
+ *       whose version did not move, or a row that disappeared, was changed by hand
+ ****************************************/
+
+const path = require('path');
+const { getSheetValues, appendSheetRows, ensureSheetHeaders } = require('./sheets');
+const { generateRecordId } = require('./ids');
+const { getSchema, columnIndex, hasColumn, recordVersion, fromRow, dataRange, appendRange, headerNames, toRow } = require('./schema');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+const { verifySnapshot } = require('./snapshot');
+const { timestampValue } = require('./time');
+
+const AUDIT_RANGE = dataRange('Audit_Log');
+const AUDIT_HEADERS = headerNames('Audit_Log');
+
+/**
+ * Kinds of Audit_Log entry
+ * edited     - one field of a row changed outside the app (one entry per field)
+ * deleted    - a row disappeared
+ * reconciled - a reconciliation run finished (newValue holds its summary)
+ * @type {object}
+ */
+const AUDIT_CHANGES = {
+    EDITED: 'edited',
+    DELETED: 'deleted',
+    RECONCILED: 'reconciled'
+};
+
+/**
+ * Columns the app changes without bumping the version
+ * Changes confined to these columns are not reported as hand edits
+ * @type {object}
+ */
+const BOOKKEEPING_COLUMNS = {
+    Users: ['lastLogin', 'failedLogins', 'lastFailedLogin', 'lockedUntil']
+};
+
+/**
+ * Columns whose values never go into the audit trail
+ * @type {object}
+ */
+const REDACTED_COLUMNS = {
+    Users: ['passwordHash', 'inviteToken']
+};
+
+/**
+ * Longest value stored in an audit entry
+ * @type {number}
+ */
+const MAX_AUDIT_VALUE_LENGTH = 1000;
+
+/**
+ * Resolve the baseline file path
+ * @returns {string} Absolute path to the baseline snapshot
+ */
+function getBaselinePath() {
+    return process.env.RECONCILE_BASELINE_PATH
+        ? path.resolve(process.env.RECONCILE_BASELINE_PATH)
+        : path.join(process.cwd(), '.data', 'reconcile-baseline.json');
+}
+
+/**
+ * Load the last known state
+ * @returns {Promise<object|null>} Baseline snapshot, or null if none has been saved
+ * @throws {Error} If the baseline fails its checksum
+ */
+async function loadBaseline() {
+    const baseline = await readJsonFile(getBaselinePath(), () => null);
+    if (!baseline) return null;
+
+    const { valid, errors } = verifySnapshot(baseline);
+    if (!valid) {
+        throw new Error(`Baseline ${getBaselinePath()} is unusable (${errors.join('; ')}); run with --reset to start over`);
+    }
+
+    return baseline;
+}
+
+/**
+ * Save the last known state
+ * @param {object} snapshot - Snapshot from createSnapshot
+ * @returns {Promise<void>}
+ */
+async function saveBaseline(snapshot) {
+    await writeJsonFile(getBaselinePath(), snapshot);
+}
+
+/**
+ * Normalize a cell for comparison
+ * @param {*} value - Cell value
+ * @returns {string} Cell text
+ */
+function cellText(value) {
+    return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Value as written to the audit trail
+ * @param {string} sheet - Tab name
+ * @param {string} column - Column name
+ * @param {*} value - Cell value
+ * @returns {string} Redacted or truncated value
+ */
+function auditValue(sheet, column, value) {
+    const text = cellText(value);
+    if (text && (REDACTED_COLUMNS[sheet] || []).includes(column)) {
+        return '[redacted]';
+    }
+    return text.length > MAX_AUDIT_VALUE_LENGTH ? `${text.slice(0, MAX_AUDIT_VALUE_LENGTH)}…` : text;
+}
+
+/**
+ * Index data rows by record key
+ * Rows without a key, and repeats of a key, are left to the data health checks
+ * @param {Array<Array>} rows - Rows of a tab, header first
+ * @param {number} keyIndex - Key column index, or -1 to key rows by position
+ * @returns {Map} key -> { rowNumber, row }
+ */
+function indexRows(rows, keyIndex) {
+    const index = new Map();
+    rows.slice(1).forEach((row, i) => {
+        const rowNumber = i + 2;
+        const key = keyIndex === -1 ? `row ${rowNumber}` : cellText(row[keyIndex]).trim();
+        if (key && !index.has(key)) index.set(key, { rowNumber, row });
+    });
+    return index;
+}
+
+/**
+ * Find hand edits in one tab
+ * @param {string} sheet - Tab name
+ * @param {Array<Array>} baselineRows - Rows at the last run, header first
+ * @param {Array<Array>} currentRows - Rows now, header first
+ * @returns {object} { sheet, edited: [{ key, rowNumber, version, fields }], deleted: [{ key, rowNumber, fields }],
+ *   added, appEdited }
+ */
+function diffTab(sheet, baselineRows, currentRows) {
+    const { key, columns } = getSchema(sheet);
+    const keyIndex = key ? columnIndex(sheet, key) : -1;
+    const versioned = hasColumn(sheet, 'version');
+    const bookkeeping = BOOKKEEPING_COLUMNS[sheet] || [];
+
+    const before = indexRows(baselineRows, keyIndex);
+    const after = indexRows(currentRows, keyIndex);
+    const result = { sheet, edited: [], deleted: [], added: 0, appEdited: 0 };
+
+    before.forEach((previous, recordKey) => {
+        const current = after.get(recordKey);
+
+        if (!current) {
+            result.deleted.push({
+                key: recordKey,
+                rowNumber: previous.rowNumber,
+                fields: columns
+                    .map((column, index) => ({ field: column.name, oldValue: previous.row[index], newValue: '' }))
+                    .filter(change => cellText(change.oldValue) !== '')
+            });
+            return;
+        }
+
+        const fields = columns
+            .map((column, index) => ({ field: column.name, oldValue: previous.row[index], newValue: current.row[index] }))
+            .filter(change => cellText(change.oldValue) !== cellText(change.newValue));
+        if (fields.length === 0) return;
+
+        const version = recordVersion(fromRow(sheet, current.row));
+        if (versioned && version > recordVersion(fromRow(sheet, previous.row))) {
+            result.appEdited += 1;
+            return;
+        }
+        if (fields.every(change => bookkeeping.includes(change.field))) {
+            return;
+        }
+
+        result.edited.push({
+            key: recordKey,
+            rowNumber: current.rowNumber,
+            version,
+            fields: fields.filter(change => !bookkeeping.includes(change.field))
+        });
+    });
+
+    after.forEach((_, recordKey) => {
+        if (!before.has(recordKey)) result.added += 1;
+    });
+
+    return result;
+}
+
+/**
+ * Find hand edits in every tab both snapshots hold
+ * @param {object} baseline - Snapshot from the last run
+ * @param {object} current - Snapshot taken now
+ * @returns {Array<object>} diffTab results
+ */
+function diffSnapshots(baseline, current) {
+    return Object.keys(current.tabs)
+        .filter(sheet => baseline.tabs[sheet])
+        .map(sheet => diffTab(sheet, baseline.tabs[sheet].rows, current.tabs[sheet].rows));
+}
+
+/**
+ * Build Audit_Log entries for a run
+ * @param {Array<object>} diffs - From diffSnapshots
+ * @param {object} run - { runId, detectedAt, summary }
+ * @returns {Array<object>} Audit_Log records
+ */
+function buildAuditEntries(diffs, { runId, detectedAt, summary }) {
+    const entries = [];
+    const entry = (fields) => ({ id: generateRecordId(), detectedAt, runId, ...fields });
+
+    diffs.forEach(({ sheet, edited, deleted }) => {
+        edited.forEach(({ key, rowNumber, fields }) => {
+            fields.forEach(({ field, oldValue, newValue }) => {
+                entries.push(entry({
+                    sheet, recordKey: key, rowNumber, change: AUDIT_CHANGES.EDITED, field,
+                    oldValue: auditValue(sheet, field, oldValue),
+                    newValue: auditValue(sheet, field, newValue)
+                }));
+            });
+        });
+
+        deleted.forEach(({ key, rowNumber, fields }) => {
+            entries.push(entry({
+                sheet, recordKey: key, rowNumber, change: AUDIT_CHANGES.DELETED, field: '',
+                oldValue: auditValue(sheet, '', JSON.stringify(fields.reduce((acc, { field, oldValue }) => {
+                    acc[field] = auditValue(sheet, field, oldValue);
+                    return acc;
+                }, {}))),
+                newValue: ''
+            }));
+        });
+    });
+
+    entries.push(entry({
+        sheet: '*', recordKey: '', rowNumber: '', change: AUDIT_CHANGES.RECONCILED, field: '',
+        oldValue: '', newValue: summary
+    }));
+
+    return entries;
+}
+
+/**
+ * Append audit entries in one write
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {Array<object>} entries - From buildAuditEntries
+ * @returns {Promise<void>}
+ */
+async function recordAuditEntries(sheets, spreadsheetId, entries) {
+    if (entries.length === 0) return;
+
+    await ensureSheetHeaders(sheets, spreadsheetId, 'Audit_Log', AUDIT_HEADERS);
+    await appendSheetRows(sheets, spreadsheetId, appendRange('Audit_Log'), entries.map(entry => toRow('Audit_Log', entry)));
+}
+
+/**
+ * Read the audit trail, newest first
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @returns {Promise<Array>} Audit entries
+ */
+async function listAuditEntries(sheets, spreadsheetId) {
+    const rows = await getSheetValues(sheets, spreadsheetId, AUDIT_RANGE);
+    return rows
+        .map(row => fromRow('Audit_Log', row))
+        .filter(entry => entry.id && entry.change)
+        .sort((a, b) => timestampValue(b.detectedAt) - timestampValue(a.detectedAt));
+}
+
+module.exports = {
+    AUDIT_RANGE,
+    AUDIT_HEADERS,
+    AUDIT_CHANGES,
+    BOOKKEEPING_COLUMNS,
+    getBaselinePath,
+    loadBaseline,
+    saveBaseline,
+    diffTab,
+    diffSnapshots,
+    buildAuditEntries,
+    recordAuditEntries,
+    listAuditEntries
+};
@@ -0,0 +1,82 @@
+/* ****************************************
+ * Submission Review Workflow
+ * State machine for reviewing NEST FEST registrations
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Status is persisted in the Submissions tab (columns G-I)
+ * @note Rows without a stored status are treated as pending
+ ****************************************/
+
+/**
+ * Review statuses in workflow order
+ * @type {object}
+ */
+const REVIEW_STATUSES = {
+    PENDING: 'pending',
+    UNDER_REVIEW: 'under_review',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    WAITLISTED: 'waitlisted'
+};
+
+/**
+ * Allowed transitions from each status
+ * Decisions can be reopened by moving back to under_review
+ * @type {object}
+ */
+const REVIEW_TRANSITIONS = {
+    pending: ['under_review'],
+    under_review: ['approved', 'rejected', 'waitlisted', 'pending'],
+    waitlisted: ['approved', 'rejected', 'under_review'],
+    approved: ['under_review'],
+    rejected: ['under_review']
+};
+
+/**
+ * Normalize a stored status value, defaulting blank cells to pending
+ * @param {string} status - Raw status from the sheet
+ * @returns {string} Known review status
+ */
+function normalizeStatus(status) {
+    const value = (status || '').trim().toLowerCase().replace(/\s+/g, '_');
+    return Object.hasOwn(REVIEW_TRANSITIONS, value) ? value : REVIEW_STATUSES.PENDING;
+}
+
+/**
+ * Get statuses reachable from the current status
+ * @param {string} status - Current status
+ * @returns {Array<string>} Allowed next statuses
+ */
+function getAllowedTransitions(status) {
+    return REVIEW_TRANSITIONS[normalizeStatus(status)].slice();
+}
+
+/**
+ * Check whether a transition is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is valid
+ */
+function canTransition(from, to) {
+    return getAllowedTransitions(from).includes(to);
+}
+
+/**
+ * Check whether a value is a known review status
+ * @param {string} status - Status to check
+ * @returns {boolean} True if known
+ */
+function isValidStatus(status) {
+    return Object.values(REVIEW_STATUSES).includes(status);
+}
+
+module.exports = {
+    REVIEW_STATUSES,
+    REVIEW_TRANSITIONS,
+    normalizeStatus,
+    getAllowedTransitions,
+    canTransition,
+    isValidStatus
+};
@@ -0,0 +1,69 @@
+/* ****************************************
+ * Spreadsheet Cell Sanitization
+ * Keeps user-supplied text from being interpreted as a formula
+ *
+ * @author ACC Development Team
+ * @version 1.1
+ * @date July 2025
+ * @note Spreadsheet apps treat text starting with = + - @ (or a tab/CR before them) as a formula
+ * @note Applied to every write in lib/sheets.js and to CSV exports
+ * @note Writes also protect a leading apostrophe, which storage would otherwise consume
+ ****************************************/
+
+/**
+ * Characters that make a spreadsheet app evaluate a cell as a formula
+ * @type {RegExp}
+ */
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Characters a stored cell loses or changes unless it gets an apostrophe
+ * Sheets and the file adapter both strip one leading apostrophe on write
+ * @type {RegExp}
+ */
+const STORED_PREFIX = /^[=+\-@\t\r']/;
+
+/**
+ * Neutralize a value that would be read as a formula
+ * A leading apostrophe makes spreadsheet apps display the text as-is
+ * @param {*} value - Cell value
+ * @returns {*} Escaped string, or the value unchanged if it is safe or not a string
+ */
+function neutralizeFormula(value) {
+    if (typeof value !== 'string' || !FORMULA_PREFIX.test(value)) {
+        return value;
+    }
+
+    return `'${value}`;
+}
+
+/**
+ * Escape a value so storage keeps it exactly as given
+ * @param {*} value - Cell value
+ * @returns {*} Escaped string, or the value unchanged if it is safe or not a string
+ */
+function neutralizeCell(value) {
+    if (typeof value !== 'string' || !STORED_PREFIX.test(value)) {
+        return value;
+    }
+
+    return `'${value}`;
+}
+
+/**
+ * Neutralize every cell in a row before it is written to storage
+ * Sheets consumes the apostrophe under USER_ENTERED, so reads return the original text
+ * @param {Array} values - Row of cell values
+ * @returns {Array} Row safe to write
+ */
+function sanitizeRow(values) {
+    return Array.isArray(values) ? values.map(neutralizeCell) : values;
+}
+
+module.exports = {
+    FORMULA_PREFIX,
+    STORED_PREFIX,
+    neutralizeFormula,
+    neutralizeCell,
+    sanitizeRow
+};
@@ -0,0 +1,511 @@
+/* ****************************************
+ * Sheet Schema Registry
+ * Declarative column layout for every tab the application reads or writes
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Ranges and column indexes are derived from here - do not hard-code them in handlers
+ * @note New columns go at the end of a tab; scripts/migrate-sheets.js adds their headers to existing spreadsheets
+ * @note Tabs with a version column are updated through updateRecord in lib/sheets.js, which bumps it on every change
+ ****************************************/
+
+const { indexToColumn } = require('./storage/range');
+const { toIsoTimestamp } = require('./time');
+
+/**
+ * Column types
+ * string   - free text
+ * email    - email address, stored lowercase where the writer normalizes it
+ * datetime - ISO 8601 UTC timestamp (other readable formats are normalized on write and on read)
+ * number   - numeric value
+ * json     - JSON text (objects and arrays are serialized on write)
+ * @type {Array<string>}
+ */
+const COLUMN_TYPES = ['string', 'email', 'datetime', 'number', 'json'];
+
+/**
+ * Column that counts a row's edits, for optimistic concurrency
+ * Rows written before it existed have no value and count as version 0
+ * @type {object}
+ */
+const VERSION_COLUMN = { name: 'version', header: 'Version', type: 'number' };
+
+/**
+ * Tab layouts
+ * Each column: { name, header, type, required, aliases }
+ * Aliases are header spellings found in older spreadsheets that mean the same column
+ * @type {object}
+ */
+const SCHEMAS = {
+    Submissions: {
+        key: 'id',
+        columns: [
+            { name: 'fullName', header: 'Full Name', type: 'string', required: true, aliases: ['Name'] },
+            { name: 'email', header: 'Email', type: 'email', required: true },
+            { name: 'major', header: 'Major', type: 'string', required: true },
+            { name: 'businessName', header: 'Business Name', type: 'string', required: true },
+            { name: 'businessDescription', header: 'Business Description', type: 'string', required: true },
+            { name: 'timestamp', header: 'Timestamp', type: 'datetime', required: true, aliases: ['Submitted At'] },
+            { name: 'status', header: 'Status', type: 'string', required: true },
+            { name: 'statusUpdatedAt', header: 'Status Updated At', type: 'datetime' },
+            { name: 'statusUpdatedBy', header: 'Status Updated By', type: 'email' },
+            { name: 'id', header: 'ID', type: 'string', required: true },
+            { name: 'tags', header: 'Tags', type: 'string' },
+            VERSION_COLUMN
+        ]
+    },
+    Participants: {
+        key: 'id',
+        columns: [
+            { name: 'timestamp', header: 'Timestamp', type: 'datetime', required: true },
+            { name: 'fullName', header: 'Full Name', type: 'string', required: true },
+            { name: 'email', header: 'Email', type: 'email', required: true },
+            { name: 'involvementType', header: 'Involvement Type', type: 'string', required: true },
+            { name: 'questions', header: 'Questions/Notes', type: 'string' },
+            { name: 'additionalInfo', header: 'Additional Info', type: 'string' },
+            { name: 'status', header: 'Status', type: 'string', required: true },
+            { name: 'id', header: 'ID', type: 'string', required: true }
+        ]
+    },
+    AI_Coaching: {
+        key: 'id',
+        columns: [
+            { name: 'timestamp', header: 'Timestamp', type: 'datetime', required: true },
+            { name: 'studentName', header: 'Student Name', type: 'string', required: true },
+            { name: 'studentEmail', header: 'Student Email', type: 'email', required: true },
+            { name: 'studentMajor', header: 'Student Major', type: 'string' },
+            { name: 'businessIdea', header: 'Business Idea', type: 'string', required: true },
+            { name: 'problemDescription', header: 'Problem', type: 'string' },
+            { name: 'solutionDescription', header: 'Solution', type: 'string' },
+            { name: 'fundingNeeds', header: 'Funding Needs', type: 'string' },
+            { name: 'aiGenerated', header: 'AI Generated', type: 'string' },
+            { name: 'generatedContent', header: 'Generated Content', type: 'json' },
+            { name: 'sessionType', header: 'Session Type', type: 'string' },
+            { name: 'sessionId', header: 'Session ID', type: 'string', required: true },
+            { name: 'id', header: 'ID', type: 'string', required: true }
+        ]
+    },
+    AI_Coaching_Content: {
+        key: 'id',
+        columns: [
+            { name: 'id', header: 'ID', type: 'string', required: true },
+            { name: 'coachingId', header: 'Coaching ID', type: 'string', required: true },
+            { name: 'sessionId', header: 'Session ID', type: 'string', required: true },
+            { name: 'chunkIndex', header: 'Chunk Index', type: 'number', required: true },
+            { name: 'chunkCount', header: 'Chunk Count', type: 'number', required: true },
+            { name: 'content', header: 'Content', type: 'string', required: true },
+            { name: 'createdAt', header: 'Created At', type: 'datetime', required: true }
+        ]
+    },
+    AI_Usage: {
+        key: null,
+        columns: [
+            { name: 'timestamp', header: 'Timestamp', type: 'datetime', required: true },
+            { name: 'type', header: 'Generation Type', type: 'string', required: true },
+            { name: 'source', header: 'Source', type: 'string', required: true },
+            { name: 'clientId', header: 'Client ID', type: 'string' },
+            { name: 'inputCount', header: 'Input Count', type: 'number' },
+            { name: 'inputLength', header: 'Input Length', type: 'number' }
+        ]
+    },
+    Users: {
+        key: 'email',
+        columns: [
+            { name: 'email', header: 'Email', type: 'email', required: true },
+            { name: 'passwordHash', header: 'PasswordHash', type: 'string', aliases: ['Password'] },
+            { name: 'role', header: 'Role', type: 'string', required: true },
+            { name: 'status', header: 'Status', type: 'string', required: true },
+            { name: 'inviteToken', header: 'InviteToken', type: 'string' },
+            { name: 'createdAt', header: 'CreatedAt', type: 'datetime', aliases: ['Created'] },
+            { name: 'name', header: 'Name', type: 'string' },
+            { name: 'lastLogin', header: 'LastLogin', type: 'datetime' },
+            VERSION_COLUMN,
+            { name: 'failedLogins', header: 'FailedLogins', type: 'number' },
+            { name: 'lastFailedLogin', header: 'LastFailedLogin', type: 'datetime' },
+            { name: 'lockedUntil', header: 'LockedUntil', type: 'datetime' }
+        ]
+    },
+    Invitations: {
+        key: 'id',
+        columns: [
+            { name: 'id', header: 'ID', type: 'string', required: true },
+            { name: 'email', header: 'Email', type: 'email', required: true },
+            { name: 'role', header: 'Role', type: 'string', required: true },
+            { name: 'name', header: 'Name', type: 'string' },
+            { name: 'status', header: 'Status', type: 'string', required: true },
+            { name: 'invitedBy', header: 'Invited By', type: 'email', required: true },
+            { name: 'createdAt', header: 'Created At', type: 'datetime', required: true },
+            { name: 'expiresAt', header: 'Expires At', type: 'datetime', required: true },
+            { name: 'acceptedAt', header: 'Accepted At', type: 'datetime' },
+            { name: 'revokedBy', header: 'Revoked By', type: 'email' },
+            { name: 'revokedAt', header: 'Revoked At', type: 'datetime' },
+            VERSION_COLUMN
+        ]
+    },
+    Scores: {
+        key: 'id',
+        columns: [
+            { name: 'id', header: 'ID', type: 'string', required: true },
+            { name: 'submissionId', header: 'Submission ID', type: 'string', required: true },
+            { name: 'judgeEmail', header: 'Judge Email', type: 'email', required: true },
+            { name: 'criterionScores', header: 'Criterion Scores', type: 'json', required: true },
+            { name: 'weightedScore', header: 'Weighted Score', type: 'number', required: true },
+            { name: 'comments', header: 'Comments', type: 'string' },
+            { name: 'createdAt', header: 'Created At', type: 'datetime', required: true },
+            { name: 'updatedAt', header: 'Updated At', type: 'datetime', required: true },
+            VERSION_COLUMN
+        ]
+    },
+    Assignments: {
+        key: 'id',
+        columns: [
+            { name: 'id', header: 'ID', type: 'string', required: true },
+            { name: 'submissionId', header: 'Submission ID', type: 'string', required: true },
+            { name: 'reviewerEmail', header: 'Reviewer Email', type: 'email', required: true },
+            { name: 'role', header: 'Role', type: 'string', required: true },
+            { name: 'assignedBy', header: 'Assigned By', type: 'email', required: true },
+            { name: 'assignedAt', header: 'Assigned At', type: 'datetime', required: true },
+            { name: 'status', header: 'Status', type: 'string', required: true },
+            VERSION_COLUMN
+        ]
+    },
+    Conflicts: {
+        key: 'id',
+        columns: [
+            { name: 'id', header: 'ID', type: 'string', required: true },
+            { name: 'reviewerEmail', header: 'Reviewer Email', type: 'email', required: true },
+            { name: 'type', header: 'Type', type: 'string', required: true },
+            { name: 'value', header: 'Value', type: 'string', required: true },
+            { name: 'reason', header: 'Reason', type: 'string' },
+            { name: 'declaredAt', header: 'Declared At', type: 'datetime', required: true }
+        ]
+    },
+    Submission_History: {
+        key: 'id',
+        columns: [
+            { name: 'id', header: 'ID', type: 'string', required: true },
+            { name: 'submissionId', header: 'Submission ID', type: 'string', required: true },
+            { name: 'field', header: 'Field', type: 'string', required: true },
+            { name: 'oldValue', header: 'Old Value', type: 'string' },
+            { name: 'newValue', header: 'New Value', type: 'string' },
+            { name: 'changedBy', header: 'Changed By', type: 'email', required: true },
+            { name: 'changedAt', header: 'Changed At', type: 'datetime', required: true },
+            { name: 'note', header: 'Note', type: 'string' }
+        ]
+    },
+    Comments: {
+        key: 'id',
+        columns: [
+            { name: 'id', header: 'ID', type: 'string', required: true },
+            { name: 'submissionId', header: 'Submission ID', type: 'string', required: true },
+            { name: 'parentId', header: 'Parent ID', type: 'string' },
+            { name: 'authorEmail', header: 'Author Email', type: 'email', required: true },
+            { name: 'authorName', header: 'Author Name', type: 'string' },
+            { name: 'body', header: 'Body', type: 'string' },
+            { name: 'mentions', header: 'Mentions', type: 'string' },
+            { name: 'createdAt', header: 'Created At', type: 'datetime', required: true },
+            { name: 'updatedAt', header: 'Updated At', type: 'datetime' },
+            { name: 'deletedAt', header: 'Deleted At', type: 'datetime' },
+            VERSION_COLUMN
+        ]
+    },
+    Audit_Log: {
+        key: 'id',
+        columns: [
+            { name: 'id', header: 'ID', type: 'string', required: true },
+            { name: 'detectedAt', header: 'Detected At', type: 'datetime', required: true },
+            { name: 'sheet', header: 'Sheet', type: 'string', required: true },
+            { name: 'recordKey', header: 'Record Key', type: 'string' },
+            { name: 'rowNumber', header: 'Row Number', type: 'number' },
+            { name: 'change', header: 'Change', type: 'string', required: true },
+            { name: 'field', header: 'Field', type: 'string' },
+            { name: 'oldValue', header: 'Old Value', type: 'string' },
+            { name: 'newValue', header: 'New Value', type: 'string' },
+            { name: 'runId', header: 'Run ID', type: 'string', required: true }
+        ]
+    }
+};
+
+/**
+ * Get the schema for a tab
+ * @param {string} sheetName - Tab name
+ * @returns {object} Schema { key, columns }
+ * @throws {Error} If the tab is not registered
+ */
+function getSchema(sheetName) {
+    const schema = SCHEMAS[sheetName];
+    if (!schema) {
+        throw new Error(`No schema registered for sheet ${sheetName}`);
+    }
+    return schema;
+}
+
+/**
+ * Names of every registered tab
+ * @returns {Array<string>} Tab names
+ */
+function listSheetNames() {
+    return Object.keys(SCHEMAS);
+}
+
+/**
+ * Zero-based index of a column
+ * @param {string} sheetName - Tab name
+ * @param {string} columnName - Column name from the schema
+ * @returns {number} Column index
+ * @throws {Error} If the column is not in the schema
+ */
+function columnIndex(sheetName, columnName) {
+    const index = getSchema(sheetName).columns.findIndex(c => c.name === columnName);
+    if (index === -1) {
+        throw new Error(`Sheet ${sheetName} has no column ${columnName}`);
+    }
+    return index;
+}
+
+/**
+ * Check whether a tab has a column
+ * @param {string} sheetName - Tab name
+ * @param {string} columnName - Column name
+ * @returns {boolean} True if the schema declares it
+ */
+function hasColumn(sheetName, columnName) {
+    return getSchema(sheetName).columns.some(c => c.name === columnName);
+}
+
+/**
+ * Read a record's version
+ * @param {object} record - Record from fromRow (or any object with a version field)
+ * @returns {number} Version, 0 when never set
+ */
+function recordVersion(record) {
+    return parseInt(record && record.version) || 0;
+}
+
+/**
+ * Column letter of a column
+ * @param {string} sheetName - Tab name
+ * @param {string} columnName - Column name from the schema
+ * @returns {string} Column letter (e.g., 'J')
+ */
+function columnLetter(sheetName, columnName) {
+    return indexToColumn(columnIndex(sheetName, columnName));
+}
+
+/**
+ * Letter of the last column in a tab
+ * @param {string} sheetName - Tab name
+ * @returns {string} Column letter
+ */
+function lastColumn(sheetName) {
+    return indexToColumn(getSchema(sheetName).columns.length - 1);
+}
+
+/**
+ * Header row values for a tab
+ * @param {string} sheetName - Tab name
+ * @returns {Array<string>} Headers in column order
+ */
+function headerNames(sheetName) {
+    return getSchema(sheetName).columns.map(c => c.header);
+}
+
+/**
+ * Range covering every data row (row 1 holds headers)
+ * @param {string} sheetName - Tab name
+ * @returns {string} Range such as 'Submissions!A2:J'
+ */
+function dataRange(sheetName) {
+    return `${sheetName}!A2:${lastColumn(sheetName)}`;
+}
+
+/**
+ * Range to append new rows to
+ * @param {string} sheetName - Tab name
+ * @returns {string} Range such as 'Submissions!A:J'
+ */
+function appendRange(sheetName) {
+    return `${sheetName}!A:${lastColumn(sheetName)}`;
+}
+
+/**
+ * Range covering the header row
+ * @param {string} sheetName - Tab name
+ * @returns {string} Range such as 'Submissions!A1:J1'
+ */
+function headerRange(sheetName) {
+    return `${sheetName}!A1:${lastColumn(sheetName)}1`;
+}
+
+/**
+ * Range covering some or all columns of one row
+ * @param {string} sheetName - Tab name
+ * @param {number} rowNumber - 1-based row number
+ * @param {string} [fromColumn] - First column name (default: first column)
+ * @param {string} [toColumn] - Last column name (default: fromColumn, or the last column when neither is given)
+ * @returns {string} Range such as 'Submissions!G5:I5'
+ */
+function rowRange(sheetName, rowNumber, fromColumn, toColumn) {
+    const start = fromColumn ? columnLetter(sheetName, fromColumn) : 'A';
+    const end = toColumn
+        ? columnLetter(sheetName, toColumn)
+        : (fromColumn ? start : lastColumn(sheetName));
+
+    return start === end
+        ? `${sheetName}!${start}${rowNumber}`
+        : `${sheetName}!${start}${rowNumber}:${end}${rowNumber}`;
+}
+
+/**
+ * Convert a value to the form stored for a column type
+ * @param {*} value - Value to store
+ * @param {string} type - Column type
+ * @returns {*} Cell value
+ */
+function toCellValue(value, type) {
+    if (value === null || value === undefined) return '';
+    if (type === 'datetime' && value !== '') return toIsoTimestamp(value) || value;
+    if (type === 'json' && typeof value !== 'string') return JSON.stringify(value);
+    return value;
+}
+
+/**
+ * Build a row from a record keyed by column name
+ * @param {string} sheetName - Tab name
+ * @param {object} record - Values keyed by column name
+ * @returns {Array} Row values in column order
+ * @throws {Error} If a required column is empty
+ */
+function toRow(sheetName, record) {
+    const { columns } = getSchema(sheetName);
+
+    const missing = columns
+        .filter(c => c.required && (record[c.name] === undefined || record[c.name] === null || record[c.name] === ''))
+        .map(c => c.name);
+
+    if (missing.length > 0) {
+        throw new Error(`Missing required ${sheetName} values: ${missing.join(', ')}`);
+    }
+
+    return columns.map(c => toCellValue(record[c.name], c.type));
+}
+
+/**
+ * Read a row into a record keyed by column name
+ * Cells past the end of a short row read as empty strings; readable
+ * datetime cells come back as ISO 8601 UTC, whatever format they were stored in
+ * @param {string} sheetName - Tab name
+ * @param {Array} row - Raw row values
+ * @returns {object} Record
+ */
+function fromRow(sheetName, row) {
+    return getSchema(sheetName).columns.reduce((record, c, index) => {
+        const value = row[index] === undefined ? '' : row[index];
+        record[c.name] = c.type === 'datetime' && value !== '' ? toIsoTimestamp(value) || value : value;
+        return record;
+    }, {});
+}
+
+/**
+ * Normalize a header for comparison (case, spacing and punctuation are ignored)
+ * @param {string} header - Header text
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Check whether a header cell names a column
+ * @param {object} column - Schema column
+ * @param {string} actual - Header cell text
+ * @returns {boolean} True if it matches the header or an alias
+ */
+function headerMatches(column, actual) {
+    const value = normalizeHeader(actual);
+    return [column.header, ...(column.aliases || [])].some(h => normalizeHeader(h) === value);
+}
+
+/**
+ * Compare a tab's header row with its schema
+ * status:
+ *   ok       - every column is present in order
+ *   empty    - no header row
+ *   outdated - existing headers match but trailing columns are missing (a migration adds them)
+ *   mismatch - an existing header does not match its column (needs a human)
+ * @param {string} sheetName - Tab name
+ * @param {Array<string>} actual - Header row as read from the sheet
+ * @returns {object} { sheet, status, missing, mismatched, extra }
+ */
+function compareHeaders(sheetName, actual) {
+    const { columns } = getSchema(sheetName);
+    const headers = (actual || []).map(h => String(h || '').trim());
+    const present = headers.filter(Boolean);
+
+    const report = { sheet: sheetName, status: 'ok', missing: [], mismatched: [], extra: [] };
+
+    if (present.length === 0) {
+        report.status = 'empty';
+        report.missing = columns.map((c, index) => ({ column: indexToColumn(index), header: c.header }));
+        return report;
+    }
+
+    columns.forEach((c, index) => {
+        const cell = headers[index] || '';
+        if (!cell) {
+            report.missing.push({ column: indexToColumn(index), header: c.header });
+        } else if (!headerMatches(c, cell)) {
+            report.mismatched.push({ column: indexToColumn(index), expected: c.header, actual: cell });
+        }
+    });
+
+    report.extra = headers
+        .slice(columns.length)
+        .map((header, offset) => ({ column: indexToColumn(columns.length + offset), header }))
+        .filter(e => e.header);
+
+    if (report.mismatched.length > 0) {
+        report.status = 'mismatch';
+    } else if (report.missing.length > 0) {
+        report.status = 'outdated';
+    }
+
+    return report;
+}
+
+/**
+ * Check whether a row shares no cell with the tab's headers
+ * Used to spot tabs whose first data row was written where the header belongs
+ * @param {string} sheetName - Tab name
+ * @param {Array<string>} row - First row of the tab
+ * @returns {boolean} True if no cell is a known header
+ */
+function looksLikeDataRow(sheetName, row) {
+    const { columns } = getSchema(sheetName);
+    const cells = (row || []).filter(Boolean);
+    return cells.length > 0 && !cells.some(cell => columns.some(c => headerMatches(c, cell)));
+}
+
+module.exports = {
+    COLUMN_TYPES,
+    SCHEMAS,
+    getSchema,
+    listSheetNames,
+    VERSION_COLUMN,
+    columnIndex,
+    hasColumn,
+    recordVersion,
+    columnLetter,
+    headerNames,
+    dataRange,
+    appendRange,
+    headerRange,
+    rowRange,
+    toCellValue,
+    toRow,
+    fromRow,
+    normalizeHeader,
+    compareHeaders,
+    looksLikeDataRow
+};
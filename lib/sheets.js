@@ -1,69 +1,254 @@
 /* ****************************************
  * Google Sheets API Client Configuration
- * Centralized authentication and client creation for Google Sheets access
+ * Centralized storage access for Google Sheets and the local storage adapters
  * 
  * @author ACC Development Team (Abel)
- * @version 1.0
+ * @version 1.3
  * @date July 2025
- * @note Requires GOOGLE_CLIENT_EMAIL and GOOGLE_PRIVATE_KEY environment variables
+ * @note Requires GOOGLE_CLIENT_EMAIL and GOOGLE_PRIVATE_KEY environment variables unless STORAGE_BACKEND=file
  * @note Used by both submission and authentication endpoints
+ * @note Backend adapters live in lib/storage/
+ * @note Every write is passed through sanitizeRow so user input can never become a formula
+ * @note Tab layouts come from lib/schema.js; headers are checked once per instance
+ * @note Reads are cached per warm instance for a short TTL; writes through this module clear the tab's entries
+ * @note Existing rows are changed with updateRecord: located by key on a fresh read and checked against their version
  ****************************************/
 
-const { google } = require('googleapis');
+const { createStorage, getStorageBackend } = require('./storage');
+const { getSheetsClientMetrics } = require('./storage/sheets-adapter');
+const { sanitizeRow } = require('./sanitize');
+const { parseRange } = require('./storage/range');
+const {
+    listSheetNames, getSchema, headerNames, compareHeaders, dataRange, rowRange, columnIndex,
+    hasColumn, recordVersion, toCellValue, fromRow
+} = require('./schema');
+
+const USERS_RANGE = dataRange('Users');
+
+const DEFAULT_CACHE_TTL_MS = 15 * 1000;
+const HEADER_CACHE_TTL_MS = 10 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 200;
 
 /**
- * Create authenticated Google Sheets client
- * @returns {Promise<object>} Authenticated sheets client instance
- * @throws {Error} If environment variables are missing or authentication fails
+ * Tabs whose reads use a different TTL than SHEETS_CACHE_TTL_MS
+ * Users is always read fresh so role, status and password changes made on
+ * another instance apply immediately
+ * @type {object}
  */
-async function createSheetsClient() {
-    try {
-        // Validate required environment variables
-        if (!process.env.GOOGLE_CLIENT_EMAIL || !process.env.GOOGLE_PRIVATE_KEY) {
-            throw new Error('Missing required Google Sheets credentials in environment variables');
+const CACHE_TTL_OVERRIDES = {
+    Users: 0
+};
+
+/**
+ * Cached reads for this instance, keyed by spreadsheet and range
+ * { spreadsheetId, sheet, expiresAt, promise }
+ * Other instances only see this instance's writes once their own entries expire
+ */
+const readCache = new Map();
+
+/**
+ * Outcomes of updateRecord
+ * skipped  - the update function declined to change the record
+ * conflict - the record's version is not the one the caller expected
+ * @type {object}
+ */
+const UPDATE_OUTCOMES = {
+    UPDATED: 'updated',
+    SKIPPED: 'skipped',
+    NOT_FOUND: 'not_found',
+    CONFLICT: 'conflict'
+};
+
+const cacheMetrics = {
+    hits: 0,
+    misses: 0,
+    invalidations: 0,
+    evictions: 0
+};
+
+// Header verification for this instance, started with the first client
+let schemaCheck = null;
+
+/**
+ * Create the storage client for the configured backend
+ * Kept under its original name so handlers do not need to know which backend is active
+ * Passing the request reuses one client for everything that request does
+ * @param {object} [req] - Request object to scope the client to
+ * @returns {Promise<object>} Storage adapter (see lib/storage/index.js)
+ * @throws {Error} If configuration is missing or authentication fails
+ */
+async function createSheetsClient(req) {
+    if (req && req.storageClient) {
+        return req.storageClient;
+    }
+
+    const client = await createStorage();
+
+    if (req) {
+        req.storageClient = client;
+    }
+
+    startSchemaCheck(client);
+
+    return client;
+}
+
+/**
+ * Verify every tab's headers against the schema registry
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {Array<string>} [sheetNames] - Tabs to check (default: all registered tabs)
+ * @returns {Promise<Array>} Reports from compareHeaders; unreadable tabs get status 'unreadable'
+ */
+async function verifySchema(sheets, spreadsheetId, sheetNames = listSheetNames()) {
+    return Promise.all(sheetNames.map(async sheet => {
+        try {
+            const [headers = []] = await sheets.readRange(spreadsheetId, `${sheet}!1:1`);
+            return compareHeaders(sheet, headers);
+        } catch (error) {
+            return { sheet, status: 'unreadable', error: error.message, missing: [], mismatched: [], extra: [] };
         }
+    }));
+}
 
-        // Format private key (replace literal \n with actual newlines)
-        const privateKey = process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n');
+/**
+ * Check headers once per instance in the background and log any drift
+ * Never blocks or fails a request; disable with SCHEMA_CHECK=off
+ * @param {object} client - Storage client
+ * @returns {void}
+ */
+function startSchemaCheck(client) {
+    const spreadsheetId = getSpreadsheetId();
+    if (schemaCheck || !spreadsheetId || process.env.SCHEMA_CHECK === 'off') {
+        return;
+    }
 
-        // Create JWT auth client
-        const auth = new google.auth.JWT(
-            process.env.GOOGLE_CLIENT_EMAIL,
-            null,
-            privateKey,
-            ['https://www.googleapis.com/auth/spreadsheets']
-        );
+    schemaCheck = verifySchema(client, spreadsheetId)
+        .then(reports => {
+            const problems = reports.filter(r => r.status !== 'ok' && r.status !== 'empty');
+            problems.forEach(r => {
+                console.warn(`Sheet ${r.sheet} headers are ${r.status}` +
+                    (r.error ? `: ${r.error}` : '') +
+                    (r.mismatched.length ? `: ${r.mismatched.map(m => `${m.column} is "${m.actual}", expected "${m.expected}"`).join('; ')}` : '') +
+                    (r.missing.length ? ` (missing ${r.missing.map(m => m.header).join(', ')})` : '') +
+                    ' - run scripts/migrate-sheets.js');
+            });
+            return { checkedAt: new Date().toISOString(), reports };
+        })
+        .catch(error => {
+            console.warn('Schema check failed:', error.message);
+            return null;
+        });
+}
 
-        // Authorize the client
-        await auth.authorize();
+/**
+ * Result of this instance's header check
+ * @returns {Promise<object|null>} { checkedAt, reports }, or null if no check has run
+ */
+async function getSchemaStatus() {
+    return schemaCheck ? schemaCheck : null;
+}
 
-        // Create and return sheets client
-        const sheets = google.sheets({ version: 'v4', auth });
-        
-        console.log('Google Sheets client authenticated successfully');
-        return sheets;
+/**
+ * Get the spreadsheet ID for the configured backend
+ * The local file backend does not need a Google spreadsheet
+ * @returns {string|undefined} Spreadsheet ID, or undefined if not configured
+ */
+function getSpreadsheetId() {
+    if (process.env.GOOGLE_SHEET_ID) {
+        return process.env.GOOGLE_SHEET_ID;
+    }
+    return getStorageBackend() === 'file' ? 'local' : undefined;
+}
 
-    } catch (error) {
-        console.error('Failed to create Google Sheets client:', error.message);
-        throw new Error(`Google Sheets authentication failed: ${error.message}`);
+/**
+ * Cache TTL for a tab
+ * @param {string} sheet - Tab name
+ * @returns {number} TTL in milliseconds (0 = not cached)
+ */
+function getCacheTtl(sheet) {
+    if (sheet in CACHE_TTL_OVERRIDES) {
+        return CACHE_TTL_OVERRIDES[sheet];
+    }
+    const configured = parseInt(process.env.SHEETS_CACHE_TTL_MS);
+    return Number.isNaN(configured) ? DEFAULT_CACHE_TTL_MS : configured;
+}
+
+/**
+ * Drop cached reads for a tab
+ * Called after every write through this module
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} sheet - Tab name
+ * @returns {void}
+ */
+function invalidateSheetCache(spreadsheetId, sheet) {
+    for (const [key, entry] of readCache) {
+        if (entry.spreadsheetId === spreadsheetId && entry.sheet === sheet) {
+            readCache.delete(key);
+            cacheMetrics.invalidations += 1;
+        }
     }
 }
 
+/**
+ * Read cache counters for this instance
+ * @returns {object} Hits, misses, invalidations, evictions and current size
+ */
+function getSheetCacheMetrics() {
+    const lookups = cacheMetrics.hits + cacheMetrics.misses;
+
+    return {
+        ...cacheMetrics,
+        hitRate: lookups > 0 ? Math.round((cacheMetrics.hits / lookups) * 1000) / 1000 : null,
+        entries: readCache.size,
+        defaultTtlMs: getCacheTtl(''),
+        ttlOverrides: CACHE_TTL_OVERRIDES
+    };
+}
+
 /**
  * Get values from a specific range in the spreadsheet
- * @param {object} sheets - Authenticated Google Sheets client
+ * Served from the instance cache while fresh; concurrent reads of the same
+ * range share one request
+ * @param {object} sheets - Storage client from createSheetsClient
  * @param {string} spreadsheetId - The ID of the spreadsheet
- * @param {string} range - The range to read (e.g., 'Users!A2:G')
+ * @param {string} range - The range to read (e.g., 'Users!A2:H')
+ * @param {object} [options] - { ttl } - milliseconds to cache this range (default: per tab; 0 reads fresh)
  * @returns {Promise<Array>} Array of row data
  */
-async function getSheetValues(sheets, spreadsheetId, range) {
+async function getSheetValues(sheets, spreadsheetId, range, { ttl } = {}) {
+    const { sheet } = parseRange(range);
+    const cacheTtl = ttl === undefined ? getCacheTtl(sheet) : ttl;
+    const key = `${spreadsheetId}|${range}`;
+    const cached = readCache.get(key);
+
+    let promise;
+    if (cacheTtl > 0 && cached && cached.expiresAt > Date.now()) {
+        cacheMetrics.hits += 1;
+        promise = cached.promise;
+    } else {
+        cacheMetrics.misses += 1;
+        promise = sheets.readRange(spreadsheetId, range);
+
+        if (cacheTtl > 0) {
+            const entry = { spreadsheetId, sheet, expiresAt: Date.now() + cacheTtl, promise };
+            readCache.delete(key);
+            readCache.set(key, entry);
+            if (readCache.size > MAX_CACHE_ENTRIES) {
+                readCache.delete(readCache.keys().next().value);
+                cacheMetrics.evictions += 1;
+            }
+            // Failed reads are never served from the cache
+            promise.catch(() => {
+                if (readCache.get(key) === entry) readCache.delete(key);
+            });
+        }
+    }
+
     try {
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId,
-            range,
-        });
-        
-        return response.data.values || [];
+        const rows = await promise;
+        // Callers get their own copy so nothing they do can change the cached rows
+        return rows.map(row => row.slice());
     } catch (error) {
         console.error(`Failed to get values from range ${range}:`, error.message);
         throw new Error(`Failed to read from sheet: ${error.message}`);
@@ -72,40 +257,255 @@ async function getSheetValues(sheets, spreadsheetId, range) {
 
 /**
  * Append values to a specific range in the spreadsheet
- * @param {object} sheets - Authenticated Google Sheets client
+ * @param {object} sheets - Storage client from createSheetsClient
  * @param {string} spreadsheetId - The ID of the spreadsheet
- * @param {string} range - The range to append to (e.g., 'Submissions!A:F')
+ * @param {string} range - The range to append to (e.g., 'Submissions!A:J')
  * @param {Array} values - Array of values to append
  * @returns {Promise<object>} Response from the append operation
  */
 async function appendSheetValues(sheets, spreadsheetId, range, values) {
     try {
-        const response = await sheets.spreadsheets.values.append({
-            spreadsheetId,
-            range,
-            valueInputOption: 'USER_ENTERED',
-            resource: {
-                values: [values]
-            }
-        });
-        
-        return response.data;
+        return await sheets.appendRow(spreadsheetId, range, sanitizeRow(values));
     } catch (error) {
         console.error(`Failed to append values to range ${range}:`, error.message);
         throw new Error(`Failed to write to sheet: ${error.message}`);
+    } finally {
+        // A failed write may still have landed, so clear the tab either way
+        invalidateSheetCache(spreadsheetId, parseRange(range).sheet);
+    }
+}
+
+/**
+ * Overwrite values in a specific range of the spreadsheet
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} range - The range to write (e.g., 'Submissions!G5:I5')
+ * @param {Array} values - Array of values for a single row
+ * @returns {Promise<object>} Response from the update operation
+ */
+async function updateSheetValues(sheets, spreadsheetId, range, values) {
+    try {
+        return await sheets.updateRow(spreadsheetId, range, sanitizeRow(values));
+    } catch (error) {
+        console.error(`Failed to update values in range ${range}:`, error.message);
+        throw new Error(`Failed to update sheet: ${error.message}`);
+    } finally {
+        invalidateSheetCache(spreadsheetId, parseRange(range).sheet);
+    }
+}
+
+/**
+ * Append several rows in a single write
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} range - The range to append to (e.g., 'Assignments!A:G')
+ * @param {Array<Array>} rows - Rows of values to append, in order
+ * @returns {Promise<object>} Response from the append operation
+ */
+async function appendSheetRows(sheets, spreadsheetId, range, rows) {
+    try {
+        return await sheets.appendRows(spreadsheetId, range, rows.map(sanitizeRow));
+    } catch (error) {
+        console.error(`Failed to append ${rows.length} rows to range ${range}:`, error.message);
+        throw new Error(`Failed to write to sheet: ${error.message}`);
+    } finally {
+        invalidateSheetCache(spreadsheetId, parseRange(range).sheet);
     }
 }
 
+/**
+ * Overwrite several ranges in a single write
+ * The backend applies every range or none of them
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {Array<object>} updates - [{ range, values }] with values for a single row each
+ * @returns {Promise<object>} Response from the batch update
+ */
+async function batchUpdateSheetValues(sheets, spreadsheetId, updates) {
+    try {
+        return await sheets.batchUpdate(spreadsheetId, updates.map(({ range, values }) => ({
+            range,
+            values: sanitizeRow(values)
+        })));
+    } catch (error) {
+        console.error(`Failed to batch update ${updates.length} ranges:`, error.message);
+        throw new Error(`Failed to update sheet: ${error.message}`);
+    } finally {
+        new Set(updates.map(({ range }) => parseRange(range).sheet))
+            .forEach(sheet => invalidateSheetCache(spreadsheetId, sheet));
+    }
+}
+
+/**
+ * Find a row by the value in one of its columns
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} range - The range to search (e.g., 'Submissions!A2:J')
+ * @param {number} keyIndex - Zero-based column index of the key within the range
+ * @param {string} key - Value to match
+ * @returns {Promise<object|null>} { rowNumber, row } or null if not found
+ */
+async function findRowByKey(sheets, spreadsheetId, range, keyIndex, key) {
+    try {
+        return await sheets.findByKey(spreadsheetId, range, keyIndex, key);
+    } catch (error) {
+        console.error(`Failed to find row in range ${range}:`, error.message);
+        throw new Error(`Failed to read from sheet: ${error.message}`);
+    }
+}
+
+/**
+ * Find a record by its schema key
+ * Always reads fresh, since the row number is about to be written to
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} sheetName - Tab name (must declare a key in lib/schema.js)
+ * @param {string} key - Key value (email keys match case-insensitively)
+ * @returns {Promise<object|null>} { rowNumber, row, record } or null if not found
+ */
+async function findRecord(sheets, spreadsheetId, sheetName, key) {
+    const schema = getSchema(sheetName);
+    const keyIndex = columnIndex(sheetName, schema.key);
+    const caseInsensitive = schema.columns[keyIndex].type === 'email';
+    const wanted = caseInsensitive ? String(key).trim().toLowerCase() : String(key);
+
+    const rows = await getSheetValues(sheets, spreadsheetId, dataRange(sheetName), { ttl: 0 });
+    const index = rows.findIndex(row => {
+        const cell = row[keyIndex];
+        if (!cell) return false;
+        return (caseInsensitive ? String(cell).trim().toLowerCase() : cell) === wanted;
+    });
+
+    // Data rows start at row 2
+    return index === -1 ? null : { rowNumber: index + 2, row: rows[index], record: fromRow(sheetName, rows[index]) };
+}
+
+/**
+ * Update a record located by key, with an optimistic version check
+ * Only the changed columns (and the version) are written, in one batch. The
+ * row is located on a fresh read just before the write, so a row inserted or
+ * deleted earlier cannot send the write to the wrong record.
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} sheetName - Tab name
+ * @param {string} key - Key value of the record
+ * @param {object|Function} update - Changes keyed by column name, or a function
+ *   that receives the current record and returns changes (or null to skip)
+ * @param {object} [options] - { expectedVersion, bumpVersion }
+ *   expectedVersion - version the caller last saw; a different stored version is a conflict
+ *   bumpVersion     - set false for bookkeeping writes (e.g. last login) that should not conflict with edits
+ * @returns {Promise<object>} { outcome, rowNumber, record } - record is the stored record after
+ *   an update, or as found for every other outcome
+ */
+async function updateRecord(sheets, spreadsheetId, sheetName, key, update, { expectedVersion, bumpVersion = true } = {}) {
+    const found = await findRecord(sheets, spreadsheetId, sheetName, key);
+    if (!found) {
+        return { outcome: UPDATE_OUTCOMES.NOT_FOUND, rowNumber: null, record: null };
+    }
+
+    const { rowNumber, record } = found;
+    const currentVersion = recordVersion(record);
+
+    if (expectedVersion !== undefined && expectedVersion !== null && expectedVersion !== '' &&
+        parseInt(expectedVersion) !== currentVersion) {
+        return { outcome: UPDATE_OUTCOMES.CONFLICT, rowNumber, record };
+    }
+
+    const changes = typeof update === 'function' ? update(record) : update;
+    if (!changes) {
+        return { outcome: UPDATE_OUTCOMES.SKIPPED, rowNumber, record };
+    }
+
+    const next = { ...record, ...changes };
+    if (bumpVersion && hasColumn(sheetName, 'version')) {
+        next.version = currentVersion + 1;
+    }
+
+    const { columns } = getSchema(sheetName);
+    const written = Object.keys(next)
+        .filter(name => name in changes || (name === 'version' && next.version !== record.version))
+        .map(name => columnIndex(sheetName, name))
+        .sort((a, b) => a - b);
+
+    // Adjacent columns share one range
+    const updates = [];
+    written.forEach(index => {
+        const last = updates[updates.length - 1];
+        const value = toCellValue(next[columns[index].name], columns[index].type);
+        if (last && last.lastIndex === index - 1) {
+            last.values.push(value);
+            last.lastIndex = index;
+        } else {
+            updates.push({ firstIndex: index, lastIndex: index, values: [value] });
+        }
+    });
+
+    await batchUpdateSheetValues(sheets, spreadsheetId, updates.map(({ firstIndex, lastIndex, values }) => ({
+        range: rowRange(sheetName, rowNumber, columns[firstIndex].name, columns[lastIndex].name),
+        values
+    })));
+
+    return { outcome: UPDATE_OUTCOMES.UPDATED, rowNumber, record: next };
+}
+
+/**
+ * Write a header row to a tab that does not have one yet
+ * Needed before the first append, since readers skip row 1
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {string} sheetName - Tab name (e.g., 'Scores')
+ * @param {Array<string>} [headers] - Column headers (default: from the schema registry)
+ * @returns {Promise<void>}
+ */
+async function ensureSheetHeaders(sheets, spreadsheetId, sheetName, headers = headerNames(sheetName)) {
+    try {
+        // Headers rarely change, and writing them clears this entry
+        const existing = await getSheetValues(sheets, spreadsheetId, `${sheetName}!A1:A1`, { ttl: HEADER_CACHE_TTL_MS });
+
+        if (existing.length === 0) {
+            await updateSheetValues(sheets, spreadsheetId, `${sheetName}!A1`, headers);
+            console.log(`${sheetName} sheet headers created`);
+        }
+    } catch (error) {
+        console.warn(`Error ensuring ${sheetName} sheet headers:`, error.message);
+        // Continue anyway - the append operation will create the sheet if needed
+    }
+}
+
+/**
+ * Convert a Users row into a user object
+ * Columns: see the Users schema in lib/schema.js
+ * @param {Array} userRow - Raw row values
+ * @returns {object} User object including the password hash
+ */
+function parseUserRow(userRow) {
+    const user = fromRow('Users', userRow);
+    return {
+        email: user.email,
+        password: user.passwordHash, // Hashed password
+        role: user.role || 'user',
+        status: user.status || 'active',
+        inviteToken: user.inviteToken,
+        created: user.createdAt,
+        name: user.name,
+        lastLogin: user.lastLogin,
+        version: recordVersion(user),
+        failedLogins: parseInt(user.failedLogins) || 0,
+        lastFailedLogin: user.lastFailedLogin,
+        lockedUntil: user.lockedUntil
+    };
+}
+
 /**
  * Find user by email in Users sheet
- * @param {object} sheets - Authenticated Google Sheets client
+ * @param {object} sheets - Storage client from createSheetsClient
  * @param {string} spreadsheetId - The ID of the spreadsheet
  * @param {string} email - Email to search for
  * @returns {Promise<object|null>} User object or null if not found
  */
 async function findUserByEmail(sheets, spreadsheetId, email) {
     try {
-        const users = await getSheetValues(sheets, spreadsheetId, 'Users!A2:G');
+        const users = await getSheetValues(sheets, spreadsheetId, USERS_RANGE);
         
         // Find user row by email (assuming email is in column A)
         const userRow = users.find(row => row[0] && row[0].toLowerCase() === email.toLowerCase());
@@ -114,17 +514,7 @@ async function findUserByEmail(sheets, spreadsheetId, email) {
             return null;
         }
 
-        // Return user object with structured data
-        // Columns: Email, PasswordHash, Role, Status, InviteToken, CreatedAt, Name
-        return {
-            email: userRow[0],
-            password: userRow[1], // Hashed password
-            role: userRow[2] || 'user',
-            status: userRow[3] || 'active',
-            inviteToken: userRow[4] || '',
-            created: userRow[5] || '',
-            name: userRow[6] || ''
-        };
+        return parseUserRow(userRow);
     } catch (error) {
         console.error(`Failed to find user by email ${email}:`, error.message);
         throw new Error(`User lookup failed: ${error.message}`);
@@ -132,43 +522,46 @@ async function findUserByEmail(sheets, spreadsheetId, email) {
 }
 
 /**
- * Update user's last login timestamp (optional - not in current sheet structure)
- * @param {object} sheets - Authenticated Google Sheets client
+ * List users in Users sheet without their password hashes
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @returns {Promise<Array>} User objects
+ */
+async function listUsers(sheets, spreadsheetId) {
+    try {
+        const users = await getSheetValues(sheets, spreadsheetId, USERS_RANGE);
+
+        return users
+            .filter(row => row[0])
+            .map(row => {
+                const { password, ...user } = parseUserRow(row);
+                return { ...user, email: user.email.toLowerCase() };
+            });
+    } catch (error) {
+        console.error('Failed to list users:', error.message);
+        throw new Error(`User lookup failed: ${error.message}`);
+    }
+}
+
+/**
+ * Update user's last login timestamp (LastLogin column)
+ * @param {object} sheets - Storage client from createSheetsClient
  * @param {string} spreadsheetId - The ID of the spreadsheet
  * @param {string} email - Email of user to update
  * @returns {Promise<void>}
  */
 async function updateUserLastLogin(sheets, spreadsheetId, email) {
     try {
-        // Since there's no lastLogin column in your current structure, 
-        // we'll just log the login for now
-        console.log(`Login recorded for user ${email} at ${new Date().toISOString()}`);
-        
-        // If you want to add a lastLogin column later, uncomment below:
-        /*
-        const users = await getSheetValues(sheets, spreadsheetId, 'Users!A2:H');
-        const userRowIndex = users.findIndex(row => row[0] && row[0].toLowerCase() === email.toLowerCase());
-        
-        if (userRowIndex === -1) {
+        // Bookkeeping only, so it must not make a concurrent admin edit of the user conflict
+        const { outcome } = await updateRecord(sheets, spreadsheetId, 'Users', email,
+            { lastLogin: new Date().toISOString() }, { bumpVersion: false });
+
+        if (outcome === UPDATE_OUTCOMES.NOT_FOUND) {
             console.warn(`User ${email} not found for last login update`);
             return;
         }
 
-        // Update last login (column H, row index + 2 for header offset)
-        const range = `Users!H${userRowIndex + 2}`;
-        const timestamp = new Date().toISOString();
-        
-        await sheets.spreadsheets.values.update({
-            spreadsheetId,
-            range,
-            valueInputOption: 'USER_ENTERED',
-            resource: {
-                values: [[timestamp]]
-            }
-        });
-        
         console.log(`Updated last login for user ${email}`);
-        */
     } catch (error) {
         console.error(`Failed to update last login for ${email}:`, error.message);
         // Don't throw - this is non-critical
@@ -177,8 +570,24 @@ async function updateUserLastLogin(sheets, spreadsheetId, email) {
 
 module.exports = {
     createSheetsClient,
+    getSheetsClientMetrics,
+    getSpreadsheetId,
     getSheetValues,
+    getSheetCacheMetrics,
+    invalidateSheetCache,
     appendSheetValues,
+    appendSheetRows,
+    updateSheetValues,
+    batchUpdateSheetValues,
+    findRowByKey,
+    UPDATE_OUTCOMES,
+    findRecord,
+    updateRecord,
+    ensureSheetHeaders,
+    verifySchema,
+    getSchemaStatus,
+    parseUserRow,
     findUserByEmail,
+    listUsers,
     updateUserLastLogin
 };
\ No newline at end of file
@@ -0,0 +1,211 @@
+/* ****************************************
+ * Spreadsheet Snapshots
+ * Captures every registered tab to a versioned JSON archive and plans restores from one
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Used by scripts/snapshot.js, scripts/restore-snapshot.js and api/snapshot.js
+ * @note Rows are kept exactly as storage returns them, header row included, so a restore replays them cell for cell
+ * @note The checksum covers the tab contents; a snapshot that fails it is never restored
+ * @note Snapshots include the Users tab (password hashes) - store them as carefully as the spreadsheet itself
+ ****************************************/
+
+const crypto = require('crypto');
+const { getSheetValues } = require('./sheets');
+const { getStorageBackend } = require('./storage');
+const { indexToColumn } = require('./storage/range');
+const { listSheetNames } = require('./schema');
+
+/**
+ * Identifies snapshot files
+ * @type {string}
+ */
+const SNAPSHOT_FORMAT = 'nest-fest-snapshot';
+
+/**
+ * Current snapshot layout; bump when the shape of the archive changes
+ * @type {number}
+ */
+const SNAPSHOT_FORMAT_VERSION = 1;
+
+/**
+ * Most rows sent in one restore write
+ * Keeps each Sheets batch request well under the API's payload limit
+ * @type {number}
+ */
+const RESTORE_BATCH_ROWS = 500;
+
+/**
+ * Checksum of a snapshot's tab contents
+ * @param {object} tabs - Snapshot tabs keyed by tab name
+ * @returns {string} 'sha256:<hex>'
+ */
+function computeChecksum(tabs) {
+    return `sha256:${crypto.createHash('sha256').update(JSON.stringify(tabs)).digest('hex')}`;
+}
+
+/**
+ * Read every registered tab into a snapshot
+ * Tabs that cannot be read (e.g. not created yet) are listed under skipped
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @returns {Promise<object>} Snapshot archive
+ */
+async function createSnapshot(sheets, spreadsheetId) {
+    const tabs = {};
+    const skipped = [];
+
+    for (const sheet of listSheetNames()) {
+        try {
+            const rows = await getSheetValues(sheets, spreadsheetId, sheet, { ttl: 0 });
+            tabs[sheet] = { rows };
+        } catch (error) {
+            skipped.push({ sheet, error: error.message });
+        }
+    }
+
+    return {
+        format: SNAPSHOT_FORMAT,
+        formatVersion: SNAPSHOT_FORMAT_VERSION,
+        createdAt: new Date().toISOString(),
+        source: { backend: getStorageBackend(), spreadsheetId },
+        counts: Object.entries(tabs).reduce((acc, [sheet, { rows }]) => {
+            acc[sheet] = Math.max(rows.length - 1, 0); // Data rows, excluding the header
+            return acc;
+        }, {}),
+        skipped,
+        tabs,
+        checksum: computeChecksum(tabs)
+    };
+}
+
+/**
+ * Check that a parsed snapshot is complete and unmodified
+ * @param {object} snapshot - Parsed snapshot file
+ * @returns {object} { valid, errors }
+ */
+function verifySnapshot(snapshot) {
+    const errors = [];
+
+    if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+        return { valid: false, errors: ['Not a snapshot file'] };
+    }
+
+    if (!Number.isInteger(snapshot.formatVersion) || snapshot.formatVersion > SNAPSHOT_FORMAT_VERSION) {
+        errors.push(`Snapshot format version ${snapshot.formatVersion} is not supported (expected ${SNAPSHOT_FORMAT_VERSION} or older)`);
+    }
+
+    const tabs = snapshot.tabs || {};
+    Object.entries(tabs).forEach(([sheet, tab]) => {
+        if (!tab || !Array.isArray(tab.rows) || !tab.rows.every(Array.isArray)) {
+            errors.push(`Tab ${sheet} has no rows array`);
+        }
+    });
+
+    if (computeChecksum(tabs) !== snapshot.checksum) {
+        errors.push('Checksum does not match - the file is incomplete or was edited');
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Compare two cells the way storage returns them
+ * @param {*} a - Cell value
+ * @param {*} b - Cell value
+ * @returns {boolean} True if equal
+ */
+function sameCell(a, b) {
+    return String(a === undefined || a === null ? '' : a) === String(b === undefined || b === null ? '' : b);
+}
+
+/**
+ * Compare two rows, ignoring trailing empty cells
+ * @param {Array} a - Row
+ * @param {Array} b - Row
+ * @returns {boolean} True if equal
+ */
+function sameRow(a = [], b = []) {
+    const width = Math.max(a.length, b.length);
+    for (let i = 0; i < width; i++) {
+        if (!sameCell(a[i], b[i])) return false;
+    }
+    return true;
+}
+
+/**
+ * Work out how restoring one tab would change it
+ * Rows are compared by position, which is how the restore writes them
+ * @param {string} sheet - Tab name
+ * @param {Array<Array>} snapshotRows - Rows from the snapshot, header first
+ * @param {Array<Array>} currentRows - Rows in the target now, header first
+ * @returns {object} { sheet, status, added, changed, removed, unchanged, changedRows, writes }
+ *   status is 'empty' (target has no rows), 'identical' or 'different'
+ */
+function planTabRestore(sheet, snapshotRows, currentRows) {
+    const plan = { sheet, added: 0, changed: 0, removed: 0, unchanged: 0, changedRows: [], writes: [] };
+    const width = Math.max(1, ...snapshotRows.map(row => row.length), ...currentRows.map(row => row.length));
+    const lastColumn = indexToColumn(width - 1);
+    const blank = Array(width).fill('');
+
+    const length = Math.max(snapshotRows.length, currentRows.length);
+    for (let i = 0; i < length; i++) {
+        const rowNumber = i + 1;
+        const wanted = snapshotRows[i];
+        const current = currentRows[i];
+
+        if (wanted && current && sameRow(wanted, current)) {
+            plan.unchanged += 1;
+            continue;
+        }
+
+        if (!wanted) {
+            plan.removed += 1;
+        } else if (!current) {
+            plan.added += 1;
+        } else {
+            plan.changed += 1;
+            plan.changedRows.push(rowNumber);
+        }
+
+        // Rows are padded to the full width so no stale cell survives
+        plan.writes.push({
+            range: `${sheet}!A${rowNumber}:${lastColumn}${rowNumber}`,
+            values: wanted ? blank.map((_, index) => (wanted[index] === undefined ? '' : wanted[index])) : blank
+        });
+    }
+
+    if (plan.writes.length === 0) {
+        plan.status = 'identical';
+    } else {
+        plan.status = currentRows.length === 0 ? 'empty' : 'different';
+    }
+
+    return plan;
+}
+
+/**
+ * Split restore writes into batches
+ * @param {Array<object>} writes - Writes from planTabRestore
+ * @param {number} [size] - Rows per batch
+ * @returns {Array<Array<object>>} Batches
+ */
+function batchWrites(writes, size = RESTORE_BATCH_ROWS) {
+    const batches = [];
+    for (let i = 0; i < writes.length; i += size) {
+        batches.push(writes.slice(i, i + size));
+    }
+    return batches;
+}
+
+module.exports = {
+    SNAPSHOT_FORMAT,
+    SNAPSHOT_FORMAT_VERSION,
+    RESTORE_BATCH_ROWS,
+    computeChecksum,
+    createSnapshot,
+    verifySnapshot,
+    planTabRestore,
+    batchWrites
+};
@@ -0,0 +1,174 @@
+/* ****************************************
+ * Local JSON File Storage Adapter
+ * Offline storage backend that mimics Google Sheets ranges in a JSON file
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Selected when STORAGE_BACKEND=file
+ * @note File location defaults to .data/storage.json (override with STORAGE_FILE_PATH)
+ * @note Intended for local development and testing - Vercel functions only have a writable /tmp
+ ****************************************/
+
+const path = require('path');
+const { parseRange, locateRow } = require('./range');
+const { readJsonFile, updateJsonFile } = require('../json-file');
+
+const emptyStore = () => ({ sheets: {} });
+
+/**
+ * Resolve the storage file path
+ * @returns {string} Absolute path to the JSON data file
+ */
+function getStorageFilePath() {
+    return process.env.STORAGE_FILE_PATH
+        ? path.resolve(process.env.STORAGE_FILE_PATH)
+        : path.join(process.cwd(), '.data', 'storage.json');
+}
+
+/**
+ * Convert a value to the string form Google Sheets would return
+ * Like USER_ENTERED input, a leading apostrophe marks text and is not stored
+ * @param {*} value - Cell value
+ * @returns {string} Cell string
+ */
+function toCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    const text = String(value);
+    return text.startsWith("'") ? text.slice(1) : text;
+}
+
+/**
+ * Drop trailing empty cells, matching the shape of Sheets API responses
+ * @param {Array} row - Row of cells
+ * @returns {Array} Trimmed row
+ */
+function trimRow(row) {
+    let end = row.length;
+    while (end > 0 && (row[end - 1] === '' || row[end - 1] === undefined)) {
+        end -= 1;
+    }
+    return row.slice(0, end).map(cell => (cell === undefined ? '' : cell));
+}
+
+/**
+ * Create a file-backed storage adapter
+ * @returns {Promise<object>} Storage adapter
+ */
+async function createFileAdapter() {
+    const filePath = getStorageFilePath();
+
+    async function load() {
+        const data = await readJsonFile(filePath, emptyStore);
+        return { sheets: {}, ...data };
+    }
+
+    // Serialize read-modify-write cycles within this process
+    function mutate(fn) {
+        return updateJsonFile(filePath, emptyStore, data => {
+            data.sheets = data.sheets || {};
+            return fn(data);
+        });
+    }
+
+    function writeCells(tab, rowNumber, startCol, values) {
+        while (tab.length < rowNumber) {
+            tab.push([]);
+        }
+        const row = tab[rowNumber - 1];
+        values.forEach((value, offset) => {
+            const col = startCol + offset;
+            while (row.length < col) {
+                row.push('');
+            }
+            row[col] = toCell(value);
+        });
+    }
+
+    async function readRange(spreadsheetId, range) {
+        const { sheet, startCol, startRow, endCol, endRow } = parseRange(range);
+        const data = await load();
+        const tab = data.sheets[sheet] || [];
+
+        const rows = tab
+            .slice(startRow - 1, endRow === Infinity ? undefined : endRow)
+            .map(row => trimRow(row.slice(startCol, endCol === Infinity ? undefined : endCol + 1)));
+
+        // Sheets omits trailing empty rows
+        while (rows.length > 0 && rows[rows.length - 1].length === 0) {
+            rows.pop();
+        }
+        return rows;
+    }
+
+    async function appendRows(spreadsheetId, range, rows) {
+        const { sheet, startCol } = parseRange(range);
+
+        return mutate(data => {
+            const tab = data.sheets[sheet] || (data.sheets[sheet] = []);
+
+            // Append after the last row that has any content
+            let lastRow = tab.length;
+            while (lastRow > 0 && trimRow(tab[lastRow - 1]).length === 0) {
+                lastRow -= 1;
+            }
+
+            rows.forEach((values, offset) => writeCells(tab, lastRow + 1 + offset, startCol, values));
+
+            return {
+                updates: { updatedRange: `${sheet}!${lastRow + 1}:${lastRow + rows.length}`, updatedRows: rows.length }
+            };
+        });
+    }
+
+    async function appendRow(spreadsheetId, range, values) {
+        return appendRows(spreadsheetId, range, [values]);
+    }
+
+    async function updateRow(spreadsheetId, range, values) {
+        const { sheet, startCol, startRow } = parseRange(range);
+
+        return mutate(data => {
+            const tab = data.sheets[sheet] || (data.sheets[sheet] = []);
+            writeCells(tab, startRow, startCol, values);
+
+            return { updatedRange: range, updatedRows: 1 };
+        });
+    }
+
+    // Every range is written in one file update, so a batch lands whole or not at all
+    async function batchUpdate(spreadsheetId, updates) {
+        const targets = updates.map(({ range, values }) => ({ ...parseRange(range), values }));
+
+        return mutate(data => {
+            targets.forEach(({ sheet, startCol, startRow, values }) => {
+                const tab = data.sheets[sheet] || (data.sheets[sheet] = []);
+                writeCells(tab, startRow, startCol, values);
+            });
+
+            return { totalUpdatedRows: targets.length };
+        });
+    }
+
+    async function findByKey(spreadsheetId, range, keyIndex, key) {
+        const rows = await readRange(spreadsheetId, range);
+        return locateRow(rows, range, keyIndex, key);
+    }
+
+    return {
+        backend: 'file',
+        filePath,
+        readRange,
+        appendRow,
+        appendRows,
+        updateRow,
+        batchUpdate,
+        findByKey
+    };
+}
+
+module.exports = {
+    createFileAdapter,
+    getStorageFilePath
+};
@@ -0,0 +1,60 @@
+/* ****************************************
+ * Storage Backend Selection
+ * Chooses the storage adapter used behind lib/sheets.js
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note STORAGE_BACKEND=sheets (default) uses Google Sheets
+ * @note STORAGE_BACKEND=file uses a local JSON file for offline development
+ *
+ * Every adapter implements the same interface, with ranges in A1 notation:
+ *   readRange(spreadsheetId, range)                  -> Array of rows
+ *   appendRow(spreadsheetId, range, values)          -> write result
+ *   appendRows(spreadsheetId, range, rows)           -> write result (all rows in one write)
+ *   updateRow(spreadsheetId, range, values)          -> write result
+ *   batchUpdate(spreadsheetId, [{ range, values }])  -> write result (every range or none)
+ *   findByKey(spreadsheetId, range, keyIndex, key)   -> { rowNumber, row } | null
+ ****************************************/
+
+const { createSheetsAdapter } = require('./sheets-adapter');
+const { createFileAdapter } = require('./file-adapter');
+
+/**
+ * Registered storage adapters by name
+ * @type {object}
+ */
+const ADAPTERS = {
+    sheets: createSheetsAdapter,
+    file: createFileAdapter
+};
+
+/**
+ * Get the configured backend name
+ * @returns {string} Backend name
+ */
+function getStorageBackend() {
+    return (process.env.STORAGE_BACKEND || 'sheets').toLowerCase();
+}
+
+/**
+ * Create the configured storage adapter
+ * @returns {Promise<object>} Storage adapter
+ * @throws {Error} If STORAGE_BACKEND names an unknown adapter
+ */
+async function createStorage() {
+    const backend = getStorageBackend();
+    const factory = ADAPTERS[backend];
+
+    if (!factory) {
+        throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected one of: ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+
+    return factory();
+}
+
+module.exports = {
+    ADAPTERS,
+    getStorageBackend,
+    createStorage
+};
@@ -0,0 +1,109 @@
+/* ****************************************
+ * A1 Range Utilities
+ * Parse spreadsheet ranges so every storage adapter addresses cells the same way
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Supports 'Tab', 'Tab!A:F', 'Tab!A2:F', 'Tab!A1:G1' and 'Tab!H5' forms
+ ****************************************/
+
+/**
+ * Convert a column letter to a zero-based index
+ * @param {string} letters - Column letters (e.g., 'A', 'AA')
+ * @returns {number} Zero-based column index
+ */
+function columnToIndex(letters) {
+    let index = 0;
+    for (const char of letters.toUpperCase()) {
+        index = index * 26 + (char.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+/**
+ * Convert a zero-based index to a column letter
+ * @param {number} index - Zero-based column index
+ * @returns {string} Column letters
+ */
+function indexToColumn(index) {
+    let letters = '';
+    let n = index + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        letters = String.fromCharCode(65 + remainder) + letters;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+}
+
+/**
+ * Parse a single cell reference such as 'A2', 'F' or '12'
+ * @param {string} ref - Cell reference
+ * @returns {object} { col, row } with null for omitted parts
+ */
+function parseCell(ref) {
+    const match = /^([A-Za-z]*)(\d*)$/.exec(ref || '');
+    if (!match) {
+        throw new Error(`Invalid cell reference: ${ref}`);
+    }
+    return {
+        col: match[1] ? columnToIndex(match[1]) : null,
+        row: match[2] ? parseInt(match[2]) : null
+    };
+}
+
+/**
+ * Parse an A1 range into its sheet name and bounds
+ * @param {string} range - Range in A1 notation
+ * @returns {object} { sheet, startCol, startRow, endCol, endRow } (rows 1-based, cols 0-based)
+ */
+function parseRange(range) {
+    const bang = range.lastIndexOf('!');
+    const rawSheet = bang === -1 ? range : range.slice(0, bang);
+    const sheet = rawSheet.replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+
+    if (bang === -1) {
+        return { sheet, startCol: 0, startRow: 1, endCol: Infinity, endRow: Infinity };
+    }
+
+    const [startRef, endRef] = range.slice(bang + 1).split(':');
+    const start = parseCell(startRef);
+    const end = endRef === undefined ? start : parseCell(endRef);
+
+    return {
+        sheet,
+        startCol: start.col === null ? 0 : start.col,
+        startRow: start.row === null ? 1 : start.row,
+        endCol: end.col === null ? Infinity : end.col,
+        endRow: end.row === null ? Infinity : end.row
+    };
+}
+
+/**
+ * Locate a row by key within rows read from a range
+ * @param {Array} rows - Rows returned for the range
+ * @param {string} range - The range the rows were read from
+ * @param {number} keyIndex - Zero-based column index of the key within the range
+ * @param {string} key - Value to match
+ * @returns {object|null} { rowNumber, row } or null if not found
+ */
+function locateRow(rows, range, keyIndex, key) {
+    const index = rows.findIndex(row => row[keyIndex] && row[keyIndex] === key);
+
+    if (index === -1) {
+        return null;
+    }
+
+    return {
+        rowNumber: parseRange(range).startRow + index,
+        row: rows[index]
+    };
+}
+
+module.exports = {
+    columnToIndex,
+    indexToColumn,
+    parseRange,
+    locateRow
+};
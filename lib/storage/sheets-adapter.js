@@ -0,0 +1,244 @@
+/* ****************************************
+ * Google Sheets Storage Adapter
+ * Storage backend that reads and writes a live Google Spreadsheet
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Requires GOOGLE_CLIENT_EMAIL and GOOGLE_PRIVATE_KEY environment variables
+ * @note Selected when STORAGE_BACKEND is unset or 'sheets'
+ * @note One authorized client is cached per warm instance (see createSheetsAdapter)
+ ****************************************/
+
+const { google } = require('googleapis');
+const { locateRow } = require('./range');
+
+// Refresh the access token this long before it expires
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Authorized client shared by every request served by this warm instance
+ * { credentialsKey, auth, adapter } once authorized
+ */
+let cachedClient = null;
+
+// In-flight authorization, so concurrent requests wait for one token instead of each fetching their own
+let pendingAuthorization = null;
+
+/**
+ * Authorization metrics for this instance (reset on cold start)
+ */
+const metrics = {
+    authorizations: 0,
+    refreshes: 0,
+    cacheHits: 0,
+    failures: 0,
+    totalAuthorizeMs: 0,
+    lastAuthorizedAt: null
+};
+
+/**
+ * Check whether the cached token is missing or close to expiring
+ * @param {object} auth - JWT auth client
+ * @returns {boolean} True if the token should be refreshed
+ */
+function needsRefresh(auth) {
+    const expiry = auth.credentials && auth.credentials.expiry_date;
+    return !expiry || expiry - Date.now() < TOKEN_REFRESH_MARGIN_MS;
+}
+
+/**
+ * Authorize a JWT client and record how long it took
+ * @param {object} auth - JWT auth client
+ * @returns {Promise<void>}
+ */
+async function authorize(auth) {
+    const startedAt = Date.now();
+    await auth.authorize();
+
+    metrics.authorizations += 1;
+    metrics.totalAuthorizeMs += Date.now() - startedAt;
+    metrics.lastAuthorizedAt = new Date().toISOString();
+}
+
+/**
+ * Create an authenticated Google Sheets storage adapter
+ * The authorized client is cached at module level and reused across warm
+ * invocations; its token is refreshed shortly before it expires
+ * @returns {Promise<object>} Storage adapter
+ * @throws {Error} If environment variables are missing or authentication fails
+ */
+async function createSheetsAdapter() {
+    // Validate required environment variables
+    if (!process.env.GOOGLE_CLIENT_EMAIL || !process.env.GOOGLE_PRIVATE_KEY) {
+        throw new Error('Google Sheets authentication failed: Missing required Google Sheets credentials in environment variables');
+    }
+
+    // Rotated credentials invalidate the cached client
+    const credentialsKey = `${process.env.GOOGLE_CLIENT_EMAIL}:${process.env.GOOGLE_PRIVATE_KEY}`;
+
+    if (cachedClient && cachedClient.credentialsKey === credentialsKey && !needsRefresh(cachedClient.auth)) {
+        metrics.cacheHits += 1;
+        return cachedClient.adapter;
+    }
+
+    if (!pendingAuthorization) {
+        pendingAuthorization = authorizeClient(credentialsKey).finally(() => {
+            pendingAuthorization = null;
+        });
+    }
+
+    return pendingAuthorization;
+}
+
+/**
+ * Build or refresh the cached client
+ * @param {string} credentialsKey - Identifies the credentials the client was built with
+ * @returns {Promise<object>} Storage adapter
+ * @throws {Error} If authentication fails
+ */
+async function authorizeClient(credentialsKey) {
+    try {
+        if (cachedClient && cachedClient.credentialsKey === credentialsKey) {
+            await authorize(cachedClient.auth);
+            metrics.refreshes += 1;
+            console.log('Google Sheets access token refreshed');
+            return cachedClient.adapter;
+        }
+
+        // Format private key (replace literal \n with actual newlines)
+        const privateKey = process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n');
+
+        // Create JWT auth client
+        const auth = new google.auth.JWT(
+            process.env.GOOGLE_CLIENT_EMAIL,
+            null,
+            privateKey,
+            ['https://www.googleapis.com/auth/spreadsheets']
+        );
+
+        // Authorize the client
+        await authorize(auth);
+
+        const sheets = google.sheets({ version: 'v4', auth });
+        cachedClient = { credentialsKey, auth, adapter: buildAdapter(sheets) };
+
+        console.log('Google Sheets client authenticated successfully');
+        return cachedClient.adapter;
+
+    } catch (error) {
+        cachedClient = null;
+        metrics.failures += 1;
+        console.error('Failed to create Google Sheets client:', error.message);
+        throw new Error(`Google Sheets authentication failed: ${error.message}`);
+    }
+}
+
+/**
+ * Report client reuse for this instance
+ * Saved latency is estimated as cache hits times the average authorization time
+ * @returns {object} Authorization metrics
+ */
+function getSheetsClientMetrics() {
+    const averageAuthorizeMs = metrics.authorizations > 0
+        ? Math.round(metrics.totalAuthorizeMs / metrics.authorizations)
+        : 0;
+    const expiry = cachedClient && cachedClient.auth.credentials && cachedClient.auth.credentials.expiry_date;
+
+    return {
+        ...metrics,
+        averageAuthorizeMs,
+        estimatedSavedMs: metrics.cacheHits * averageAuthorizeMs,
+        clientCached: !!cachedClient,
+        tokenExpiresAt: expiry ? new Date(expiry).toISOString() : null
+    };
+}
+
+/**
+ * Wrap a googleapis sheets client in the storage interface
+ * @param {object} sheets - Authenticated googleapis sheets client
+ * @returns {object} Storage adapter
+ */
+function buildAdapter(sheets) {
+    async function readRange(spreadsheetId, range) {
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId,
+            range,
+        });
+
+        return response.data.values || [];
+    }
+
+    async function appendRow(spreadsheetId, range, values) {
+        const response = await sheets.spreadsheets.values.append({
+            spreadsheetId,
+            range,
+            valueInputOption: 'USER_ENTERED',
+            resource: {
+                values: [values]
+            }
+        });
+
+        return response.data;
+    }
+
+    async function updateRow(spreadsheetId, range, values) {
+        const response = await sheets.spreadsheets.values.update({
+            spreadsheetId,
+            range,
+            valueInputOption: 'USER_ENTERED',
+            resource: {
+                values: [values]
+            }
+        });
+
+        return response.data;
+    }
+
+    async function appendRows(spreadsheetId, range, rows) {
+        const response = await sheets.spreadsheets.values.append({
+            spreadsheetId,
+            range,
+            valueInputOption: 'USER_ENTERED',
+            resource: {
+                values: rows
+            }
+        });
+
+        return response.data;
+    }
+
+    // One values.batchUpdate call: Sheets applies every range or none
+    async function batchUpdate(spreadsheetId, updates) {
+        const response = await sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId,
+            resource: {
+                valueInputOption: 'USER_ENTERED',
+                data: updates.map(({ range, values }) => ({ range, values: [values] }))
+            }
+        });
+
+        return response.data;
+    }
+
+    async function findByKey(spreadsheetId, range, keyIndex, key) {
+        const rows = await readRange(spreadsheetId, range);
+        return locateRow(rows, range, keyIndex, key);
+    }
+
+    return {
+        backend: 'sheets',
+        client: sheets, // Raw googleapis client for operations outside the interface
+        readRange,
+        appendRow,
+        appendRows,
+        updateRow,
+        batchUpdate,
+        findByKey
+    };
+}
+
+module.exports = {
+    createSheetsAdapter,
+    getSheetsClientMetrics
+};
@@ -0,0 +1,214 @@
+/* ****************************************
+ * Submission Records
+ * Shared reader for rows in the Submissions tab
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Columns: Full Name, Email, Major, Business Name, Business Description, Timestamp,
+ *       Status, Status Updated At, Status Updated By, ID, Tags
+ * @note Tags are stored lowercase and comma-separated in one cell
+ ****************************************/
+
+const { getSheetValues } = require('./sheets');
+const { normalizeStatus, getAllowedTransitions, isValidStatus } = require('./review');
+const { dataRange, columnIndex, fromRow, recordVersion } = require('./schema');
+const { nowIso, timestampValue, parseDateParam } = require('./time');
+
+const SUBMISSIONS_RANGE = dataRange('Submissions');
+const SUBMISSION_ID_INDEX = columnIndex('Submissions', 'id');
+
+/**
+ * Fields the submission list can be sorted by
+ * @type {Array<string>}
+ */
+const SORT_FIELDS = ['timestamp', 'fullName', 'businessName', 'major', 'status', 'statusUpdatedAt'];
+
+/**
+ * Longest tag accepted, in characters
+ * @type {number}
+ */
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Normalize tags to a sorted, de-duplicated list
+ * Tags are lowercase letters, digits, hyphens and underscores; spaces become hyphens
+ * @param {string|Array<string>} value - Tags cell or list of tags
+ * @returns {Array<string>} Tags
+ */
+function parseTags(value) {
+    const tags = splitList(value)
+        .map(tag => tag.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9_-]/g, '').slice(0, MAX_TAG_LENGTH))
+        .filter(Boolean);
+    return [...new Set(tags)].sort();
+}
+
+/**
+ * Serialize tags for the Tags cell
+ * @param {Array<string>} tags - Tags
+ * @returns {string} Comma-separated tags
+ */
+function formatTags(tags) {
+    return parseTags(tags).join(', ');
+}
+
+/**
+ * Convert a Submissions row into a submission object
+ * @param {Array} row - Raw row values
+ * @returns {object} Submission object
+ */
+function parseSubmissionRow(row) {
+    const submission = fromRow('Submissions', row);
+    const currentStatus = normalizeStatus(submission.status);
+
+    return {
+        id: submission.id, // Durable UUID (empty until scripts/backfill-ids.js has run)
+        fullName: String(submission.fullName).trim(),
+        email: String(submission.email).trim().toLowerCase(),
+        major: String(submission.major).trim(),
+        businessName: String(submission.businessName).trim(),
+        businessDescription: String(submission.businessDescription).trim(),
+        timestamp: submission.timestamp || nowIso(),
+        status: currentStatus,
+        statusUpdatedAt: submission.statusUpdatedAt,
+        statusUpdatedBy: submission.statusUpdatedBy,
+        tags: parseTags(submission.tags),
+        version: recordVersion(submission), // Bumped on every edit; see updateRecord in lib/sheets.js
+        allowedTransitions: getAllowedTransitions(currentStatus)
+    };
+}
+
+/**
+ * Read all non-empty submissions
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @returns {Promise<Array>} Submission objects
+ */
+async function listSubmissions(sheets, spreadsheetId) {
+    const rows = await getSheetValues(sheets, spreadsheetId, SUBMISSIONS_RANGE);
+
+    // Filter out empty rows
+    return rows.map(parseSubmissionRow).filter(s => s.fullName && s.email);
+}
+
+/**
+ * Split a comma-separated query value into trimmed, non-empty parts
+ * @param {string|Array<string>} value - Query value (repeated params arrive as arrays)
+ * @returns {Array<string>} Parts
+ */
+function splitList(value) {
+    return [].concat(value || [])
+        .flatMap(v => String(v).split(','))
+        .map(v => v.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Build filter and sort options from request query parameters
+ * Supported: status, major, tag (comma-separated), from, to, q, sort, dir
+ * @param {object} query - Request query object
+ * @returns {object} { options, errors } - errors is empty when the query is valid
+ */
+function parseSubmissionQuery(query = {}) {
+    const errors = [];
+
+    const statuses = splitList(query.status);
+    const invalidStatuses = statuses.filter(status => !isValidStatus(status));
+    if (invalidStatuses.length > 0) {
+        errors.push(`Invalid status: ${invalidStatuses.join(', ')}`);
+    }
+
+    const from = query.from ? parseDateParam(query.from, false) : null;
+    const to = query.to ? parseDateParam(query.to, true) : null;
+    if (query.from && !from) errors.push('from must be an ISO date');
+    if (query.to && !to) errors.push('to must be an ISO date');
+    if (from && to && from > to) errors.push('from must be before to');
+
+    const sort = query.sort || 'timestamp';
+    if (!SORT_FIELDS.includes(sort)) {
+        errors.push(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+    }
+
+    const dir = (query.dir || (sort === 'timestamp' ? 'desc' : 'asc')).toLowerCase();
+    if (dir !== 'asc' && dir !== 'desc') {
+        errors.push('dir must be asc or desc');
+    }
+
+    return {
+        options: {
+            statuses,
+            majors: splitList(query.major).map(m => m.toLowerCase()),
+            tags: parseTags(query.tag),
+            from,
+            to,
+            terms: String(query.q || '').toLowerCase().split(/\s+/).filter(Boolean),
+            sort,
+            dir
+        },
+        errors
+    };
+}
+
+/**
+ * Apply filters from parseSubmissionQuery
+ * Search terms must all appear in the business name or description
+ * @param {Array<object>} submissions - Submission objects
+ * @param {object} options - Options from parseSubmissionQuery
+ * @returns {Array<object>} Matching submissions
+ */
+function filterSubmissions(submissions, options) {
+    const { statuses, majors, tags, from, to, terms } = options;
+
+    return submissions.filter(s => {
+        if (statuses.length > 0 && !statuses.includes(s.status)) return false;
+        if (majors.length > 0 && !majors.includes(s.major.toLowerCase())) return false;
+        if (tags.length > 0 && !tags.some(tag => s.tags.includes(tag))) return false;
+
+        if (from || to) {
+            const submitted = timestampValue(s.timestamp);
+            if (!submitted) return false;
+            if (from && submitted < from) return false;
+            if (to && submitted > to) return false;
+        }
+
+        if (terms.length > 0) {
+            const text = `${s.businessName} ${s.businessDescription}`.toLowerCase();
+            if (!terms.every(term => text.includes(term))) return false;
+        }
+
+        return true;
+    });
+}
+
+/**
+ * Sort submissions in place
+ * Dates compare chronologically, everything else alphabetically
+ * @param {Array<object>} submissions - Submission objects
+ * @param {string} sort - Field from SORT_FIELDS
+ * @param {string} dir - 'asc' or 'desc'
+ * @returns {Array<object>} The same array, sorted
+ */
+function sortSubmissions(submissions, sort, dir) {
+    const direction = dir === 'desc' ? -1 : 1;
+    const isDate = sort === 'timestamp' || sort === 'statusUpdatedAt';
+
+    return submissions.sort((a, b) => {
+        const result = isDate
+            ? timestampValue(a[sort]) - timestampValue(b[sort])
+            : String(a[sort] || '').localeCompare(String(b[sort] || ''), undefined, { sensitivity: 'base' });
+        return result * direction;
+    });
+}
+
+module.exports = {
+    SUBMISSIONS_RANGE,
+    SUBMISSION_ID_INDEX,
+    SORT_FIELDS,
+    parseTags,
+    formatTags,
+    parseSubmissionRow,
+    listSubmissions,
+    parseSubmissionQuery,
+    filterSubmissions,
+    sortSubmissions
+};
@@ -0,0 +1,223 @@
+/* ****************************************
+ * Timestamp Handling
+ * Parse stored timestamps, normalize them to ISO 8601 UTC and format them for display
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Every write stores ISO 8601 UTC (e.g. 2025-07-19T15:04:05.000Z)
+ * @note Timestamps without a zone (legacy rows such as "07/19/2025, 10:04:05 AM") are read as Central Time
+ * @note Display uses DISPLAY_TIME_ZONE (default America/Chicago, where the event is held)
+ ****************************************/
+
+const DEFAULT_TIME_ZONE = 'America/Chicago';
+
+// Legacy US locale strings: 7/19/2025, 07/19/2025 10:04, 07/19/2025, 10:04:05 AM
+const US_DATE_TIME = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?)?$/;
+// ISO-like values without a zone: 2025-07-19, 2025-07-19 10:04, 2025-07-19T10:04:05.123
+const NAIVE_ISO = /^(\d{4})-(\d{2})-(\d{2})(?:[T\s](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/;
+const ZONED_ISO = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * Time zone used for display and for values stored without a zone
+ * @returns {string} IANA time zone name
+ */
+function getDisplayTimeZone() {
+    return process.env.DISPLAY_TIME_ZONE || DEFAULT_TIME_ZONE;
+}
+
+/**
+ * Check that date and time fields name a real calendar time
+ * Date would roll 2025-02-30 over to March 2 (and 2025-13-45 into 2026) instead of refusing it
+ * @param {Array<number>} parts - [year, month (1-12), day, hour, minute, second]
+ * @returns {boolean} True if every field is in range
+ */
+function isValidDateParts([year, month, day, hour = 0, minute = 0, second = 0]) {
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+    return month >= 1 && month <= 12 &&
+        day >= 1 && day <= daysInMonth &&
+        hour >= 0 && hour <= 23 &&
+        minute >= 0 && minute <= 59 &&
+        second >= 0 && second <= 59;
+}
+
+/**
+ * Offset of a time zone from UTC at a given instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Offset in milliseconds (negative west of UTC)
+ */
+function getZoneOffset(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date);
+
+    const get = type => Number(parts.find(p => p.type === type).value);
+    const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+
+    return asUtc - (date.getTime() - date.getUTCMilliseconds());
+}
+
+/**
+ * Convert a wall-clock time in a time zone to the instant it names
+ * Checked twice so times near a daylight saving change use the right offset
+ * @param {Array<number>} parts - [year, month (1-12), day, hour, minute, second, millisecond]
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} Instant
+ */
+function fromZonedParts([year, month, day, hour = 0, minute = 0, second = 0, ms = 0], timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+    const offset = getZoneOffset(new Date(wallClock), timeZone);
+    const guess = wallClock - offset;
+    const corrected = getZoneOffset(new Date(guess), timeZone);
+
+    return new Date(corrected === offset ? guess : wallClock - corrected);
+}
+
+/**
+ * Parse a stored timestamp in any format this app has written
+ * @param {*} value - Date, epoch milliseconds or timestamp string
+ * @param {string} [timeZone] - Zone for values written without one (default: display zone)
+ * @returns {Date|null} Parsed instant, or null if unreadable
+ */
+function parseTimestamp(value, timeZone = getDisplayTimeZone()) {
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? null : value;
+    }
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? new Date(value) : null;
+    }
+
+    const text = String(value || '').trim();
+    if (!text) return null;
+
+    let match = ZONED_ISO.exec(text);
+    if (match) {
+        if (!isValidDateParts(match.slice(1, 7).map(n => Number(n || 0)))) return null;
+        const date = new Date(text);
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    match = NAIVE_ISO.exec(text);
+    if (match) {
+        const [, year, month, day, hour, minute, second, ms] = match;
+        const parts = [year, month, day, hour, minute, second, (ms || '0').padEnd(3, '0')].map(n => Number(n || 0));
+        return isValidDateParts(parts) ? fromZonedParts(parts, timeZone) : null;
+    }
+
+    match = US_DATE_TIME.exec(text);
+    if (match) {
+        const [, month, day, year, rawHour, minute, second, meridiem] = match;
+        let hour = Number(rawHour || 0);
+        if (meridiem) {
+            if (hour < 1 || hour > 12) return null;
+            hour = (hour % 12) + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+        }
+        const parts = [Number(year), Number(month), Number(day), hour, Number(minute || 0), Number(second || 0)];
+        return isValidDateParts(parts) ? fromZonedParts(parts, timeZone) : null;
+    }
+
+    // Anything else that names its own zone (e.g. Date#toString output)
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Normalize a timestamp to ISO 8601 UTC
+ * @param {*} value - Date, epoch milliseconds or timestamp string
+ * @returns {string|null} ISO string, or null if unreadable
+ */
+function toIsoTimestamp(value) {
+    const date = parseTimestamp(value);
+    return date ? date.toISOString() : null;
+}
+
+/**
+ * Current time as ISO 8601 UTC
+ * @returns {string} ISO string
+ */
+function nowIso() {
+    return new Date().toISOString();
+}
+
+/**
+ * Milliseconds since the epoch, for sorting
+ * @param {*} value - Timestamp
+ * @returns {number} Epoch milliseconds, or 0 if unreadable (sorts as oldest)
+ */
+function timestampValue(value) {
+    const date = parseTimestamp(value);
+    return date ? date.getTime() : 0;
+}
+
+/**
+ * Start of the day or month containing an instant, in the display zone
+ * @param {string} unit - 'day' or 'month'
+ * @param {Date} [date] - Instant (default: now)
+ * @returns {Date} Start of the period
+ */
+function startOfPeriod(unit, date = new Date()) {
+    const timeZone = getDisplayTimeZone();
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone, year: 'numeric', month: 'numeric', day: 'numeric'
+    }).formatToParts(date);
+    const get = type => Number(parts.find(p => p.type === type).value);
+
+    return fromZonedParts([get('year'), get('month'), unit === 'month' ? 1 : get('day')], timeZone);
+}
+
+/**
+ * Parse a date query parameter
+ * Date-only values are whole days in the display zone, so `to=2025-07-31` includes that day
+ * @param {string} value - ISO date or date-time
+ * @param {boolean} endOfDay - Whether a date-only value should snap to the end of the day
+ * @returns {Date|null} Parsed date, or null if invalid
+ */
+function parseDateParam(value, endOfDay) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) {
+        return parseTimestamp(value);
+    }
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const start = fromZonedParts([year, month, day], getDisplayTimeZone());
+    if (Number.isNaN(start.getTime())) return null;
+
+    return endOfDay
+        ? new Date(fromZonedParts([year, month, day + 1], getDisplayTimeZone()).getTime() - 1)
+        : start;
+}
+
+/**
+ * Format a timestamp for people, in the display zone
+ * @param {*} value - Timestamp
+ * @param {object} [options] - Intl.DateTimeFormat options (default: date, time and zone name)
+ * @returns {string} Formatted time, or the original value if unreadable
+ */
+function formatDisplayTime(value, options = {
+    year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short'
+}) {
+    const date = parseTimestamp(value);
+    if (!date) return value ? String(value) : '';
+
+    return date.toLocaleString('en-US', { ...options, timeZone: getDisplayTimeZone() });
+}
+
+module.exports = {
+    getDisplayTimeZone,
+    parseTimestamp,
+    toIsoTimestamp,
+    nowIso,
+    timestampValue,
+    startOfPeriod,
+    parseDateParam,
+    formatDisplayTime
+};
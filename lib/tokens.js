@@ -0,0 +1,112 @@
+/* ****************************************
+ * Signed Tokens
+ * Expiring HMAC-signed tokens for links sent by email
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Signed with TOKEN_SECRET, falling back to SESSION_SECRET
+ * @note Nothing is stored: a token names its purpose, subject and expiry, and its signature also covers a
+ *       binding value the caller reads from the sheet (e.g. the password hash). Changing that value
+ *       invalidates every token issued before, which is what makes a token single-use
+ * @note Links use APP_BASE_URL, never the request's Host header, so a forged Host cannot redirect them
+ ****************************************/
+
+const crypto = require('crypto');
+
+/**
+ * Site used in emailed links when APP_BASE_URL is not set
+ * @type {string}
+ */
+const DEFAULT_APP_BASE_URL = 'https://acc-shark-tank.vercel.app';
+
+/**
+ * Get the token signing secret
+ * @returns {string} Secret
+ * @throws {Error} If neither TOKEN_SECRET nor SESSION_SECRET is set
+ */
+function getTokenSecret() {
+    const secret = process.env.TOKEN_SECRET || process.env.SESSION_SECRET;
+    if (!secret) {
+        throw new Error('TOKEN_SECRET or SESSION_SECRET is required to sign tokens');
+    }
+    return secret;
+}
+
+/**
+ * Sign a token's fields
+ * @param {string} purpose - What the token is for (e.g. 'password-reset')
+ * @param {string} subject - Who it is for (an email)
+ * @param {number} expires - Expiry (ms since epoch)
+ * @param {string} binding - Value that must be unchanged when the token is used
+ * @returns {string} base64url HMAC-SHA256 signature
+ */
+function sign(purpose, subject, expires, binding) {
+    return crypto.createHmac('sha256', getTokenSecret())
+        .update([purpose, subject, expires, binding].join('\n'))
+        .digest('base64url');
+}
+
+/**
+ * Create a signed token
+ * @param {object} options - { purpose, subject, ttlMs, binding }
+ * @param {number} [now] - Current time (ms)
+ * @returns {string} Token, safe to put in a URL
+ */
+function createSignedToken({ purpose, subject, ttlMs, binding = '' }, now = Date.now()) {
+    const expires = now + ttlMs;
+    const encodedSubject = Buffer.from(subject).toString('base64url');
+    return `${encodedSubject}.${expires.toString(36)}.${sign(purpose, subject, expires, binding)}`;
+}
+
+/**
+ * Read a token's subject and expiry without checking its signature
+ * Used to look up the record whose binding value verifies it
+ * @param {*} token - Token from the request
+ * @returns {object|null} { subject, expires }, or null if malformed
+ */
+function readSignedToken(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3 || !parts.every(Boolean)) return null;
+
+    const subject = Buffer.from(parts[0], 'base64url').toString('utf8');
+    const expires = parseInt(parts[1], 36);
+    if (!subject || !Number.isFinite(expires)) return null;
+
+    return { subject, expires };
+}
+
+/**
+ * Verify a token
+ * @param {*} token - Token from the request
+ * @param {object} options - { purpose, binding }
+ * @param {number} [now] - Current time (ms)
+ * @returns {object|null} { subject, expires } if the token is genuine, unexpired and still bound; otherwise null
+ */
+function verifySignedToken(token, { purpose, binding = '' }, now = Date.now()) {
+    const fields = readSignedToken(token);
+    if (!fields || fields.expires <= now) return null;
+
+    const expected = Buffer.from(sign(purpose, fields.subject, fields.expires, binding));
+    const actual = Buffer.from(token.split('.')[2]);
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? fields : null;
+}
+
+/**
+ * Build an emailed link to a page that takes a token
+ * @param {string} page - Page path (e.g. 'reset-password.html')
+ * @param {string} token - Signed token
+ * @returns {string} Absolute URL
+ */
+function tokenLink(page, token) {
+    const base = (process.env.APP_BASE_URL || DEFAULT_APP_BASE_URL).replace(/\/+$/, '');
+    return `${base}/${page}?token=${encodeURIComponent(token)}`;
+}
+
+module.exports = {
+    createSignedToken,
+    readSignedToken,
+    verifySignedToken,
+    tokenLink
+};
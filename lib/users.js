@@ -0,0 +1,217 @@
+/* ****************************************
+ * User Management
+ * Validation, password hashing and the last-superadmin guard for the Users tab
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Shared by api/users.js and scripts/setup-admin.js so both hash and validate the same way;
+ *       it does not load lib/auth.js, so the setup script can use it without a session secret
+ * @note Deleting a user keeps the row (like a deleted comment): the status becomes deleted and the
+ *       password hash is cleared, so row numbers never shift and the email can be added again later
+ * @note Password reset tokens are bound to the current password hash, so a reset (or any other password
+ *       change) invalidates every link sent before it
+ ****************************************/
+
+const bcrypt = require('bcrypt');
+const { createSignedToken, verifySignedToken } = require('./tokens');
+const { appendSheetValues, ensureSheetHeaders, updateRecord, UPDATE_OUTCOMES } = require('./sheets');
+const { appendRange, toRow } = require('./schema');
+
+/**
+ * Roles a user may hold (lib/auth.js refuses sessions with any other)
+ * @type {Array<string>}
+ */
+const USER_ROLES = ['admin', 'superadmin', 'reviewer', 'judge', 'user'];
+
+/**
+ * User statuses
+ * active   - may sign in
+ * inactive - kept, but sign-in is refused
+ * deleted  - removed from the team; hidden from lists
+ * @type {object}
+ */
+const USER_STATUSES = {
+    ACTIVE: 'active',
+    INACTIVE: 'inactive',
+    DELETED: 'deleted'
+};
+
+/**
+ * bcrypt cost factor for stored password hashes
+ * @type {number}
+ */
+const PASSWORD_SALT_ROUNDS = 12;
+
+/**
+ * How long an emailed password reset link works
+ * @type {number}
+ */
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+const PASSWORD_RESET_PURPOSE = 'password-reset';
+const MIN_PASSWORD_LENGTH = 8;
+// Quotes, angle brackets and slashes are refused so an address is always safe to place in markup
+const EMAIL_PATTERN = /^[^\s@"'<>\/]+@[^\s@"'<>\/]+\.[^\s@"'<>\/]+$/;
+
+/**
+ * Hash a password for the PasswordHash column
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} bcrypt hash
+ */
+async function hashPassword(password) {
+    return bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+}
+
+/**
+ * Create a password reset token for a user
+ * @param {object} user - User from findUserByEmail (with its password hash)
+ * @returns {string} Signed token
+ */
+function createPasswordResetToken(user) {
+    return createSignedToken({
+        purpose: PASSWORD_RESET_PURPOSE,
+        subject: user.email.toLowerCase(),
+        ttlMs: PASSWORD_RESET_TTL_MS,
+        binding: user.password || ''
+    });
+}
+
+/**
+ * Check a password reset token against the user it names
+ * @param {string} token - Token from the reset link
+ * @param {object} user - User from findUserByEmail (with its password hash)
+ * @returns {boolean} True if the token is genuine, unexpired and the password has not changed since
+ */
+function verifyPasswordResetToken(token, user) {
+    const fields = verifySignedToken(token, { purpose: PASSWORD_RESET_PURPOSE, binding: user.password || '' });
+    return Boolean(fields) && fields.subject === user.email.toLowerCase();
+}
+
+/**
+ * Validate a new password
+ * @param {*} password - Password from the request
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+    }
+    return null;
+}
+
+/**
+ * Validate the fields of a new or changed user
+ * Only the fields present are checked, so this serves both create and update
+ * @param {object} fields - { email, name, role, status, password }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateUserFields({ email, name, role, status, password }) {
+    if (email !== undefined && (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim()))) {
+        return 'Invalid email format';
+    }
+    if (name !== undefined && (typeof name !== 'string' || name.length > 100)) {
+        return 'Name must be text of at most 100 characters';
+    }
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+        return `Role must be one of: ${USER_ROLES.join(', ')}`;
+    }
+    if (status !== undefined && status !== USER_STATUSES.ACTIVE && status !== USER_STATUSES.INACTIVE) {
+        return `Status must be ${USER_STATUSES.ACTIVE} or ${USER_STATUSES.INACTIVE}`;
+    }
+    if (password !== undefined) {
+        return validatePassword(password);
+    }
+    return null;
+}
+
+/**
+ * Whether a user is an active superadmin
+ * @param {object} user - User from listUsers or parseUserRow
+ * @returns {boolean}
+ */
+function isActiveSuperadmin(user) {
+    return user.role === 'superadmin' && String(user.status).toLowerCase() === USER_STATUSES.ACTIVE;
+}
+
+/**
+ * Whether a change would leave the team without an active superadmin
+ * @param {Array<object>} users - Users from listUsers
+ * @param {string} email - User being changed
+ * @param {object} changes - Changes about to be written ({ role, status })
+ * @returns {boolean} True if the change must be refused
+ */
+function removesLastSuperadmin(users, email, changes) {
+    const target = users.find(user => user.email === email.toLowerCase());
+    if (!target || !isActiveSuperadmin(target)) {
+        return false;
+    }
+    if (isActiveSuperadmin({ ...target, ...changes })) {
+        return false;
+    }
+    return users.filter(isActiveSuperadmin).length <= 1;
+}
+
+/**
+ * Write a new active user, reusing the row of a deleted user with the same email
+ * Callers check first that no other user has the email
+ * @param {object} sheets - Storage client from createSheetsClient
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {object} user - { email, name, role, passwordHash, inviteToken }
+ * @param {object|null} deleted - The deleted user with this email (from listUsers), if any
+ * @returns {Promise<boolean>} True if a deleted user's row was reused
+ */
+async function addUser(sheets, spreadsheetId, { email, name = '', role, passwordHash, inviteToken = '' }, deleted) {
+    const details = {
+        passwordHash,
+        role,
+        status: USER_STATUSES.ACTIVE,
+        inviteToken,
+        createdAt: new Date().toISOString(),
+        name: name.trim()
+    };
+
+    if (deleted) {
+        const { outcome } = await updateRecord(sheets, spreadsheetId, 'Users', email, {
+            ...details, failedLogins: 0, lastFailedLogin: '', lockedUntil: ''
+        });
+        if (outcome === UPDATE_OUTCOMES.UPDATED) {
+            return true;
+        }
+    }
+
+    await ensureSheetHeaders(sheets, spreadsheetId, 'Users');
+    await appendSheetValues(sheets, spreadsheetId, appendRange('Users'), toRow('Users', { email, ...details }));
+    return false;
+}
+
+/**
+ * Users shown to superadmins, without deleted ones or sign-in counters
+ * @param {Array<object>} users - Users from listUsers
+ * @returns {Array<object>} { email, name, role, status, created, lastLogin, version }, sorted by email
+ */
+function listTeam(users) {
+    return users
+        .filter(user => String(user.status).toLowerCase() !== USER_STATUSES.DELETED)
+        .map(({ email, name, role, status, created, lastLogin, version }) => ({
+            email, name: name || '', role, status: String(status).toLowerCase(), created, lastLogin, version
+        }))
+        .sort((a, b) => a.email.localeCompare(b.email));
+}
+
+module.exports = {
+    USER_ROLES,
+    USER_STATUSES,
+    PASSWORD_SALT_ROUNDS,
+    MIN_PASSWORD_LENGTH,
+    PASSWORD_RESET_TTL_MS,
+    hashPassword,
+    createPasswordResetToken,
+    verifyPasswordResetToken,
+    validatePassword,
+    validateUserFields,
+    isActiveSuperadmin,
+    removesLastSuperadmin,
+    addUser,
+    listTeam
+};
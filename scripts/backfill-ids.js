@@ -0,0 +1,107 @@
+/* ****************************************
+ * Record ID Backfill Script
+ * Assigns durable UUIDs to existing rows that were written before IDs existed
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Safe to run repeatedly - rows that already have an ID are left untouched
+ * @note Pass --dry-run to report missing IDs without writing anything
+ ****************************************/
+
+// Load environment variables from .env.local
+require('dotenv').config({ path: '.env.local' });
+
+const { createSheetsClient, getSpreadsheetId, getSheetValues, updateSheetValues } = require('../lib/sheets');
+const { generateRecordId } = require('../lib/ids');
+const { columnIndex, columnLetter } = require('../lib/schema');
+
+/**
+ * Tabs that carry an ID column
+ * Rows are considered populated when their first column has a value
+ */
+const ID_COLUMNS = ['Submissions', 'Participants', 'AI_Coaching'].map(sheet => ({
+    sheet,
+    column: columnLetter(sheet, 'id'),
+    index: columnIndex(sheet, 'id')
+}));
+
+/**
+ * Backfill missing IDs in a single tab
+ * @param {object} sheets - Authenticated Google Sheets client
+ * @param {string} spreadsheetId - The ID of the spreadsheet
+ * @param {object} config - Tab configuration from ID_COLUMNS
+ * @param {boolean} dryRun - Report only, do not write
+ * @returns {Promise<number>} Number of rows assigned an ID
+ */
+async function backfillSheet(sheets, spreadsheetId, config, dryRun) {
+    const { sheet, column, index } = config;
+    const rows = await getSheetValues(sheets, spreadsheetId, `${sheet}!A1:${column}`);
+
+    if (rows.length === 0) {
+        console.log(`⏭️  ${sheet}: empty, skipping`);
+        return 0;
+    }
+
+    // Label the ID column if the header row predates it
+    if (!rows[0][index]) {
+        console.log(`📝 ${sheet}: adding ID header in column ${column}`);
+        if (!dryRun) {
+            await updateSheetValues(sheets, spreadsheetId, `${sheet}!${column}1`, ['ID']);
+        }
+    }
+
+    let assigned = 0;
+    for (let i = 1; i < rows.length; i++) {
+        const row = rows[i];
+        if (!row[0] || row[index]) {
+            continue;
+        }
+
+        const rowNumber = i + 1;
+        if (!dryRun) {
+            await updateSheetValues(sheets, spreadsheetId, `${sheet}!${column}${rowNumber}`, [generateRecordId()]);
+        }
+        assigned += 1;
+    }
+
+    console.log(`${dryRun ? '🔍' : '✅'} ${sheet}: ${assigned} row(s) ${dryRun ? 'missing an ID' : 'assigned an ID'}`);
+    return assigned;
+}
+
+/**
+ * Backfill IDs across all tabs
+ * @param {object} options - { dryRun }
+ * @returns {Promise<object>} Count of assigned IDs per tab
+ */
+async function backfillIds({ dryRun = false } = {}) {
+    const spreadsheetId = getSpreadsheetId();
+
+    if (!spreadsheetId) {
+        throw new Error('GOOGLE_SHEET_ID environment variable not configured');
+    }
+
+    console.log(`🚀 Backfilling record IDs${dryRun ? ' (dry run)' : ''}...`);
+    const sheets = await createSheetsClient();
+
+    const results = {};
+    for (const config of ID_COLUMNS) {
+        results[config.sheet] = await backfillSheet(sheets, spreadsheetId, config, dryRun);
+    }
+
+    return results;
+}
+
+// Run backfill if called directly
+if (require.main === module) {
+    const dryRun = process.argv.includes('--dry-run');
+
+    backfillIds({ dryRun })
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('❌ Backfill failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { backfillIds, ID_COLUMNS };
@@ -0,0 +1,226 @@
+/* ****************************************
+ * Sheet Schema Migration Script
+ * Brings every tab's header row in line with lib/schema.js
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Safe to run repeatedly - tabs that already match are left untouched
+ * @note Pass --check to verify only (exits 1 if anything needs migrating), --dry-run to list the writes
+ * @note Pass --sheet=Name to migrate a single tab
+ * @note Only adds header cells, or rewrites rows whose position changes; existing values are never dropped
+ ****************************************/
+
+// Load environment variables from .env.local
+require('dotenv').config({ path: '.env.local' });
+
+// This script reports header drift itself
+process.env.SCHEMA_CHECK = 'off';
+
+const { createSheetsClient, getSpreadsheetId, getSheetValues, updateSheetValues } = require('../lib/sheets');
+const { getStorageBackend } = require('../lib/storage');
+const { indexToColumn } = require('../lib/storage/range');
+const {
+    getSchema, listSheetNames, headerNames, normalizeHeader, compareHeaders, looksLikeDataRow
+} = require('../lib/schema');
+
+/**
+ * Users layout written by earlier versions of scripts/setup-admin.js
+ * Each entry is the schema column the legacy column holds
+ */
+const LEGACY_USERS_HEADERS = ['Email', 'Password', 'Role', 'Name', 'Created', 'LastLogin', 'Status'];
+const LEGACY_USERS_COLUMNS = ['email', 'passwordHash', 'role', 'name', 'createdAt', 'lastLogin', 'status'];
+
+// Google Sheets allows 60 writes per minute per user
+const SHEETS_WRITE_DELAY_MS = 1100;
+
+/**
+ * Build a write that replaces a whole row
+ * Rows are padded to the given width so no stale cells survive a move
+ * @param {string} sheet - Tab name
+ * @param {number} rowNumber - 1-based row number
+ * @param {Array} values - Row values
+ * @param {number} width - Number of columns to write
+ * @returns {object} { range, values }
+ */
+function rowWrite(sheet, rowNumber, values, width) {
+    const padded = Array.from({ length: width }, (_, index) => (values[index] === undefined ? '' : values[index]));
+    return {
+        range: `${sheet}!A${rowNumber}:${indexToColumn(width - 1)}${rowNumber}`,
+        values: padded
+    };
+}
+
+/**
+ * Check whether a header row is the legacy Users layout
+ * @param {Array<string>} headers - Header row
+ * @returns {boolean} True if every legacy header is in its legacy position
+ */
+function isLegacyUsersLayout(headers) {
+    return LEGACY_USERS_HEADERS.every((header, index) => normalizeHeader(headers[index]) === normalizeHeader(header));
+}
+
+/**
+ * Work out the writes that bring one tab in line with its schema
+ * Writes are listed bottom-up when rows move, so an interrupted run
+ * leaves a duplicated row rather than a lost one
+ * @param {string} sheet - Tab name
+ * @param {Array<Array>} rows - Every row of the tab, header first
+ * @returns {object} { sheet, actions: [{ description, writes }], problems: [], notes: [] }
+ */
+function planSheet(sheet, rows) {
+    const { columns } = getSchema(sheet);
+    const headers = headerNames(sheet);
+    const plan = { sheet, actions: [], problems: [], notes: [] };
+    const width = Math.max(columns.length, ...rows.map(row => row.length));
+
+    // Old Users layout: move every column to its schema position
+    if (sheet === 'Users' && rows.length > 0 && isLegacyUsersLayout(rows[0])) {
+        const writes = [];
+        for (let i = rows.length - 1; i >= 1; i--) {
+            const record = LEGACY_USERS_COLUMNS.reduce((acc, name, index) => {
+                acc[name] = rows[i][index] || '';
+                return acc;
+            }, {});
+            writes.push(rowWrite(sheet, i + 1, columns.map(c => record[c.name] || ''), width));
+        }
+        writes.push(rowWrite(sheet, 1, headers, width));
+
+        plan.actions.push({ description: `reorder ${rows.length - 1} user row(s) from the legacy setup-admin layout`, writes });
+        return plan;
+    }
+
+    // First data row was written where the header belongs: shift everything down one row
+    if (rows.length > 0 && looksLikeDataRow(sheet, rows[0])) {
+        const writes = [];
+        for (let i = rows.length - 1; i >= 0; i--) {
+            writes.push(rowWrite(sheet, i + 2, rows[i], width));
+        }
+        writes.push(rowWrite(sheet, 1, headers, width));
+
+        plan.actions.push({ description: `insert a header row above ${rows.length} existing row(s)`, writes });
+        return plan;
+    }
+
+    const report = compareHeaders(sheet, rows[0] || []);
+
+    if (report.status === 'empty') {
+        plan.actions.push({
+            description: 'write header row',
+            writes: [rowWrite(sheet, 1, headers, columns.length)]
+        });
+    } else if (report.status === 'outdated') {
+        plan.actions.push({
+            description: `add column(s) ${report.missing.map(m => `${m.column} "${m.header}"`).join(', ')}`,
+            writes: report.missing.map(m => ({ range: `${sheet}!${m.column}1`, values: [m.header] }))
+        });
+    } else if (report.status === 'mismatch') {
+        report.mismatched.forEach(m => {
+            plan.problems.push(`column ${m.column} is "${m.actual}" but the schema expects "${m.expected}"`);
+        });
+    }
+
+    report.extra.forEach(e => {
+        plan.notes.push(`column ${e.column} "${e.header}" is not in the schema (left untouched)`);
+    });
+
+    return plan;
+}
+
+/**
+ * Pause between writes
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function pause(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Migrate every registered tab
+ * @param {object} options - { dryRun, checkOnly, sheets: [names] }
+ * @returns {Promise<object>} { plans, pendingWrites, problems }
+ */
+async function migrateSheets({ dryRun = false, checkOnly = false, sheets: only = null } = {}) {
+    const spreadsheetId = getSpreadsheetId();
+
+    if (!spreadsheetId) {
+        throw new Error('GOOGLE_SHEET_ID environment variable not configured');
+    }
+
+    const mode = checkOnly ? ' (check only)' : dryRun ? ' (dry run)' : '';
+    console.log(`🚀 Migrating sheet schema${mode}...`);
+    const client = await createSheetsClient();
+    const writeDelay = getStorageBackend() === 'sheets' ? SHEETS_WRITE_DELAY_MS : 0;
+
+    const plans = [];
+    let pendingWrites = 0;
+    let problems = 0;
+
+    for (const sheet of only || listSheetNames()) {
+        let rows;
+        try {
+            rows = await getSheetValues(client, spreadsheetId, sheet);
+        } catch (error) {
+            console.log(`⚠️  ${sheet}: cannot be read (${error.message}) - create the tab, then run this again`);
+            problems += 1;
+            continue;
+        }
+
+        const plan = planSheet(sheet, rows);
+        plans.push(plan);
+        problems += plan.problems.length;
+
+        if (plan.actions.length === 0 && plan.problems.length === 0) {
+            console.log(`✅ ${sheet}: up to date`);
+            plan.notes.forEach(note => console.log(`ℹ️  ${sheet}: ${note}`));
+            continue;
+        }
+
+        plan.problems.forEach(problem => console.log(`⚠️  ${sheet}: ${problem}`));
+        plan.notes.forEach(note => console.log(`ℹ️  ${sheet}: ${note}`));
+
+        for (const action of plan.actions) {
+            pendingWrites += action.writes.length;
+            console.log(`${checkOnly || dryRun ? '🔍' : '📝'} ${sheet}: ${action.description} (${action.writes.length} write(s))`);
+
+            if (dryRun) {
+                action.writes.forEach(write => console.log(`     ${write.range} ← ${JSON.stringify(write.values)}`));
+            }
+            if (checkOnly || dryRun) {
+                continue;
+            }
+
+            for (const write of action.writes) {
+                await updateSheetValues(client, spreadsheetId, write.range, write.values);
+                if (writeDelay) await pause(writeDelay);
+            }
+            console.log(`✅ ${sheet}: done`);
+        }
+    }
+
+    return { plans, pendingWrites, problems };
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    const dryRun = process.argv.includes('--dry-run');
+    const checkOnly = process.argv.includes('--check');
+    const sheetArg = process.argv.find(arg => arg.startsWith('--sheet='));
+    const sheets = sheetArg ? [sheetArg.slice('--sheet='.length)] : null;
+
+    migrateSheets({ dryRun, checkOnly, sheets })
+        .then(({ pendingWrites, problems }) => {
+            if (problems > 0) {
+                console.log(`⚠️  ${problems} problem(s) need manual attention`);
+            }
+            const incomplete = checkOnly && pendingWrites > 0;
+            process.exit(problems > 0 || incomplete ? 1 : 0);
+        })
+        .catch(error => {
+            console.error('❌ Migration failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { migrateSheets, planSheet, LEGACY_USERS_HEADERS };
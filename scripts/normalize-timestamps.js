@@ -0,0 +1,143 @@
+/* ****************************************
+ * Timestamp Normalization Script
+ * Rewrites stored timestamps as ISO 8601 UTC
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Covers every datetime column in lib/schema.js
+ * @note Values without a zone (e.g. "07/19/2025, 10:04:05 AM" from the old participate form) are read as Central Time
+ * @note Safe to run repeatedly - values already in ISO 8601 UTC are left untouched
+ * @note Pass --dry-run to list the changes without writing anything
+ * @note Values that cannot be read are reported and left as they are
+ ****************************************/
+
+// Load environment variables from .env.local
+require('dotenv').config({ path: '.env.local' });
+
+const { createSheetsClient, getSpreadsheetId, getSheetValues, updateSheetValues } = require('../lib/sheets');
+const { getStorageBackend } = require('../lib/storage');
+const { getSchema, listSheetNames, dataRange, columnLetter } = require('../lib/schema');
+const { toIsoTimestamp, getDisplayTimeZone } = require('../lib/time');
+
+// Google Sheets allows 60 writes per minute per user
+const SHEETS_WRITE_DELAY_MS = 1100;
+
+/**
+ * Tabs and the datetime columns in each
+ */
+const TIMESTAMP_COLUMNS = listSheetNames()
+    .map(sheet => ({
+        sheet,
+        columns: getSchema(sheet).columns
+            .map((column, index) => ({ ...column, index }))
+            .filter(column => column.type === 'datetime')
+    }))
+    .filter(({ columns }) => columns.length > 0);
+
+/**
+ * Pause between writes
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function pause(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Work out the cell changes for one tab
+ * @param {string} sheet - Tab name
+ * @param {Array<object>} columns - Datetime columns from TIMESTAMP_COLUMNS
+ * @param {Array<Array>} rows - Data rows (header excluded)
+ * @returns {object} { changes: [{ range, from, to }], unreadable: [{ range, value }] }
+ */
+function planSheet(sheet, columns, rows) {
+    const changes = [];
+    const unreadable = [];
+
+    rows.forEach((row, i) => {
+        const rowNumber = i + 2;
+
+        columns.forEach(column => {
+            const value = row[column.index];
+            if (value === undefined || value === null || String(value).trim() === '') return;
+
+            const range = `${sheet}!${columnLetter(sheet, column.name)}${rowNumber}`;
+            const iso = toIsoTimestamp(value);
+
+            if (!iso) {
+                unreadable.push({ range, value });
+            } else if (iso !== value) {
+                changes.push({ range, from: value, to: iso });
+            }
+        });
+    });
+
+    return { changes, unreadable };
+}
+
+/**
+ * Normalize timestamps across all tabs
+ * @param {object} options - { dryRun }
+ * @returns {Promise<object>} { updated, unreadable } counts per tab
+ */
+async function normalizeTimestamps({ dryRun = false } = {}) {
+    const spreadsheetId = getSpreadsheetId();
+
+    if (!spreadsheetId) {
+        throw new Error('GOOGLE_SHEET_ID environment variable not configured');
+    }
+
+    console.log(`🚀 Normalizing timestamps to ISO 8601 UTC (zone-less values read as ${getDisplayTimeZone()})${dryRun ? ' (dry run)' : ''}...`);
+    const sheets = await createSheetsClient();
+    const writeDelay = getStorageBackend() === 'sheets' ? SHEETS_WRITE_DELAY_MS : 0;
+
+    const results = {};
+    for (const { sheet, columns } of TIMESTAMP_COLUMNS) {
+        let rows;
+        try {
+            rows = await getSheetValues(sheets, spreadsheetId, dataRange(sheet));
+        } catch (error) {
+            console.log(`⏭️  ${sheet}: cannot be read (${error.message}), skipping`);
+            continue;
+        }
+
+        const { changes, unreadable } = planSheet(sheet, columns, rows);
+        results[sheet] = { updated: changes.length, unreadable: unreadable.length };
+
+        unreadable.forEach(({ range, value }) => console.log(`⚠️  ${range}: cannot read "${value}", left as is`));
+
+        for (const change of changes) {
+            if (dryRun) {
+                console.log(`     ${change.range}: "${change.from}" → ${change.to}`);
+                continue;
+            }
+            await updateSheetValues(sheets, spreadsheetId, change.range, [change.to]);
+            if (writeDelay) await pause(writeDelay);
+        }
+
+        console.log(`${dryRun ? '🔍' : '✅'} ${sheet}: ${changes.length} timestamp(s) ${dryRun ? 'to normalize' : 'normalized'}`);
+    }
+
+    return results;
+}
+
+// Run normalization if called directly
+if (require.main === module) {
+    const dryRun = process.argv.includes('--dry-run');
+
+    normalizeTimestamps({ dryRun })
+        .then(results => {
+            const unreadable = Object.values(results).reduce((sum, r) => sum + r.unreadable, 0);
+            if (unreadable > 0) {
+                console.log(`⚠️  ${unreadable} value(s) could not be read and need manual attention`);
+            }
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('❌ Normalization failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { normalizeTimestamps, planSheet, TIMESTAMP_COLUMNS };
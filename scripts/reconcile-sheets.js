@@ -0,0 +1,159 @@
+/* ****************************************
+ * Sheet Reconciliation Script
+ * Detects edits made directly in the spreadsheet, records them in Audit_Log and flags malformed rows
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Compares every tab with the last known state (RECONCILE_BASELINE_PATH, default .data/reconcile-baseline.json)
+ * @note The first run only saves the baseline; later runs report what changed since the previous run
+ * @note Hand-edited rows get their version bumped, so admins editing a stale copy in the dashboard get a conflict
+ * @note Pass --dry-run to report without writing, --reset to replace the baseline without reporting edits
+ * @note Run it often (e.g. every 15 minutes from cron); an app edit after a hand edit hides the hand edit
+ ****************************************/
+
+// Load environment variables from .env.local
+require('dotenv').config({ path: '.env.local' });
+
+const { createSheetsClient, getSpreadsheetId, updateRecord, UPDATE_OUTCOMES } = require('../lib/sheets');
+const { columnIndex, hasColumn, getSchema } = require('../lib/schema');
+const { generateRecordId } = require('../lib/ids');
+const { createSnapshot, computeChecksum } = require('../lib/snapshot');
+const { checkDataHealth } = require('../lib/data-health');
+const {
+    getBaselinePath, loadBaseline, saveBaseline, diffSnapshots, buildAuditEntries, recordAuditEntries
+} = require('../lib/reconcile');
+
+// Malformed rows listed in the console (the data health report has all of them)
+const MAX_LISTED_ISSUES = 20;
+
+/**
+ * Print the data health summary
+ * @param {object} health - From checkDataHealth
+ * @returns {void}
+ */
+function printHealth(health) {
+    if (health.totals.issues === 0) {
+        console.log(`✅ No malformed rows in ${health.totals.rows} row(s)`);
+        return;
+    }
+
+    const byCode = Object.entries(health.totals.byCode).map(([code, count]) => `${count} ${code}`).join(', ');
+    console.log(`⚠️  ${health.totals.issues} malformed cell(s): ${byCode}`);
+    health.issues.slice(0, MAX_LISTED_ISSUES).forEach(issue => {
+        console.log(`     ${issue.sheet} row ${issue.rowNumber}${issue.key ? ` (${issue.key})` : ''}: ${issue.message}`);
+    });
+    if (health.totals.issues > MAX_LISTED_ISSUES) {
+        console.log(`     ...and ${health.totals.issues - MAX_LISTED_ISSUES} more (see /api/data-health)`);
+    }
+}
+
+/**
+ * Record a version bump in the snapshot that becomes the new baseline
+ * so the bump is not mistaken for an app edit next run
+ * @param {object} snapshot - Snapshot to patch
+ * @param {string} sheet - Tab name
+ * @param {string} key - Record key
+ * @param {number} version - New version
+ * @returns {void}
+ */
+function patchVersion(snapshot, sheet, key, version) {
+    const keyIndex = columnIndex(sheet, getSchema(sheet).key);
+    const versionIndex = columnIndex(sheet, 'version');
+    const row = snapshot.tabs[sheet].rows.find((candidate, index) => index > 0 && String(candidate[keyIndex] || '').trim() === key);
+
+    if (row) {
+        while (row.length <= versionIndex) row.push('');
+        row[versionIndex] = String(version);
+    }
+}
+
+/**
+ * Reconcile the spreadsheet with the last known state
+ * @param {object} options - { dryRun, reset }
+ * @returns {Promise<object>} { diffs, health, baselineCreated }
+ */
+async function reconcileSheets({ dryRun = false, reset = false } = {}) {
+    const spreadsheetId = getSpreadsheetId();
+
+    if (!spreadsheetId) {
+        throw new Error('GOOGLE_SHEET_ID environment variable not configured');
+    }
+
+    console.log(`🚀 Reconciling spreadsheet against ${getBaselinePath()}${dryRun ? ' (dry run)' : ''}...`);
+    const client = await createSheetsClient();
+    const baseline = reset ? null : await loadBaseline();
+    const current = await createSnapshot(client, spreadsheetId);
+    const health = await checkDataHealth(client, spreadsheetId);
+
+    if (!baseline) {
+        console.log(`ℹ️  ${reset ? 'Replacing the baseline' : 'No baseline yet'} - edits made after this run will be detected`);
+        printHealth(health);
+        if (!dryRun) {
+            await saveBaseline(current);
+            console.log('💾 Baseline saved');
+        }
+        return { diffs: [], health, baselineCreated: true };
+    }
+
+    const diffs = diffSnapshots(baseline, current);
+    let edited = 0;
+    let deleted = 0;
+
+    diffs.forEach(diff => {
+        edited += diff.edited.length;
+        deleted += diff.deleted.length;
+        if (diff.edited.length === 0 && diff.deleted.length === 0) return;
+
+        console.log(`✏️  ${diff.sheet}: ${diff.edited.length} row(s) edited by hand, ${diff.deleted.length} deleted`);
+        diff.edited.forEach(({ key, rowNumber, fields }) => {
+            console.log(`     row ${rowNumber} (${key}): ${fields.map(f => f.field).join(', ')}`);
+        });
+        diff.deleted.forEach(({ key, rowNumber }) => console.log(`     row ${rowNumber} (${key}): deleted`));
+    });
+
+    const added = diffs.reduce((sum, diff) => sum + diff.added, 0);
+    const appEdited = diffs.reduce((sum, diff) => sum + diff.appEdited, 0);
+    const summary = `${edited} edited, ${deleted} deleted by hand; ${added} added, ${appEdited} edited through the app; ` +
+        `${health.totals.issues} malformed cell(s)`;
+    console.log(`📋 Since ${baseline.createdAt}: ${summary}`);
+    printHealth(health);
+
+    if (dryRun) {
+        return { diffs, health, baselineCreated: false };
+    }
+
+    const detectedAt = new Date().toISOString();
+    await recordAuditEntries(client, spreadsheetId, buildAuditEntries(diffs, { runId: generateRecordId(), detectedAt, summary }));
+
+    // Hand edits don't move the version, so bump it for them
+    for (const diff of diffs.filter(d => hasColumn(d.sheet, 'version'))) {
+        for (const { key, version } of diff.edited) {
+            const { outcome, record } = await updateRecord(client, spreadsheetId, diff.sheet, key, {}, { expectedVersion: version });
+            if (outcome === UPDATE_OUTCOMES.UPDATED) {
+                patchVersion(current, diff.sheet, key, record.version);
+            }
+        }
+    }
+
+    current.checksum = computeChecksum(current.tabs);
+    await saveBaseline(current);
+    console.log(`✅ Recorded ${edited + deleted} change(s) in Audit_Log and saved the new baseline`);
+
+    return { diffs, health, baselineCreated: false };
+}
+
+// Run reconciliation if called directly
+if (require.main === module) {
+    const dryRun = process.argv.includes('--dry-run');
+    const reset = process.argv.includes('--reset');
+
+    reconcileSheets({ dryRun, reset })
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('❌ Reconciliation failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { reconcileSheets };
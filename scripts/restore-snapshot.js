@@ -0,0 +1,174 @@
+/* ****************************************
+ * Spreadsheet Restore Script
+ * Replays a snapshot from scripts/snapshot.js into a spreadsheet or the local storage adapter
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Usage: node scripts/restore-snapshot.js <snapshot.json> [--dry-run] [--force] [--sheet=Name] [--spreadsheet=ID]
+ * @note Writes to the configured backend: STORAGE_BACKEND=file restores into the local JSON store
+ * @note Always run --dry-run first; it prints the row-by-row diff without writing anything
+ * @note Tabs that already hold different data are left alone unless --force is given
+ * @note On Google Sheets the tabs must exist; create them, then run this again
+ ****************************************/
+
+// Load environment variables from .env.local
+require('dotenv').config({ path: '.env.local' });
+
+// A restore may target a spreadsheet without headers yet
+process.env.SCHEMA_CHECK = 'off';
+
+const fs = require('fs');
+const { createSheetsClient, getSpreadsheetId, getSheetValues, batchUpdateSheetValues } = require('../lib/sheets');
+const { getStorageBackend } = require('../lib/storage');
+const { verifySnapshot, planTabRestore, batchWrites } = require('../lib/snapshot');
+
+// Google Sheets allows 60 writes per minute per user
+const SHEETS_WRITE_DELAY_MS = 1100;
+
+// Changed row numbers listed per tab in a dry run
+const MAX_LISTED_ROWS = 10;
+
+/**
+ * Pause between writes
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function pause(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Describe a tab's restore plan
+ * @param {object} plan - From planTabRestore
+ * @returns {string} Summary line
+ */
+function describePlan(plan) {
+    if (plan.status === 'identical') {
+        return 'already matches the snapshot';
+    }
+
+    const parts = [`${plan.added} row(s) to add`];
+    if (plan.changed) parts.push(`${plan.changed} to overwrite`);
+    if (plan.removed) parts.push(`${plan.removed} to clear`);
+    if (plan.unchanged) parts.push(`${plan.unchanged} unchanged`);
+    return parts.join(', ');
+}
+
+/**
+ * Restore a snapshot file
+ * @param {string} file - Snapshot path
+ * @param {object} options - { dryRun, force, sheets: [names], spreadsheetId }
+ * @returns {Promise<object>} { plans, written, blocked, problems }
+ */
+async function restoreSnapshot(file, { dryRun = false, force = false, sheets: only = null, spreadsheetId = getSpreadsheetId() } = {}) {
+    if (!spreadsheetId) {
+        throw new Error('GOOGLE_SHEET_ID environment variable not configured');
+    }
+
+    const snapshot = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    const { valid, errors } = verifySnapshot(snapshot);
+    if (!valid) {
+        throw new Error(`Snapshot rejected: ${errors.join('; ')}`);
+    }
+
+    const backend = getStorageBackend();
+    console.log(`🚀 Restoring snapshot from ${snapshot.createdAt} into ${backend} storage (${spreadsheetId})${dryRun ? ' (dry run)' : ''}...`);
+    const client = await createSheetsClient();
+    const writeDelay = backend === 'sheets' ? SHEETS_WRITE_DELAY_MS : 0;
+
+    const plans = [];
+    let written = 0;
+    let blocked = 0;
+    let problems = 0;
+
+    for (const sheet of only || Object.keys(snapshot.tabs)) {
+        const tab = snapshot.tabs[sheet];
+        if (!tab) {
+            console.log(`⚠️  ${sheet}: not in this snapshot`);
+            problems += 1;
+            continue;
+        }
+
+        let currentRows;
+        try {
+            currentRows = await getSheetValues(client, spreadsheetId, sheet, { ttl: 0 });
+        } catch (error) {
+            console.log(`⚠️  ${sheet}: cannot be read (${error.message}) - create the tab, then run this again`);
+            problems += 1;
+            continue;
+        }
+
+        const plan = planTabRestore(sheet, tab.rows, currentRows);
+        plans.push(plan);
+
+        if (plan.status === 'identical') {
+            console.log(`✅ ${sheet}: ${describePlan(plan)}`);
+            continue;
+        }
+
+        const needsForce = plan.status === 'different' && !force;
+        console.log(`${dryRun || needsForce ? '🔍' : '📝'} ${sheet}: ${describePlan(plan)}`);
+
+        if (plan.changedRows.length > 0) {
+            const listed = plan.changedRows.slice(0, MAX_LISTED_ROWS).join(', ');
+            const more = plan.changedRows.length > MAX_LISTED_ROWS ? ` and ${plan.changedRows.length - MAX_LISTED_ROWS} more` : '';
+            console.log(`     rows that differ: ${listed}${more}`);
+        }
+
+        if (needsForce) {
+            console.log(`⛔ ${sheet}: already holds different data - pass --force to overwrite it`);
+            blocked += 1;
+            continue;
+        }
+        if (dryRun) {
+            continue;
+        }
+
+        for (const batch of batchWrites(plan.writes)) {
+            await batchUpdateSheetValues(client, spreadsheetId, batch);
+            written += batch.length;
+            if (writeDelay) await pause(writeDelay);
+        }
+        console.log(`✅ ${sheet}: restored`);
+    }
+
+    return { plans, written, blocked, problems };
+}
+
+// Run restore if called directly
+if (require.main === module) {
+    const file = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+    const dryRun = process.argv.includes('--dry-run');
+    const force = process.argv.includes('--force');
+    const sheetArg = process.argv.find(arg => arg.startsWith('--sheet='));
+    const spreadsheetArg = process.argv.find(arg => arg.startsWith('--spreadsheet='));
+
+    if (!file) {
+        console.error('❌ Usage: node scripts/restore-snapshot.js <snapshot.json> [--dry-run] [--force] [--sheet=Name] [--spreadsheet=ID]');
+        process.exit(1);
+    }
+
+    const options = {
+        dryRun,
+        force,
+        sheets: sheetArg ? [sheetArg.slice('--sheet='.length)] : null
+    };
+    if (spreadsheetArg) {
+        options.spreadsheetId = spreadsheetArg.slice('--spreadsheet='.length);
+    }
+
+    restoreSnapshot(file, options)
+        .then(({ written, blocked, problems }) => {
+            if (!dryRun) console.log(`💾 ${written} row(s) written`);
+            if (blocked > 0) console.log(`⚠️  ${blocked} tab(s) skipped because they already hold different data`);
+            if (problems > 0) console.log(`⚠️  ${problems} problem(s) need manual attention`);
+            process.exit(blocked > 0 || problems > 0 ? 1 : 0);
+        })
+        .catch(error => {
+            console.error('❌ Restore failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { restoreSnapshot };
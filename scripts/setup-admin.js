@@ -3,17 +3,20 @@
  * Creates the first superadmin account for ACC Shark Tank system
  * 
  * @author ACC Development Team
- * @version 1.1
+ * @version 1.3
  * @date July 2025
  * @note Run this script once to create the initial admin account
- * @note Requires GOOGLE_SHEET_ID and Google Sheets credentials to be configured
+ * @note Requires GOOGLE_SHEET_ID and Google Sheets credentials to be configured (or STORAGE_BACKEND=file)
+ * @note Users columns come from lib/schema.js; run scripts/migrate-sheets.js first on older spreadsheets
+ * @note After the first superadmin exists, add further users from the dashboard's Team page (api/users.js)
  ****************************************/
 
 // Load environment variables from .env.local
 require('dotenv').config({ path: '.env.local' });
 
-const bcrypt = require('bcrypt');
-const { createSheetsClient, getSheetValues, appendSheetValues } = require('../lib/sheets');
+const { createSheetsClient, getSpreadsheetId, appendSheetValues, ensureSheetHeaders, findUserByEmail } = require('../lib/sheets');
+const { appendRange, toRow } = require('../lib/schema');
+const { USER_STATUSES, hashPassword, validateUserFields } = require('../lib/users');
 
 /**
  * Create initial admin user in Google Sheets
@@ -31,75 +34,48 @@ async function createInitialAdmin(email, password, name) {
             throw new Error('Email, password, and name are required');
         }
 
-        if (password.length < 8) {
-            throw new Error('Password must be at least 8 characters long');
-        }
-
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email)) {
-            throw new Error('Invalid email format');
+        const invalid = validateUserFields({ email, name, password });
+        if (invalid) {
+            throw new Error(invalid);
         }
 
         // Create Google Sheets client
         console.log('📊 Connecting to Google Sheets...');
         const sheets = await createSheetsClient();
-        const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+        const spreadsheetId = getSpreadsheetId();
 
         if (!spreadsheetId) {
             throw new Error('GOOGLE_SHEET_ID environment variable not configured');
         }
 
-        // Check if Users sheet exists and has headers
-        try {
-            const existingUsers = await getSheetValues(sheets, spreadsheetId, 'Users!A1:G1');
-            
-            if (existingUsers.length === 0) {
-                console.log('📝 Creating Users sheet headers...');
-                // Add headers if they don't exist
-                await appendSheetValues(sheets, spreadsheetId, 'Users!A1:G1', [
-                    'Email', 'Password', 'Role', 'Name', 'Created', 'LastLogin', 'Status'
-                ]);
-            }
-        } catch (error) {
-            console.log('📝 Creating Users sheet with headers...');
-            // Sheet might not exist, create headers
-            await appendSheetValues(sheets, spreadsheetId, 'Users!A1:G1', [
-                'Email', 'Password', 'Role', 'Name', 'Created', 'LastLogin', 'Status'
-            ]);
-        }
+        // Make sure the Users sheet has its header row
+        await ensureSheetHeaders(sheets, spreadsheetId, 'Users');
 
         // Check if admin already exists
         console.log('🔍 Checking for existing admin users...');
-        const existingUsers = await getSheetValues(sheets, spreadsheetId, 'Users!A2:G');
-        const adminExists = existingUsers.some(row => 
-            row[0] && row[0].toLowerCase() === email.toLowerCase()
-        );
-
-        if (adminExists) {
+        if (await findUserByEmail(sheets, spreadsheetId, email)) {
             console.log('⚠️  Admin user with this email already exists!');
             return;
         }
 
         // Hash password
         console.log('🔐 Hashing password...');
-        const saltRounds = 12;
-        const hashedPassword = await bcrypt.hash(password, saltRounds);
+        const hashedPassword = await hashPassword(password);
 
         // Create admin user record
         const timestamp = new Date().toISOString();
-        const adminRecord = [
-            email.toLowerCase(),        // Email
-            hashedPassword,             // Password (hashed)
-            'superadmin',              // Role
-            name,                      // Name
-            timestamp,                 // Created
-            '',                        // LastLogin (empty initially)
-            'active'                   // Status
-        ];
+        const adminRecord = toRow('Users', {
+            email: email.toLowerCase(),
+            passwordHash: hashedPassword,
+            role: 'superadmin',
+            status: USER_STATUSES.ACTIVE,
+            createdAt: timestamp,
+            name
+        });
 
         // Add admin to sheet
         console.log('👤 Creating admin user...');
-        await appendSheetValues(sheets, spreadsheetId, 'Users!A:G', adminRecord);
+        await appendSheetValues(sheets, spreadsheetId, appendRange('Users'), adminRecord);
 
         console.log('✅ Initial admin user created successfully!');
         console.log('📧 Email:', email);
@@ -189,8 +165,9 @@ async function interactiveSetup() {
 
 // Run setup if called directly
 if (require.main === module) {
-    // Check if environment is configured
-    if (!process.env.GOOGLE_SHEET_ID || !process.env.GOOGLE_CLIENT_EMAIL || !process.env.GOOGLE_PRIVATE_KEY) {
+    // Check if environment is configured (the local file backend needs no Google credentials)
+    const usingFileStorage = (process.env.STORAGE_BACKEND || '').toLowerCase() === 'file';
+    if (!usingFileStorage && (!process.env.GOOGLE_SHEET_ID || !process.env.GOOGLE_CLIENT_EMAIL || !process.env.GOOGLE_PRIVATE_KEY)) {
         console.error('❌ Missing required environment variables:');
         console.error('   - GOOGLE_SHEET_ID');
         console.error('   - GOOGLE_CLIENT_EMAIL');
@@ -0,0 +1,96 @@
+/* ****************************************
+ * Spreadsheet Snapshot Script
+ * Saves every registered tab to a versioned JSON archive with a checksum
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Reads from the configured backend (STORAGE_BACKEND) - nothing is written to the spreadsheet
+ * @note Snapshots go to .data/snapshots/ unless --out=path is given
+ * @note Pass --verify=path to check an existing snapshot's checksum instead
+ * @note Restore with scripts/restore-snapshot.js
+ ****************************************/
+
+// Load environment variables from .env.local
+require('dotenv').config({ path: '.env.local' });
+
+const fs = require('fs');
+const path = require('path');
+const { createSheetsClient, getSpreadsheetId } = require('../lib/sheets');
+const { createSnapshot, verifySnapshot } = require('../lib/snapshot');
+
+/**
+ * Default location for a new snapshot
+ * @param {string} createdAt - Snapshot timestamp (ISO 8601)
+ * @returns {string} Absolute file path
+ */
+function defaultSnapshotPath(createdAt) {
+    const stamp = createdAt.replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+    return path.join(process.cwd(), '.data', 'snapshots', `snapshot-${stamp}.json`);
+}
+
+/**
+ * Take a snapshot and write it to disk
+ * @param {object} options - { out }
+ * @returns {Promise<object>} { file, snapshot }
+ */
+async function takeSnapshot({ out = null } = {}) {
+    const spreadsheetId = getSpreadsheetId();
+
+    if (!spreadsheetId) {
+        throw new Error('GOOGLE_SHEET_ID environment variable not configured');
+    }
+
+    console.log('🚀 Taking spreadsheet snapshot...');
+    const sheets = await createSheetsClient();
+    const snapshot = await createSnapshot(sheets, spreadsheetId);
+
+    Object.entries(snapshot.counts).forEach(([sheet, count]) => console.log(`✅ ${sheet}: ${count} row(s)`));
+    snapshot.skipped.forEach(({ sheet, error }) => console.log(`⏭️  ${sheet}: cannot be read (${error}), skipping`));
+
+    const file = path.resolve(out || defaultSnapshotPath(snapshot.createdAt));
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, JSON.stringify(snapshot, null, 2));
+
+    console.log(`💾 Saved ${file}`);
+    console.log(`🔐 ${snapshot.checksum}`);
+
+    return { file, snapshot };
+}
+
+/**
+ * Check a snapshot file without restoring it
+ * @param {string} file - Snapshot path
+ * @returns {Promise<boolean>} True if the snapshot is valid
+ */
+async function checkSnapshotFile(file) {
+    const snapshot = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    const { valid, errors } = verifySnapshot(snapshot);
+
+    if (valid) {
+        console.log(`✅ ${file}: valid snapshot from ${snapshot.createdAt} (${snapshot.checksum})`);
+    } else {
+        errors.forEach(error => console.log(`❌ ${file}: ${error}`));
+    }
+
+    return valid;
+}
+
+// Run snapshot if called directly
+if (require.main === module) {
+    const outArg = process.argv.find(arg => arg.startsWith('--out='));
+    const verifyArg = process.argv.find(arg => arg.startsWith('--verify='));
+
+    const run = verifyArg
+        ? checkSnapshotFile(verifyArg.slice('--verify='.length)).then(valid => (valid ? 0 : 1))
+        : takeSnapshot({ out: outArg ? outArg.slice('--out='.length) : null }).then(() => 0);
+
+    run
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error('❌ Snapshot failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { takeSnapshot, checkSnapshotFile, defaultSnapshotPath };
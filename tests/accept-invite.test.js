@@ -0,0 +1,74 @@
+/* ****************************************
+ * Tests for api/accept-invite.js
+ ****************************************/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv, invoke } = require('./helpers');
+
+const env = setupTestEnv();
+const { createSheetsClient, ensureSheetHeaders, appendSheetValues, listUsers } = require('../lib/sheets');
+const { appendRange, toRow } = require('../lib/schema');
+const { generateRecordId } = require('../lib/ids');
+const { createInviteToken } = require('../lib/invitations');
+const acceptInviteHandler = require('../api/accept-invite');
+
+const PASSWORD = 'correct-horse-battery';
+
+test.after(env.cleanup);
+
+/**
+ * Store a pending invitation and return its link token
+ * @param {string} email - Invitee
+ * @returns {Promise<string>} Token
+ */
+async function invite(email) {
+    const sheets = await createSheetsClient();
+    const now = Date.now();
+    const invitation = {
+        id: generateRecordId(),
+        email,
+        role: 'judge',
+        name: 'Invited Judge',
+        status: 'pending',
+        invitedBy: 'admin@example.com',
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + 24 * 60 * 60 * 1000).toISOString(),
+        version: 0
+    };
+
+    await ensureSheetHeaders(sheets, 'test-sheet', 'Users');
+    await ensureSheetHeaders(sheets, 'test-sheet', 'Invitations');
+    await appendSheetValues(sheets, 'test-sheet', appendRange('Invitations'), toRow('Invitations', invitation));
+
+    return createInviteToken(invitation);
+}
+
+test('a valid link describes the invitation and creates an active account once', async () => {
+    const token = await invite('first@example.com');
+
+    const described = await invoke(acceptInviteHandler, { method: 'GET', query: { token } });
+    assert.equal(described.status, 200);
+    assert.equal(described.body.data.email, 'first@example.com');
+
+    const accepted = await invoke(acceptInviteHandler, { body: { token, password: PASSWORD } });
+    assert.equal(accepted.status, 201);
+
+    const reused = await invoke(acceptInviteHandler, { body: { token, password: PASSWORD } });
+    assert.equal(reused.status, 400);
+    assert.equal(reused.body.code, 'INVALID_TOKEN');
+
+    const users = (await listUsers(await createSheetsClient(), 'test-sheet')).filter(user => user.email === 'first@example.com');
+    assert.equal(users.length, 1);
+    assert.equal(users[0].status, 'active');
+    assert.equal(users[0].role, 'judge');
+});
+
+test('a tampered link is refused', async () => {
+    const token = await invite('tamper@example.com');
+
+    const response = await invoke(acceptInviteHandler, { method: 'GET', query: { token: `${token.slice(0, -2)}xx` } });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'INVALID_TOKEN');
+});
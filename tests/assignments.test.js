@@ -0,0 +1,39 @@
+/* ****************************************
+ * Tests for conflict matching in lib/assignments.js
+ ****************************************/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv } = require('./helpers');
+
+const env = setupTestEnv();
+const { conflictMatches, hasConflict } = require('../lib/assignments');
+
+test.after(env.cleanup);
+
+const submission = { id: 'Sub-1', email: 'ada@example.com', businessName: ' Acme Tutoring ' };
+
+test('a business conflict matches the whole name, ignoring case and surrounding spaces', () => {
+    assert.equal(conflictMatches({ type: 'business', value: 'acme tutoring' }, submission), true);
+    assert.equal(conflictMatches({ type: 'business', value: '  ACME Tutoring' }, submission), true);
+});
+
+test('a business conflict does not match part of a name', () => {
+    for (const value of ['Acme', 'Co', 'Tutor', 'acme tutoring llc']) {
+        assert.equal(conflictMatches({ type: 'business', value }, submission), false, value);
+    }
+});
+
+test('student, submission and blank conflicts', () => {
+    assert.equal(conflictMatches({ type: 'student', value: 'Ada@Example.com' }, submission), true);
+    assert.equal(conflictMatches({ type: 'submission', value: 'sub-1' }, submission), true);
+    assert.equal(conflictMatches({ type: 'business', value: '  ' }, submission), false);
+    assert.equal(conflictMatches({ type: 'unknown', value: 'sub-1' }, submission), false);
+});
+
+test('hasConflict only applies the reviewer\'s own conflicts', () => {
+    const conflicts = [{ reviewerEmail: 'judge@example.com', type: 'business', value: 'Acme Tutoring' }];
+
+    assert.equal(hasConflict('Judge@Example.com', submission, conflicts), true);
+    assert.equal(hasConflict('other@example.com', submission, conflicts), false);
+});
@@ -0,0 +1,50 @@
+/* ****************************************
+ * Tests for chunked generated content in lib/coaching.js
+ ****************************************/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv, rowsWrittenTo } = require('./helpers');
+
+const env = setupTestEnv();
+const { createSheetsClient, ensureSheetHeaders, appendSheetValues } = require('../lib/sheets');
+const { appendRange, toRow, columnIndex } = require('../lib/schema');
+const { CONTENT_CHUNK_LENGTH, splitGeneratedContent, resolveGeneratedContent } = require('../lib/coaching');
+
+test.after(env.cleanup);
+
+/**
+ * Store long content through the normal write path and read it back
+ * @param {string} coachingId - Session record ID
+ * @param {string} text - Content to store
+ * @returns {Promise<string>} Resolved generatedContent
+ */
+async function roundTrip(coachingId, text) {
+    const sheets = await createSheetsClient();
+    const { cell, chunks } = splitGeneratedContent(text, { coachingId, sessionId: `session-${coachingId}` });
+
+    await ensureSheetHeaders(sheets, 'test-sheet', 'AI_Coaching_Content');
+    for (const chunk of chunks) {
+        await appendSheetValues(sheets, 'test-sheet', appendRange('AI_Coaching_Content'), toRow('AI_Coaching_Content', chunk));
+    }
+
+    const [session] = await resolveGeneratedContent(sheets, 'test-sheet', [{ id: coachingId, generatedContent: cell }]);
+    return session.generatedContent;
+}
+
+test('a chunk that starts with a formula character is reassembled exactly', async () => {
+    const text = `${'a'.repeat(CONTENT_CHUNK_LENGTH)}=SUM(A1:A9) and more`;
+
+    assert.equal(await roundTrip('coaching-formula', text), text);
+
+    // Sheets would read a bare chunk starting with = as a formula; the marker keeps it text
+    const stored = rowsWrittenTo(env.writes, 'AI_Coaching_Content').slice(1)
+        .map(row => row[columnIndex('AI_Coaching_Content', 'content')]);
+    assert.deepEqual(stored.map(cell => cell.slice(0, 4)), ['~aaa', '~=SU']);
+});
+
+test('chunks that start with an apostrophe or a number are reassembled exactly', async () => {
+    const text = `${'b'.repeat(CONTENT_CHUNK_LENGTH)}'quoted${'c'.repeat(CONTENT_CHUNK_LENGTH - 7)}0123`;
+
+    assert.equal(await roundTrip('coaching-apostrophe', text), text);
+});
@@ -0,0 +1,36 @@
+/* ****************************************
+ * Tests for lib/email.js
+ ****************************************/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv } = require('./helpers');
+
+const env = setupTestEnv();
+const { escapeHtml, isEmailConfigured, getSenderEmail } = require('../lib/email');
+
+test.after(env.cleanup);
+
+test('escapeHtml escapes markup and both quote characters', () => {
+    assert.equal(
+        escapeHtml('<img src=x onerror="a(\'b\')"> & co'),
+        '&lt;img src=x onerror=&quot;a(&#39;b&#39;)&quot;&gt; &amp; co'
+    );
+    assert.equal(escapeHtml(42), '42');
+});
+
+test('email needs both an API key and a sender address', () => {
+    assert.equal(isEmailConfigured(), false);
+
+    process.env.SENDGRID_API_KEY = 'SG.test';
+    assert.equal(isEmailConfigured(), false);
+
+    process.env.SENDGRID_SENDER_EMAIL = 'sender@example.com';
+    assert.equal(isEmailConfigured(), true);
+    assert.equal(getSenderEmail(), 'sender@example.com');
+
+    process.env.SENDGRID_FROM_EMAIL = 'from@example.com';
+    assert.equal(getSenderEmail(), 'from@example.com');
+
+    ['SENDGRID_API_KEY', 'SENDGRID_SENDER_EMAIL', 'SENDGRID_FROM_EMAIL'].forEach(name => delete process.env[name]);
+});
@@ -0,0 +1,120 @@
+/* ****************************************
+ * Test Helpers
+ * Isolated environment, recording storage backend and fake request/response objects
+ *
+ * @author ACC Development Team
+ * @version 1.0
+ * @date July 2025
+ * @note Call setupTestEnv() before requiring any api/ or lib/ module, since some read the environment on load
+ * @note The recording backend wraps the file adapter and keeps every row exactly as lib/sheets.js passed it
+ ****************************************/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Point storage, the outbox and rate limits at a fresh temp directory
+ * @returns {object} { dir, writes, cleanup } - writes lists { method, range, rows } in order
+ */
+function setupTestEnv() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'acc-test-'));
+
+    Object.assign(process.env, {
+        STORAGE_BACKEND: 'recording',
+        STORAGE_FILE_PATH: path.join(dir, 'storage.json'),
+        OUTBOX_FILE_PATH: path.join(dir, 'outbox.json'),
+        GOOGLE_SHEET_ID: 'test-sheet',
+        SCHEMA_CHECK: 'off',
+        RATE_LIMIT_STORE: 'memory',
+        TRUST_PROXY: '0',
+        SESSION_SECRET: 'test-session-secret-that-is-at-least-32-chars'
+    });
+    ['SENDGRID_API_KEY', 'SENDGRID_FROM_EMAIL', 'SENDGRID_SENDER_EMAIL', 'ANTHROPIC_API_KEY', 'RATE_LIMIT_REDIS_REST_URL', 'VERCEL'].forEach(name => {
+        delete process.env[name];
+    });
+
+    const writes = [];
+    const { ADAPTERS } = require('../lib/storage');
+    const { createFileAdapter } = require('../lib/storage/file-adapter');
+
+    ADAPTERS.recording = async () => {
+        const adapter = await createFileAdapter();
+        return {
+            ...adapter,
+            appendRow(spreadsheetId, range, values) {
+                writes.push({ method: 'appendRow', range, rows: [values] });
+                return adapter.appendRow(spreadsheetId, range, values);
+            },
+            appendRows(spreadsheetId, range, rows) {
+                writes.push({ method: 'appendRows', range, rows });
+                return adapter.appendRows(spreadsheetId, range, rows);
+            },
+            updateRow(spreadsheetId, range, values) {
+                writes.push({ method: 'updateRow', range, rows: [values] });
+                return adapter.updateRow(spreadsheetId, range, values);
+            },
+            batchUpdate(spreadsheetId, updates) {
+                updates.forEach(({ range, values }) => writes.push({ method: 'batchUpdate', range, rows: [values] }));
+                return adapter.batchUpdate(spreadsheetId, updates);
+            }
+        };
+    };
+
+    return {
+        dir,
+        writes,
+        cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+    };
+}
+
+/**
+ * Rows written to one tab
+ * @param {Array<object>} writes - Writes from setupTestEnv
+ * @param {string} sheet - Tab name
+ * @returns {Array<Array>} Rows in write order
+ */
+function rowsWrittenTo(writes, sheet) {
+    return writes
+        .filter(write => write.range.replace(/^'|'?!.*$/g, '') === sheet)
+        .flatMap(write => write.rows);
+}
+
+/**
+ * Call an API handler with a fake request and collect its response
+ * @param {Function} handler - Handler exported by an api/ module
+ * @param {object} [request] - { method, body, query, headers, ip }
+ * @returns {Promise<object>} { status, body, headers }
+ */
+function invoke(handler, { method = 'POST', body = {}, query = {}, headers = {}, ip = '203.0.113.7' } = {}) {
+    return new Promise((resolve, reject) => {
+        const response = { status: 200, body: undefined, headers: {} };
+        const res = {
+            setHeader(name, value) {
+                response.headers[name.toLowerCase()] = value;
+            },
+            status(code) {
+                response.status = code;
+                return res;
+            },
+            json(data) {
+                response.body = data;
+                resolve(response);
+                return res;
+            },
+            end() {
+                resolve(response);
+                return res;
+            }
+        };
+        const req = { method, body, query, headers, socket: { remoteAddress: ip } };
+
+        Promise.resolve(handler(req, res)).then(() => resolve(response), reject);
+    });
+}
+
+module.exports = {
+    setupTestEnv,
+    rowsWrittenTo,
+    invoke
+};
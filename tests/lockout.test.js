@@ -0,0 +1,76 @@
+/* ****************************************
+ * Tests for per-account lockout in lib/lockout.js
+ ****************************************/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv } = require('./helpers');
+
+const env = setupTestEnv();
+const { createSheetsClient, ensureSheetHeaders, appendSheetValues, findRecord } = require('../lib/sheets');
+const { appendRange, toRow } = require('../lib/schema');
+const { LOCKOUT_POLICY, recordLoginAttempt, clearFailedLogins } = require('../lib/lockout');
+
+test.after(env.cleanup);
+
+/**
+ * Store an active user
+ * @param {string} email - Account email
+ * @param {object} [fields] - Extra Users columns
+ * @returns {Promise<object>} Storage client
+ */
+async function addUser(email, fields = {}) {
+    const sheets = await createSheetsClient();
+    await ensureSheetHeaders(sheets, 'test-sheet', 'Users');
+    await appendSheetValues(sheets, 'test-sheet', appendRange('Users'), toRow('Users', {
+        email,
+        passwordHash: 'hash',
+        role: 'admin',
+        status: 'active',
+        ...fields
+    }));
+    return sheets;
+}
+
+test('concurrent failed sign-ins cannot all pass the check before any is counted', async () => {
+    const sheets = await addUser('burst@example.com');
+
+    const attempts = await Promise.all(Array.from({ length: 20 }, () => (
+        recordLoginAttempt(sheets, 'test-sheet', 'burst@example.com')
+    )));
+
+    assert.equal(attempts.filter(attempt => !attempt.blocked).length, LOCKOUT_POLICY.freeAttempts);
+    assert.equal(attempts.filter(attempt => attempt.blocked).length, 20 - LOCKOUT_POLICY.freeAttempts);
+
+    const { record } = await findRecord(sheets, 'test-sheet', 'Users', 'burst@example.com');
+    assert.equal(parseInt(record.failedLogins), LOCKOUT_POLICY.freeAttempts);
+});
+
+test('the attempt that reaches the limit locks the account, and clearing lifts it', async () => {
+    const sheets = await addUser('limit@example.com', {
+        failedLogins: LOCKOUT_POLICY.lockAfter - 1,
+        lastFailedLogin: new Date(Date.now() - LOCKOUT_POLICY.maxDelayMs - 1000).toISOString()
+    });
+
+    const [last, blocked] = await Promise.all([
+        recordLoginAttempt(sheets, 'test-sheet', 'limit@example.com'),
+        recordLoginAttempt(sheets, 'test-sheet', 'limit@example.com')
+    ]);
+
+    assert.equal(last.blocked, false);
+    assert.equal(last.justLocked, true);
+    assert.equal(last.failedLogins, LOCKOUT_POLICY.lockAfter);
+    assert.equal(blocked.blocked, true);
+    assert.equal(blocked.state.locked, true);
+
+    await clearFailedLogins(sheets, 'test-sheet', 'limit@example.com');
+    const next = await recordLoginAttempt(sheets, 'test-sheet', 'limit@example.com');
+    assert.equal(next.blocked, false);
+    assert.equal(next.failedLogins, 1);
+});
+
+test('an unknown account is reported as gone', async () => {
+    const sheets = await addUser('someone@example.com');
+
+    assert.equal(await recordLoginAttempt(sheets, 'test-sheet', 'nobody@example.com'), null);
+});
@@ -0,0 +1,46 @@
+/* ****************************************
+ * Tests for lib/rate-limit/redis-store.js against an endpoint that never answers
+ ****************************************/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { setupTestEnv } = require('./helpers');
+
+const env = setupTestEnv();
+
+// Accepts connections and never responds, like a hung REST endpoint
+const server = http.createServer(() => {});
+const sockets = new Set();
+server.on('connection', socket => sockets.add(socket));
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    process.env.RATE_LIMIT_STORE = 'redis';
+    process.env.RATE_LIMIT_REDIS_REST_URL = `http://127.0.0.1:${server.address().port}`;
+    process.env.RATE_LIMIT_REDIS_REST_TOKEN = 'test-token';
+    resolve();
+})));
+
+test.after(() => {
+    sockets.forEach(socket => socket.destroy());
+    server.close();
+    env.cleanup();
+});
+
+test('a command to a hung endpoint times out instead of waiting forever', async () => {
+    const { createRedisStore } = require('../lib/rate-limit/redis-store');
+    const startedAt = Date.now();
+
+    await assert.rejects(createRedisStore().get('login:198.51.100.9'), /timed out/);
+    assert.ok(Date.now() - startedAt < 5000);
+});
+
+test('the limiter fails open when the store hangs', async () => {
+    const { getRateLimiter } = require('../lib/rate-limit');
+    const limiter = getRateLimiter('login');
+
+    for (const decision of [await limiter.check('198.51.100.9'), await limiter.consume('198.51.100.9')]) {
+        assert.equal(decision.allowed, true);
+        assert.equal(decision.degraded, true);
+    }
+});
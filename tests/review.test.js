@@ -0,0 +1,23 @@
+/* ****************************************
+ * Tests for the review workflow in lib/review.js
+ ****************************************/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeStatus, getAllowedTransitions, canTransition } = require('../lib/review');
+
+test('stored statuses are normalized and blanks default to pending', () => {
+    assert.equal(normalizeStatus('Under Review'), 'under_review');
+    assert.equal(normalizeStatus(' APPROVED '), 'approved');
+    assert.equal(normalizeStatus(''), 'pending');
+    assert.equal(normalizeStatus(undefined), 'pending');
+    assert.equal(normalizeStatus('archived'), 'pending');
+});
+
+test('prototype names are treated as unknown statuses', () => {
+    for (const value of ['constructor', 'toString', '__proto__', 'hasOwnProperty', 'valueOf']) {
+        assert.equal(normalizeStatus(value), 'pending', value);
+        assert.deepEqual(getAllowedTransitions(value), ['under_review'], value);
+        assert.equal(canTransition(value, 'under_review'), true, value);
+    }
+});
@@ -0,0 +1,191 @@
+/* ****************************************
+ * Row parsers read cells by schema column, not by position
+ * Each row is built with toRow, so a reordered column in lib/schema.js still round-trips
+ ****************************************/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv } = require('./helpers');
+
+const env = setupTestEnv();
+const { toRow, columnIndex } = require('../lib/schema');
+const { parseScoreRow } = require('../lib/judging');
+const { parseAssignmentRow, parseConflictRow } = require('../lib/assignments');
+const { parseCoachingRow } = require('../lib/coaching');
+const { parseSubmissionRow } = require('../lib/submissions');
+const { parseHistoryRow } = require('../lib/history');
+const { parseCommentRow } = require('../lib/comments');
+
+test.after(env.cleanup);
+
+test('parseScoreRow', () => {
+    const score = parseScoreRow(toRow('Scores', {
+        id: 'score-1',
+        submissionId: 'sub-1',
+        judgeEmail: 'Judge@Example.com',
+        criterionScores: JSON.stringify({ innovation: 8 }),
+        weightedScore: 7.5,
+        comments: 'Strong pitch',
+        createdAt: '2025-07-19T15:00:00.000Z',
+        updatedAt: '2025-07-19T16:00:00.000Z',
+        version: 2
+    }).map(String));
+
+    assert.deepEqual(score, {
+        id: 'score-1',
+        submissionId: 'sub-1',
+        judgeEmail: 'judge@example.com',
+        scores: { innovation: 8 },
+        weightedScore: 7.5,
+        comments: 'Strong pitch',
+        createdAt: '2025-07-19T15:00:00.000Z',
+        updatedAt: '2025-07-19T16:00:00.000Z',
+        version: 2
+    });
+});
+
+test('parseAssignmentRow', () => {
+    const row = toRow('Assignments', {
+        id: 'assign-1',
+        submissionId: 'sub-1',
+        reviewerEmail: 'Reviewer@Example.com',
+        role: 'reviewer',
+        assignedBy: 'admin@example.com',
+        assignedAt: '2025-07-19T15:00:00.000Z',
+        status: 'completed',
+        version: 3
+    }).map(String);
+    const assignment = parseAssignmentRow(row);
+
+    assert.equal(assignment.id, 'assign-1');
+    assert.equal(assignment.submissionId, 'sub-1');
+    assert.equal(assignment.reviewerEmail, 'reviewer@example.com');
+    assert.equal(assignment.role, 'reviewer');
+    assert.equal(assignment.assignedBy, 'admin@example.com');
+    assert.equal(assignment.assignedAt, '2025-07-19T15:00:00.000Z');
+    assert.equal(assignment.status, 'completed');
+    assert.equal(assignment.version, 3);
+
+    row[columnIndex('Assignments', 'status')] = '';
+    assert.equal(parseAssignmentRow(row).status, 'active');
+});
+
+test('parseConflictRow', () => {
+    const conflict = parseConflictRow(toRow('Conflicts', {
+        id: 'conflict-1',
+        reviewerEmail: 'Reviewer@Example.com',
+        type: 'submission',
+        value: 'sub-1',
+        reason: 'Former classmate',
+        declaredAt: '2025-07-19T15:00:00.000Z'
+    }).map(String));
+
+    assert.deepEqual(conflict, {
+        id: 'conflict-1',
+        reviewerEmail: 'reviewer@example.com',
+        type: 'submission',
+        value: 'sub-1',
+        reason: 'Former classmate',
+        declaredAt: '2025-07-19T15:00:00.000Z'
+    });
+});
+
+test('parseCoachingRow', () => {
+    const session = parseCoachingRow(toRow('AI_Coaching', {
+        timestamp: '2025-07-19T15:00:00.000Z',
+        studentName: 'Lin',
+        studentEmail: 'lin@example.com',
+        businessIdea: 'Tutoring',
+        generatedContent: '{"summary":"fine"}',
+        sessionType: 'AI Coaching Session',
+        sessionId: 'session-1',
+        id: 'coaching-1'
+    }).map(String));
+
+    assert.equal(session.timestamp, '2025-07-19T15:00:00.000Z');
+    assert.equal(session.studentName, 'Lin');
+    assert.equal(session.studentEmail, 'lin@example.com');
+    assert.equal(session.studentMajor, '');
+    assert.equal(session.businessIdea, 'Tutoring');
+    assert.equal(session.generatedContent, '{"summary":"fine"}');
+    assert.equal(session.sessionId, 'session-1');
+    assert.equal(session.id, 'coaching-1');
+});
+
+test('parseSubmissionRow', () => {
+    const submission = parseSubmissionRow(toRow('Submissions', {
+        fullName: ' Ada Lovelace ',
+        email: 'Ada@Example.com',
+        major: 'Mathematics',
+        businessName: 'Engines',
+        businessDescription: 'Analytical engines',
+        timestamp: '2025-07-19T15:00:00.000Z',
+        status: 'under_review',
+        statusUpdatedAt: '2025-07-19T16:00:00.000Z',
+        statusUpdatedBy: 'admin@example.com',
+        id: 'sub-1',
+        tags: 'finalist, Tech',
+        version: 4
+    }).map(String));
+
+    assert.equal(submission.id, 'sub-1');
+    assert.equal(submission.fullName, 'Ada Lovelace');
+    assert.equal(submission.email, 'ada@example.com');
+    assert.equal(submission.major, 'Mathematics');
+    assert.equal(submission.businessName, 'Engines');
+    assert.equal(submission.businessDescription, 'Analytical engines');
+    assert.equal(submission.timestamp, '2025-07-19T15:00:00.000Z');
+    assert.equal(submission.status, 'under_review');
+    assert.equal(submission.statusUpdatedAt, '2025-07-19T16:00:00.000Z');
+    assert.equal(submission.statusUpdatedBy, 'admin@example.com');
+    assert.deepEqual(submission.tags, ['finalist', 'tech']);
+    assert.equal(submission.version, 4);
+});
+
+test('parseHistoryRow', () => {
+    const entry = {
+        id: 'history-1',
+        submissionId: 'sub-1',
+        field: 'status',
+        oldValue: 'pending',
+        newValue: 'approved',
+        changedBy: 'admin@example.com',
+        changedAt: '2025-07-19T15:00:00.000Z',
+        note: 'Looks good'
+    };
+
+    assert.deepEqual(parseHistoryRow(toRow('Submission_History', entry).map(String)), entry);
+});
+
+test('parseCommentRow', () => {
+    const row = toRow('Comments', {
+        id: 'comment-1',
+        submissionId: 'sub-1',
+        parentId: 'comment-0',
+        authorEmail: 'Admin@Example.com',
+        authorName: 'Admin',
+        body: 'Nice work @judge@example.com',
+        mentions: 'judge@example.com',
+        createdAt: '2025-07-19T15:00:00.000Z',
+        updatedAt: '2025-07-19T16:00:00.000Z',
+        version: 2
+    }).map(String);
+    const comment = parseCommentRow(row);
+
+    assert.equal(comment.id, 'comment-1');
+    assert.equal(comment.submissionId, 'sub-1');
+    assert.equal(comment.parentId, 'comment-0');
+    assert.equal(comment.authorEmail, 'admin@example.com');
+    assert.equal(comment.authorName, 'Admin');
+    assert.equal(comment.body, 'Nice work @judge@example.com');
+    assert.deepEqual(comment.mentions, ['judge@example.com']);
+    assert.equal(comment.createdAt, '2025-07-19T15:00:00.000Z');
+    assert.equal(comment.updatedAt, '2025-07-19T16:00:00.000Z');
+    assert.equal(comment.deleted, false);
+    assert.equal(comment.version, 2);
+
+    row[columnIndex('Comments', 'deletedAt')] = '2025-07-19T17:00:00.000Z';
+    const deleted = parseCommentRow(row);
+    assert.equal(deleted.deleted, true);
+    assert.equal(deleted.body, '');
+});
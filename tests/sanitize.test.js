@@ -0,0 +1,77 @@
+/* ****************************************
+ * Tests for lib/sanitize.js and the lib/sheets.js write functions
+ ****************************************/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv, rowsWrittenTo } = require('./helpers');
+
+const env = setupTestEnv();
+const { neutralizeFormula, neutralizeCell, sanitizeRow } = require('../lib/sanitize');
+const {
+    createSheetsClient, appendSheetValues, updateSheetValues, appendSheetRows, batchUpdateSheetValues, getSheetValues
+} = require('../lib/sheets');
+
+test.after(env.cleanup);
+
+test('every formula prefix is escaped with an apostrophe', () => {
+    for (const value of ['=SUM(A1:A9)', '+cmd|\' /C calc\'!A0', '-2+3', '@SUM(1)', '\t=1+1', '\r=1+1']) {
+        assert.equal(neutralizeFormula(value), `'${value}`);
+    }
+});
+
+test('text that is not a formula is left alone', () => {
+    for (const value of ['Acme Tutoring', 'a=b', 'x + y', 'user@example.com', ' =1+1', '']) {
+        assert.equal(neutralizeFormula(value), value);
+    }
+});
+
+test('non-string values pass through unchanged', () => {
+    const date = new Date();
+    for (const value of [42, -5, 0, true, false, null, undefined, date]) {
+        assert.equal(neutralizeFormula(value), value);
+    }
+});
+
+test('a leading apostrophe is left alone in exports but protected on write', () => {
+    assert.equal(neutralizeFormula("'quoted"), "'quoted");
+    assert.equal(neutralizeCell("'quoted"), "''quoted");
+    assert.equal(neutralizeCell('=SUM(1)'), "'=SUM(1)");
+    assert.equal(neutralizeCell('plain'), 'plain');
+});
+
+test('sanitizeRow escapes each cell and keeps the row shape', () => {
+    assert.deepEqual(
+        sanitizeRow(['=HYPERLINK("http://evil")', 'Plain', 7, '', '@me', "'quoted"]),
+        ["'=HYPERLINK(\"http://evil\")", 'Plain', 7, '', "'@me", "''quoted"]
+    );
+    assert.equal(sanitizeRow(undefined), undefined);
+});
+
+test('every lib/sheets.js write function sanitizes before the backend sees the row', async () => {
+    const sheets = await createSheetsClient();
+
+    await appendSheetValues(sheets, 'test-sheet', 'Scratch!A:B', ['=1+1', 'ok']);
+    await appendSheetRows(sheets, 'test-sheet', 'Scratch!A:B', [['+1', 'ok'], ['-1', 'ok']]);
+    await updateSheetValues(sheets, 'test-sheet', 'Scratch!A1:B1', ['@x', 'ok']);
+    await batchUpdateSheetValues(sheets, 'test-sheet', [{ range: 'Scratch!A2:B2', values: ['\t=2', 'ok'] }]);
+
+    assert.deepEqual(env.writes.map(write => write.method), ['appendRow', 'appendRows', 'updateRow', 'batchUpdate']);
+    assert.deepEqual(rowsWrittenTo(env.writes, 'Scratch').map(row => row[0]), ["'=1+1", "'+1", "'-1", "'@x", "'\t=2"]);
+});
+
+test('the escaped text reads back as the original text', async () => {
+    const sheets = await createSheetsClient();
+
+    await appendSheetValues(sheets, 'test-sheet', 'Readback!A:A', ['=IMPORTXML("x")']);
+
+    assert.deepEqual(await getSheetValues(sheets, 'test-sheet', 'Readback!A:A'), [['=IMPORTXML("x")']]);
+});
+
+test('text that starts with an apostrophe reads back unchanged', async () => {
+    const sheets = await createSheetsClient();
+
+    await appendSheetValues(sheets, 'test-sheet', 'Apostrophe!A:B', ["'quoted", "''twice"]);
+
+    assert.deepEqual(await getSheetValues(sheets, 'test-sheet', 'Apostrophe!A:B'), [["'quoted", "''twice"]]);
+});
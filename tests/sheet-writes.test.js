@@ -0,0 +1,95 @@
+/* ****************************************
+ * Formula neutralization on each public write path
+ * submit, participate, ai-coaching and claude-generate's logAIUsage
+ ****************************************/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv, rowsWrittenTo, invoke } = require('./helpers');
+
+const env = setupTestEnv();
+const { columnIndex } = require('../lib/schema');
+const submitHandler = require('../api/submit');
+const participateHandler = require('../api/participate');
+const aiCoachingHandler = require('../api/ai-coaching');
+const claudeGenerateHandler = require('../api/claude-generate');
+
+const PAYLOAD = '=HYPERLINK("http://evil.example","Click")';
+
+test.after(env.cleanup);
+
+test('submit escapes formula-like registration fields', async () => {
+    const response = await invoke(submitHandler, {
+        body: {
+            fullName: '@Ada Lovelace',
+            email: 'ada@example.com',
+            major: '-Engineering',
+            businessName: PAYLOAD,
+            businessDescription: '+cmd|\' /C calc\'!A0'
+        }
+    });
+
+    assert.equal(response.status, 200);
+    const row = rowsWrittenTo(env.writes, 'Submissions').at(-1);
+    assert.equal(row[columnIndex('Submissions', 'fullName')], "'@Ada Lovelace");
+    assert.equal(row[columnIndex('Submissions', 'major')], "'-Engineering");
+    assert.equal(row[columnIndex('Submissions', 'businessName')], `'${PAYLOAD}`);
+    assert.equal(row[columnIndex('Submissions', 'businessDescription')], "'+cmd|' /C calc'!A0");
+    assert.equal(row[columnIndex('Submissions', 'email')], 'ada@example.com');
+});
+
+test('participate escapes formula-like interest fields', async () => {
+    const response = await invoke(participateHandler, {
+        body: {
+            fullName: PAYLOAD,
+            email: 'grace@example.com',
+            involvementType: 'Mentor',
+            questions: '\t=1+1',
+            additionalInfo: '\r@SUM(A1)'
+        }
+    });
+
+    assert.equal(response.status, 200);
+    const row = rowsWrittenTo(env.writes, 'Participants').at(-1);
+    assert.equal(row[columnIndex('Participants', 'fullName')], `'${PAYLOAD}`);
+    assert.equal(row[columnIndex('Participants', 'questions')], "'\t=1+1");
+    assert.equal(row[columnIndex('Participants', 'additionalInfo')], "'\r@SUM(A1)");
+});
+
+test('ai-coaching escapes formula-like session fields', async () => {
+    const response = await invoke(aiCoachingHandler, {
+        body: {
+            studentName: '=1+1',
+            studentEmail: 'lin@example.com',
+            businessIdea: PAYLOAD,
+            problemDescription: '-problem',
+            generatedContent: { summary: 'fine' }
+        }
+    });
+
+    assert.equal(response.status, 200);
+    const row = rowsWrittenTo(env.writes, 'AI_Coaching').at(-1);
+    assert.equal(row[columnIndex('AI_Coaching', 'studentName')], "'=1+1");
+    assert.equal(row[columnIndex('AI_Coaching', 'businessIdea')], `'${PAYLOAD}`);
+    assert.equal(row[columnIndex('AI_Coaching', 'problemDescription')], "'-problem");
+});
+
+test('claude-generate escapes a formula-like client ID in the AI usage log', async () => {
+    process.env.LOG_AI_USAGE = 'true';
+    process.env.TRUST_PROXY = '1';
+
+    try {
+        const response = await invoke(claudeGenerateHandler, {
+            headers: { 'x-forwarded-for': '=cmd|\' /C calc\'!A0' },
+            body: { type: 'business_description', inputs: { concept: 'Tutoring', problem: 'Cost', needs: 'Funding' } }
+        });
+
+        assert.equal(response.status, 200);
+        const row = rowsWrittenTo(env.writes, 'AI_Usage').at(-1);
+        assert.equal(row[columnIndex('AI_Usage', 'clientId')], "'=cmd|' /C calc'!A0");
+        assert.equal(row[columnIndex('AI_Usage', 'type')], 'business_description');
+    } finally {
+        delete process.env.LOG_AI_USAGE;
+        process.env.TRUST_PROXY = '0';
+    }
+});
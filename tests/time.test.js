@@ -0,0 +1,39 @@
+/* ****************************************
+ * Tests for lib/time.js timestamp parsing
+ ****************************************/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv } = require('./helpers');
+
+const env = setupTestEnv();
+delete process.env.DISPLAY_TIME_ZONE;
+const { toIsoTimestamp } = require('../lib/time');
+
+test.after(env.cleanup);
+
+test('every format the app has written is read as the right instant', () => {
+    assert.equal(toIsoTimestamp('2025-07-19T15:04:05.000Z'), '2025-07-19T15:04:05.000Z');
+    assert.equal(toIsoTimestamp('2025-07-19T10:04:05-05:00'), '2025-07-19T15:04:05.000Z');
+    assert.equal(toIsoTimestamp('2025-07-19 10:04'), '2025-07-19T15:04:00.000Z');
+    assert.equal(toIsoTimestamp('2025-02-28'), '2025-02-28T06:00:00.000Z');
+    assert.equal(toIsoTimestamp('2024-02-29'), '2024-02-29T06:00:00.000Z');
+    assert.equal(toIsoTimestamp('07/19/2025, 10:04:05 AM'), '2025-07-19T15:04:05.000Z');
+    assert.equal(toIsoTimestamp('7/19/2025 12:30 PM'), '2025-07-19T17:30:00.000Z');
+    assert.equal(toIsoTimestamp('7/19/2025 12:30 AM'), '2025-07-19T05:30:00.000Z');
+});
+
+test('out-of-range ISO fields are refused instead of rolled over', () => {
+    for (const value of ['2025-13-45', '2025-00-10', '2025-02-30', '2025-02-29', '2025-04-31',
+        '2025-07-19 24:00', '2025-07-19T10:60', '2025-07-19T10:04:60',
+        '2025-02-30T00:00Z', '2025-07-19T24:00:00Z', '2025-07-19T10:04:05+99:00']) {
+        assert.equal(toIsoTimestamp(value), null, value);
+    }
+});
+
+test('out-of-range US date fields are refused instead of rolled over', () => {
+    for (const value of ['13/45/2025', '02/30/2025 10:00', '0/10/2025', '07/19/2025 25:00',
+        '07/19/2025 10:61', '07/19/2025 13:00 PM', '07/19/2025 0:15 AM']) {
+        assert.equal(toIsoTimestamp(value), null, value);
+    }
+});
@@ -0,0 +1,30 @@
+/* ****************************************
+ * Tests for lib/users.js field validation
+ ****************************************/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv } = require('./helpers');
+
+const env = setupTestEnv();
+const { validateUserFields } = require('../lib/users');
+
+test.after(env.cleanup);
+
+test('ordinary addresses are accepted', () => {
+    for (const email of ['judge@example.com', 'First.Last+nest@austincc.edu', ' padded@example.org ']) {
+        assert.equal(validateUserFields({ email }), null);
+    }
+});
+
+test('addresses that could break out of an HTML attribute are refused', () => {
+    for (const email of ['x"/onmouseover="alert(1)"@a.bc', "x'@a.bc", 'x<b>@a.bc', 'x@a.bc>', 'a/b@a.bc']) {
+        assert.equal(validateUserFields({ email }), 'Invalid email format');
+    }
+});
+
+test('malformed addresses are refused', () => {
+    for (const email of ['', 'no-at-sign', 'two@@example.com', 'a b@example.com', 'x@nodot', 42]) {
+        assert.equal(validateUserFields({ email }), 'Invalid email format');
+    }
+});